@@ -59,6 +59,7 @@ function Calendar(hook, text) {
     // DATE METHODS:
     //   getCurrentDate()        Returns "Weekday, Month DD, YYYY"
     //   getDayNumber()          Returns absolute day number (can be negative)
+    //   getDayNumberForDate(d)  Returns the day number of a "MM/DD/YYYY" date
     //   getDayOfWeek()          Returns weekday name
     //   getDayOfMonth()         Returns day number in month (1-31)
     //   getMonth()              Returns month name
@@ -769,6 +770,19 @@ function Calendar(hook, text) {
             return timeData ? timeData.day : null;
         };
         
+        Calendar.getDayNumberForDate = (dateStr) => {
+            const config = loadConfiguration();
+            if (!config || typeof dateStr !== 'string') return null;
+            
+            const parts = dateStr.trim().split('/').map(part => parseInt(part));
+            if (parts.length !== 3 || parts.some(isNaN)) return null;
+            
+            const startParts = config.startDate.split('/').map(part => parseInt(part));
+            const startInfo = { month: startParts[0] - 1, day: startParts[1], year: startParts[2] };
+            const targetInfo = { month: parts[0] - 1, day: parts[1], year: parts[2] };
+            return calculateDaysBetweenDates(startInfo, targetInfo, config);
+        };
+        
         Calendar.getDayOfWeek = () => {
             const timeData = loadTimeState();
             const config = loadConfiguration();
@@ -47,6 +47,7 @@ function SANE(hook, text) {
     // AI Dungeon sandbox <3
     const state = globalThis.state || {};
     const history = globalThis.history || [];
+    const info = globalThis.info || {};
 
     // Core registries
     const schemas = {};
@@ -55,9 +56,13 @@ function SANE(hook, text) {
         preContext: [],  // Greedy modules that run first
         context: [],
         input: [],
-        output: []
+        output: [],
+        flush: []        // Get the ids of the entities modified this hook, before they are written
     };
     const rewindableTools = {};  // Stores rewind strategies for tools
+    const toolSignatures = {};  // Ordered parameter lists for tools (positional call support)
+    const toolSchemas = {};  // Tool documentation (description, category, examples) for generated instructions
+    const recordedChanges = [];  // Rewindable changes made by hooks this run, recorded with the output's tools
 
     // Data storage
     let dataCache = {};
@@ -75,6 +80,8 @@ function SANE(hook, text) {
     // Parsing patterns
     // XML-style tool syntax: <tool_name param="value" param2="value2"/>
     const TOOL_PATTERN = /<([a-z_]+)((?:\s+[a-z_0-9]+="[^"]*")*)\s*\/>/gi;
+    // Function-style tool syntax: tool_name(value, value2) or tool_name(value, param2=value2)
+    const FUNCTION_TOOL_PATTERN = /\b([a-z_][a-z0-9_]*)\(([^()\n]*)\)/gi;
     const COMMAND_PATTERN = /\/([a-z_]+)(?:\s+([^\n/]*))?/gi;
     const GETTER_PATTERN = /get\[([^\]]+)\]/gi;
 
@@ -241,6 +248,21 @@ function SANE(hook, text) {
                     }
                 }
                 return null;
+            case 'breadcrumb':
+                // get(breadcrumb.kirito) or get(breadcrumb.tavern_cellar) - LocationModule
+                return Library.getLocationBreadcrumb ? Library.getLocationBreadcrumb(parts.slice(1).join('.')) : null;
+            case 'area':
+                // get(area.kirito) - inherited location properties, e.g. "[safe zone, climate: cold]" - LocationModule
+                return Library.describeLocationProperties ? Library.describeLocationProperties(parts.slice(1).join('.')) : null;
+            case 'tools':
+                // Generated from the tool registry (ToolReferenceModule)
+                switch(parts[1]?.toLowerCase()) {
+                    case 'scene':
+                        return Library.generateSceneToolList ? Library.generateSceneToolList() : null;
+                    case 'reference':
+                        return Library.generateToolReference ? Library.generateToolReference() : null;
+                }
+                return null;
         }
 
         // Normalize for case-insensitive lookup
@@ -466,7 +488,7 @@ function SANE(hook, text) {
                 }
             } else {
                 // Save to [SANE:D] data card (no display)
-                saveToDataCard(entityId, entity);
+                if (!saveToDataCard(entityId, entity)) return false;
             }
         } catch (e) {
             debugLogStore.errors.push({ error: e.message, context: `save:${entityId}` });
@@ -509,6 +531,14 @@ function SANE(hook, text) {
 
         if (debug) console.log(`[SANE]: Flushing ${modifiedEntities.size} modified entities to Story Cards`);
 
+        for (const handler of hooks.flush) {
+            try {
+                handler([...modifiedEntities]);
+            } catch (e) {
+                debugLog('flush', `Module hook error: ${e.message}`);
+            }
+        }
+
         for (const entityId of modifiedEntities) {
             const entity = dataCache[entityId];
             if (entity) {
@@ -553,33 +583,71 @@ function SANE(hook, text) {
     function saveToDataCard(entityId, entity) {
         // Save entities without display to [SANE:D] cards
         // These can pack multiple entities per card
-        const dataCardTitle = '[SANE:D] Data';
-        const dataCard = Utilities.storyCard.get(dataCardTitle);
+        const { entities, unreadable } = readDataCards();
+        if (unreadable.length > 0) {
+            debugLogStore.errors.push({ error: `${unreadable.join(', ')} could not be read`, context: `save:${entityId}` });
+            if (debug) console.log(`[SANE save]: Not saving ${entityId} - ${unreadable.join(', ')} could not be read`);
+            return false;
+        }
+
+        entities[entityId] = entity;
+        writeDataCards(entities);
+        return true;
+    }
 
-        let entities = {};
-        if (dataCard && dataCard.description) {
+    // All entities of [SANE:D] Data and its ~~n~~ overflow cards. A card that doesn't parse is copied
+    // to a [SANE:BAK] card and listed in unreadable: writing would overwrite or remove it, so callers don't
+    function readDataCards() {
+        const entities = {};
+        const unreadable = [];
+        for (let i = 0; ; i++) {
+            const dataCard = Utilities.storyCard.get(i === 0 ? '[SANE:D] Data' : `[SANE:D] Data~~${i}~~`);
+            if (!dataCard) break;
             try {
-                entities = JSON.parse(dataCard.description);
+                Object.assign(entities, JSON.parse(dataCard.description || '{}'));
             } catch (e) {
-                // Start fresh if corrupted
+                unreadable.push(dataCard.title);
+                backupUnreadableDataCard(dataCard, e);
             }
         }
+        return { entities, unreadable };
+    }
 
-        entities[entityId] = entity;
+    // Kept once per card until the card is fixed or removed
+    function backupUnreadableDataCard(dataCard, error) {
+        const backupTitle = dataCard.title.replace('[SANE:D]', '[SANE:BAK]');
+        if (Utilities.storyCard.get(backupTitle)) return;
+
+        Utilities.storyCard.add({
+            title: backupTitle,
+            value: `# Data Backup\nReason: ${dataCard.title} could not be read (${error.message}). No entities are saved to [SANE:D] cards until it is fixed or removed.`,
+            description: dataCard.description,
+            type: 'data'
+        });
+        debugLogStore.errors.push({ error: error.message, context: `readDataCards: ${dataCard.title}, copied to ${backupTitle}` });
+    }
+
+    function writeDataCards(entities) {
         const dataJson = JSON.stringify(entities);
+        let cardCount = 1;
 
         // Check if we need overflow
         if (dataJson.length > 9500) {
             // Split into multiple data cards
-            saveDataWithOverflow(entities);
+            cardCount = saveDataWithOverflow(entities);
         } else {
             Utilities.storyCard.upsert({
-                title: dataCardTitle,
+                title: '[SANE:D] Data',
                 value: '# Data Storage',
                 description: dataJson,
                 type: 'data'
             });
         }
+
+        // Remove overflow cards a bigger save left behind
+        for (let i = cardCount; Utilities.storyCard.get(`[SANE:D] Data~~${i}~~`); i++) {
+            Utilities.storyCard.remove(`[SANE:D] Data~~${i}~~`);
+        }
     }
 
     function saveDataWithOverflow(entities) {
@@ -612,6 +680,7 @@ function SANE(hook, text) {
                 type: 'data'
             });
         }
+        return chunks.length;
     }
 
     function del(entityId) {
@@ -632,31 +701,15 @@ function SANE(hook, text) {
         // Remove from modified entities if queued
         modifiedEntities.delete(normalizedId);
 
-        // Remove from data cards
-        const dataCardTitle = '[SANE:D] Data';
-        const dataCard = Utilities.storyCard.get(dataCardTitle);
-
-        if (dataCard && dataCard.description) {
-            try {
-                const entities = JSON.parse(dataCard.description);
-                if (entities[entityId] || entities[normalizedId]) {
-                    delete entities[entityId];
-                    delete entities[normalizedId];
-
-                    // Save updated data card
-                    const dataJson = JSON.stringify(entities);
-                    Utilities.storyCard.upsert({
-                        title: dataCardTitle,
-                        value: '# Data Storage',
-                        description: dataJson,
-                        type: 'data'
-                    });
+        // Remove from data cards - unless one can't be read, as rewriting them would lose its entities
+        const { entities, unreadable } = readDataCards();
+        if (unreadable.length === 0 && (entities[entityId] || entities[normalizedId])) {
+            delete entities[entityId];
+            delete entities[normalizedId];
 
-                    if (debug) console.log(`[SANE del]: Removed ${entityId} from data card`);
-                }
-            } catch (e) {
-                if (debug) console.log(`[SANE del]: Error removing from data card: ${e.message}`);
-            }
+            // Save updated data cards
+            writeDataCards(entities);
+            if (debug) console.log(`[SANE del]: Removed ${entityId} from data card`);
         }
 
         // Also check for entity cards with display
@@ -906,7 +959,18 @@ function SANE(hook, text) {
     // Simple registration functions that modules call directly
 
     function registerSchema(id, schema) {
-        schemas[id] = schema;
+        // A schema loaded from its [SANE:S] card wins so edits made there persist;
+        // top-level settings added in code since the card was written are filled in
+        const loaded = dataCache[`schema.${id}`];
+        if (loaded && loaded !== schema) {
+            const merged = { ...schema, ...loaded };
+            schemas[id] = merged;
+            dataCache[`schema.${id}`] = merged;
+            if (Object.keys(merged).length === Object.keys(loaded).length) return;
+            schema = merged;
+        } else {
+            schemas[id] = schema;
+        }
 
         // Create the Story Card for this schema so it persists
         Utilities.storyCard.upsert({
@@ -917,8 +981,36 @@ function SANE(hook, text) {
         });
     }
 
-    function registerTool(name, func) {
+    function registerTool(name, func, schema = null) {
         tools[name] = func;
+        if (schema) {
+            registerToolSchema(name, schema);
+
+            // Aliases share the function and signature but aren't documented separately
+            for (const alias of toolSchemas[name].aliases || []) {
+                tools[alias] = func;
+                toolSignatures[alias] = toolSignatures[name];
+            }
+        }
+    }
+
+    function registerToolSchema(name, schema) {
+        // Schema documents a tool for both call binding and the generated instructions:
+        // { description, category, when, params: [...], examples: [...], aliases: [...], hidden }
+        // A bare params array is accepted as shorthand for { params }
+        const definition = Array.isArray(schema) ? { params: schema } : { ...schema };
+        definition.name = name;
+        toolSchemas[name] = definition;
+        registerToolSignature(name, definition.params || []);
+    }
+
+    function registerToolSignature(name, signature) {
+        // Signature is the ordered parameter list used to bind positional calls:
+        // [{ name: 'name', type: 'entity' }, { name: 'quantity', type: 'number', optional: true }]
+        // Types: 'entity' (tracked if unknown), 'string', 'number'
+        toolSignatures[name] = signature.map(param =>
+            typeof param === 'string' ? { name: param, type: 'string' } : param
+        );
     }
 
     function registerRewindable(toolName, strategy) {
@@ -929,6 +1021,17 @@ function SANE(hook, text) {
         rewindableTools[toolName] = strategy;
     }
 
+    function recordChange(name, params = {}) {
+        // Changes a module makes on its own during the output (effect ticks, encounter turns...)
+        // are recorded like a tool call so a retry or undo takes them back.
+        // Call before changing anything: the stateful rewindable registered under name captures
+        // the state to restore, and its restoreState also brings the change back on redo
+        const revertData = ModuleAPI.RewindSystem?.captureRevertData
+            ? ModuleAPI.RewindSystem.captureRevertData(name, params)
+            : {};
+        recordedChanges.push([name, params, revertData]);
+    }
+
     function registerHook(type, func) {
         if (hooks[type]) {
             hooks[type].push(func);
@@ -984,11 +1087,14 @@ function SANE(hook, text) {
         trackUnknownEntity: null,  // Will be set by EntityTrackerModule
 
         // Registration functions
-        registerSchema, registerTool, registerRewindable, registerHook, registerAPI,
+        registerSchema, registerTool, registerToolSchema, registerToolSignature, registerRewindable, registerHook, registerAPI,
+        recordChange,
 
         // Processing functions
         processTool,
         parseToolCall,
+        getToolSentence,
+        normalizeToolParams,
 
         // Utilities
         Utilities: globalThis.Utilities || {},
@@ -996,7 +1102,7 @@ function SANE(hook, text) {
         Library,
 
         // Direct access to registries
-        schemas, tools, hooks, rewindableTools,
+        schemas, tools, hooks, rewindableTools, toolSignatures, toolSchemas,
 
         // Direct access to caches
         dataCache,
@@ -1102,6 +1208,46 @@ function SANE(hook, text) {
         }
     };
 
+    let replayTurn = null;  // Set while replayed effects run on the turn they first happened on (see atTurn)
+
+    // Turn counter for anything that expires or repeats per action
+    // Uses info.actionCount so retries land on the same turn; history length is the fallback
+    function getCurrentTurn() {
+        if (replayTurn !== null) return replayTurn;
+        return typeof info.actionCount === 'number' ? info.actionCount : history.length;
+    }
+
+    // Run fn as if it were still the given turn
+    function atTurn(turn, fn) {
+        const previous = replayTurn;
+        replayTurn = turn;
+        try {
+            return fn();
+        } finally {
+            replayTurn = previous;
+        }
+    }
+
+    // Insert a block into context after the Nth sentence from the end (non-destructive)
+    // Falls back to the start of the text when there aren't enough sentences
+    function insertNearEnd(text, block, sentencesFromEnd = 6) {
+        // Match sentence endings and track their positions
+        const sentenceEndPattern = /[.!?]\s+/g;
+        const sentenceEndings = [];
+        let match;
+        while ((match = sentenceEndPattern.exec(text)) !== null) {
+            sentenceEndings.push(match.index + match[0].length);
+        }
+
+        if (sentenceEndings.length <= sentencesFromEnd) {
+            return block + '\n\n' + text;
+        }
+
+        // Insert after the Nth sentence from the end, preserving all original whitespace
+        const insertPosition = sentenceEndings[sentenceEndings.length - sentencesFromEnd];
+        return text.substring(0, insertPosition) + '\n\n' + block + '\n\n' + text.substring(insertPosition);
+    }
+
     //#endregion MODULE_HELPERS
 
     // ========================================
@@ -1208,6 +1354,65 @@ function SANE(hook, text) {
         const entityCount = Object.keys(dataCache).filter(k => !k.startsWith('schema.') && !k.startsWith('function.')).length;
     }
 
+    // ========================================
+    // NoticeModule - Mechanical results for the next context
+    // ========================================
+    //#region NoticeModule
+    {
+        const MODULE_NAME = 'NoticeModule';
+        const MAX_NOTICES = 20;
+
+        // Notices are short resolved outcomes (dice checks, trades...) that the AI sees in the
+        // context of the following action, so the narration follows the mechanics.
+        // They are keyed to the turn that produced them, so a retry shows the same notices again
+        function addContextNotice(text) {
+            dropRetriedNotices();
+            const notices = ModuleAPI.get('Global.notices') || [];
+            notices.push({ text, turn: getCurrentTurn() });
+            ModuleAPI.set('Global.notices', notices.slice(-MAX_NOTICES));
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${text}`);
+        }
+
+        // Notices of this turn left over from an earlier run of the same output (a retry)
+        // are dropped once per run, before this run adds its own
+        let retriedDropped = false;
+        function dropRetriedNotices() {
+            if (retriedDropped) return;
+            retriedDropped = true;
+
+            const notices = ModuleAPI.get('Global.notices');
+            if (!Array.isArray(notices)) return;
+            const turn = getCurrentTurn();
+            const kept = notices.filter(notice => notice.turn < turn);
+            if (kept.length !== notices.length) ModuleAPI.set('Global.notices', kept);
+        }
+
+        function getPendingNotices() {
+            const notices = ModuleAPI.get('Global.notices');
+            if (!Array.isArray(notices)) return [];
+            const previousTurn = getCurrentTurn() - 1;
+            return notices.filter(notice => notice.turn === previousTurn);
+        }
+
+        ModuleAPI.registerAPI('addContextNotice', addContextNotice);
+
+        // An output without notices still clears what an earlier run of it left behind
+        ModuleAPI.registerHook('output', function(text) {
+            dropRetriedNotices();
+        });
+
+        ModuleAPI.registerHook('context', function(text) {
+            const pending = getPendingNotices();
+            if (pending.length === 0) return text;
+
+            const block = `[Resolved - narrate these outcomes as given:\n${pending.map(n => `• ${n.text}`).join('\n')}]`;
+            return insertNearEnd(text, block, 2);
+        });
+
+        ModuleAPI.debugLog('module', 'NoticeModule loaded');
+    }
+    //#endregion NoticeModule
+
     // ========================================
     // InventoryModule - Item management system
     // ========================================
@@ -1218,7 +1423,13 @@ function SANE(hook, text) {
         // Define inventory schema
         const inventorySchema = {
             id: 'inventory',
-            defaults: {}  // Items added dynamically
+            defaults: {},  // Items added dynamically
+            capacity: {
+                formula: "50 + $(STRENGTH) * 5",  // Max carry weight
+                default_weight: 1,                // For items without an item entity
+                encumbered_at: 0.8,               // Fraction of capacity that slows you down
+                mode: "partial"                   // partial: take what fits, refuse: take nothing
+            }
         };
 
         // Create [SANE:S] inventory card if it doesn't exist
@@ -1278,20 +1489,41 @@ function SANE(hook, text) {
             // Ensure inventory exists
             if (!character.inventory) character.inventory = {};
 
+            // Respect carry capacity when adding
+            let amount = qty;
+            if (qty > 0) {
+                const room = getRoomFor(character, itemName);
+                if (room < qty) {
+                    amount = getCapacityConfig().mode === 'refuse' ? 0 : room;
+                    noticeOverCapacity(character, charName, itemName, qty, amount);
+                    if (amount === 0) return 'permitted';
+                }
+            }
+
             // Update quantity
             const currentQty = getItemQuantity(character.inventory, itemName);
-            const newQty = Math.max(0, currentQty + qty);
+            const newQty = Math.max(0, currentQty + amount);
 
             setItemQuantity(character.inventory, itemName, newQty);
+            refreshCarry(character);
 
             if (MODULE_CONFIG.debug) {
-                const action = qty > 0 ? 'Added' : 'Removed';
-                console.log(`[add_item]: ${action} ${Math.abs(qty)} ${itemName} ${qty > 0 ? 'to' : 'from'} ${charName}'s inventory (now ${newQty})`);
+                const action = amount > 0 ? 'Added' : 'Removed';
+                console.log(`[add_item]: ${action} ${Math.abs(amount)} ${itemName} ${amount > 0 ? 'to' : 'from'} ${charName}'s inventory (now ${newQty})`);
             }
 
             ModuleAPI.save(charName, character);
             return 'executed';
-        }));
+        }), {
+            category: 'Inventory',
+            description: 'Character finds/receives items',
+            when: 'Character finds item',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'quantity', type: 'number', optional: true }
+            ]
+        });
 
         // Register remove_item tool
         // XML: <remove_item name="Kirito" item="health_potion" quantity="1"/>
@@ -1306,7 +1538,16 @@ function SANE(hook, text) {
 
             // Call add_item with negative quantity
             return ModuleAPI.tools['add_item']({ name, item, quantity: -qty });
-        }));
+        }), {
+            category: 'Inventory',
+            description: 'Items dropped/lost/destroyed',
+            when: 'Character loses item',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'quantity', type: 'number' }
+            ]
+        });
 
         // Register transfer_item tool
         // XML: <transfer_item giver="Kirito" receiver="Asuna" item="health_potion" quantity="2"/>
@@ -1330,164 +1571,92 @@ function SANE(hook, text) {
             let transferQty = requestedQty;
             let anySuccess = false;
 
-            // Remove from giver if exists
             if (giverChar) {
                 if (!giverChar.inventory) giverChar.inventory = {};
-                const availableQty = getItemQuantity(giverChar.inventory, item);
-                transferQty = Math.min(availableQty, requestedQty);
+                transferQty = Math.min(getItemQuantity(giverChar.inventory, item), requestedQty);
+            }
 
-                if (transferQty > 0) {
-                    setItemQuantity(giverChar.inventory, item, availableQty - transferQty);
-                    ModuleAPI.save(giver, giverChar);
-                    anySuccess = true;
-                    if (MODULE_CONFIG.debug) console.log(`[transfer_item]: Removed ${transferQty} ${item} from ${giver}`);
+            // The receiver only takes what they can carry
+            if (receiverChar && transferQty > 0) {
+                const room = getRoomFor(receiverChar, item);
+                if (room < transferQty) {
+                    const accepted = getCapacityConfig().mode === 'refuse' ? 0 : room;
+                    noticeOverCapacity(receiverChar, receiver, item, transferQty, accepted);
+                    transferQty = accepted;
                 }
             }
 
+            // Remove from giver if exists
+            if (giverChar && transferQty > 0) {
+                setItemQuantity(giverChar.inventory, item, getItemQuantity(giverChar.inventory, item) - transferQty);
+                refreshCarry(giverChar);
+                ModuleAPI.save(giver, giverChar);
+                anySuccess = true;
+                if (MODULE_CONFIG.debug) console.log(`[transfer_item]: Removed ${transferQty} ${item} from ${giver}`);
+            }
+
             // Add to receiver if exists
             if (receiverChar && transferQty > 0) {
                 if (!receiverChar.inventory) receiverChar.inventory = {};
                 const currentQty = getItemQuantity(receiverChar.inventory, item);
                 setItemQuantity(receiverChar.inventory, item, currentQty + transferQty);
+                refreshCarry(receiverChar);
                 ModuleAPI.save(receiver, receiverChar);
                 anySuccess = true;
                 if (MODULE_CONFIG.debug) console.log(`[transfer_item]: Added ${transferQty} ${item} to ${receiver}`);
             }
 
             return anySuccess ? 'executed' : 'permitted';
-        }));
+        }), {
+            category: 'Inventory',
+            description: 'All trades (handles both parties automatically)',
+            when: 'Two characters trade',
+            examples: ["The merchant transfer_item(merchant, bob, teleport_crystal, 1) hands Bob a teleport crystal."],
+            params: [
+                { name: 'giver', type: 'entity' },
+                { name: 'receiver', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'quantity', type: 'number', optional: true }
+            ]
+        });
 
         // Register use_consumable tool (alias)
         // XML: <use_consumable name="Kirito" item="health_potion" quantity="1"/>
         ModuleAPI.registerTool('use_consumable', toolHelpers.createTool('use_consumable', ['name', 'item', 'quantity'], (params) => {
             return ModuleAPI.tools['remove_item'](params);
-        }));
-
-        // Register rewindable strategies for inventory tools
-        ModuleAPI.registerRewindable('add_item', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                const { name, item, quantity } = params;
-                const normalizedItem = validators.normalizeString(item);
-                const qty = validators.parseNumber(quantity, true);
-                if (qty === null) return null;
-                // Inverse of add is remove (negative quantity)
-                return ['add_item', { name, item: normalizedItem, quantity: -qty }];
-            }
-        });
-
-        ModuleAPI.registerRewindable('remove_item', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                const { name, item, quantity } = params;
-                const normalizedItem = validators.normalizeString(item);
-                const qty = validators.parseNumber(quantity, false);
-                if (qty === null) return null;
-                // Inverse of remove is add
-                return ['add_item', { name, item: normalizedItem, quantity: qty }];
-            }
-        });
-
-        ModuleAPI.registerRewindable('transfer_item', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                const { giver, receiver, item, quantity } = params;
-                // Inverse of transfer is transfer in opposite direction
-                return ['transfer_item', { giver: receiver, receiver: giver, item, quantity }];
-            }
-        });
-
-        ModuleAPI.registerRewindable('use_consumable', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                // use_consumable is an alias for remove_item
-                const { name, item, quantity } = params;
-                const normalizedItem = validators.normalizeString(item);
-                const qty = validators.parseNumber(quantity, false);
-                if (qty === null) return null;
-                return ['add_item', { name, item: normalizedItem, quantity: qty }];
-            }
-        });
-
-        ModuleAPI.debugLog('module', 'InventoryModule loaded');
-    }
-    //#endregion InventoryModule
-
-    // ========================================
-    // SkillsModule - Stats, skills, and attributes
-    // ========================================
-    //#region SkillsModule
-    {
-        const MODULE_NAME = 'SkillsModule';
-
-        // Define schemas
-        const statsSchema = {
-            id: 'stats',
-            defaults: {
-                level: { value: 1, xp: { current: 0, max: 500 } },
-                hp: { current: 100, max: 100 }
-            },
-            level_progression: {
-                xp_formula: "level * (level - 1) * 500"
-            },
-            hp_progression: {
-                base: 100,
-                per_level: 20
-            },
-            display: [
-                {
-                    line: "infoline",
-                    priority: 30,
-                    format: "`Level ${stats?.level?.value || 1} (${stats?.level?.xp?.current || 0}/${stats?.level?.xp?.max || 0})`"
-                },
-                {
-                    line: "infoline",
-                    priority: 40,
-                    format: "`HP: ${stats?.hp?.current || 0}/${stats?.hp?.max || 100}`"
-                }
+        }), {
+            category: 'Inventory',
+            description: 'Using items (handles removal)',
+            when: 'Character uses consumable',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'quantity', type: 'number' }
             ]
-        };
+        });
 
-        const skillsSchema = {
-            id: 'skills',
-            defaults: {},  // Skills are added dynamically via unlock_newskill
-            registry: ["One_Handed_Sword", "Two_Handed_Sword", "Rapier", "Shield", "Parry",
-                      "Battle_Healing", "Searching", "Tracking", "Hiding", "Night_Vision",
-                      "Sprint", "Acrobatics", "Cooking", "Fishing", "Blacksmithing",
-                      "Tailoring", "Alchemy", "Medicine_Mixing"],
-            skill_progression: {
-                xp_formula: "level * 100"
-            },
-            display: {
-                line: "section",
-                priority: 60,
-                format: "`**Skills**\\n${Object.entries(skills || {}).map(([k,v]) => \`• ${k}: Level ${v.level} (${v.xp?.current || 0}/${v.xp?.max || 0} XP)\`).join('\\n')}`",
-                condition: "Object.keys(skills || {}).length > 0"
-            }
+        // Equipment: slot -> { item }. Items go back to the inventory when unequipped.
+        // Item definitions are entities with an item component:
+        //   { id: 'iron_sword', GameplayTags: ['Item'], item: { slot: 'main_hand', damage: 5, armor: 0, modifiers: { STRENGTH: 1 } } }
+        const equipmentSchema = {
+            id: 'equipment',
+            defaults: {},
+            slots: ['head', 'body', 'hands', 'feet', 'main_hand', 'off_hand', 'accessory']
         };
 
-        const attributesSchema = {
-            id: 'attributes',
-            defaults: {
-                STRENGTH: { value: 10 },
-                AGILITY: { value: 10 },
-                VITALITY: { value: 10 },
-                DEXTERITY: { value: 10 }
-            },
-            registry: ["STRENGTH", "AGILITY", "VITALITY", "DEXTERITY", "INTELLIGENCE", "WISDOM", "CHARISMA", "LUCK"]
+        const itemSchema = {
+            id: 'item',
+            defaults: { slot: null, damage: 0, armor: 0, weight: 1, modifiers: {} }
         };
 
-        // Create [SANE:S] cards for each schema if they don't exist
         [
-            { name: 'stats', schema: statsSchema },
-            { name: 'skills', schema: skillsSchema },
-            { name: 'attributes', schema: attributesSchema }
-        ].forEach(({ name, schema }) => {
-            const existingCard = Utilities.storyCard.get(`[SANE:S] ${name}`);
-            if (!existingCard) {
+            { name: 'equipment', schema: equipmentSchema, value: '# Equipment Component Schema\nDefines the slots items can be equipped to' },
+            { name: 'item', schema: itemSchema, value: '# Item Component Schema\nDefines what an item does when equipped' }
+        ].forEach(({ name, schema, value }) => {
+            if (!Utilities.storyCard.get(`[SANE:S] ${name}`)) {
                 Utilities.storyCard.upsert({
                     title: `[SANE:S] ${name}`,
-                    value: `# ${name.charAt(0).toUpperCase() + name.slice(1)} Component Schema`,
+                    value,
                     description: JSON.stringify(schema, null, 2),
                     type: 'data'
                 });
@@ -1495,2324 +1664,3747 @@ function SANE(hook, text) {
             }
         });
 
-        // Register schemas (Story Card versions take precedence if loaded)
-        ModuleAPI.registerSchema('stats', statsSchema);
-        ModuleAPI.registerSchema('skills', skillsSchema);
-        ModuleAPI.registerSchema('attributes', attributesSchema);
+        ModuleAPI.registerSchema('equipment', equipmentSchema);
+        ModuleAPI.registerSchema('item', itemSchema);
 
-        // Helper functions
-        function calculateLevelXPRequirement(level) {
-            // Use schema formula: level * (level - 1) * 500
-            return level * (level - 1) * 500;
+        function getSlots() {
+            return ModuleAPI.schemas.equipment?.slots || equipmentSchema.slots;
         }
 
-        function calculateMaxHP(level) {
-            // Use schema formula: 100 + 20 per level
-            return 100 + ((level - 1) * 20);
+        // Item definition from its entity, or null for items nobody has described
+        function getItemDefinition(itemName) {
+            const itemEntity = ModuleAPI.get(validators.normalizeString(itemName));
+            return itemEntity?.item || null;
         }
 
-        function processLevelUp(character) {
-            if (!character.stats) return false;
-
-            const stats = character.stats;
-            if (!stats.level || typeof stats.level.value !== 'number') return false;
-
-            let leveledUp = false;
+        // Derived stats from equipped items, stored as entity.effective for display and combat:
+        // { damage, armor, attributes: { STRENGTH: 12, ... } }
+        function calculateEffectiveStats(entity) {
+            const effective = { damage: 0, armor: 0, attributes: {} };
+            for (const [attr, data] of Object.entries(entity.attributes || {})) {
+                effective.attributes[attr] = data?.value ?? 0;
+            }
 
-            while (stats.level.xp && stats.level.xp.current >= stats.level.xp.max) {
-                // Level up
-                stats.level.xp.current -= stats.level.xp.max;
-                stats.level.value++;
-                stats.level.xp.max = calculateLevelXPRequirement(stats.level.value + 1);
+            for (const equipped of Object.values(entity.equipment || {})) {
+                const definition = getItemDefinition(equipped?.item);
+                if (!definition) continue;
 
-                // Update max HP
-                const newMaxHP = calculateMaxHP(stats.level.value);
-                if (stats.hp) {
-                    const hpGain = newMaxHP - stats.hp.max;
-                    stats.hp.max = newMaxHP;
-                    stats.hp.current = Math.min(stats.hp.current + hpGain, stats.hp.max);
+                effective.damage += Number(definition.damage) || 0;
+                effective.armor += Number(definition.armor) || 0;
+                for (const [attr, amount] of Object.entries(definition.modifiers || {})) {
+                    effective.attributes[attr] = (effective.attributes[attr] || 0) + amount;
                 }
+            }
+            return effective;
+        }
 
-                leveledUp = true;
-                ModuleAPI.debugLog('skills', `${character.id} leveled up to ${stats.level.value}!`);
+        function refreshEffectiveStats(entity) {
+            if (entity.equipment && Object.keys(entity.equipment).length > 0) {
+                entity.effective = calculateEffectiveStats(entity);
+            } else {
+                delete entity.effective;
             }
+        }
 
-            return leveledUp;
+        ModuleAPI.registerAPI('getItemDefinition', getItemDefinition);
+        ModuleAPI.registerAPI('getEffectiveStats', calculateEffectiveStats);
+
+        // Carry capacity from the inventory schema's formula; $(ATTRIBUTE) is replaced with
+        // the entity's effective attribute value. Entities without the attributes have no limit
+        function getCapacityConfig() {
+            return { ...inventorySchema.capacity, ...(ModuleAPI.schemas.inventory?.capacity || {}) };
         }
 
-        function processSkillLevelUp(skill, skillName) {
-            let leveledUp = false;
+        function getCapacity(entity) {
+            const config = getCapacityConfig();
+            if (!config.formula) return null;
 
-            while (skill.xp && skill.xp.current >= skill.xp.max) {
-                skill.xp.current -= skill.xp.max;
-                skill.level = (skill.level || 0) + 1;
-                skill.xp.max = skill.level * 100; // Simple formula for skill XP
-                leveledUp = true;
-                ModuleAPI.debugLog('skills', `${skillName} leveled up to ${skill.level}!`);
-            }
+            let missing = false;
+            const expression = config.formula.replace(/\$\(([A-Za-z_]+)\)/g, (match, attr) => {
+                const value = entity?.effective?.attributes?.[attr] ?? entity?.attributes?.[attr]?.value;
+                if (typeof value !== 'number') missing = true;
+                return String(value ?? 0);
+            });
+            if (missing) return null;
 
-            return leveledUp;
+            const capacity = Utilities.expression.evaluate(expression);
+            return typeof capacity === 'number' && capacity > 0 ? Math.floor(capacity) : null;
         }
 
-        // Register API functions
-        ModuleAPI.registerAPI('calculateLevelXPRequirement', calculateLevelXPRequirement);
-        ModuleAPI.registerAPI('calculateMaxHP', calculateMaxHP);
-        ModuleAPI.registerAPI('processLevelUp', processLevelUp);
-        ModuleAPI.registerAPI('processSkillLevelUp', processSkillLevelUp);
+        function getItemWeight(itemName) {
+            const weight = getItemDefinition(itemName)?.weight;
+            return typeof weight === 'number' ? weight : getCapacityConfig().default_weight;
+        }
 
-        // Register tools
-        // XML: <add_levelxp name="Kirito" amount="500"/>
-        ModuleAPI.registerTool('add_levelxp', toolHelpers.createTool('add_levelxp', ['name', 'amount'], (params) => {
-            const { name, amount } = params;
+        // Total weight of carried and equipped items
+        function getLoad(entity) {
+            let load = 0;
+            for (const itemName of Object.keys(entity?.inventory || {})) {
+                load += getItemWeight(itemName) * getItemQuantity(entity.inventory, itemName);
+            }
+            for (const equipped of Object.values(entity?.equipment || {})) {
+                if (equipped?.item) load += getItemWeight(equipped.item);
+            }
+            return Math.round(load * 100) / 100;
+        }
 
-            const charName = validators.normalizeString(name);
-            const xp = validators.parseNumber(amount, true);
+        // How many of an item still fit (Infinity when there's no limit)
+        function getRoomFor(entity, itemName) {
+            const capacity = getCapacity(entity);
+            const weight = getItemWeight(itemName);
+            if (capacity === null || weight <= 0) return Infinity;
+            return Math.max(0, Math.floor((capacity - getLoad(entity)) / weight));
+        }
 
-            if (xp === null || xp === 0) {
-                if (MODULE_CONFIG.debug) console.log(`[add_levelxp]: Invalid XP amount: ${amount}`);
-                return 'malformed';
+        // entity.carry = { load, capacity, status } where status is light, encumbered or overloaded
+        function refreshCarry(entity) {
+            const capacity = getCapacity(entity);
+            if (capacity === null) {
+                const changed = entity.carry !== undefined;
+                delete entity.carry;
+                return changed;
             }
 
-            const character = toolHelpers.getEntityOrTrack(charName, 'add_levelxp');
-            if (!character) return 'executed';
+            const load = getLoad(entity);
+            const threshold = getCapacityConfig().encumbered_at;
+            const status = load > capacity ? 'overloaded' : load >= capacity * threshold ? 'encumbered' : 'light';
+            const carry = { load, capacity, status };
 
-            // Ensure stats component exists
-            if (!character.stats) character.stats = {};
-            if (!character.stats.level) {
-                character.stats.level = {
-                    value: 1,
-                    xp: { current: 0, max: calculateLevelXPRequirement(2) }
-                };
-            }
+            const changed = JSON.stringify(carry) !== JSON.stringify(entity.carry);
+            entity.carry = carry;
+            return changed;
+        }
 
-            const oldLevel = character.stats.level.value;
-            const oldXP = character.stats.level.xp.current;
+        // Report what didn't fit so the story doesn't pretend it was picked up
+        function noticeOverCapacity(entity, entityName, itemName, requested, accepted) {
+            const who = entity?.info?.displayname || entity?.id || entityName;
+            ModuleAPI.addContextNotice(accepted > 0
+                ? `${who} can only carry ${accepted} of ${requested} ${itemName} - the rest is left behind`
+                : `${who} can't carry any more ${itemName} - too heavy`);
+        }
 
-            // Apply XP (can be negative)
-            character.stats.level.xp.current = Math.max(0, oldXP + xp);
+        ModuleAPI.registerAPI('getCarryRoom', getRoomFor);
 
-            // Process level up if positive XP
-            if (xp > 0) {
-                processLevelUp(character);
+        // XML: <equip_item name="Kirito" item="iron_sword" slot="main_hand"/>
+        ModuleAPI.registerTool('equip_item', toolHelpers.createTool('equip_item', ['name', 'item'], (params) => {
+            const { name, item, slot } = params;
+
+            const charName = validators.normalizeString(name);
+            const itemName = validators.normalizeString(item);
+
+            const character = toolHelpers.getEntityOrTrack(charName, 'equip_item');
+            if (!character) return 'executed';
+
+            // Equipping pulls the item out of the inventory
+            if (getItemQuantity(character.inventory, itemName) < 1) {
+                if (MODULE_CONFIG.debug) console.log(`[equip_item]: ${charName} has no ${itemName}`);
+                return 'permitted';
             }
 
-            const newLevel = character.stats.level.value;
-            const action = xp > 0 ? 'gained' : 'lost';
+            const slotName = validators.normalizeString(slot || getItemDefinition(itemName)?.slot).replace(/\s+/g, '_');
+            if (!getSlots().includes(slotName)) {
+                if (MODULE_CONFIG.debug) console.log(`[equip_item]: Unknown slot "${slotName}" for ${itemName}`);
+                return 'malformed';
+            }
 
-            if (MODULE_CONFIG.debug) {
-                console.log(`[add_levelxp]: ${charName} ${action} ${Math.abs(xp)} XP (Level ${oldLevel} → ${newLevel})`);
+            if (!character.equipment) character.equipment = {};
+
+            // Whatever was in the slot goes back to the inventory
+            const previous = character.equipment[slotName]?.item;
+            if (previous) {
+                setItemQuantity(character.inventory, previous, getItemQuantity(character.inventory, previous) + 1);
             }
 
-            // Save character
+            setItemQuantity(character.inventory, itemName, getItemQuantity(character.inventory, itemName) - 1);
+            character.equipment[slotName] = { item: itemName };
+            refreshEffectiveStats(character);
+
+            if (MODULE_CONFIG.debug) console.log(`[equip_item]: ${charName} equipped ${itemName} (${slotName})${previous ? `, replacing ${previous}` : ''}`);
+
             ModuleAPI.save(charName, character);
             return 'executed';
-        }));
+        }), {
+            category: 'Equipment',
+            description: 'Wear or wield an item from inventory',
+            when: 'Character equips gear',
+            examples: ["Bob draws equip_item(bob, iron_sword) the blade from his pack."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'slot', type: 'string', optional: true }
+            ]
+        });
 
-        // XML: <add_skillxp name="Kirito" skill="One_Handed_Sword" amount="50"/>
-        ModuleAPI.registerTool('add_skillxp', toolHelpers.createTool('add_skillxp', ['name', 'skill', 'amount'], (params) => {
-            const { name, skill: skillName, amount } = params;
+        // XML: <unequip_item name="Kirito" item="iron_sword"/>
+        ModuleAPI.registerTool('unequip_item', toolHelpers.createTool('unequip_item', ['name', 'item'], (params) => {
+            const { name, item } = params;
 
             const charName = validators.normalizeString(name);
-            const skill = validators.normalizeString(skillName);
-            const xp = validators.parseNumber(amount, true);
-
-            if (xp === null || xp === 0) {
-                if (MODULE_CONFIG.debug) console.log(`[add_skillxp]: Invalid XP amount: ${amount}`);
-                return 'malformed';
-            }
+            const target = validators.normalizeString(item).replace(/\s+/g, '_');
 
-            const character = toolHelpers.getEntityOrTrack(charName, 'add_skillxp');
+            const character = toolHelpers.getEntityOrTrack(charName, 'unequip_item');
             if (!character) return 'executed';
 
-            // Check if skill is unlocked
-            if (!character.skills || !character.skills[skill]) {
-                if (MODULE_CONFIG.debug) console.log(`[add_skillxp]: Skill ${skill} not unlocked for ${charName}`);
-                return 'executed';
+            // Accept either the item name or the slot it's in
+            const slotName = Object.keys(character.equipment || {}).find(slot =>
+                slot === target || character.equipment[slot]?.item === target
+            );
+            if (!slotName) {
+                if (MODULE_CONFIG.debug) console.log(`[unequip_item]: ${charName} has nothing equipped as ${target}`);
+                return 'permitted';
             }
 
-            const skillData = character.skills[skill];
-            const oldLevel = skillData.level || 1;
-            const oldXP = skillData.xp ? skillData.xp.current : 0;
+            const itemName = character.equipment[slotName].item;
+            delete character.equipment[slotName];
 
-            // Apply XP (can be negative)
-            skillData.xp.current = Math.max(0, oldXP + xp);
+            if (!character.inventory) character.inventory = {};
+            setItemQuantity(character.inventory, itemName, getItemQuantity(character.inventory, itemName) + 1);
+            refreshEffectiveStats(character);
 
-            // Process skill level up if positive XP
-            if (xp > 0) {
-                processSkillLevelUp(skillData, skill);
+            if (MODULE_CONFIG.debug) console.log(`[unequip_item]: ${charName} unequipped ${itemName} (${slotName})`);
+
+            ModuleAPI.save(charName, character);
+            return 'executed';
+        }), {
+            category: 'Equipment',
+            description: 'Take off or put away equipped gear',
+            when: 'Character removes gear',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'item', type: 'string' }
+            ]
+        });
+
+        // Currency: wallet is currency -> { amount }. The first configured currency is the default,
+        // which is also what quest rewards.gold pays out in.
+        // Prices come from a merchant's price list, falling back to the item's value:
+        //   merchant: { prices: { health_potion: 30 }, buy_rate: 0.5 }
+        //   item: { value: 25, currency: 'Col' }
+        const walletSchema = {
+            id: 'wallet',
+            defaults: {},
+            currencies: ['Col']
+        };
+
+        const merchantSchema = {
+            id: 'merchant',
+            defaults: { prices: {}, buy_rate: 0.5, currency: null }
+        };
+
+        [
+            { name: 'wallet', schema: walletSchema, value: '# Wallet Component Schema\nDefines the currencies characters can hold' },
+            { name: 'merchant', schema: merchantSchema, value: '# Merchant Component Schema\nDefines what a merchant charges and pays for items' }
+        ].forEach(({ name, schema, value }) => {
+            if (!Utilities.storyCard.get(`[SANE:S] ${name}`)) {
+                Utilities.storyCard.upsert({
+                    title: `[SANE:S] ${name}`,
+                    value,
+                    description: JSON.stringify(schema, null, 2),
+                    type: 'data'
+                });
+                if (debug) console.log(`${MODULE_NAME}: Created [SANE:S] ${name} Story Card`);
             }
+        });
 
-            const newLevel = skillData.level || 1;
-            const action = xp > 0 ? 'gained' : 'lost';
+        ModuleAPI.registerSchema('wallet', walletSchema);
+        ModuleAPI.registerSchema('merchant', merchantSchema);
 
-            if (MODULE_CONFIG.debug) {
-                console.log(`[add_skillxp]: ${charName}'s ${skill} ${action} ${Math.abs(xp)} XP (Level ${oldLevel} → ${newLevel})`);
+        // Match a currency name case-insensitively against the configured list
+        function resolveCurrency(currency) {
+            const currencies = ModuleAPI.schemas.wallet?.currencies || walletSchema.currencies;
+            if (!currency) return currencies[0];
+            return currencies.find(c => c.toLowerCase() === String(currency).toLowerCase()) || String(currency);
+        }
+
+        function getFunds(entity, currency) {
+            return entity?.wallet?.[resolveCurrency(currency)]?.amount || 0;
+        }
+
+        // Add (or with a negative amount, remove) money; never goes below zero
+        function adjustFunds(entity, amount, currency) {
+            const name = resolveCurrency(currency);
+            if (!entity.wallet) entity.wallet = {};
+
+            const newAmount = Math.max(0, getFunds(entity, name) + amount);
+            if (newAmount === 0) {
+                delete entity.wallet[name];
+            } else {
+                entity.wallet[name] = { amount: newAmount };
             }
+            return newAmount;
+        }
 
-            // Save character
-            ModuleAPI.save(charName, character);
-            return 'executed';
-        }));
+        // Unit price of an item from this merchant: { price, currency } or null if it has no price
+        function getItemPrice(merchant, itemName) {
+            const listed = merchant?.merchant?.prices?.[itemName];
+            if (listed !== undefined) {
+                return { price: Number(listed) || 0, currency: resolveCurrency(merchant.merchant.currency) };
+            }
 
-        // XML: <unlock_newskill name="Kirito" skill="Dual_Wield"/>
-        ModuleAPI.registerTool('unlock_newskill', toolHelpers.createTool('unlock_newskill', ['name', 'skill'], (params) => {
-            const { name, skill: skillName } = params;
+            const definition = getItemDefinition(itemName);
+            if (definition?.value !== undefined) {
+                return { price: Number(definition.value) || 0, currency: resolveCurrency(definition.currency) };
+            }
+            return null;
+        }
 
-            const charName = validators.normalizeString(name);
-            const skill = validators.normalizeString(skillName);
+        function displayName(entity, fallback) {
+            return entity?.info?.displayname || entity?.id || fallback;
+        }
 
-            const character = toolHelpers.getEntityOrTrack(charName, 'unlock_newskill');
-            if (!character) return 'executed';
+        ModuleAPI.registerAPI('getFunds', getFunds);
+        ModuleAPI.registerAPI('adjustFunds', adjustFunds);
+        ModuleAPI.registerAPI('getItemPrice', getItemPrice);
 
-            // Ensure skills component exists
-            if (!character.skills) character.skills = {};
+        // XML: <pay payer="Kirito" payee="Agil" amount="100" currency="Col"/>
+        ModuleAPI.registerTool('pay', toolHelpers.createTool('pay', ['payer', 'payee', 'amount'], (params) => {
+            const { payer: payerName, payee: payeeName, amount, currency } = params;
 
-            // Check if already unlocked
-            if (character.skills[skill]) {
-                if (MODULE_CONFIG.debug) console.log(`[unlock_newskill]: ${charName} already has ${skill} unlocked`);
-                return 'executed';
+            const payer = validators.normalizeString(payerName);
+            const payee = validators.normalizeString(payeeName);
+            const value = validators.requirePositiveNumber(amount);
+            if (!value) {
+                if (MODULE_CONFIG.debug) console.log(`[pay]: Invalid amount: ${amount}`);
+                return 'malformed';
             }
 
-            // Unlock the skill
-            character.skills[skill] = {
-                level: 1,
-                xp: { current: 0, max: 100 }
-            };
+            // Money has to come from somewhere: an unknown payer is tracked but nobody gets paid
+            const payerChar = toolHelpers.getEntityOrTrack(payer, 'pay');
+            const payeeChar = toolHelpers.getEntityOrTrack(payee, 'pay');
+            if (!payerChar) return 'malformed';
 
-            if (MODULE_CONFIG.debug) console.log(`[unlock_newskill]: ${charName} unlocked new skill: ${skill}`);
+            const currencyName = resolveCurrency(currency);
+            const funds = getFunds(payerChar, currencyName);
+            if (funds < value) {
+                ModuleAPI.addContextNotice(`${displayName(payerChar, payer)} can't pay ${value} ${currencyName} (has ${funds}) - the payment fails`);
+                return 'permitted';
+            }
+            adjustFunds(payerChar, -value, currencyName);
+            ModuleAPI.save(payer, payerChar);
 
-            // Save character
-            ModuleAPI.save(charName, character);
-            return 'executed';
-        }));
+            if (payeeChar) {
+                adjustFunds(payeeChar, value, currencyName);
+                ModuleAPI.save(payee, payeeChar);
+            }
 
-        // XML: <modify_attribute name="Kirito" attribute="strength" value="5"/>
-        ModuleAPI.registerTool('modify_attribute', toolHelpers.createTool('modify_attribute', ['name', 'attribute', 'value'], (params) => {
-            const { name, attribute: attributeName, value: amount } = params;
+            if (MODULE_CONFIG.debug) console.log(`[pay]: ${payer} paid ${value} ${currencyName} to ${payee}`);
+            return 'executed';
+        }), {
+            category: 'Currency',
+            description: 'Hand over money (fees, bribes, loot)',
+            when: 'Money changes hands',
+            params: [
+                { name: 'payer', type: 'entity' },
+                { name: 'payee', type: 'entity' },
+                { name: 'amount', type: 'number' },
+                { name: 'currency', type: 'string', optional: true }
+            ]
+        });
 
-            const charName = validators.normalizeString(name);
-            const attribute = attributeName ? String(attributeName).toUpperCase() : '';
-            const value = validators.parseNumber(amount, true);
+        // XML: <buy_item buyer="Kirito" seller="Agil" item="health_potion" quantity="2"/>
+        ModuleAPI.registerTool('buy_item', toolHelpers.createTool('buy_item', ['buyer', 'seller', 'item'], (params) => {
+            const { buyer: buyerName, seller: sellerName, item, quantity = 1 } = params;
 
-            if (value === null || value === 0) {
-                if (MODULE_CONFIG.debug) console.log(`[modify_attribute]: Invalid amount: ${amount}`);
+            const buyer = validators.normalizeString(buyerName);
+            const seller = validators.normalizeString(sellerName);
+            const itemName = validators.normalizeString(item);
+            const qty = validators.requirePositiveNumber(quantity);
+            if (!qty) {
+                if (MODULE_CONFIG.debug) console.log(`[buy_item]: Invalid quantity: ${quantity}`);
                 return 'malformed';
             }
 
-            const character = toolHelpers.getEntityOrTrack(charName, 'modify_attribute');
-            if (!character) return 'executed';
+            const buyerChar = toolHelpers.getEntityOrTrack(buyer, 'buy_item');
+            const sellerChar = toolHelpers.getEntityOrTrack(seller, 'buy_item');
+            if (!buyerChar) return 'executed';
 
-            // Ensure attributes component exists
-            if (!character.attributes) character.attributes = {};
-            if (!character.attributes[attribute]) {
-                character.attributes[attribute] = { value: 0 };
+            const pricing = getItemPrice(sellerChar, itemName);
+            if (!pricing) {
+                ModuleAPI.addContextNotice(`${displayName(sellerChar, seller)} doesn't sell ${itemName}`);
+                return 'permitted';
             }
 
-            const oldValue = character.attributes[attribute].value;
-            const newValue = Math.max(0, oldValue + value);
-            character.attributes[attribute].value = newValue;
+            // Sellers only run out of what they actually stock; listed items are otherwise unlimited
+            const stock = getItemQuantity(sellerChar?.inventory, itemName);
+            const stocked = stock > 0;
+            if (stocked && stock < qty) {
+                ModuleAPI.addContextNotice(`${displayName(sellerChar, seller)} only has ${stock} ${itemName}`);
+                return 'permitted';
+            }
 
-            if (MODULE_CONFIG.debug) {
-                const action = value > 0 ? 'increased' : 'decreased';
-                console.log(`[modify_attribute]: ${charName}'s ${attribute} ${action} by ${Math.abs(value)} (${oldValue} → ${newValue})`);
+            if (getRoomFor(buyerChar, itemName) < qty) {
+                noticeOverCapacity(buyerChar, buyer, itemName, qty, 0);
+                return 'permitted';
             }
 
-            // Save character
-            ModuleAPI.save(charName, character);
-            return 'executed';
-        }));
+            const total = pricing.price * qty;
+            const funds = getFunds(buyerChar, pricing.currency);
+            if (funds < total) {
+                ModuleAPI.addContextNotice(
+                    `${displayName(buyerChar, buyer)} can't afford ${qty} ${itemName} (${total} ${pricing.currency}, has ${funds}) - the purchase fails`
+                );
+                return 'permitted';
+            }
 
-        // Register rewindable strategies for skills tools
-        ModuleAPI.registerRewindable('add_levelxp', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                const { name, amount } = params;
-                const xpAmount = validators.parseNumber(amount, true);
-                if (xpAmount === null) return null;
-                // Inverse of adding XP is removing XP
-                return ['add_levelxp', { name, amount: -xpAmount }];
+            adjustFunds(buyerChar, -total, pricing.currency);
+            if (!buyerChar.inventory) buyerChar.inventory = {};
+            setItemQuantity(buyerChar.inventory, itemName, getItemQuantity(buyerChar.inventory, itemName) + qty);
+            ModuleAPI.save(buyer, buyerChar);
+
+            if (sellerChar) {
+                if (stocked) setItemQuantity(sellerChar.inventory, itemName, stock - qty);
+                adjustFunds(sellerChar, total, pricing.currency);
+                ModuleAPI.save(seller, sellerChar);
             }
+
+            if (MODULE_CONFIG.debug) console.log(`[buy_item]: ${buyer} bought ${qty} ${itemName} from ${seller} for ${total} ${pricing.currency}`);
+            return 'executed';
+        }), {
+            category: 'Currency',
+            description: 'Purchase at the listed price (rejects if too poor)',
+            when: 'Character buys something',
+            examples: ["Bob slides coins across buy_item(bob, merchant, health_potion, 2) the counter."],
+            params: [
+                { name: 'buyer', type: 'entity' },
+                { name: 'seller', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'quantity', type: 'number', optional: true }
+            ]
         });
 
-        ModuleAPI.registerRewindable('add_skillxp', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                const { name, skill, amount } = params;
-                const normalizedSkill = validators.normalizeString(skill);
-                const xpAmount = validators.parseNumber(amount, true);
-                if (xpAmount === null) return null;
-                // Inverse of adding XP is removing XP
-                return ['add_skillxp', { name, skill: normalizedSkill, amount: -xpAmount }];
+        // XML: <sell_item seller="Kirito" buyer="Agil" item="wolf_pelt" quantity="3"/>
+        ModuleAPI.registerTool('sell_item', toolHelpers.createTool('sell_item', ['seller', 'buyer', 'item'], (params) => {
+            const { seller: sellerName, buyer: buyerName, item, quantity = 1 } = params;
+
+            const seller = validators.normalizeString(sellerName);
+            const buyer = validators.normalizeString(buyerName);
+            const itemName = validators.normalizeString(item);
+            const qty = validators.requirePositiveNumber(quantity);
+            if (!qty) {
+                if (MODULE_CONFIG.debug) console.log(`[sell_item]: Invalid quantity: ${quantity}`);
+                return 'malformed';
+            }
+
+            const sellerChar = toolHelpers.getEntityOrTrack(seller, 'sell_item');
+            const buyerChar = toolHelpers.getEntityOrTrack(buyer, 'sell_item');
+            if (!sellerChar) return 'executed';
+
+            const owned = getItemQuantity(sellerChar.inventory, itemName);
+            if (owned < qty) {
+                ModuleAPI.addContextNotice(`${displayName(sellerChar, seller)} only has ${owned} ${itemName} to sell`);
+                return 'permitted';
             }
+
+            const pricing = getItemPrice(buyerChar, itemName);
+            if (!pricing) {
+                ModuleAPI.addContextNotice(`${displayName(buyerChar, buyer)} won't buy ${itemName}`);
+                return 'permitted';
+            }
+
+            // Merchants pay a fraction of their own price
+            const rate = buyerChar?.merchant?.buy_rate ?? merchantSchema.defaults.buy_rate;
+            const total = Math.floor(pricing.price * rate) * qty;
+
+            // A buyer whose wallet holds this currency has to afford it. One without an entry for it
+            // (blueprint characters start with an empty wallet) is treated as having deep pockets
+            const tracksFunds = !!buyerChar?.wallet && pricing.currency in buyerChar.wallet;
+            if (tracksFunds && getFunds(buyerChar, pricing.currency) < total) {
+                ModuleAPI.addContextNotice(
+                    `${displayName(buyerChar, buyer)} can't afford ${qty} ${itemName} (${total} ${pricing.currency}) - the sale fails`
+                );
+                return 'permitted';
+            }
+
+            setItemQuantity(sellerChar.inventory, itemName, owned - qty);
+            adjustFunds(sellerChar, total, pricing.currency);
+            ModuleAPI.save(seller, sellerChar);
+
+            if (buyerChar) {
+                if (!buyerChar.inventory) buyerChar.inventory = {};
+                setItemQuantity(buyerChar.inventory, itemName, getItemQuantity(buyerChar.inventory, itemName) + qty);
+                if (tracksFunds) {
+                    // Spent down to nothing, the purse still counts as tracked
+                    if (adjustFunds(buyerChar, -total, pricing.currency) === 0) buyerChar.wallet[pricing.currency] = { amount: 0 };
+                }
+                ModuleAPI.save(buyer, buyerChar);
+            }
+
+            if (MODULE_CONFIG.debug) console.log(`[sell_item]: ${seller} sold ${qty} ${itemName} to ${buyer} for ${total} ${pricing.currency}`);
+            return 'executed';
+        }), {
+            category: 'Currency',
+            description: 'Sell to a merchant for part of the listed price',
+            when: 'Character sells something',
+            params: [
+                { name: 'seller', type: 'entity' },
+                { name: 'buyer', type: 'entity' },
+                { name: 'item', type: 'string' },
+                { name: 'quantity', type: 'number', optional: true }
+            ]
         });
 
-        ModuleAPI.registerRewindable('unlock_newskill', {
+        // Snapshot the inventories of the named parties; used where carry capacity can
+        // make the amount actually moved differ from the requested quantity, or where an
+        // add_item inverse could be refused by it
+        function inventoryRewindStrategy(...partyParams) {
+            return {
+                type: 'stateful',
+                captureState: function(params) {
+                    const inventories = {};
+                    for (const param of partyParams) {
+                        const name = validators.normalizeString(params[param]);
+                        const entity = ModuleAPI.get(name);
+                        if (entity) inventories[name] = JSON.stringify(entity.inventory || {});
+                    }
+                    return { inventories };
+                },
+                restoreState: function(params, state) {
+                    for (const [name, inventory] of Object.entries(state.inventories || {})) {
+                        const entity = ModuleAPI.get(name);
+                        if (!entity) continue;
+                        entity.inventory = JSON.parse(inventory);
+                        refreshCarry(entity);
+                        ModuleAPI.save(name, entity);
+                    }
+                }
+            };
+        }
+
+        // Register rewindable strategies for inventory tools
+        ModuleAPI.registerRewindable('add_item', inventoryRewindStrategy('name'));
+        ModuleAPI.registerRewindable('remove_item', inventoryRewindStrategy('name'));
+        ModuleAPI.registerRewindable('transfer_item', inventoryRewindStrategy('giver', 'receiver'));
+        ModuleAPI.registerRewindable('use_consumable', inventoryRewindStrategy('name'));
+
+        // Equipping moves items between inventory and slots, so both are restored together
+        const equipmentRewindStrategy = {
             type: 'stateful',
             captureState: function(params) {
-                const { name, skill: skillName } = params;
-                const charName = validators.normalizeString(name);
-                const skill = validators.normalizeString(skillName);
-                const character = ModuleAPI.get(charName);
+                const character = ModuleAPI.get(validators.normalizeString(params.name));
+                if (!character) return {};
 
-                if (character && character.skills && character.skills[skill]) {
-                    // Skill already exists, capture its state
-                    return {
-                        skillExisted: true,
-                        skillData: JSON.stringify(character.skills[skill])
-                    };
-                }
-                return { skillExisted: false };
+                return {
+                    inventory: JSON.stringify(character.inventory || {}),
+                    equipment: JSON.stringify(character.equipment || {})
+                };
             },
             restoreState: function(params, state) {
-                const { name, skill: skillName } = params;
-                const charName = validators.normalizeString(name);
-                const skill = validators.normalizeString(skillName);
+                const charName = validators.normalizeString(params.name);
                 const character = ModuleAPI.get(charName);
+                if (!character || !state.inventory) return;
 
-                if (character && character.skills) {
-                    if (state.skillExisted && state.skillData) {
-                        // Restore previous state
-                        character.skills[skill] = JSON.parse(state.skillData);
-                    } else {
-                        // Skill didn't exist, remove it
-                        delete character.skills[skill];
+                character.inventory = JSON.parse(state.inventory);
+                character.equipment = JSON.parse(state.equipment);
+                refreshEffectiveStats(character);
+                ModuleAPI.save(charName, character);
+            }
+        };
+
+        ModuleAPI.registerRewindable('equip_item', equipmentRewindStrategy);
+        ModuleAPI.registerRewindable('unequip_item', equipmentRewindStrategy);
+
+        // Trades touch two parties' wallets and inventories, plus any rejection notice
+        function tradeRewindStrategy(...partyParams) {
+            return {
+                type: 'stateful',
+                captureState: function(params) {
+                    const parties = {};
+                    for (const param of partyParams) {
+                        const name = validators.normalizeString(params[param]);
+                        const entity = ModuleAPI.get(name);
+                        if (!entity) continue;
+                        parties[name] = {
+                            wallet: JSON.stringify(entity.wallet || {}),
+                            inventory: JSON.stringify(entity.inventory || {})
+                        };
                     }
-                    ModuleAPI.save(charName, character);
+                    return { parties, notices: JSON.stringify(ModuleAPI.get('Global.notices') || []) };
+                },
+                restoreState: function(params, state) {
+                    for (const [name, saved] of Object.entries(state.parties || {})) {
+                        const entity = ModuleAPI.get(name);
+                        if (!entity) continue;
+                        entity.wallet = JSON.parse(saved.wallet);
+                        entity.inventory = JSON.parse(saved.inventory);
+                        ModuleAPI.save(name, entity);
+                    }
+                    if (state.notices) ModuleAPI.set('Global.notices', JSON.parse(state.notices));
                 }
-            }
-        });
+            };
+        }
 
-        ModuleAPI.registerRewindable('modify_attribute', {
-            type: 'inverse',
-            getInverse: function(params, revertData) {
-                const { name, attribute, value } = params;
-                // Normalize attribute name the same way the tool does
-                const normalizedAttr = validators.normalizeString(attribute).toUpperCase();
-                const amount = validators.parseNumber(value, true);
-                if (amount === null) return null;
-                // Inverse of modifying is modifying by negative amount
-                return ['modify_attribute', { name, attribute: normalizedAttr, value: -amount }];
+        ModuleAPI.registerRewindable('pay', tradeRewindStrategy('payer', 'payee'));
+        ModuleAPI.registerRewindable('buy_item', tradeRewindStrategy('buyer', 'seller'));
+        ModuleAPI.registerRewindable('sell_item', tradeRewindStrategy('seller', 'buyer'));
+
+        // Attributes change outside this module (level ups, status effects), so effective stats and
+        // carry load are recalculated for every entity saved during a hook, once all of it has run
+        function refreshDerivedStats(entityIds) {
+            for (const key of entityIds) {
+                const entity = dataCache[key];
+                if (!entity || typeof entity !== 'object' || key.startsWith('schema.')) continue;
+                if (!entity.attributes && !entity.equipment) continue;
+
+                let changed = false;
+                if (entity.equipment && entity.effective) {
+                    const effective = calculateEffectiveStats(entity);
+                    if (JSON.stringify(effective) !== JSON.stringify(entity.effective)) {
+                        entity.effective = effective;
+                        changed = true;
+                    }
+                }
+                if (refreshCarry(entity)) changed = true;
+
+                if (changed) ModuleAPI.save(entity.id || key, entity);
             }
+        }
+
+        ModuleAPI.registerHook('flush', refreshDerivedStats);
+
+        // Entities without a carry limit have no load, so their "| Load: ..." segment is left out
+        ModuleAPI.registerHook('context', function(text) {
+            return text.replace(/ \| Load: get\(([^)]+)\.carry\.status\)/g, (match, entityId) =>
+                ModuleAPI.get(`${entityId.trim()}.carry.status`) ? match : '');
         });
 
-        ModuleAPI.debugLog('module', 'SkillsModule loaded');
+        ModuleAPI.debugLog('module', 'InventoryModule loaded');
     }
-    //#endregion SkillsModule
+    //#endregion InventoryModule
 
     // ========================================
-    // DisplayModule - Entity display formatting
+    // SkillsModule - Stats, skills, and attributes
     // ========================================
-    //#region DisplayModule
+    //#region SkillsModule
     {
-        const MODULE_NAME = 'DisplayModule';
+        const MODULE_NAME = 'SkillsModule';
 
-        // Register the display schema with minimal defaults
-        ModuleAPI.registerSchema('display', {
-            id: 'display',
+        // Define schemas
+        const statsSchema = {
+            id: 'stats',
             defaults: {
-                active: true
+                level: { value: 1, xp: { current: 0, max: 500 } },
+                hp: { current: 100, max: 100 }
+            },
+            level_progression: {
+                xp_formula: "level * (level - 1) * 500"
+            },
+            hp_progression: {
+                base: 100,
+                per_level: 20
+            },
+            hp_states: {
+                downed_tags: ['UserControlled']  // Downed instead of dead at 0 HP
+            },
+            display: [
+                {
+                    line: "infoline",
+                    priority: 30,
+                    format: "`Level ${stats?.level?.value || 1} (${stats?.level?.xp?.current || 0}/${stats?.level?.xp?.max || 0})`"
+                },
+                {
+                    line: "infoline",
+                    priority: 40,
+                    format: "`HP: ${stats?.hp?.current || 0}/${stats?.hp?.max || 100}`"
+                }
+            ]
+        };
+
+        const skillsSchema = {
+            id: 'skills',
+            defaults: {},  // Skills are added dynamically via unlock_newskill
+            registry: ["One_Handed_Sword", "Two_Handed_Sword", "Rapier", "Shield", "Parry",
+                      "Battle_Healing", "Searching", "Tracking", "Hiding", "Night_Vision",
+                      "Sprint", "Acrobatics", "Cooking", "Fishing", "Blacksmithing",
+                      "Tailoring", "Alchemy", "Medicine_Mixing"],
+            skill_progression: {
+                xp_formula: "level * 100"
+            },
+            check: {
+                dice: '1d20',
+                difficulties: { trivial: 5, easy: 10, medium: 15, hard: 20, very_hard: 25, legendary: 30 }
+            },
+            display: {
+                line: "section",
+                priority: 60,
+                format: "`**Skills**\\n${Object.entries(skills || {}).map(([k,v]) => \`• ${k}: Level ${v.level} (${v.xp?.current || 0}/${v.xp?.max || 0} XP)\`).join('\\n')}`",
+                condition: "Object.keys(skills || {}).length > 0"
             }
-        });
+        };
 
-        // Simple template parser - replaces {field.path} with entity values
-        function parseTemplate(template, entity) {
-            if (!template || !entity) return '';
+        const attributesSchema = {
+            id: 'attributes',
+            defaults: {
+                STRENGTH: { value: 10 },
+                AGILITY: { value: 10 },
+                VITALITY: { value: 10 },
+                DEXTERITY: { value: 10 }
+            },
+            registry: ["STRENGTH", "AGILITY", "VITALITY", "DEXTERITY", "INTELLIGENCE", "WISDOM", "CHARISMA", "LUCK"]
+        };
 
-            // Convert escaped newlines to actual newlines
-            let result = template.replace(/\\n/g, '\n');
+        // Create [SANE:S] cards for each schema if they don't exist
+        [
+            { name: 'stats', schema: statsSchema },
+            { name: 'skills', schema: skillsSchema },
+            { name: 'attributes', schema: attributesSchema }
+        ].forEach(({ name, schema }) => {
+            const existingCard = Utilities.storyCard.get(`[SANE:S] ${name}`);
+            if (!existingCard) {
+                Utilities.storyCard.upsert({
+                    title: `[SANE:S] ${name}`,
+                    value: `# ${name.charAt(0).toUpperCase() + name.slice(1)} Component Schema`,
+                    description: JSON.stringify(schema, null, 2),
+                    type: 'data'
+                });
+                if (debug) console.log(`${MODULE_NAME}: Created [SANE:S] ${name} Story Card`);
+            }
+        });
 
-            // First handle special function calls: {$func:param1,param2,param3}
-            result = result.replace(/\{\$(\w+):([^}]+)\}/g, (match, funcName, params) => {
-                const paramList = params.split(',').map(p => p.trim());
+        // Register schemas (Story Card versions take precedence if loaded)
+        ModuleAPI.registerSchema('stats', statsSchema);
+        ModuleAPI.registerSchema('skills', skillsSchema);
+        ModuleAPI.registerSchema('attributes', attributesSchema);
 
-                // Handle built-in display functions
-                if (funcName === 'relFlavor' && paramList.length === 3) {
-                    // {$relFlavor:fromPath,toPath,valuePath}
-                    const fromName = getFieldValue(entity, paramList[0]);
-                    const toName = paramList[1]; // This might be a literal or a path
-                    const value = getFieldValue(entity, paramList[2]);
+        // Helper functions
+        function calculateLevelXPRequirement(level) {
+            // Use schema formula: level * (level - 1) * 500
+            return level * (level - 1) * 500;
+        }
 
-                    if (typeof value === 'number') {
-                        // Call the getRelationshipFlavor function from LibraryAPI if available
-                        if (ModuleAPI.Library && ModuleAPI.Library.getRelationshipFlavor) {
-                            return ModuleAPI.Library.getRelationshipFlavor(value, fromName || entity.id, toName);
-                        }
-                        // Fallback
-                        return `${fromName || entity.id} has an indescribable relationship with ${toName}`;
-                    }
-                }
+        function calculateMaxHP(level) {
+            // Use schema formula: 100 + 20 per level
+            return 100 + ((level - 1) * 20);
+        }
 
-                return match; // Return unchanged if function not recognized
-            });
+        function processLevelUp(character) {
+            if (!character.stats) return false;
 
-            // Then handle iteration patterns with nested braces
-            // Match {collection.*→ ...} or {collection.*| ...} including nested braces
-            result = result.replace(/\{([^}]*\.\*[→|][^{}]*(?:\{[^}]*\}[^{}]*)*)\}/g, (match, path) => {
-                // Handle special iteration syntax: {collection.*→ pattern} or {collection.*| pattern}
-                if (path.includes('.*→') || path.includes('.*|')) {
-                    // Find the separator type
-                    const separator = path.includes('.*→') ? '\n' : ', ';
+            const stats = character.stats;
+            if (!stats.level || typeof stats.level.value !== 'number') return false;
 
-                    // Split more carefully to handle nested braces in pattern
-                    let collectionPath, pattern;
-                    if (path.includes('.*→')) {
-                        const splitIndex = path.indexOf('.*→');
-                        collectionPath = path.substring(0, splitIndex);
-                        pattern = path.substring(splitIndex + 4); // 4 = length of '.*→'
-                    } else {
-                        const splitIndex = path.indexOf('.*|');
-                        collectionPath = path.substring(0, splitIndex);
-                        pattern = path.substring(splitIndex + 3); // 3 = length of '.*|'
-                    }
+            let leveledUp = false;
 
-                    // Get the collection
-                    const collection = getFieldValue(entity, collectionPath.trim());
-                    if (!collection || typeof collection !== 'object') return '';
+            while (stats.level.xp && stats.level.xp.current >= stats.level.xp.max) {
+                // Level up
+                stats.level.xp.current -= stats.level.xp.max;
+                stats.level.value++;
+                stats.level.xp.max = calculateLevelXPRequirement(stats.level.value + 1);
 
-                    // Iterate and build output
-                    const items = [];
-                    for (const [key, value] of Object.entries(collection)) {
-                        let itemText = pattern.trim();
+                // Update max HP by the per-level gain so temporary buffs survive the level up
+                if (stats.hp) {
+                    const hpGain = calculateMaxHP(stats.level.value) - calculateMaxHP(stats.level.value - 1);
+                    stats.hp.max += hpGain;
+                    stats.hp.current = Math.min(stats.hp.current + hpGain, stats.hp.max);
+                }
 
-                        // Handle special relationship flavor function in iterations
-                        itemText = itemText.replace(/\{\$relFlavor:([^,}]+),([^,}]+)\}/g, (m, fromParam, valueParam) => {
-                            // fromParam is either 'entity' for the parent entity or a field path
-                            // valueParam is typically '*.value' for the relationship value
-                            const fromName = fromParam === 'entity' ?
-                                (entity.info?.displayname || entity.id) :
-                                getFieldValue(entity, fromParam);
-                            const toName = key; // The key in the iteration is the target name
-                            const relValue = valueParam.startsWith('*.') ?
-                                getFieldValue(value, valueParam.substring(2)) :
-                                getFieldValue(entity, valueParam);
+                leveledUp = true;
+                ModuleAPI.debugLog('skills', `${character.id} leveled up to ${stats.level.value}!`);
+            }
 
-                            if (typeof relValue === 'number') {
-                                // Use ModuleAPI.Library if available, otherwise return a default
-                                if (ModuleAPI.Library && ModuleAPI.Library.getRelationshipFlavor) {
-                                    return ModuleAPI.Library.getRelationshipFlavor(relValue, fromName, toName);
-                                } else {
-                                    // Fallback if RelationshipsModule isn't loaded
-                                    return `relationship value: ${relValue}`;
-                                }
-                            }
-                            return `${fromName} has an unknown relationship with ${toName}`;
-                        });
+            return leveledUp;
+        }
 
-                        // Replace {*} with key
-                        itemText = itemText.replace(/\{\*\}/g, key);
+        function processSkillLevelUp(skill, skillName) {
+            let leveledUp = false;
 
-                        // Handle array values specially for pathways
-                        if (Array.isArray(value)) {
-                            // For arrays of strings, just join them
-                            const destinations = value.map(item => {
-                                if (typeof item === 'string') {
-                                    return item;
-                                } else if (typeof item === 'object' && item.destination) {
-                                    // Handle old format for backward compatibility
-                                    return item.destination;
-                                }
-                                return 'Unknown';
-                            });
-                            itemText = itemText.replace(/\{\*\.\*\|[^}]+\}/g, destinations.join(', '));
-                        }
+            while (skill.xp && skill.xp.current >= skill.xp.max) {
+                skill.xp.current -= skill.xp.max;
+                skill.level = (skill.level || 0) + 1;
+                skill.xp.max = skill.level * 100; // Simple formula for skill XP
+                leveledUp = true;
+                ModuleAPI.debugLog('skills', `${skillName} leveled up to ${skill.level}!`);
+            }
 
-                        // Handle nested iteration: {*.*| pattern} for non-arrays
-                        itemText = itemText.replace(/\{\*\.\*\|([^}]+)\}/g, (m, subPattern) => {
-                            // This is for backward compatibility with non-array nested patterns
-                            if (!Array.isArray(value)) {
-                                return value || 'None';
-                            }
-                            return ''; // Already handled above
-                        });
+            return leveledUp;
+        }
 
-                        // Replace {*.field} with value fields (for non-array access)
-                        itemText = itemText.replace(/\{\*\.([^}]+)\}/g, (m, field) => {
-                            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                                const fieldValue = getFieldValue(value, field);
-                                // Handle special values
-                                if (fieldValue === null || fieldValue === undefined) return 'None';
-                                if (fieldValue === true) return 'Yes';
-                                if (fieldValue === false) return 'No';
-                                return fieldValue;
-                            }
-                            return value || '';
-                        });
-                        items.push(itemText);
-                    }
-                    return items.join(separator);
-                }
+        // Register API functions
+        ModuleAPI.registerAPI('calculateLevelXPRequirement', calculateLevelXPRequirement);
+        ModuleAPI.registerAPI('calculateMaxHP', calculateMaxHP);
+        ModuleAPI.registerAPI('processLevelUp', processLevelUp);
+        ModuleAPI.registerAPI('processSkillLevelUp', processSkillLevelUp);
 
-                return match; // Should not reach here
-            });
+        // Register tools
+        // XML: <add_levelxp name="Kirito" amount="500"/>
+        ModuleAPI.registerTool('add_levelxp', toolHelpers.createTool('add_levelxp', ['name', 'amount'], (params) => {
+            const { name, amount } = params;
 
-            // Then handle normal field replacements
-            result = result.replace(/\{([^}]+)\}/g, (match, path) => {
-                // Skip iteration patterns (already handled above)
-                if (path.includes('.*→') || path.includes('.*|')) {
-                    return match;
-                }
+            const charName = validators.normalizeString(name);
+            const xp = validators.parseNumber(amount, true);
 
-                // Normal field replacement
-                const value = getFieldValue(entity, path.trim());
-                // Handle special values for better display
-                if (value === null || value === undefined) return '';
-                if (value === true) return 'Yes';
-                if (value === false) return 'No';
-                return value;
-            });
-
-            return result;
-        }
+            if (xp === null || xp === 0) {
+                if (MODULE_CONFIG.debug) console.log(`[add_levelxp]: Invalid XP amount: ${amount}`);
+                return 'malformed';
+            }
 
-        // Helper to get nested field values
-        function getFieldValue(obj, path) {
-            const parts = path.split('.');
-            let current = obj;
+            const character = toolHelpers.getEntityOrTrack(charName, 'add_levelxp');
+            if (!character) return 'executed';
 
-            for (const part of parts) {
-                if (current == null) return undefined;
-                current = current[part];
+            // Ensure stats component exists
+            if (!character.stats) character.stats = {};
+            if (!character.stats.level) {
+                character.stats.level = {
+                    value: 1,
+                    xp: { current: 0, max: calculateLevelXPRequirement(2) }
+                };
             }
 
-            return current;
-        }
+            const oldLevel = character.stats.level.value;
+            const oldXP = character.stats.level.xp.current;
 
+            // Apply XP (can be negative)
+            character.stats.level.xp.current = Math.max(0, oldXP + xp);
 
-        // Build display for an entity
-        function buildEntityDisplay(entity) {
-            if (!entity || !entity.id) {
-                ModuleAPI.debugLog('display', 'Invalid entity for display');
-                return '';
+            // Process level up if positive XP
+            if (xp > 0) {
+                processLevelUp(character);
             }
 
-            // Check if display is active
-            if (!entity.display || entity.display.active === false) {
-                return '';
+            const newLevel = character.stats.level.value;
+            const action = xp > 0 ? 'gained' : 'lost';
+
+            if (MODULE_CONFIG.debug) {
+                console.log(`[add_levelxp]: ${charName} ${action} ${Math.abs(xp)} XP (Level ${oldLevel} → ${newLevel})`);
             }
 
-            const sections = {};
+            // Save character
+            ModuleAPI.save(charName, character);
+            return 'executed';
+        }), {
+            category: 'Skills & Experience',
+            description: 'Grant level XP',
+            when: 'Character gains experience',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'amount', type: 'number' }
+            ]
+        });
 
-            // Process display sections if defined
-            if (entity.display.sections) {
-                for (const [sectionName, sectionConfig] of Object.entries(entity.display.sections)) {
-                    if (!sectionConfig || !sectionConfig.template) continue;
+        // XML: <add_skillxp name="Kirito" skill="One_Handed_Sword" amount="50"/>
+        ModuleAPI.registerTool('add_skillxp', toolHelpers.createTool('add_skillxp', ['name', 'skill', 'amount'], (params) => {
+            const { name, skill: skillName, amount } = params;
 
-                    // Check condition if specified
-                    if (sectionConfig.condition) {
-                        // Handle wildcard patterns like "inventory.*" or "relationships.*"
-                        if (sectionConfig.condition.endsWith('.*')) {
-                            const basePath = sectionConfig.condition.slice(0, -2);
-                            const value = getFieldValue(entity, basePath);
-                            // Skip if the object doesn't exist or has no properties
-                            if (!value || typeof value !== 'object' || Object.keys(value).length === 0) {
-                                continue;
-                            }
-                        } else {
-                            // Normal condition - check if field exists and is truthy
-                            const value = getFieldValue(entity, sectionConfig.condition);
-                            if (!value) {
-                                continue;
-                            }
-                        }
-                    }
+            const charName = validators.normalizeString(name);
+            const skill = validators.normalizeString(skillName);
+            const xp = validators.parseNumber(amount, true);
 
-                    // Parse the template
-                    const output = parseTemplate(sectionConfig.template, entity);
+            if (xp === null || xp === 0) {
+                if (MODULE_CONFIG.debug) console.log(`[add_skillxp]: Invalid XP amount: ${amount}`);
+                return 'malformed';
+            }
 
-                    if (output && output.trim()) {
-                        const line = sectionConfig.line || 'section';
-                        const priority = sectionConfig.priority || 50;
+            const character = toolHelpers.getEntityOrTrack(charName, 'add_skillxp');
+            if (!character) return 'executed';
 
-                        if (!sections[line]) sections[line] = [];
-                        sections[line].push({
-                            priority,
-                            text: output,
-                            condition: sectionConfig.condition
-                        });
-                    }
-                }
+            // Check if skill is unlocked
+            if (!character.skills || !character.skills[skill]) {
+                if (MODULE_CONFIG.debug) console.log(`[add_skillxp]: Skill ${skill} not unlocked for ${charName}`);
+                return 'executed';
             }
 
-            // Get separators and order
-            const separators = entity.display?.separators || {
-                nameline: ' ',
-                infoline: ' | ',
-                section: '\n',
-                footer: '\n'
-            };
+            const skillData = character.skills[skill];
+            const oldLevel = skillData.level || 1;
+            const oldXP = skillData.xp ? skillData.xp.current : 0;
 
-            const order = entity.display?.order || ['prefixline', 'nameline', 'infoline', 'section', 'footer'];
-            const lineSeparator = separators.section || '\n';
+            // Apply XP (can be negative)
+            skillData.xp.current = Math.max(0, oldXP + xp);
 
-            // Build output
-            let result = [];
+            // Process skill level up if positive XP
+            if (xp > 0) {
+                processSkillLevelUp(skillData, skill);
+            }
 
-            // Add prefix if defined
-            if (entity.display?.prefix) {
-                result.push(parseTemplate(entity.display.prefix, entity));
+            const newLevel = skillData.level || 1;
+            const action = xp > 0 ? 'gained' : 'lost';
+
+            if (MODULE_CONFIG.debug) {
+                console.log(`[add_skillxp]: ${charName}'s ${skill} ${action} ${Math.abs(xp)} XP (Level ${oldLevel} → ${newLevel})`);
             }
 
-            // Process lines in the defined order
-            for (const lineName of order) {
-                if (sections[lineName] && sections[lineName].length > 0) {
-                    // Sort by priority
-                    sections[lineName].sort((a, b) => a.priority - b.priority);
+            // Save character
+            ModuleAPI.save(charName, character);
+            return 'executed';
+        }), {
+            category: 'Skills & Experience',
+            description: 'Grant skill XP',
+            when: 'Character gains experience',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'skill', type: 'string' },
+                { name: 'amount', type: 'number' }
+            ]
+        });
 
-                    // Get separator for this line type
-                    const separator = separators[lineName] || '';
+        // XML: <unlock_newskill name="Kirito" skill="Dual_Wield"/>
+        ModuleAPI.registerTool('unlock_newskill', toolHelpers.createTool('unlock_newskill', ['name', 'skill'], (params) => {
+            const { name, skill: skillName } = params;
 
-                    // Join all items on this line with the line's separator
-                    const texts = sections[lineName].map(s => s.text).filter(t => t);
-                    if (texts.length > 0) {
-                        result.push(texts.join(separator));
-                    }
-                }
+            const charName = validators.normalizeString(name);
+            const skill = validators.normalizeString(skillName);
+
+            const character = toolHelpers.getEntityOrTrack(charName, 'unlock_newskill');
+            if (!character) return 'executed';
+
+            // Ensure skills component exists
+            if (!character.skills) character.skills = {};
+
+            // Check if already unlocked
+            if (character.skills[skill]) {
+                if (MODULE_CONFIG.debug) console.log(`[unlock_newskill]: ${charName} already has ${skill} unlocked`);
+                return 'executed';
             }
 
-            // Add footer if defined
-            if (entity.display?.footer) {
-                result.push(parseTemplate(entity.display.footer, entity));
+            // Unlock the skill
+            character.skills[skill] = {
+                level: 1,
+                xp: { current: 0, max: 100 }
+            };
+
+            if (MODULE_CONFIG.debug) console.log(`[unlock_newskill]: ${charName} unlocked new skill: ${skill}`);
+
+            // Save character
+            ModuleAPI.save(charName, character);
+            return 'executed';
+        }), {
+            category: 'Skills & Experience',
+            description: 'Learn new skill',
+            when: 'Character learns a skill',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'skill', type: 'string' }
+            ]
+        });
+
+        // XML: <modify_attribute name="Kirito" attribute="strength" value="5"/>
+        ModuleAPI.registerTool('modify_attribute', toolHelpers.createTool('modify_attribute', ['name', 'attribute', 'value'], (params) => {
+            const { name, attribute: attributeName, value: amount } = params;
+
+            const charName = validators.normalizeString(name);
+            const attribute = attributeName ? String(attributeName).toUpperCase() : '';
+            const value = validators.parseNumber(amount, true);
+
+            if (value === null || value === 0) {
+                if (MODULE_CONFIG.debug) console.log(`[modify_attribute]: Invalid amount: ${amount}`);
+                return 'malformed';
             }
 
-            return result.join(lineSeparator);
-        }
+            const character = toolHelpers.getEntityOrTrack(charName, 'modify_attribute');
+            if (!character) return 'executed';
 
-        // Register the functions in the API
-        ModuleAPI.registerAPI('buildEntityDisplay', buildEntityDisplay);
+            // Ensure attributes component exists
+            if (!character.attributes) character.attributes = {};
+            if (!character.attributes[attribute]) {
+                character.attributes[attribute] = { value: 0 };
+            }
 
-        // Make them available to save function and external use
-        Library.buildEntityDisplay = buildEntityDisplay;
+            const oldValue = character.attributes[attribute].value;
+            const newValue = Math.max(0, oldValue + value);
+            character.attributes[attribute].value = newValue;
 
-        ModuleAPI.debugLog('module', 'DisplayModule loaded');
-    }
-    //#endregion DisplayModule
+            if (MODULE_CONFIG.debug) {
+                const action = value > 0 ? 'increased' : 'decreased';
+                console.log(`[modify_attribute]: ${charName}'s ${attribute} ${action} by ${Math.abs(value)} (${oldValue} → ${newValue})`);
+            }
 
-    // ========================================
-    // GenerationWizardModule - AI entity generation
-    // ========================================
-    //#region GenerationWizardModule
-    {
-        const MODULE_NAME = 'GenerationWizardModule';
-        const ZERO_WIDTH_CHAR = '\u200B'; // Prevents AI Dungeon from treating empty output as error
+            // Save character
+            ModuleAPI.save(charName, character);
+            return 'executed';
+        }), {
+            category: 'Attribute',
+            description: 'Modify vitality/strength/dexterity/agility',
+            when: 'Attribute permanently changes',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'attribute', type: 'string' },
+                { name: 'value', type: 'number' }
+            ]
+        });
 
-        // Status messages
-        const THINKING_MESSAGE = 'The GM will use the next turn to think. Use `/gw_abort` if undesired.';
-        const PROCESSING_MESSAGE = 'The GM is processing entity generation... Use `/gw_abort` if needed.';
-        const COMPLETION_MESSAGE = 'Generation completed, returning to story.';
+        // Times each check was rolled during this hook run, so the same check twice in one output rolls twice
+        const checksRolled = {};
 
-        // Response parsing configuration
-        const PARSER_CONFIG = {
-            maxRetries: 3,
-            maxTurnsBeforeAbandoned: 10
-        };
+        // XML: <skill_check name="Kirito" check="lockpicking" difficulty="hard"/>
+        ModuleAPI.registerTool('skill_check', toolHelpers.createTool('skill_check', ['name', 'check'], (params) => {
+            const { name, check, difficulty } = params;
 
-        // Value parsers for different field types
-        const valueParsers = {
-            // Parse "Item x5" format for inventory
-            inventory: function(value) {
-                // Check for empty/null values first
-                const trimmedValue = value ? value.trim().toLowerCase() : '';
-                const emptyValues = ['none', 'n/a', 'na', 'null', ''];
+            const character = toolHelpers.getEntityOrTrack(name, 'skill_check');
+            if (!character) return 'executed';
 
-                if (emptyValues.includes(trimmedValue)) {
-                    // Return special marker for empty inventory
-                    return { _empty: true };
-                }
+            const config = ModuleAPI.schemas.skills?.check || skillsSchema.check;
+            const difficulties = config.difficulties || {};
 
-                const match = value.match(/^(.+?)\s*x\s*(\d+)$/);
-                if (match) {
-                    return {
-                        item: match[1].trim(),
-                        quantity: parseInt(match[2], 10)
-                    };
-                }
-                return { item: value.trim(), quantity: 1 };
-            },
-            // Parse "SkillName:Level" format
-            skill: function(value) {
-                // Handle "SkillName:Level" format
-                const colonMatch = value.match(/^(.+?):(\d+)$/);
-                if (colonMatch) {
-                    return {
-                        name: colonMatch[1].trim(),
-                        level: parseInt(colonMatch[2], 10)
-                    };
-                }
-                // Handle "SkillName Level X" format
-                const levelMatch = value.match(/^(.+?)\s+[Ll]evel\s+(\d+)$/);
-                if (levelMatch) {
+            // Difficulty is a DC number or a named difficulty (default: medium)
+            const difficultyName = validators.normalizeString(difficulty || 'medium').replace(/\s+/g, '_');
+            const dc = validators.parseNumber(difficulty, false) ?? difficulties[difficultyName];
+            if (!dc) {
+                if (MODULE_CONFIG.debug) console.log(`[skill_check]: Unknown difficulty: ${difficulty}`);
+                return 'malformed';
+            }
+
+            // Skills add their level; attributes add (value - 10) / 2
+            const skillKey = validators.normalizeString(check).replace(/\s+/g, '_');
+            const attributeKey = String(check).toUpperCase();
+            let modifier = 0;
+            let label = check;
+            if (character.skills?.[skillKey]) {
+                modifier = character.skills[skillKey].level || 0;
+                label = skillKey;
+            } else if (character.attributes?.[attributeKey]) {
+                modifier = Math.floor(((character.attributes[attributeKey].value ?? 10) - 10) / 2);
+                label = attributeKey;
+            }
+
+            // Seeded by the turn and how often this check came up in it, so a retry rolls the same results
+            const turn = getCurrentTurn();
+            const seed = `check_${turn}_${validators.normalizeString(name)}_${skillKey}`;
+            const repeat = checksRolled[seed] = (checksRolled[seed] || 0) + 1;
+            const roll = Utilities.math.roll(config.dice || '1d20', repeat > 1 ? `${seed}_${repeat}` : seed);
+            const natural = roll.rolls[0];
+            const total = roll.total + modifier;
+
+            let result = total >= dc ? 'success' : 'failure';
+            if (config.dice === '1d20' || !config.dice) {
+                if (natural === 20) result = 'critical success';
+                if (natural === 1) result = 'critical failure';
+            }
+
+            character.lastCheck = { check: label, roll: roll.total, modifier, total, dc, result, turn };
+            ModuleAPI.save(name, character);
+
+            const displayName = character.info?.displayname || character.id || name;
+            const sign = modifier < 0 ? '-' : '+';
+            ModuleAPI.addContextNotice(
+                `${displayName}'s ${label} check: rolled ${roll.total} ${sign} ${Math.abs(modifier)} = ${total} vs DC ${dc} - ${result.toUpperCase()}`
+            );
+
+            return 'executed';
+        }), {
+            category: 'Checks',
+            description: 'Roll against a skill or attribute; narrate the result next turn',
+            when: 'Outcome is uncertain',
+            examples: ["Bob works the lock skill_check(bob, lockpicking, hard) with trembling hands."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'check', type: 'string' },
+                { name: 'difficulty', type: 'string', optional: true }
+            ]
+        });
+
+        // Register rewindable strategies for skills tools
+        ModuleAPI.registerRewindable('add_levelxp', {
+            type: 'inverse',
+            getInverse: function(params, revertData) {
+                const { name, amount } = params;
+                const xpAmount = validators.parseNumber(amount, true);
+                if (xpAmount === null) return null;
+                // Inverse of adding XP is removing XP
+                return ['add_levelxp', { name, amount: -xpAmount }];
+            }
+        });
+
+        ModuleAPI.registerRewindable('add_skillxp', {
+            type: 'inverse',
+            getInverse: function(params, revertData) {
+                const { name, skill, amount } = params;
+                const normalizedSkill = validators.normalizeString(skill);
+                const xpAmount = validators.parseNumber(amount, true);
+                if (xpAmount === null) return null;
+                // Inverse of adding XP is removing XP
+                return ['add_skillxp', { name, skill: normalizedSkill, amount: -xpAmount }];
+            }
+        });
+
+        ModuleAPI.registerRewindable('unlock_newskill', {
+            type: 'stateful',
+            captureState: function(params) {
+                const { name, skill: skillName } = params;
+                const charName = validators.normalizeString(name);
+                const skill = validators.normalizeString(skillName);
+                const character = ModuleAPI.get(charName);
+
+                if (character && character.skills && character.skills[skill]) {
+                    // Skill already exists, capture its state
                     return {
-                        name: levelMatch[1].trim(),
-                        level: parseInt(levelMatch[2], 10)
+                        skillExisted: true,
+                        skillData: JSON.stringify(character.skills[skill])
                     };
                 }
-                // Just skill name
-                return { name: value.trim(), level: 1 };
+                return { skillExisted: false };
             },
-            // Parse "CharacterName:Value" format for relationships
-            relationship: function(value) {
-                const match = value.match(/^(.+?):(\d+)$/);
-                if (match) {
-                    return {
-                        character: match[1].trim(),
-                        value: parseInt(match[2], 10)
-                    };
+            restoreState: function(params, state) {
+                const { name, skill: skillName } = params;
+                const charName = validators.normalizeString(name);
+                const skill = validators.normalizeString(skillName);
+                const character = ModuleAPI.get(charName);
+
+                if (character && character.skills) {
+                    if (state.skillExisted && state.skillData) {
+                        // Restore previous state
+                        character.skills[skill] = JSON.parse(state.skillData);
+                    } else {
+                        // Skill didn't exist, remove it
+                        delete character.skills[skill];
+                    }
+                    ModuleAPI.save(charName, character);
                 }
-                // Just character name with default value
+            }
+        });
+
+        ModuleAPI.registerRewindable('modify_attribute', {
+            type: 'inverse',
+            getInverse: function(params, revertData) {
+                const { name, attribute, value } = params;
+                // Normalize attribute name the same way the tool does
+                const normalizedAttr = validators.normalizeString(attribute).toUpperCase();
+                const amount = validators.parseNumber(value, true);
+                if (amount === null) return null;
+                // Inverse of modifying is modifying by negative amount
+                return ['modify_attribute', { name, attribute: normalizedAttr, value: -amount }];
+            }
+        });
+
+        // Rewinding a check restores the previous result and drops its notice
+        ModuleAPI.registerRewindable('skill_check', {
+            type: 'stateful',
+            captureState: function(params) {
+                const character = ModuleAPI.get(params.name);
                 return {
-                    character: value.trim(),
-                    value: 50  // Default relationship value
+                    lastCheck: JSON.stringify(character?.lastCheck ?? null),
+                    notices: JSON.stringify(ModuleAPI.get('Global.notices') || [])
                 };
             },
-            // Parse objectives list
-            objectives: function(value) {
-                // Parse list of objectives from various formats
-                const objectives = {};
+            restoreState: function(params, state) {
+                const character = ModuleAPI.get(params.name);
+                if (character && state.lastCheck) {
+                    const lastCheck = JSON.parse(state.lastCheck);
+                    if (lastCheck) character.lastCheck = lastCheck;
+                    else delete character.lastCheck;
+                    ModuleAPI.save(params.name, character);
+                }
+                if (state.notices) ModuleAPI.set('Global.notices', JSON.parse(state.notices));
+            }
+        });
 
-                // Split by newlines and filter out empty lines
-                const lines = value.split('\n').filter(line => line.trim());
+        ModuleAPI.debugLog('module', 'SkillsModule loaded');
+    }
+    //#endregion SkillsModule
 
-                lines.forEach((line, index) => {
-                    // Remove common prefixes like "- ", "• ", "1. ", etc.
-                    const cleanLine = line.replace(/^[-•*]\s*/, '').replace(/^\d+\.\s*/, '').trim();
+    // ========================================
+    // CraftingModule - Recipes that turn items into other items
+    // ========================================
+    //#region CraftingModule
+    {
+        const MODULE_NAME = 'CraftingModule';
+        const RECIPE_PREFIX = '[SANE:R]';
+
+        // Recipes live in [SANE:R] cards as JSON in the description:
+        // {
+        //   "id": "iron_sword",
+        //   "inputs": { "iron_ingot": 3, "leather_strip": 1 },
+        //   "outputs": { "iron_sword": 1 },
+        //   "skill": { "name": "blacksmithing", "level": 2 },   (optional)
+        //   "location_tag": "Location.Forge",                   (optional)
+        //   "xp": 40                                            (skill XP per craft)
+        // }
+        function createExampleRecipe() {
+            const existing = Utilities.storyCard.find(card => card.title && card.title.startsWith(RECIPE_PREFIX), true) || [];
+            if (existing.length > 0) return;
+
+            const recipe = {
+                id: 'health_potion',
+                inputs: { healing_herb: 2, empty_vial: 1 },
+                outputs: { health_potion: 1 },
+                skill: { name: 'medicine_mixing', level: 1 },
+                xp: 20
+            };
 
-                    if (cleanLine) {
-                        const objId = `objective_${index + 1}`;
-                        objectives[objId] = {
-                            description: cleanLine,
-                            completed: false,
-                            progress: 0,
-                            target: 1
-                        };
+            Utilities.storyCard.upsert({
+                title: `${RECIPE_PREFIX} health_potion`,
+                value: '# Health Potion Recipe\nExample recipe - copy this card to add more',
+                description: JSON.stringify(recipe, null, 2),
+                type: 'data'
+            });
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created example ${RECIPE_PREFIX} health_potion card`);
+        }
+
+        function loadRecipes() {
+            const recipes = {};
+            const cards = Utilities.storyCard.find(card => card.title && card.title.startsWith(RECIPE_PREFIX), true) || [];
+
+            for (const card of cards) {
+                try {
+                    const recipe = JSON.parse(card.description || '{}');
+                    const id = validators.normalizeString(recipe.id || card.title.substring(RECIPE_PREFIX.length).trim());
+                    if (!id || !recipe.outputs) {
+                        if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Recipe in ${card.title} has no outputs`);
+                        continue;
                     }
-                });
+                    recipes[id] = { ...recipe, id };
+                } catch (e) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to parse ${card.title}: ${e.message}`);
+                }
+            }
+            return recipes;
+        }
 
-                return objectives;
-            },
-            // Parse pathways/exits (supports multiple destinations per direction)
-            pathways: function(value) {
-                // Parse list of pathways/exits
-                const pathways = {};
+        // Returns null if the character can craft the recipe `times` times, otherwise the reason
+        function checkRequirements(character, recipe, times) {
+            if (recipe.skill?.name) {
+                const skill = validators.normalizeString(recipe.skill.name);
+                const level = character.skills?.[skill]?.level || 0;
+                if (level < (recipe.skill.level || 1)) {
+                    return `needs ${skill} level ${recipe.skill.level || 1}`;
+                }
+            }
 
-                // Valid direction keywords
-                const validDirections = [
-                    'north', 'south', 'east', 'west',
-                    'northeast', 'northwest', 'southeast', 'southwest',
-                    'up', 'down', 'in', 'out',
-                    'forward', 'back', 'backward',
-                    'left', 'right',
-                    'inside', 'outside',
-                    'enter', 'exit', 'entrance'
-                ];
+            if (recipe.location_tag) {
+                const location = ModuleAPI.get(validators.normalizeString(character.info?.currentLocation));
+                if (!ModuleAPI.hasGameplayTag(location, recipe.location_tag)) {
+                    return `must be at a ${recipe.location_tag.split('.').pop()}`;
+                }
+            }
 
-                // Split by newlines and filter out empty lines
-                const lines = value.split('\n').filter(line => line.trim());
+            for (const [item, quantity] of Object.entries(recipe.inputs || {})) {
+                const needed = quantity * times;
+                const owned = ModuleAPI.getItemQuantity(character.inventory, validators.normalizeString(item));
+                if (owned < needed) return `needs ${needed} ${item} (has ${owned})`;
+            }
 
-                lines.forEach((line, index) => {
-                    // Remove common prefixes
-                    const cleanLine = line.replace(/^[-•*]\s*/, '').replace(/^\d+\.\s*/, '').trim();
+            // Check the outputs fit once the inputs are used up
+            if (ModuleAPI.getCarryRoom) {
+                const after = { ...character, inventory: applyRecipe({ ...character.inventory }, recipe, times, false) };
+                for (const [item, quantity] of Object.entries(recipe.outputs)) {
+                    const normalized = validators.normalizeString(item);
+                    if (ModuleAPI.getCarryRoom(after, normalized) < quantity * times) return `can't carry the ${item}`;
+                    ModuleAPI.setItemQuantity(after.inventory, normalized,
+                        ModuleAPI.getItemQuantity(after.inventory, normalized) + quantity * times);
+                }
+            }
+            return null;
+        }
 
-                    if (cleanLine) {
-                        // Try to parse "Direction: Destination" format
-                        const colonMatch = cleanLine.match(/^([^:]+):(.+)$/);
-                        if (colonMatch) {
-                            const direction = colonMatch[1].trim().toLowerCase();
-                            const destination = colonMatch[2].trim();
+        // Consume inputs and (optionally) produce outputs on an inventory object
+        function applyRecipe(inventory, recipe, times, produce = true) {
+            for (const [item, quantity] of Object.entries(recipe.inputs || {})) {
+                const normalized = validators.normalizeString(item);
+                ModuleAPI.setItemQuantity(inventory, normalized, ModuleAPI.getItemQuantity(inventory, normalized) - quantity * times);
+            }
+            if (produce) {
+                for (const [item, quantity] of Object.entries(recipe.outputs)) {
+                    const normalized = validators.normalizeString(item);
+                    ModuleAPI.setItemQuantity(inventory, normalized, ModuleAPI.getItemQuantity(inventory, normalized) + quantity * times);
+                }
+            }
+            return inventory;
+        }
 
-                            // Validate direction is reasonable
-                            const isValidDirection = validDirections.some(valid =>
-                                direction.includes(valid) || valid.includes(direction)
-                            ) || direction.length <= 20; // Allow short custom directions
+        createExampleRecipe();
 
-                            if (isValidDirection && destination && destination !== 'Unknown') {
-                                // Initialize array if direction doesn't exist
-                                if (!pathways[direction]) {
-                                    pathways[direction] = [];
-                                }
-                                // Add destination as simple string to array
-                                pathways[direction].push(destination);
-                            }
-                            // Skip invalid or incomplete entries
-                        }
-                        // If no colon, skip the line entirely (don't create invalid entries)
-                    }
-                });
+        // XML: <craft_item name="Kirito" recipe="health_potion" quantity="2"/>
+        ModuleAPI.registerTool('craft_item', toolHelpers.createTool('craft_item', ['name', 'recipe'], (params) => {
+            const { name, recipe: recipeName, quantity = 1 } = params;
 
-                return pathways;
-            },
-            // Parse number
-            number: function(value) {
-                const num = parseInt(value, 10);
-                return isNaN(num) ? 0 : num;
-            },
-            // Parse text (default)
-            text: function(value) {
-                return value.trim();
-            },
-            // Parse select (validate against options)
-            select: function(value, options) {
-                const normalized = value.trim();
-                if (options && options.includes(normalized)) {
-                    return normalized;
-                }
-                // Try case-insensitive match
-                const found = options?.find(opt =>
-                    opt.toLowerCase() === normalized.toLowerCase()
-                );
-                return found || normalized;
+            const charName = validators.normalizeString(name);
+            const times = validators.requirePositiveNumber(quantity);
+            if (!times) {
+                if (MODULE_CONFIG.debug) console.log(`[craft_item]: Invalid quantity: ${quantity}`);
+                return 'malformed';
             }
-        };
 
-        // Apply field value to entity using maps_to pattern
-        function applyMapsTo(entityId, mapsTo, parsedValue) {
-            if (!mapsTo || parsedValue === undefined || parsedValue === null) return false;
+            const character = toolHelpers.getEntityOrTrack(charName, 'craft_item');
+            if (!character) return 'executed';
 
-            // Special handling for empty inventory marker
-            if (parsedValue && parsedValue._empty === true) {
-                // This is a valid "no items" response - return true to indicate success
-                // but don't actually set anything
-                return true;
+            const who = character.info?.displayname || character.id || name;
+            const recipe = loadRecipes()[validators.normalizeString(recipeName).replace(/\s+/g, '_')];
+            if (!recipe) {
+                ModuleAPI.addContextNotice(`${who} doesn't know how to make ${recipeName}`);
+                return 'permitted';
             }
 
-            // Replace * with entityId directly
-            let path = mapsTo.replace('*', entityId);
+            // Everything is checked up front so a craft either fully happens or not at all
+            const problem = checkRequirements(character, recipe, times);
+            if (problem) {
+                ModuleAPI.addContextNotice(`${who} can't craft ${recipe.id}: ${problem}`);
+                return 'permitted';
+            }
 
-            // Handle array notation like aliases[0]
-            const arrayMatch = path.match(/^(.+)\[(\d+)\]$/);
-            if (arrayMatch) {
-                const arrayPath = arrayMatch[1];
-                const index = parseInt(arrayMatch[2]);
+            if (!character.inventory) character.inventory = {};
+            applyRecipe(character.inventory, recipe, times);
 
-                // Get or create the array
-                let array = ModuleAPI.get(arrayPath);
-                if (!array || !Array.isArray(array)) {
-                    array = [];
-                }
-
-                // Ensure array has enough elements
-                while (array.length <= index) {
-                    array.push(null);
-                }
+            // Practice makes perfect
+            const skillName = validators.normalizeString(recipe.skill?.name);
+            const skill = character.skills?.[skillName];
+            if (skill?.xp && recipe.xp > 0) {
+                skill.xp.current += recipe.xp * times;
+                ModuleAPI.processSkillLevelUp(skill, skillName);
+            }
 
-                // Set the value at the index
-                array[index] = parsedValue;
+            if (MODULE_CONFIG.debug) console.log(`[craft_item]: ${charName} crafted ${recipe.id} x${times}`);
 
-                // Save the entire array
-                return ModuleAPI.set(arrayPath, array);
-            }
+            ModuleAPI.save(charName, character);
+            return 'executed';
+        }), {
+            category: 'Crafting',
+            description: 'Make an item from a known recipe (uses up ingredients)',
+            when: 'Character crafts something',
+            examples: ["Bob grinds the herbs craft_item(bob, health_potion) into a red tonic."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'recipe', type: 'string' },
+                { name: 'quantity', type: 'number', optional: true }
+            ]
+        });
 
-            // Handle dynamic substitutions like {name} or {item}
-            if (typeof parsedValue === 'object') {
-                // Replace {name} with parsed name value
-                if (parsedValue.name) {
-                    path = path.replace('{name}', parsedValue.name);
-                }
-                // Replace {item} with parsed item value
-                if (parsedValue.item) {
-                    path = path.replace('{item}', parsedValue.item);
-                    // For item paths, store only quantity (not the full {item, quantity} object)
-                    parsedValue = { quantity: parsedValue.quantity || 1 };
-                }
-                // Replace {character} with parsed character value
-                if (parsedValue.character) {
-                    path = path.replace('{character}', parsedValue.character);
-                }
-            }
+        // Undoing a craft restores the ingredients and any skill XP gained
+        ModuleAPI.registerRewindable('craft_item', {
+            type: 'stateful',
+            captureState: function(params) {
+                const character = ModuleAPI.get(validators.normalizeString(params.name));
+                if (!character) return {};
 
-            // Special handling for objectives - ensure complete structure
-            if (path.includes('.objectives.objective_') && path.endsWith('.description')) {
-                // Extract the objective parent path
-                const objPath = path.substring(0, path.lastIndexOf('.description'));
+                return {
+                    inventory: JSON.stringify(character.inventory || {}),
+                    skills: JSON.stringify(character.skills || {})
+                };
+            },
+            restoreState: function(params, state) {
+                const charName = validators.normalizeString(params.name);
+                const character = ModuleAPI.get(charName);
+                if (!character || !state.inventory) return;
 
-                // Get or create the objective object
-                let objective = ModuleAPI.get(objPath);
-                if (!objective || typeof objective !== 'object') {
-                    objective = {
-                        description: parsedValue,
-                        completed: false,
-                        progress: 0,
-                        target: 1
-                    };
-                    ModuleAPI.set(objPath, objective);
-                    if (debug) console.log(`${MODULE_NAME}: Created complete objective at ${objPath}`);
-                    return true;
-                } else {
-                    // Just update the description
-                    objective.description = parsedValue;
-                    ModuleAPI.set(objPath, objective);
-                    return true;
-                }
+                character.inventory = JSON.parse(state.inventory);
+                character.skills = JSON.parse(state.skills);
+                ModuleAPI.save(charName, character);
             }
+        });
 
-            // Apply the value using ModuleAPI.set
-            try {
-                if (debug) console.log(`${MODULE_NAME}: Setting ${path} = ${JSON.stringify(parsedValue)}`);
-                return ModuleAPI.set(path, parsedValue);
-            } catch (e) {
-                console.log(`${MODULE_NAME}: Failed to apply maps_to: ${e.message}`);
-                return false;
-            }
-        }
+        ModuleAPI.registerAPI('getRecipes', loadRecipes);
 
-        // Helper: Evaluate computed fields
-        function evaluateComputedField(formula, collectedFields) {
-            if (!formula || typeof formula !== 'string') return null;
+        ModuleAPI.debugLog('module', 'CraftingModule loaded');
+    }
+    //#endregion CraftingModule
 
-            // Replace $(fieldName) with collected values
-            let expression = formula;
-            const fieldPattern = /\$\(([^)]+)\)/g;
-            expression = expression.replace(fieldPattern, (match, fieldName) => {
-                const value = collectedFields[fieldName];
-                if (value === undefined || value === null) {
-                    return 'null';
-                }
-                // Quote strings
-                if (typeof value === 'string') {
-                    return `"${value.replace(/"/g, '\\"')}"`;
-                }
-                return String(value);
-            });
+    // ========================================
+    // DisplayModule - Entity display formatting
+    // ========================================
+    //#region DisplayModule
+    {
+        const MODULE_NAME = 'DisplayModule';
 
-            // Evaluate the expression using eval (AI Dungeon sandbox doesn't support Function constructor)
-            try {
-                if (debug) console.log(`${MODULE_NAME}: Evaluating expression: ${expression}`);
-                const result = eval(expression);
-                if (debug) console.log(`${MODULE_NAME}: Expression result: ${result}`);
-                return result;
-            } catch (e) {
-                if (debug) console.log(`${MODULE_NAME}: Failed to evaluate computed field: ${e.message}`);
-                return null;
+        // Register the display schema with minimal defaults
+        ModuleAPI.registerSchema('display', {
+            id: 'display',
+            defaults: {
+                active: true
             }
-        }
+        });
 
-        // Helper: Expand template fields into concrete fields
-        function expandFieldTemplates(generation, collectedFields) {
-            if (!generation.fields) return false;
+        // Simple template parser - replaces {field.path} with entity values
+        function parseTemplate(template, entity) {
+            if (!template || !entity) return '';
 
-            let anyExpanded = false;
+            // Convert escaped newlines to actual newlines
+            let result = template.replace(/\\n/g, '\n');
 
-            // Look for fields with type: "expansion"
-            for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
-                if (fieldDef.type !== 'expansion') continue;
-                if (fieldDef._expanded) continue;  // Already expanded
+            // First handle special function calls: {$func:param1,param2,param3}
+            result = result.replace(/\{\$(\w+):([^}]+)\}/g, (match, funcName, params) => {
+                const paramList = params.split(',').map(p => p.trim());
 
-                // Evaluate the count (can be a number or a formula)
-                let count = fieldDef.count;
-                if (typeof count === 'string' && count.includes('$(')) {
-                    count = evaluateComputedField(count, collectedFields);
-                }
+                // Handle built-in display functions
+                if (funcName === 'relFlavor' && paramList.length === 3) {
+                    // {$relFlavor:fromPath,toPath,valuePath}
+                    const fromName = getFieldValue(entity, paramList[0]);
+                    const toName = paramList[1]; // This might be a literal or a path
+                    const value = getFieldValue(entity, paramList[2]);
 
-                if (typeof count !== 'number' || count < 1) {
-                    if (debug) console.log(`${MODULE_NAME}: Invalid count for expansion field ${fieldName}: ${count}`);
-                    continue;
+                    if (typeof value === 'number') {
+                        // Call the getRelationshipFlavor function from LibraryAPI if available
+                        if (ModuleAPI.Library && ModuleAPI.Library.getRelationshipFlavor) {
+                            return ModuleAPI.Library.getRelationshipFlavor(value, fromName || entity.id, toName);
+                        }
+                        // Fallback
+                        return `${fromName || entity.id} has an indescribable relationship with ${toName}`;
+                    }
                 }
 
-                // Expand the template
-                const template = fieldDef.template;
-                if (!template) {
-                    if (debug) console.log(`${MODULE_NAME}: No template for expansion field ${fieldName}`);
-                    continue;
-                }
+                return match; // Return unchanged if function not recognized
+            });
 
-                // Create {count} number of fields based on template
-                for (let i = 1; i <= count; i++) {
-                    const expandedFieldName = template.fieldName ? template.fieldName.replace('{i}', i) : `${fieldName}_${i}`;
+            // Then handle iteration patterns with nested braces
+            // Match {collection.*→ ...} or {collection.*| ...} including nested braces
+            result = result.replace(/\{([^}]*\.\*[→|][^{}]*(?:\{[^}]*\}[^{}]*)*)\}/g, (match, path) => {
+                // Handle special iteration syntax: {collection.*→ pattern} or {collection.*| pattern}
+                if (path.includes('.*→') || path.includes('.*|')) {
+                    // Find the separator type
+                    const separator = path.includes('.*→') ? '\n' : ', ';
 
-                    // Don't overwrite existing fields
-                    if (generation.fields[expandedFieldName]) continue;
+                    // Split more carefully to handle nested braces in pattern
+                    let collectionPath, pattern;
+                    if (path.includes('.*→')) {
+                        const splitIndex = path.indexOf('.*→');
+                        collectionPath = path.substring(0, splitIndex);
+                        pattern = path.substring(splitIndex + 4); // 4 = length of '.*→'
+                    } else {
+                        const splitIndex = path.indexOf('.*|');
+                        collectionPath = path.substring(0, splitIndex);
+                        pattern = path.substring(splitIndex + 3); // 3 = length of '.*|'
+                    }
 
-                    // Create the expanded field
-                    generation.fields[expandedFieldName] = {
-                        maps_to: template.maps_to ? template.maps_to.replace('{i}', i) : null,
-                        key: template.key ? template.key.replace('{i}', i) : expandedFieldName.toUpperCase(),
-                        parser: template.parser || 'text',
-                        prompt: template.prompt ? {
-                            uncollected: template.prompt.uncollected ? template.prompt.uncollected.replace(/{i}/g, i) : null,
-                            known: template.prompt.known ? template.prompt.known.replace(/{i}/g, i) : null,
-                            priority: template.prompt.priority ? template.prompt.priority + i : 50 + i
-                        } : null
-                    };
+                    // Get the collection
+                    const collection = getFieldValue(entity, collectionPath.trim());
+                    if (!collection || typeof collection !== 'object') return '';
 
-                    if (debug) console.log(`${MODULE_NAME}: Expanded ${fieldName} to ${expandedFieldName}`);
-                    anyExpanded = true;
-                }
+                    // Iterate and build output
+                    const items = [];
+                    for (const [key, value] of Object.entries(collection)) {
+                        let itemText = pattern.trim();
 
-                // Mark as expanded
-                fieldDef._expanded = true;
-            }
+                        // Handle special relationship flavor function in iterations
+                        itemText = itemText.replace(/\{\$relFlavor:([^,}]+),([^,}]+)\}/g, (m, fromParam, valueParam) => {
+                            // fromParam is either 'entity' for the parent entity or a field path
+                            // valueParam is typically '*.value' for the relationship value
+                            const fromName = fromParam === 'entity' ?
+                                (entity.info?.displayname || entity.id) :
+                                getFieldValue(entity, fromParam);
+                            const toName = key; // The key in the iteration is the target name
+                            const relValue = valueParam.startsWith('*.') ?
+                                getFieldValue(value, valueParam.substring(2)) :
+                                getFieldValue(entity, valueParam);
 
-            return anyExpanded;
-        }
+                            if (typeof relValue === 'number') {
+                                // Use ModuleAPI.Library if available, otherwise return a default
+                                if (ModuleAPI.Library && ModuleAPI.Library.getRelationshipFlavor) {
+                                    return ModuleAPI.Library.getRelationshipFlavor(relValue, fromName, toName, value?.axes);
+                                } else {
+                                    // Fallback if RelationshipsModule isn't loaded
+                                    return `relationship value: ${relValue}`;
+                                }
+                            }
+                            return `${fromName} has an unknown relationship with ${toName}`;
+                        });
 
-        // Helper: Process computed fields
-        function processComputedFields(generation, collectedFields) {
-            if (!generation.fields) return false;
+                        // Memorable moments of the relationship: {$relMemories}
+                        itemText = itemText.replace(/\{\$relMemories\}/g, () => {
+                            if (ModuleAPI.Library && ModuleAPI.Library.getRelationshipMemories) {
+                                return ModuleAPI.Library.getRelationshipMemories(value);
+                            }
+                            return '';
+                        });
 
-            let anyComputed = false;
+                        // Replace {*} with key
+                        itemText = itemText.replace(/\{\*\}/g, key);
 
-            for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
-                if (fieldDef.source !== 'computed') continue;
-                if (collectedFields[fieldName] !== undefined) continue;  // Already computed
+                        // Handle array values specially for pathways
+                        if (Array.isArray(value)) {
+                            // For arrays of strings, just join them
+                            const destinations = value.map(item => {
+                                if (typeof item === 'string') {
+                                    return item;
+                                } else if (typeof item === 'object' && item.destination) {
+                                    // Handle old format for backward compatibility
+                                    return item.destination;
+                                }
+                                return 'Unknown';
+                            });
+                            itemText = itemText.replace(/\{\*\.\*\|[^}]+\}/g, destinations.join(', '));
+                        }
 
-                // Evaluate the formula
-                const result = evaluateComputedField(fieldDef.formula, collectedFields);
-                if (result !== null && result !== undefined) {
-                    collectedFields[fieldName] = result;
-                    anyComputed = true;
-                    if (debug) console.log(`${MODULE_NAME}: Computed ${fieldName} = ${result}`);
-                }
-            }
-
-            return anyComputed;
-        }
-
-        // Helper: Find entities with active generation
-        function findActiveGenerator() {
-            // First check the cache
-            for (const [key, entity] of Object.entries(dataCache)) {
-                if (entity?.generationwizard?.state === 'generating') {
-                    return { entityId: entity.id, entity };
-                }
-            }
+                        // Handle nested iteration: {*.*| pattern} for non-arrays
+                        itemText = itemText.replace(/\{\*\.\*\|([^}]+)\}/g, (m, subPattern) => {
+                            // This is for backward compatibility with non-array nested patterns
+                            if (!Array.isArray(value)) {
+                                return value || 'None';
+                            }
+                            return ''; // Already handled above
+                        });
 
-            // If not in cache, scan all entity cards to find active generator
-            const entityCards = Utilities.storyCard.find(c => c.title?.startsWith('[SANE:E]'), true) || [];
-            for (const card of entityCards) {
-                if (card.description) {
-                    const entityId = card.title.replace('[SANE:E] ', '');
-                    const entity = ModuleAPI.get(entityId);
-                    if (entity?.generationwizard?.state === 'generating') {
-                        return { entityId: entity.id, entity };
+                        // Replace {*.field} with value fields (for non-array access)
+                        itemText = itemText.replace(/\{\*\.([^}]+)\}/g, (m, field) => {
+                            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                                const fieldValue = getFieldValue(value, field);
+                                // Handle special values
+                                if (fieldValue === null || fieldValue === undefined) return 'None';
+                                if (fieldValue === true) return 'Yes';
+                                if (fieldValue === false) return 'No';
+                                return fieldValue;
+                            }
+                            return value || '';
+                        });
+                        items.push(itemText);
                     }
+                    return items.join(separator);
                 }
-            }
-
-            return null;
-        }
 
-        // Helper: Find queued entities
-        function findQueuedGenerators() {
-            const queued = [];
+                return match; // Should not reach here
+            });
 
-            // Check cache first
-            for (const [key, entity] of Object.entries(dataCache)) {
-                if (entity?.generationwizard?.state === 'queued') {
-                    queued.push({ entityId: entity.id, entity });
+            // Then handle normal field replacements
+            result = result.replace(/\{([^}]+)\}/g, (match, path) => {
+                // Skip iteration patterns (already handled above)
+                if (path.includes('.*→') || path.includes('.*|')) {
+                    return match;
                 }
-            }
 
-            // Also scan entity cards if needed
-            const entityCards = Utilities.storyCard.find(c => c.title?.startsWith('[SANE:E]'), true) || [];
-            for (const card of entityCards) {
-                if (card.description) {
-                    const entityId = card.title.replace('[SANE:E] ', '');
-                    // Skip if already found in cache
-                    if (!dataCache[entityId] && !dataCache[entityId.toLowerCase()]) {
-                        const entity = ModuleAPI.get(entityId);
-                        if (entity?.generationwizard?.state === 'queued') {
-                            queued.push({ entityId: entity.id, entity });
-                        }
-                    }
-                }
-            }
+                // Normal field replacement
+                const value = getFieldValue(entity, path.trim());
+                // Handle special values for better display
+                if (value === null || value === undefined) return '';
+                if (value === true) return 'Yes';
+                if (value === false) return 'No';
+                return value;
+            });
 
-            return queued;
+            return result;
         }
 
-        // Helper: Set generator state
-        function setGeneratorState(entityId, newState) {
-            const entity = ModuleAPI.get(entityId);
-            if (entity?.generationwizard) {
-                entity.generationwizard.state = newState;
-                ModuleAPI.save(entityId, entity);
+        // Helper to get nested field values
+        function getFieldValue(obj, path) {
+            const parts = path.split('.');
+            let current = obj;
+
+            for (const part of parts) {
+                if (current == null) return undefined;
+                current = current[part];
             }
+
+            return current;
         }
 
-        // Hook: context (process generation in context phase)
-        ModuleAPI.registerHook('context', function(text) {
-            // Find active or transition queued->generating entity
-            let activeGen = findActiveGenerator();
 
-            // If no active generator, check for queued ones
-            if (!activeGen) {
-                const queued = findQueuedGenerators();
-                if (queued.length > 0) {
-                    // Activate the first queued generator
-                    activeGen = queued[0];
-                    setGeneratorState(activeGen.entityId, 'generating');
-                    if (debug) console.log(`${MODULE_NAME}: Activated generation for ${activeGen.entityId}`);
-                }
+        // Build display for an entity
+        function buildEntityDisplay(entity) {
+            if (!entity || !entity.id) {
+                ModuleAPI.debugLog('display', 'Invalid entity for display');
+                return '';
             }
 
-            if (!activeGen) {
-                return text;  // No active generation
+            // Check if display is active
+            if (!entity.display || entity.display.active === false) {
+                return '';
             }
 
-            // Build prompt from embedded component
-            const prompt = preparePromptFromComponent(activeGen.entity);
-            if (prompt) {
-                // Set thinking message for user
-                if (state && typeof state === 'object') {
-                    state.message = THINKING_MESSAGE;
-                }
-                // Append prompt to context
-                const modifiedText = text + prompt;
-                return modifiedText;
-            }
+            const sections = {};
 
-            return text;
-        });
+            // Process display sections if defined
+            if (entity.display.sections) {
+                for (const [sectionName, sectionConfig] of Object.entries(entity.display.sections)) {
+                    if (!sectionConfig || !sectionConfig.template) continue;
 
-        // Hook: output (process AI generation response)
-        ModuleAPI.registerHook('output', function(text) {
-            // Process AI response for field collection
-            const activeGen = findActiveGenerator();
-            if (!activeGen) {
-                return { active: false, text: text };  // Pass through original text
-            }
+                    // Check condition if specified
+                    if (sectionConfig.condition) {
+                        // Handle wildcard patterns like "inventory.*" or "relationships.*"
+                        if (sectionConfig.condition.endsWith('.*')) {
+                            const basePath = sectionConfig.condition.slice(0, -2);
+                            const value = getFieldValue(entity, basePath);
+                            // Skip if the object doesn't exist or has no properties
+                            if (!value || typeof value !== 'object' || Object.keys(value).length === 0) {
+                                continue;
+                            }
+                        } else {
+                            // Normal condition - check if field exists and is truthy
+                            const value = getFieldValue(entity, sectionConfig.condition);
+                            if (!value) {
+                                continue;
+                            }
+                        }
+                    }
 
-            // Process the response
-            const result = processResponse(text, activeGen);
-            let hiddentext = ' ';
-            // Set appropriate message based on result
-            if (state && typeof state === 'object') {
-                if (result === 'completed') {
-                    state.message = COMPLETION_MESSAGE;
-                    // temp state.message fix
-                    hiddentext = HIDE_BEGINNING + COMPLETION_MESSAGE + HIDE_ENDING;
-                } else if (result) {
-                    state.message = PROCESSING_MESSAGE;
-                    // temp state.message fix
-                    hiddentext = HIDE_BEGINNING + PROCESSING_MESSAGE + HIDE_ENDING;
+                    // Parse the template
+                    const output = parseTemplate(sectionConfig.template, entity);
+
+                    if (output && output.trim()) {
+                        const line = sectionConfig.line || 'section';
+                        const priority = sectionConfig.priority || 50;
+
+                        if (!sections[line]) sections[line] = [];
+                        sections[line].push({
+                            priority,
+                            text: output,
+                            condition: sectionConfig.condition
+                        });
+                    }
                 }
             }
 
-            // Hide the output during generation
-            return { active: true, text: hiddentext /*ZERO_WIDTH_CHAR*/ };
-        });
+            // Get separators and order
+            const separators = entity.display?.separators || {
+                nameline: ' ',
+                infoline: ' | ',
+                section: '\n',
+                footer: '\n'
+            };
 
-        // Helper: Process AI response
-        function processResponse(responseText, activeGen) {
-            try {
-                const entity = activeGen.entity;
-                const genComponent = entity.generationwizard;
-                const activeGenName = genComponent.activeGeneration || 'initial';
-                const generation = genComponent.generations?.[activeGenName];
+            const order = entity.display?.order || ['prefixline', 'nameline', 'infoline', 'section', 'footer'];
+            const lineSeparator = separators.section || '\n';
 
-                if (!generation) {
-                    console.log(`${MODULE_NAME}: No active generation object found`);
-                    return false;
-                }
+            // Build output
+            let result = [];
 
-                // Get expected fields
-                const expectedKeys = [];
-                const keyToFieldMap = {};
-                const collectedFields = genComponent.fields_collected || {};
+            // Add prefix if defined
+            if (entity.display?.prefix) {
+                result.push(parseTemplate(entity.display.prefix, entity));
+            }
 
-                if (generation.fields) {
-                    for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
-                        // Skip computed and expansion fields - they're not collected from AI
-                        if (fieldDef.source === 'computed' || fieldDef.type === 'expansion') continue;
+            // Process lines in the defined order
+            for (const lineName of order) {
+                if (sections[lineName] && sections[lineName].length > 0) {
+                    // Sort by priority
+                    sections[lineName].sort((a, b) => a.priority - b.priority);
 
-                        if (!collectedFields[fieldName]) {
-                            const key = fieldDef.key || fieldName.toUpperCase();
-                            expectedKeys.push(key);
-                            keyToFieldMap[key] = fieldName;
-                        }
+                    // Get separator for this line type
+                    const separator = separators[lineName] || '';
+
+                    // Join all items on this line with the line's separator
+                    const texts = sections[lineName].map(s => s.text).filter(t => t);
+                    if (texts.length > 0) {
+                        result.push(texts.join(separator));
                     }
                 }
+            }
 
-                if (expectedKeys.length === 0) {
-                    // All fields collected, finalize
-                    finalizeEntity(activeGen.entityId, entity);
-                    return 'completed';
-                }
-
-                if (debug) {
-                    console.log(`${MODULE_NAME}: Expected keys: ${expectedKeys.join(', ')}`);
-                    console.log(`${MODULE_NAME}: Response length: ${responseText.length}, starts with: "${responseText.substring(0, 50)}"`);
-                }
-
-                // Parse response for fields
-                const parsed = parseFields(responseText, expectedKeys);
-
-                if (debug) {
-                    console.log(`${MODULE_NAME}: Parsed ${Object.keys(parsed).length} fields: ${JSON.stringify(parsed)}`);
-                }
+            // Add footer if defined
+            if (entity.display?.footer) {
+                result.push(parseTemplate(entity.display.footer, entity));
+            }
 
-                let anyCollected = false;
+            return result.join(lineSeparator);
+        }
 
-                for (const [key, value] of Object.entries(parsed)) {
-                    const fieldName = keyToFieldMap[key];
-                    if (fieldName && generation.fields[fieldName]) {
-                        const fieldDef = generation.fields[fieldName];
+        // Register the functions in the API
+        ModuleAPI.registerAPI('buildEntityDisplay', buildEntityDisplay);
 
-                        // Parse value based on field type
-                        let parsedValue = value;
-                        if (fieldDef.parser && valueParsers[fieldDef.parser]) {
-                            parsedValue = valueParsers[fieldDef.parser](value, fieldDef.options);
-                        }
+        // Make them available to save function and external use
+        Library.buildEntityDisplay = buildEntityDisplay;
 
-                        // Field validation - run validation function if defined
-                        if (fieldDef.validation) {
-                            let validationResult = true;
-                            let validationMessage = '';
+        ModuleAPI.debugLog('module', 'DisplayModule loaded');
+    }
+    //#endregion DisplayModule
 
-                            // Handle different validation types
-                            if (typeof fieldDef.validation === 'string') {
-                                // Built-in validation type
-                                if (fieldDef.validation === 'unique_entity_id') {
-                                    // Check if entity ID already exists
-                                    const entityId = value.replace(/\s+/g, '_');
-                                    const existingEntity = ModuleAPI.get(entityId);
-                                    if (existingEntity && existingEntity.id && existingEntity.id !== activeGen.entityId &&
-                                        (existingEntity.aliases || existingEntity.GameplayTags || existingEntity.components)) {
-                                        validationResult = false;
-                                        validationMessage = `Entity '${value}' already exists`;
-                                    }
-                                }
-                            } else if (typeof fieldDef.validation === 'function') {
-                                // Custom validation function
-                                try {
-                                    validationResult = fieldDef.validation(value, entity, ModuleAPI);
-                                    if (validationResult !== true && typeof validationResult === 'string') {
-                                        validationMessage = validationResult;
-                                        validationResult = false;
-                                    }
-                                } catch (e) {
-                                    console.log(`${MODULE_NAME}: Validation function error: ${e.message}`);
-                                    validationResult = false;
-                                    validationMessage = 'Validation error';
-                                }
-                            }
+    // ========================================
+    // GenerationWizardModule - AI entity generation
+    // ========================================
+    //#region GenerationWizardModule
+    {
+        const MODULE_NAME = 'GenerationWizardModule';
+        const ZERO_WIDTH_CHAR = '\u200B'; // Prevents AI Dungeon from treating empty output as error
 
-                            // If validation failed, track rejection and skip this field
-                            if (!validationResult) {
-                                console.log(`${MODULE_NAME}: Validation failed for ${fieldName}: ${validationMessage}`);
+        // Status messages
+        const THINKING_MESSAGE = 'The GM will use the next turn to think. Use `/gw_abort` if undesired.';
+        const PROCESSING_MESSAGE = 'The GM is processing entity generation... Use `/gw_abort` if needed.';
+        const COMPLETION_MESSAGE = 'Generation completed, returning to story.';
 
-                                // Track rejected values for debugging and avoiding re-suggestions
-                                const rejectedPath = `${activeGen.entityId}.generationwizard.rejected_${fieldName}`;
-                                let rejectedValues = ModuleAPI.get(rejectedPath) || [];
-                                if (!rejectedValues.includes(value)) {
-                                    rejectedValues.push(value);
-                                    ModuleAPI.set(rejectedPath, rejectedValues);
-                                }
+        // Response parsing configuration
+        const PARSER_CONFIG = {
+            maxRetries: 3,
+            maxTurnsBeforeAbandoned: 10
+        };
 
-                                // Skip storing this field - it will be re-requested
-                                continue;
-                            }
-                        }
+        // Batch generation: entity kinds that can be generated together and how they are tied up afterwards
+        const BATCH_CONFIG = {
+            maxSize: 8,
+            relationship: 20,  // Starting relationship between members of a generated group
+            // Ways a batch location can lie from the first one - each has an opposite, so pathways lead back
+            directions: ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest', 'up', 'down']
+        };
+        const BATCH_TYPES = {
+            npc: {
+                blueprint: 'Character',
+                prefix: 'NPC',
+                singular: 'character',
+                plural: 'characters',
+                together: 'They know each other and travel together as one group.'
+            },
+            location: {
+                blueprint: 'Location',
+                prefix: 'Location',
+                singular: 'location',
+                plural: 'locations',
+                together: 'They lie next to each other and form one connected area.'
+            }
+        };
 
-                        // Apply to entity using maps_to from blueprint
-                        if (fieldDef.maps_to) {
-                            const success = applyMapsTo(activeGen.entityId, fieldDef.maps_to, parsedValue);
-                            if (!success) {
-                                console.log(`${MODULE_NAME}: Failed to apply ${fieldName} to ${fieldDef.maps_to}`);
-                            }
-                        } else {
-                            if (debug) console.log(`${MODULE_NAME}: No maps_to defined for field ${fieldName}`);
-                        }
+        // Value parsers for different field types
+        const valueParsers = {
+            // Parse "Item x5" format for inventory
+            inventory: function(value) {
+                // Check for empty/null values first
+                const trimmedValue = value ? value.trim().toLowerCase() : '';
+                const emptyValues = ['none', 'n/a', 'na', 'null', ''];
 
-                        // Mark as collected
-                        if (!genComponent.fields_collected) {
-                            genComponent.fields_collected = {};
-                        }
-                        // Store the original value for empty inventory items, not the marker
-                        if (parsedValue && parsedValue._empty === true) {
-                            genComponent.fields_collected[fieldName] = 'None';
-                        } else {
-                            genComponent.fields_collected[fieldName] = parsedValue;
-                        }
-                        anyCollected = true;
-                    }
+                if (emptyValues.includes(trimmedValue)) {
+                    // Return special marker for empty inventory
+                    return { _empty: true };
                 }
 
-                // Save progress
-                if (anyCollected) {
-                    ModuleAPI.save(activeGen.entityId, entity);
+                const match = value.match(/^(.+?)\s*x\s*(\d+)$/);
+                if (match) {
+                    return {
+                        item: match[1].trim(),
+                        quantity: parseInt(match[2], 10)
+                    };
+                }
+                return { item: value.trim(), quantity: 1 };
+            },
+            // Parse "SkillName:Level" format
+            skill: function(value) {
+                // Handle "SkillName:Level" format
+                const colonMatch = value.match(/^(.+?):(\d+)$/);
+                if (colonMatch) {
+                    return {
+                        name: colonMatch[1].trim(),
+                        level: parseInt(colonMatch[2], 10)
+                    };
+                }
+                // Handle "SkillName Level X" format
+                const levelMatch = value.match(/^(.+?)\s+[Ll]evel\s+(\d+)$/);
+                if (levelMatch) {
+                    return {
+                        name: levelMatch[1].trim(),
+                        level: parseInt(levelMatch[2], 10)
+                    };
+                }
+                // Just skill name
+                return { name: value.trim(), level: 1 };
+            },
+            // Parse "CharacterName:Value" format for relationships
+            relationship: function(value) {
+                const match = value.match(/^(.+?):(\d+)$/);
+                if (match) {
+                    return {
+                        character: match[1].trim(),
+                        value: parseInt(match[2], 10)
+                    };
+                }
+                // Just character name with default value
+                return {
+                    character: value.trim(),
+                    value: 50  // Default relationship value
+                };
+            },
+            // Parse objectives list
+            objectives: function(value) {
+                // Parse list of objectives from various formats
+                const objectives = {};
 
-                    // Check if all fields are now collected (expansion already happened in prompt builder)
-                    const stillNeeded = [];
-                    if (generation.fields) {
-                        for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
-                            // Skip expansion templates and computed fields - they don't need to be collected
-                            if (fieldDef.type === 'expansion' || fieldDef.source === 'computed') continue;
+                // Split by newlines and filter out empty lines
+                const lines = value.split('\n').filter(line => line.trim());
 
-                            if (!genComponent.fields_collected[fieldName]) {
-                                stillNeeded.push(fieldName);
-                            }
-                        }
-                    }
+                lines.forEach((line, index) => {
+                    // Remove common prefixes like "- ", "• ", "1. ", etc.
+                    const cleanLine = line.replace(/^[-•*]\s*/, '').replace(/^\d+\.\s*/, '').trim();
 
-                    if (stillNeeded.length === 0) {
-                        // All fields collected, finalize
-                        if (debug) console.log(`${MODULE_NAME}: All fields collected, finalizing entity`);
-                        finalizeEntity(activeGen.entityId, entity);
-                        return 'completed';
+                    if (cleanLine) {
+                        const objId = `objective_${index + 1}`;
+                        objectives[objId] = {
+                            description: cleanLine,
+                            completed: false,
+                            progress: 0,
+                            target: 1
+                        };
                     }
-                }
-
-                return anyCollected;
-            } catch (e) {
-                console.log(`${MODULE_NAME}: Error processing response: ${e.message}`);
-                return false;
-            }
-        }
+                });
 
-        // Helper: Parse fields from response text with multiple strategies
-        function parseFields(text, expectedKeys) {
-            const results = {};
+                return objectives;
+            },
+            // Parse pathways/exits (supports multiple destinations per direction)
+            pathways: function(value) {
+                // Parse list of pathways/exits
+                const pathways = {};
 
-            if (!text || !expectedKeys || expectedKeys.length === 0) {
-                return results;
-            }
+                // Valid direction keywords
+                const validDirections = [
+                    'north', 'south', 'east', 'west',
+                    'northeast', 'northwest', 'southeast', 'southwest',
+                    'up', 'down', 'in', 'out',
+                    'forward', 'back', 'backward',
+                    'left', 'right',
+                    'inside', 'outside',
+                    'enter', 'exit', 'entrance'
+                ];
 
-            // Trim the text to remove leading/trailing whitespace
-            text = text.trim();
+                // Split by newlines and filter out empty lines
+                const lines = value.split('\n').filter(line => line.trim());
 
-            // Try different parsing strategies
-            const strategies = ['keyValue', 'json', 'fuzzy'];
+                lines.forEach((line, index) => {
+                    // Remove common prefixes
+                    const cleanLine = line.replace(/^[-•*]\s*/, '').replace(/^\d+\.\s*/, '').trim();
 
-            for (const strategy of strategies) {
-                const parsed = parseWithStrategy(text, expectedKeys, strategy);
-                if (Object.keys(parsed).length > 0) {
-                    // Merge results, prioritizing new findings
-                    Object.assign(results, parsed);
-                }
-            }
-
-            return results;
-        }
-
-        // Parse with specific strategy
-        function parseWithStrategy(text, expectedKeys, strategy) {
-            const results = {};
-
-            if (debug) {
-                console.log(`${MODULE_NAME}: Trying strategy: ${strategy}`);
-            }
-
-            switch (strategy) {
-                case 'keyValue':
-                    // Standard KEY: value parsing with multi-line support
-                    const lines = text.split('\n');
-                    let currentKey = null;
-                    let currentValue = [];
+                    if (cleanLine) {
+                        // Try to parse "Direction: Destination" format
+                        const colonMatch = cleanLine.match(/^([^:]+):(.+)$/);
+                        if (colonMatch) {
+                            const direction = colonMatch[1].trim().toLowerCase();
+                            const destination = colonMatch[2].trim();
 
-                    for (let i = 0; i < lines.length; i++) {
-                        const line = lines[i];
-                        // Check if this line starts with an expected key
-                        let foundKey = null;
-                        for (const key of expectedKeys) {
-                            // Try exact match for this key with multiple patterns
-                            const patterns = [
-                                `^\\s*${key}:\\s*(.*)$`,           // KEY: value (value optional for multi-line)
-                                `^\\s*\\*\\*${key}\\*\\*:\\s*(.*)$`, // **KEY**: value (value optional)
-                                `^\\s*${key}\\s*=\\s*(.*)$`         // KEY = value (value optional)
-                            ];
+                            // Validate direction is reasonable
+                            const isValidDirection = validDirections.some(valid =>
+                                direction.includes(valid) || valid.includes(direction)
+                            ) || direction.length <= 20; // Allow short custom directions
 
-                            for (const pattern of patterns) {
-                                const regex = new RegExp(pattern, 'i');
-                                const match = line.match(regex);
-                                if (match) {
-                                    // Save previous key-value if exists
-                                    if (currentKey) {
-                                        results[currentKey] = currentValue.join('\n').trim();
-                                    }
-                                    // Start new key-value
-                                    foundKey = key;
-                                    currentKey = key;
-                                    const initialValue = match[1] || '';
-                                    currentValue = initialValue ? [initialValue] : [];
-                                    if (debug && !initialValue) {
-                                        console.log(`${MODULE_NAME}: Found key ${key} with no initial value (multi-line expected)`);
-                                    }
-                                    break;
+                            if (isValidDirection && destination && destination !== 'Unknown') {
+                                // Initialize array if direction doesn't exist
+                                if (!pathways[direction]) {
+                                    pathways[direction] = [];
                                 }
+                                // Add destination as simple string to array
+                                pathways[direction].push(destination);
                             }
-                            if (foundKey) break;
-                        }
-
-                        // If no key found and we're collecting a value, append to current
-                        if (!foundKey && currentKey) {
-                            // Check for multi-line value continuation
-                            // Don't include lines that look like new keys (all caps followed by colon)
-                            if (line.trim() && !line.match(/^\*{0,2}[A-Z][A-Z_]+\*{0,2}[:=]/)) {
-                                currentValue.push(line);
-                            }
-                        }
-                    }
-
-                    // Save the last key-value pair
-                    if (currentKey) {
-                        results[currentKey] = currentValue.join('\n').trim();
-                        if (debug && (currentKey === 'OBJECTIVES' || currentKey === 'ITEM_REWARDS')) {
-                            console.log(`${MODULE_NAME}: Collected ${currentKey}: "${results[currentKey].substring(0, 100)}"`);
+                            // Skip invalid or incomplete entries
                         }
+                        // If no colon, skip the line entirely (don't create invalid entries)
                     }
-                    break;
+                });
 
-                case 'json':
-                    // Try to parse as JSON object
-                    try {
-                        const jsonMatch = text.match(/\{[\s\S]*\}/);
-                        if (jsonMatch) {
-                            const parsed = JSON.parse(jsonMatch[0]);
-                            for (const key of expectedKeys) {
-                                // Check various case variations
-                                const variations = [
-                                    key,
-                                    key.toLowerCase(),
-                                    key.charAt(0).toLowerCase() + key.slice(1)
-                                ];
-                                for (const variant of variations) {
-                                    if (parsed[variant] !== undefined) {
-                                        results[key] = String(parsed[variant]);
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                    } catch (e) {
-                        // JSON parsing failed, that's okay
-                    }
-                    break;
+                return pathways;
+            },
+            // Parse number
+            number: function(value) {
+                const num = parseInt(value, 10);
+                return isNaN(num) ? 0 : num;
+            },
+            // Parse text (default)
+            text: function(value) {
+                return value.trim();
+            },
+            // Parse select (validate against options)
+            select: function(value, options) {
+                const normalized = value.trim();
+                if (options && options.includes(normalized)) {
+                    return normalized;
+                }
+                // Try case-insensitive match
+                const found = options?.find(opt =>
+                    opt.toLowerCase() === normalized.toLowerCase()
+                );
+                return found || normalized;
+            }
+        };
 
-                case 'fuzzy':
-                    // Fuzzy matching - look for keys anywhere in the text
-                    for (const key of expectedKeys) {
-                        // Skip if we already have this key from a better strategy
-                        if (results[key]) continue;
+        // Apply field value to entity using maps_to pattern
+        function applyMapsTo(entityId, mapsTo, parsedValue) {
+            if (!mapsTo || parsedValue === undefined || parsedValue === null) return false;
 
-                        // Create a more flexible pattern
-                        const fuzzyPattern = new RegExp(
-                            `${key}[:\\s=]+([^\\n]+)`,
-                            'i'
-                        );
-                        const match = text.match(fuzzyPattern);
-                        if (match) {
-                            // Clean up captured value - remove leading markdown asterisks
-                            let value = match[1].trim();
-                            value = value.replace(/^\*+\s*/, '').replace(/\s*\*+$/, '');
-                            results[key] = value;
-                        }
-                    }
-                    break;
+            // Special handling for empty inventory marker
+            if (parsedValue && parsedValue._empty === true) {
+                // This is a valid "no items" response - return true to indicate success
+                // but don't actually set anything
+                return true;
             }
 
-            return results;
-        }
+            // Replace * with entityId directly
+            let path = mapsTo.replace('*', entityId);
 
-        // Helper: Prepare prompt from component
-        function preparePromptFromComponent(entity) {
-            const genComponent = entity.generationwizard;
-            if (!genComponent) return null;
+            // Handle array notation like aliases[0]
+            const arrayMatch = path.match(/^(.+)\[(\d+)\]$/);
+            if (arrayMatch) {
+                const arrayPath = arrayMatch[1];
+                const index = parseInt(arrayMatch[2]);
 
-            const activeGenName = genComponent.activeGeneration || 'initial';
-            const generation = genComponent.generations?.[activeGenName];
-            if (!generation) return null;
+                // Get or create the array
+                let array = ModuleAPI.get(arrayPath);
+                if (!array || !Array.isArray(array)) {
+                    array = [];
+                }
 
-            // IMPORTANT: Process computed fields and expand templates BEFORE building prompt
-            const collectedFields = genComponent.fields_collected || {};
+                // Ensure array has enough elements
+                while (array.length <= index) {
+                    array.push(null);
+                }
 
-            // Process computed fields first
-            processComputedFields(generation, collectedFields);
+                // Set the value at the index
+                array[index] = parsedValue;
 
-            // Expand template fields based on computed values
-            const expanded = expandFieldTemplates(generation, collectedFields);
-            if (expanded && debug) {
-                console.log(`${MODULE_NAME}: Expanded template fields in prompt builder`);
+                // Save the entire array
+                return ModuleAPI.set(arrayPath, array);
             }
 
-            // Build context for variable substitution
-            const context = {
-                trigger_name: genComponent.trigger || entity.info?.trigger_name || entity.info?.displayname || entity.id,
-                currentLocation: entity.info?.currentLocation || 'unknown',
-                entityId: entity.id
-            };
-
-            // Helper to process text with variable substitution
-            function processText(text) {
-                if (!text) return '';
-                // Support both $(variable) and {variable} syntax
-                text = text.replace(/\$\(([^)]+)\)/g, (match, key) => {
-                    return context[key] || match;
-                });
-                text = text.replace(/\{([^}]+)\}/g, (match, key) => {
-                    return context[key] || match;
-                });
-                return text;
+            // Handle dynamic substitutions like {name} or {item}
+            if (typeof parsedValue === 'object') {
+                // Replace {name} with parsed name value
+                if (parsedValue.name) {
+                    path = path.replace('{name}', parsedValue.name);
+                }
+                // Replace {item} with parsed item value
+                if (parsedValue.item) {
+                    path = path.replace('{item}', parsedValue.item);
+                    // For item paths, store only quantity (not the full {item, quantity} object)
+                    parsedValue = { quantity: parsedValue.quantity || 1 };
+                }
+                // Replace {character} with parsed character value
+                if (parsedValue.character) {
+                    path = path.replace('{character}', parsedValue.character);
+                }
             }
 
-            // Build prompt from sections
-            let prompt = '\n\n';
-
-            // Add prompt template sections if available
-            if (generation.promptTemplate?.sections) {
-                const sections = generation.promptTemplate.sections;
+            // Special handling for objectives - ensure complete structure
+            if (path.includes('.objectives.objective_') && path.endsWith('.description')) {
+                // Extract the objective parent path
+                const objPath = path.substring(0, path.lastIndexOf('.description'));
 
-                // Header
-                if (sections.header) {
-                    for (const section of sections.header) {
-                        const sectionText = typeof section === 'string' ? section : (section.text || '');
-                        if (sectionText) {
-                            const processed = processText(sectionText);
-                            prompt += processed + '\n';
-                        }
-                    }
+                // Get or create the objective object
+                let objective = ModuleAPI.get(objPath);
+                if (!objective || typeof objective !== 'object') {
+                    objective = {
+                        description: parsedValue,
+                        completed: false,
+                        progress: 0,
+                        target: 1
+                    };
+                    ModuleAPI.set(objPath, objective);
+                    if (debug) console.log(`${MODULE_NAME}: Created complete objective at ${objPath}`);
+                    return true;
+                } else {
+                    // Just update the description
+                    objective.description = parsedValue;
+                    ModuleAPI.set(objPath, objective);
+                    return true;
                 }
+            }
 
-                // Add a single newline before fields if there was header content
-                if (sections.header && sections.header.length > 0) {
-                    prompt += '\n';
+            // Apply the value using ModuleAPI.set
+            try {
+                if (debug) console.log(`${MODULE_NAME}: Setting ${path} = ${JSON.stringify(parsedValue)}`);
+                return ModuleAPI.set(path, parsedValue);
+            } catch (e) {
+                console.log(`${MODULE_NAME}: Failed to apply maps_to: ${e.message}`);
+                return false;
+            }
+        }
+
+        // Helper: Evaluate computed fields
+        function evaluateComputedField(formula, collectedFields) {
+            if (!formula || typeof formula !== 'string') return null;
+
+            // Replace $(fieldName) with collected values
+            let expression = formula;
+            const fieldPattern = /\$\(([^)]+)\)/g;
+            expression = expression.replace(fieldPattern, (match, fieldName) => {
+                const value = collectedFields[fieldName];
+                if (value === undefined || value === null) {
+                    return 'null';
+                }
+                // Quote strings
+                if (typeof value === 'string') {
+                    return `"${value.replace(/"/g, '\\"')}"`;
                 }
+                return String(value);
+            });
 
-                // Field requests for uncollected fields
-                const collectedFields = genComponent.fields_collected || {};
-                if (generation.fields) {
-                    for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
-                        // Skip computed and expansion fields - they're not collected from AI
-                        if (fieldDef.source === 'computed' || fieldDef.type === 'expansion') continue;
+            // Evaluate the expression using eval (AI Dungeon sandbox doesn't support Function constructor)
+            try {
+                if (debug) console.log(`${MODULE_NAME}: Evaluating expression: ${expression}`);
+                const result = eval(expression);
+                if (debug) console.log(`${MODULE_NAME}: Expression result: ${result}`);
+                return result;
+            } catch (e) {
+                if (debug) console.log(`${MODULE_NAME}: Failed to evaluate computed field: ${e.message}`);
+                return null;
+            }
+        }
 
-                        if (!collectedFields[fieldName]) {
-                            const key = fieldDef.key || fieldName.toUpperCase();
-                            if (fieldDef.prompt && fieldDef.prompt.uncollected) {
-                                prompt += processText(fieldDef.prompt.uncollected) + '\n';
-                            } else {
-                                prompt += `${key}: [Provide ${fieldName}]\n`;
-                            }
-                        }
-                    }
+        // Helper: Expand template fields into concrete fields
+        function expandFieldTemplates(generation, collectedFields) {
+            if (!generation.fields) return false;
+
+            let anyExpanded = false;
+
+            // Look for fields with type: "expansion"
+            for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                if (fieldDef.type !== 'expansion') continue;
+                if (fieldDef._expanded) continue;  // Already expanded
+
+                // Evaluate the count (can be a number or a formula)
+                let count = fieldDef.count;
+                if (typeof count === 'string' && count.includes('$(')) {
+                    count = evaluateComputedField(count, collectedFields);
                 }
 
-                // Footer
-                if (sections.footer) {
-                    prompt += '\n';  // Single newline before footer
-                    for (const section of sections.footer) {
-                        const sectionText = typeof section === 'string' ? section : (section.text || '');
-                        if (sectionText) {
-                            const processed = processText(sectionText);
-                            prompt += processed + '\n';
-                        }
-                    }
+                if (typeof count !== 'number' || count < 1) {
+                    if (debug) console.log(`${MODULE_NAME}: Invalid count for expansion field ${fieldName}: ${count}`);
+                    continue;
                 }
-            } else {
-                // Fallback: Simple field listing
-                prompt += 'Generate the following entity details:\n\n';
-                const collectedFields = genComponent.fields_collected || {};
-                if (generation.fields) {
-                    for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
-                        if (!collectedFields[fieldName]) {
-                            const key = fieldDef.key || fieldName.toUpperCase();
-                            prompt += `${key}: [${fieldDef.description || fieldName}]\n`;
-                        }
-                    }
+
+                // Expand the template
+                const template = fieldDef.template;
+                if (!template) {
+                    if (debug) console.log(`${MODULE_NAME}: No template for expansion field ${fieldName}`);
+                    continue;
                 }
-            }
 
-            return prompt;
-        }
+                // Create {count} number of fields based on template
+                for (let i = 1; i <= count; i++) {
+                    const expandedFieldName = template.fieldName ? template.fieldName.replace('{i}', i) : `${fieldName}_${i}`;
 
-        // Helper: Finalize entity generation (GREEDY COMPONENT - never remove)
-        function finalizeEntity(entityId, entity = null) {
-            // Use provided entity or reload from storage
-            if (!entity) {
-                entity = ModuleAPI.get(entityId);
-            }
-            if (!entity?.generationwizard) return;
+                    // Don't overwrite existing fields
+                    if (generation.fields[expandedFieldName]) continue;
 
-            const genComponent = entity.generationwizard;
-            const activeGen = genComponent.activeGeneration;
+                    // Create the expanded field
+                    generation.fields[expandedFieldName] = {
+                        maps_to: template.maps_to ? template.maps_to.replace('{i}', i) : null,
+                        key: template.key ? template.key.replace('{i}', i) : expandedFieldName.toUpperCase(),
+                        parser: template.parser || 'text',
+                        prompt: template.prompt ? {
+                            uncollected: template.prompt.uncollected ? template.prompt.uncollected.replace(/{i}/g, i) : null,
+                            known: template.prompt.known ? template.prompt.known.replace(/{i}/g, i) : null,
+                            priority: template.prompt.priority ? template.prompt.priority + i : 50 + i
+                        } : null
+                    };
 
-            // Delete the completed generation object to save memory (but keep the component)
-            if (activeGen && genComponent.generations?.[activeGen]) {
-                delete genComponent.generations[activeGen];
+                    if (debug) console.log(`${MODULE_NAME}: Expanded ${fieldName} to ${expandedFieldName}`);
+                    anyExpanded = true;
+                }
+
+                // Mark as expanded
+                fieldDef._expanded = true;
             }
 
-            // Set component to dormant state (component persists!)
-            genComponent.state = 'dormant';
-            genComponent.activeGeneration = null;
+            return anyExpanded;
+        }
 
-            // Clean up temporary data that's no longer needed
-            if (genComponent.fields_collected) {
-                delete genComponent.fields_collected;
-            }
-            if (genComponent.trigger) {
-                delete genComponent.trigger;
-            }
-            // Clean up any rejected value tracking
-            for (const key of Object.keys(genComponent)) {
-                if (key.startsWith('rejected_')) {
-                    delete genComponent[key];
+        // Helper: Process computed fields
+        function processComputedFields(generation, collectedFields) {
+            if (!generation.fields) return false;
+
+            let anyComputed = false;
+
+            for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                if (fieldDef.source !== 'computed') continue;
+                if (collectedFields[fieldName] !== undefined) continue;  // Already computed
+
+                // Evaluate the formula
+                const result = evaluateComputedField(fieldDef.formula, collectedFields);
+                if (result !== null && result !== undefined) {
+                    collectedFields[fieldName] = result;
+                    anyComputed = true;
+                    if (debug) console.log(`${MODULE_NAME}: Computed ${fieldName} = ${result}`);
                 }
             }
 
-            // Activate display when generation is complete
-            if (entity.components?.includes('display')) {
-                if (!entity.display) entity.display = {};
-                entity.display.active = true;
-            }
+            return anyComputed;
+        }
 
-            // Rename entity based on USERNAME (which should be in displayname)
-            const finalName = entity.info?.displayname || entity.aliases?.[0];
-            if (debug) {
-                console.log(`${MODULE_NAME}: Checking rename - displayname: "${entity.info?.displayname}", aliases[0]: "${entity.aliases?.[0]}", finalName: "${finalName}"`);
-            }
-            if (finalName && finalName !== entityId) {
-                // Create renamed entity - use the displayname as-is, no transformation
-                const renamedId = finalName;  // No transformation - use displayname directly
-                if (renamedId !== entityId && !ModuleAPI.get(renamedId)) {
-                    // Copy to new ID
-                    entity.id = renamedId;
-                    ModuleAPI.save(renamedId, entity);
-                    // Delete old ID
-                    ModuleAPI.del(entityId);
-                    console.log(`${MODULE_NAME}: Renamed entity from ${entityId} to ${renamedId}`);
-                    entityId = renamedId;
+        // Helper: Find entities with active generation
+        function findActiveGenerator() {
+            // First check the cache
+            for (const [key, entity] of Object.entries(dataCache)) {
+                if (entity?.generationwizard?.state === 'generating') {
+                    return { entityId: entity.id, entity };
                 }
             }
 
-            ModuleAPI.save(entityId, entity);
-            console.log(`${MODULE_NAME}: Completed generation for ${entityId}, component remains dormant`);
-
-            // Check for any queued generators to activate next
-            const queued = findQueuedGenerators();
-            if (queued.length > 0) {
-                console.log(`${MODULE_NAME}: Activating next queued generator: ${queued[0].entityId}`);
-                setGeneratorState(queued[0].entityId, 'generating');
+            // If not in cache, scan all entity cards to find active generator
+            const entityCards = Utilities.storyCard.find(c => c.title?.startsWith('[SANE:E]'), true) || [];
+            for (const card of entityCards) {
+                if (card.description) {
+                    const entityId = card.title.replace('[SANE:E] ', '');
+                    const entity = ModuleAPI.get(entityId);
+                    if (entity?.generationwizard?.state === 'generating') {
+                        return { entityId: entity.id, entity };
+                    }
+                }
             }
+
+            return null;
         }
 
+        // Helper: Find queued entities
+        function findQueuedGenerators() {
+            const queued = [];
 
-        // Register tools
-        // XML: <gw_abort/>
-        ModuleAPI.registerTool('gw_abort', function(params) {
-            // Abort any active generation
-            const activeGen = findActiveGenerator();
-            if (activeGen) {
-                setGeneratorState(activeGen.entityId, 'aborted');
-                console.log(`${MODULE_NAME}: Aborted generation for ${activeGen.entityId}`);
-                return 'executed';
+            // Check cache first
+            for (const [key, entity] of Object.entries(dataCache)) {
+                if (entity?.generationwizard?.state === 'queued') {
+                    queued.push({ entityId: entity.id, entity });
+                }
             }
-            return 'executed';
-        });
 
-        // XML: <gw_status/>
-        ModuleAPI.registerTool('gw_status', function(params) {
-            const activeGen = findActiveGenerator();
-            if (!activeGen) {
-                const queued = findQueuedGenerators();
-                if (queued.length > 0) {
-                    console.log(`${MODULE_NAME}: ${queued.length} entities queued for generation`);
-                } else {
-                    console.log(`${MODULE_NAME}: GenerationWizard is idle`);
+            // Also scan entity cards if needed
+            const entityCards = Utilities.storyCard.find(c => c.title?.startsWith('[SANE:E]'), true) || [];
+            for (const card of entityCards) {
+                if (card.description) {
+                    const entityId = card.title.replace('[SANE:E] ', '');
+                    // Skip if already found in cache
+                    if (!dataCache[entityId] && !dataCache[entityId.toLowerCase()]) {
+                        const entity = ModuleAPI.get(entityId);
+                        if (entity?.generationwizard?.state === 'queued') {
+                            queued.push({ entityId: entity.id, entity });
+                        }
+                    }
                 }
-            } else {
-                console.log(`${MODULE_NAME}: Generating entity: ${activeGen.entityId}`);
             }
-            return 'executed';
-        });
 
-        // XML: <gw_npc name="Marcus" location="Town_Square"/>
-        ModuleAPI.registerTool('gw_npc', function(params) {
-            const { name, location } = params || {};
+            return queued;
+        }
 
-            // Generate unique ID - use provided name or create timestamp-based one
-            const displayName = name || `NPC_${Date.now()}`;
-            const characterId = displayName;  // Use displayName as-is, no transformation
+        // Helper: All entities of a batch, in the order they were requested
+        function findBatchMembers(batchId) {
+            const members = [];
+            for (const entity of new Set(Object.values(dataCache))) {
+                if (entity?.generationwizard?.batch?.id === batchId) {
+                    members.push({ entityId: entity.id, entity });
+                }
+            }
+            return members.sort((a, b) => a.entity.generationwizard.batch.index - b.entity.generationwizard.batch.index);
+        }
 
-            // Check if character already exists
-            if (ModuleAPI.get(characterId)) {
-                console.log(`${MODULE_NAME}: Character ${characterId} already exists`);
-                return 'malformed';
+        // Helper: Whether a batch member still waits for its fields
+        function isPending(entity) {
+            const state = entity.generationwizard?.state;
+            return state === 'queued' || state === 'generating';
+        }
+
+        // Helper: Set generator state
+        function setGeneratorState(entityId, newState) {
+            const entity = ModuleAPI.get(entityId);
+            if (entity?.generationwizard) {
+                entity.generationwizard.state = newState;
+                ModuleAPI.save(entityId, entity);
             }
+        }
 
-            // Structure data for blueprint
-            const entityData = {
-                id: characterId,
-                info: {
-                    trigger_name: displayName  // Store the trigger name that caused generation
-                },
-                generationwizard: {
-                    trigger: displayName  // Store original name for prompt context
-                }
-            };
+        // Hook: context (process generation in context phase)
+        ModuleAPI.registerHook('context', function(text) {
+            // Find active or transition queued->generating entity
+            let activeGen = findActiveGenerator();
 
-            // Add location - use provided location or player's current location
-            if (location) {
-                entityData.info.currentLocation = location;
-            } else {
-                // Try to get player's current location
-                const player = ModuleAPI.get('player');
-                if (player && player.info && player.info.currentLocation) {
-                    entityData.info.currentLocation = player.info.currentLocation;
-                    console.log(`${MODULE_NAME}: Using player's current location: ${player.info.currentLocation}`);
+            // If no active generator, check for queued ones
+            if (!activeGen) {
+                const queued = findQueuedGenerators();
+                if (queued.length > 0) {
+                    // Activate the first queued generator
+                    activeGen = queued[0];
+                    setGeneratorState(activeGen.entityId, 'generating');
+                    if (debug) console.log(`${MODULE_NAME}: Activated generation for ${activeGen.entityId}`);
                 }
             }
 
-            // Instantiate from Character blueprint
-            const entity = ModuleAPI.instantiateBlueprint('Character', entityData);
-            if (entity) {
-                console.log(`${MODULE_NAME}: Queued NPC generation for: ${characterId}`);
-                return 'executed';
+            if (!activeGen) {
+                return text;  // No active generation
             }
-            console.log(`${MODULE_NAME}: Failed to instantiate Character blueprint`);
-            return 'malformed';
-        });
 
-        // XML: <gw_location name="Forest_Clearing" direction="north"/>
-        ModuleAPI.registerTool('gw_location', function(params) {
-            const { name, direction } = params || {};
+            // Build prompt from embedded component - a batch member asks for the whole batch at once
+            const batch = activeGen.entity.generationwizard.batch;
+            const prompt = batch ? prepareBatchPrompt(batch) : preparePromptFromComponent(activeGen.entity);
+            if (prompt) {
+                // Set thinking message for user
+                if (state && typeof state === 'object') {
+                    state.message = THINKING_MESSAGE;
+                }
+                // Append prompt to context
+                const modifiedText = text + prompt;
+                return modifiedText;
+            }
 
-            // Generate unique ID - use provided name or create timestamp-based one
-            const displayName = name || `Location_${Date.now()}`;
-            const locationId = displayName;  // Use displayName as-is, no transformation
+            return text;
+        });
 
-            // Check if location already exists
-            if (ModuleAPI.get(locationId)) {
-                console.log(`${MODULE_NAME}: Location ${locationId} already exists`);
-                return 'malformed';
+        // Hook: output (process AI generation response)
+        ModuleAPI.registerHook('output', function(text) {
+            // Process AI response for field collection
+            const activeGen = findActiveGenerator();
+            if (!activeGen) {
+                return { active: false, text: text };  // Pass through original text
             }
 
-            // Structure data for blueprint
-            const entityData = {
-                id: locationId,
-                info: {
-                    displayname: displayName,  // Set the displayname directly
-                    trigger_name: displayName
-                },
-                generationwizard: {
-                    trigger: displayName
+            // Process the response
+            const result = activeGen.entity.generationwizard.batch
+                ? processBatchResponse(text, activeGen)
+                : processResponse(text, activeGen);
+            let hiddentext = ' ';
+            // Set appropriate message based on result
+            if (state && typeof state === 'object') {
+                if (result === 'completed') {
+                    state.message = COMPLETION_MESSAGE;
+                    // temp state.message fix
+                    hiddentext = HIDE_BEGINNING + COMPLETION_MESSAGE + HIDE_ENDING;
+                } else if (result) {
+                    state.message = PROCESSING_MESSAGE;
+                    // temp state.message fix
+                    hiddentext = HIDE_BEGINNING + PROCESSING_MESSAGE + HIDE_ENDING;
                 }
-            };
-
-            // Add connection info if direction provided
-            if (direction) {
-                entityData.pathways = { [direction]: 'pending' };
             }
 
-            // Instantiate from Location blueprint
-            const entity = ModuleAPI.instantiateBlueprint('Location', entityData);
-            if (entity) {
-                console.log(`${MODULE_NAME}: Queued location generation for: ${locationId}`);
-                return 'executed';
-            }
-            return 'malformed';
+            // Hide the output during generation
+            return { active: true, text: hiddentext /*ZERO_WIDTH_CHAR*/ };
         });
 
-        // XML: <gw_quest name="Missing_Merchant" type="Side"/>
-        ModuleAPI.registerTool('gw_quest', function(params) {
-            const { name, type: typeParam } = params || {};
+        // Helper: Process AI response
+        function processResponse(responseText, activeGen) {
+            try {
+                const entity = activeGen.entity;
+                const genComponent = entity.generationwizard;
+                const activeGenName = genComponent.activeGeneration || 'initial';
+                const generation = genComponent.generations?.[activeGenName];
 
-            // Generate unique ID - use provided name or create timestamp-based one
-            const displayName = name || `Quest_${Date.now()}`;
-            const questId = displayName;  // Use displayName as-is, no transformation
+                if (!generation) {
+                    console.log(`${MODULE_NAME}: No active generation object found`);
+                    return false;
+                }
 
-            // Check if quest already exists
-            if (ModuleAPI.get(questId)) {
-                console.log(`${MODULE_NAME}: Quest ${questId} already exists`);
-                return 'malformed';
-            }
+                // Get expected fields
+                const expectedKeys = [];
+                const keyToFieldMap = {};
+                const collectedFields = genComponent.fields_collected || {};
 
-            // Determine quest type - code decides, not user
-            let questType = typeParam;
-            if (!questType) {
-                // Randomize quest type with weighted distribution
-                const rand = Math.random();
-                if (rand < 0.05) {
-                    questType = "Story";        // 5% chance - Main story quests
-                } else if (rand < 0.75) {
-                    questType = "Side";         // 70% chance - Side quests
-                } else if (rand < 0.90) {
-                    questType = "Hidden";       // 15% chance - Hidden quests
-                } else {
-                    questType = "Raid";         // 10% chance - Raid quests
-                }
-                if (debug) console.log(`${MODULE_NAME}: Randomized quest type: ${questType}`);
-            }
+                if (generation.fields) {
+                    for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                        // Skip computed and expansion fields - they're not collected from AI
+                        if (fieldDef.source === 'computed' || fieldDef.type === 'expansion') continue;
 
-            // Structure data for blueprint
-            const entityData = {
-                id: questId,
-                quest: {
-                    type: questType
-                },
-                generationwizard: {
-                    trigger: displayName,
-                    fields_collected: {
-                        type: questType  // Mark type as already collected
+                        if (!collectedFields[fieldName]) {
+                            const key = fieldDef.key || fieldName.toUpperCase();
+                            expectedKeys.push(key);
+                            keyToFieldMap[key] = fieldName;
+                        }
                     }
                 }
-            };
 
-            // Instantiate from Quest blueprint
-            const entity = ModuleAPI.instantiateBlueprint('Quest', entityData);
-            if (entity) {
-                console.log(`${MODULE_NAME}: Queued quest generation for: ${questId}`);
-                return 'executed';
-            }
-            return 'malformed';
-        });
-    }
-    //#endregion GenerationWizardModule
+                if (expectedKeys.length === 0) {
+                    // All fields collected, finalize
+                    finalizeEntity(activeGen.entityId, entity);
+                    return 'completed';
+                }
 
-    // ========================================
-    // SceneModule - Current scene card management
-    // ========================================
-    //#region SceneModule
-    {
-        const MODULE_NAME = 'SceneModule';
+                if (debug) {
+                    console.log(`${MODULE_NAME}: Expected keys: ${expectedKeys.join(', ')}`);
+                    console.log(`${MODULE_NAME}: Response length: ${responseText.length}, starts with: "${responseText.substring(0, 50)}"`);
+                }
 
-        function createDefaultCurrentScene() {
-            // Find the first user-controlled entity
-            const userControlled = ModuleAPI.queryTags('UserControlled');
+                // Parse response for fields
+                const parsed = parseFields(responseText, expectedKeys);
 
-            // Use first user-controlled entity name or default to 'player'
-            let playerName = 'player';
-            if (userControlled && userControlled.length > 0) {
-                playerName = userControlled[0].id.toLowerCase();
-            }
+                if (debug) {
+                    console.log(`${MODULE_NAME}: Parsed ${Object.keys(parsed).length} fields: ${JSON.stringify(parsed)}`);
+                }
 
-            const defaultText = (
-                `[**Current Scene** Location: get(player.info.currentLocation) | get(time.formatted) (get(time.period))\n` +
-                `**Available Tools:**\n` +
-                `• Location: update_location(name, place) discover_location(character, place, direction) connect_locations(placeA, placeB, direction)\n` +
-                `  - Directions: north, south, east, west, inside (enter), outside (exit)\n` +
-                `• Time: advance_time(hours, minutes)\n` +
-                `• Inventory: add_item(name, item, qty) remove_item(name, item, qty) transfer_item(giver, receiver, item, qty)\n` +
-                `• Relations: update_relationship(name1, name2, points)\n` +
-                `• Quests: offer_quest(npc, quest_name, type) accept_quest(name, quest_name, quest_giver, type) update_quest(name, quest_name, stage) complete_quest(name, quest_name)\n` +
-                `• Progression: add_levelxp(name, amount) add_skillxp(name, skill, amount) unlock_newskill(name, skill)\n` +
-                `• Stats: update_attribute(name, attribute, value) update_hp(name, current) update_max_hp(name, max)\n` +
-                `• Combat: deal_damage(source, target, amount)]`
-            );
+                let anyCollected = false;
 
-            Utilities.storyCard.add({
-                title: '[CURRENT SCENE]',
-                type: 'data',
-                entry: defaultText,
-                description: 'Edit this card to customize what appears in the scene block. Use get(params) for dynamic values.',
-                keys: '.,a,b,c,d,e,f,g,h,i,j,k,l,m,n,o,p,q,r,s,t,u,v,w,x,y,z,"'
-            });
+                for (const [key, value] of Object.entries(parsed)) {
+                    const fieldName = keyToFieldMap[key];
+                    if (fieldName && generation.fields[fieldName]) {
+                        const fieldDef = generation.fields[fieldName];
 
-            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created default Current Scene template with player: ${playerName}`);
-            return defaultText;
-        }
+                        // Parse value based on field type
+                        let parsedValue = value;
+                        if (fieldDef.parser && valueParsers[fieldDef.parser]) {
+                            parsedValue = valueParsers[fieldDef.parser](value, fieldDef.options);
+                        }
 
-        function moveCurrentSceneCard(contextText) {
-            // Don't move scene if generation is active
-            for (const [key, entity] of Object.entries(dataCache)) {
-                if (entity?.generationwizard?.state === 'generating') {
-                    // Generation is active, don't modify context
-                    return contextText;
-                }
-            }
+                        // Field validation - run validation function if defined
+                        if (fieldDef.validation) {
+                            let validationResult = true;
+                            let validationMessage = '';
 
-            // Get or create the Current Scene card
-            let sceneCard = Utilities.storyCard.get('[CURRENT SCENE]');
-            if (!sceneCard) {
-                // Create the default scene card
-                createDefaultCurrentScene();
-                sceneCard = Utilities.storyCard.get('[CURRENT SCENE]');
-            }
+                            // Handle different validation types
+                            if (typeof fieldDef.validation === 'string') {
+                                // Built-in validation type
+                                if (fieldDef.validation === 'unique_entity_id') {
+                                    // Check if entity ID already exists
+                                    const entityId = value.replace(/\s+/g, '_');
+                                    const existingEntity = ModuleAPI.get(entityId);
+                                    if (existingEntity && existingEntity.id && existingEntity.id !== activeGen.entityId &&
+                                        (existingEntity.aliases || existingEntity.GameplayTags || existingEntity.components)) {
+                                        validationResult = false;
+                                        validationMessage = `Entity '${value}' already exists`;
+                                    }
+                                } else if (fieldDef.validation === 'direction') {
+                                    if (!BATCH_CONFIG.directions.includes(value.trim().toLowerCase())) {
+                                        validationResult = false;
+                                        validationMessage = `Unknown direction '${value}'`;
+                                    }
+                                }
+                            } else if (typeof fieldDef.validation === 'function') {
+                                // Custom validation function
+                                try {
+                                    validationResult = fieldDef.validation(value, entity, ModuleAPI);
+                                    if (validationResult !== true && typeof validationResult === 'string') {
+                                        validationMessage = validationResult;
+                                        validationResult = false;
+                                    }
+                                } catch (e) {
+                                    console.log(`${MODULE_NAME}: Validation function error: ${e.message}`);
+                                    validationResult = false;
+                                    validationMessage = 'Validation error';
+                                }
+                            }
 
-            // Get the scene content
-            const sceneContent = sceneCard.entry;
-            if (!sceneContent) {
-                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: No scene content to move`);
-                return contextText;
-            }
+                            // If validation failed, track rejection and skip this field
+                            if (!validationResult) {
+                                console.log(`${MODULE_NAME}: Validation failed for ${fieldName}: ${validationMessage}`);
 
-            // Try to find the exact scene content in the context
-            let sceneIndex = contextText.indexOf(sceneContent);
-            let sceneToRemove = sceneContent;
+                                // Track rejected values for debugging and avoiding re-suggestions
+                                const rejectedPath = `${activeGen.entityId}.generationwizard.rejected_${fieldName}`;
+                                let rejectedValues = ModuleAPI.get(rejectedPath) || [];
+                                if (!rejectedValues.includes(value)) {
+                                    rejectedValues.push(value);
+                                    ModuleAPI.set(rejectedPath, rejectedValues);
+                                }
 
-            if (sceneIndex === -1) {
-                // Exact match not found - try to find it by parts
-                const sceneLines = sceneContent.split('\n');
-                const firstLine = sceneLines[0];
-                const lastLine = sceneLines[sceneLines.length - 1];
+                                // Skip storing this field - it will be re-requested
+                                continue;
+                            }
+                        }
 
-                sceneIndex = contextText.indexOf(firstLine);
+                        // Apply to entity using maps_to from blueprint
+                        if (fieldDef.maps_to) {
+                            const success = applyMapsTo(activeGen.entityId, fieldDef.maps_to, parsedValue);
+                            if (!success) {
+                                console.log(`${MODULE_NAME}: Failed to apply ${fieldName} to ${fieldDef.maps_to}`);
+                            }
+                        } else {
+                            if (debug) console.log(`${MODULE_NAME}: No maps_to defined for field ${fieldName}`);
+                        }
 
-                if (sceneIndex === -1) {
-                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Scene not found in context at all`);
-                    return contextText;
+                        // Mark as collected
+                        if (!genComponent.fields_collected) {
+                            genComponent.fields_collected = {};
+                        }
+                        // Store the original value for empty inventory items, not the marker
+                        if (parsedValue && parsedValue._empty === true) {
+                            genComponent.fields_collected[fieldName] = 'None';
+                        } else {
+                            genComponent.fields_collected[fieldName] = parsedValue;
+                        }
+                        anyCollected = true;
+                    }
                 }
 
-                // Find where the scene ends by looking for the last line
-                const endIndex = contextText.indexOf(lastLine, sceneIndex);
-                if (endIndex === -1) {
-                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Scene end not found, cannot move`);
-                    return contextText;
-                }
+                // Save progress
+                if (anyCollected) {
+                    ModuleAPI.save(activeGen.entityId, entity);
 
-                // Extract what's actually in the context
-                sceneToRemove = contextText.substring(sceneIndex, endIndex + lastLine.length);
-            }
+                    // Check if all fields are now collected (expansion already happened in prompt builder)
+                    const stillNeeded = [];
+                    if (generation.fields) {
+                        for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                            // Skip expansion templates and computed fields - they don't need to be collected
+                            if (fieldDef.type === 'expansion' || fieldDef.source === 'computed') continue;
 
-            // Remove the scene from its current position
-            let modifiedContext = contextText.substring(0, sceneIndex) +
-                                 contextText.substring(sceneIndex + sceneToRemove.length);
+                            if (!genComponent.fields_collected[fieldName]) {
+                                stillNeeded.push(fieldName);
+                            }
+                        }
+                    }
 
-            // Clean up excessive newlines only where content was removed
-            modifiedContext = modifiedContext.replace(/\n{4,}/g, '\n\n\n');
+                    if (stillNeeded.length === 0) {
+                        // All fields collected, finalize
+                        if (debug) console.log(`${MODULE_NAME}: All fields collected, finalizing entity`);
+                        finalizeEntity(activeGen.entityId, entity);
+                        return 'completed';
+                    }
+                }
 
-            // Find insertion point by counting sentences from end (non-destructive)
-            // Match sentence endings and track their positions
-            const sentenceEndPattern = /[.!?]\s+/g;
-            const sentenceEndings = [];
-            let match;
-            while ((match = sentenceEndPattern.exec(modifiedContext)) !== null) {
-                sentenceEndings.push(match.index + match[0].length);
+                return anyCollected;
+            } catch (e) {
+                console.log(`${MODULE_NAME}: Error processing response: ${e.message}`);
+                return false;
             }
+        }
 
-            const sentencesFromEnd = 6;
+        // Helper: Process a batch response - every member's fields are parsed from its own section
+        // and the batch is wired together once the last member is finalized
+        function processBatchResponse(responseText, activeGen) {
+            const batch = activeGen.entity.generationwizard.batch;
+            const sections = splitBatchSections(responseText);
+            let anyCollected = false;
 
-            if (sentenceEndings.length <= sentencesFromEnd) {
-                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Not enough sentences (${sentenceEndings.length}), putting scene at start`);
-                return sceneContent + '\n\n' + modifiedContext;
+            for (const member of findBatchMembers(batch.id)) {
+                const section = sections[member.entity.generationwizard.batch.index];
+                if (!isPending(member.entity) || !section) continue;
+                if (processResponse(section, member)) anyCollected = true;
             }
 
-            // Find the character position to insert at (after the Nth sentence from end)
-            const insertPosition = sentenceEndings[sentenceEndings.length - sentencesFromEnd];
-
-            // Insert scene content at position, preserving all original whitespace
-            const beforeText = modifiedContext.substring(0, insertPosition);
-            const afterText = modifiedContext.substring(insertPosition);
+            const members = findBatchMembers(batch.id);
+            if (members.some(member => isPending(member.entity))) {
+                if (debug) console.log(`${MODULE_NAME}: Batch ${batch.id} still waiting for ${members.filter(member => isPending(member.entity)).length} entities`);
+                return anyCollected;
+            }
 
-            const result = beforeText + '\n\n' + sceneContent + '\n\n' + afterText;
+            wireBatch(batch, members);
+            return 'completed';
+        }
 
-            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Positioned Current Scene 6 sentences from end`);
-            return result;
+        // Helper: Split a batch response into { index: text } at its "### ENTITY n" header lines
+        function splitBatchSections(text) {
+            const sections = {};
+            const headers = [...(text || '').matchAll(/^[\s#*]*ENTITY\s+(\d+)\b.*$/gim)];
+            headers.forEach((header, i) => {
+                const end = i + 1 < headers.length ? headers[i + 1].index : text.length;
+                sections[parseInt(header[1], 10)] = text.substring(header.index + header[0].length, end);
+            });
+            return sections;
         }
 
-        // Register context hook to move scene card
-        ModuleAPI.registerHook('context', function(text) {
-            return moveCurrentSceneCard(text);
-        });
-    }
-    //#endregion SceneModule
+        // Helper: Parse fields from response text with multiple strategies
+        function parseFields(text, expectedKeys) {
+            const results = {};
 
-    // ========================================
-    // BlueprintModule - Entity templates
-    // ========================================
-    //#region BlueprintModule
-    {
-        const MODULE_NAME = 'BlueprintModule';
+            if (!text || !expectedKeys || expectedKeys.length === 0) {
+                return results;
+            }
 
-        // Create default blueprints if they don't exist
-        function createDefaultBlueprints() {
-            const blueprints = {
-                Character: {
-                    id: 'Character',
-                    GameplayTags: ['Character'],
-                    components: ['info', 'stats', 'skills', 'attributes', 'inventory', 'relationships', 'display'],
+            // Trim the text to remove leading/trailing whitespace
+            text = text.trim();
 
-                    // Default values for components
-                    info: {
-                        displayname: null,   // The character's display name (username)
-                        realname: null,      // The character's real name (if different from username)
-                        gender: null,
-                        currentLocation: 'Unknown',
-                        description: null,
-                        appearance: null,
-                        personality: null
-                    },
+            // Try different parsing strategies
+            const strategies = ['keyValue', 'json', 'fuzzy'];
 
-                    stats: {
-                        level: { value: 1, xp: { current: 0, max: 500 } },
-                        hp: { current: 100, max: 100 }
-                    },
+            for (const strategy of strategies) {
+                const parsed = parseWithStrategy(text, expectedKeys, strategy);
+                if (Object.keys(parsed).length > 0) {
+                    // Merge results, prioritizing new findings
+                    Object.assign(results, parsed);
+                }
+            }
 
-                    skills: {},  // Skills are added dynamically
+            return results;
+        }
 
-                    attributes: {
-                        STRENGTH: { value: 10 },
-                        AGILITY: { value: 10 },
-                        VITALITY: { value: 10 },
-                        DEXTERITY: { value: 10 }
-                    },
+        // Parse with specific strategy
+        function parseWithStrategy(text, expectedKeys, strategy) {
+            const results = {};
 
-                    inventory: {},  // Items are added dynamically
+            if (debug) {
+                console.log(`${MODULE_NAME}: Trying strategy: ${strategy}`);
+            }
 
-                    relationships: {},  // Relationships are added dynamically
-                    display: {
-                        active: false,  // Will be set to true when generation completes
-                        prefix: "<$# Characters>",
-                        sections: {
-                            header: {
-                                line: "nameline",
-                                priority: 10,
-                                template: "## **{info.displayname}**",
-                                condition: "info.displayname"
-                            },
-                            realname: {
-                                line: "nameline",
-                                priority: 11,
-                                template: "[{info.realname}]",
-                                condition: "info.realname"
-                            },
-                            infoline: {
-                                line: "infoline",
-                                priority: 10,
-                                template: "Gender: {info.gender} | Level: {stats.level.value} ({stats.level.xp.current}/{stats.level.xp.max}) | HP: {stats.hp.current}/{stats.hp.max} | Location: {info.currentLocation}",
-                                condition: "info.gender"
-                            },
-                            attributes: {
-                                line: "section",
-                                priority: 20,
-                                template: "**Attributes**\nVITALITY: {attributes.VITALITY.value} | STRENGTH: {attributes.STRENGTH.value} | DEXTERITY: {attributes.DEXTERITY.value} | AGILITY: {attributes.AGILITY.value}",
-                                condition: "attributes"
-                            },
-                            appearance: {
-                                line: "section",
-                                priority: 30,
-                                template: "**Appearance**\n{info.appearance}",
-                                condition: "info.appearance"
-                            },
-                            personality: {
-                                line: "section",
-                                priority: 40,
-                                template: "**Personality**\n{info.personality}",
-                                condition: "info.personality"
-                            },
-                            background: {
-                                line: "section",
-                                priority: 50,
-                                template: "**Background**\n{info.description}",
-                                condition: "info.description"
-                            },
-                            skills: {
-                                line: "section",
-                                priority: 60,
-                                template: "**Skills**\n{skills.*→ • {*}: Level {*.level} ({*.xp.current}/{*.xp.max} XP)}",
-                                condition: "skills"
-                            },
-                            inventory: {
-                                line: "section",
-                                priority: 70,
-                                template: "**Inventory**\n{inventory.*→ • {*} x{*.quantity}}",
-                                condition: "inventory.*"
-                            },
-                            relationships: {
-                                line: "section",
-                                priority: 80,
-                                template: "**Relationships**\n{relationships.*→ • {*} ({*.value}): {$relFlavor:info.displayname,*.value}}",
-                                condition: "relationships.*"
-                            }
-                        }
-                    },
-                    // Generation wizard configuration (if used)
-                    generationwizard: {
-                        state: "queued",
-                        activeGeneration: "initial",
-                        generations: {
-                            initial: {
-                                blueprint: "Character",
-                                stage: "collecting_fields",
-                                promptTemplate: "embedded",
-                                fields: {
-                                    displayname: {
-                                        maps_to: "*.info.displayname",
-                                        validation: "unique_entity_id",  // Ensure the name is unique
-                                        key: "USERNAME",  // Still use USERNAME in the prompt for characters
-                                        prompt: {
-                                            uncollected: "USERNAME: [Create a unique username/gamertag like SwordMaster2000, DarkKnight92]",
-                                            known: "Username: $(value)",
-                                            priority: 10
-                                        }
-                                    },
-                                    realname: {
-                                        maps_to: "*.info.realname",
-                                        key: "REALNAME",
-                                        prompt: {
-                                            uncollected: "REALNAME: [Their real-world name, if different from username]",
-                                            known: "Real Name: $(value)",
-                                            priority: 15
-                                        }
-                                    },
-                                    gender: {
-                                        maps_to: "*.info.gender",
-                                        key: "GENDER",
-                                        prompt: {
-                                            uncollected: "GENDER: [Male/Female/Other]",
-                                            known: "Gender: $(value)",
-                                            priority: 20
-                                        }
-                                    },
-                                    appearance: {
-                                        maps_to: "*.info.appearance",
-                                        key: "APPEARANCE",
-                                        prompt: {
-                                            uncollected: "APPEARANCE: [Physical characteristics only - height, build, hair, eyes, facial features, distinguishing marks. Do NOT describe clothing or equipment]",
-                                            known: "Appearance: $(value)",
-                                            priority: 40
-                                        }
-                                    },
-                                    description: {
-                                        maps_to: "*.info.description",
-                                        key: "BACKGROUND",
-                                        prompt: {
-                                            uncollected: "BACKGROUND: [Their real-world life - occupation, interests. Do NOT mention SAO or why they joined]",
-                                            known: "Background: $(value)",
-                                            priority: 50
-                                        }
-                                    },
-                                    personality: {
-                                        maps_to: "*.info.personality",
-                                        key: "PERSONALITY",
-                                        prompt: {
-                                            uncollected: "PERSONALITY: [Their personality traits - how they act, think, and interact with others]",
-                                            known: "Personality: $(value)",
-                                            priority: 55
-                                        }
+            switch (strategy) {
+                case 'keyValue':
+                    // Standard KEY: value parsing with multi-line support
+                    const lines = text.split('\n');
+                    let currentKey = null;
+                    let currentValue = [];
+
+                    for (let i = 0; i < lines.length; i++) {
+                        const line = lines[i];
+                        // Check if this line starts with an expected key
+                        let foundKey = null;
+                        for (const key of expectedKeys) {
+                            // Try exact match for this key with multiple patterns
+                            const patterns = [
+                                `^\\s*${key}:\\s*(.*)$`,           // KEY: value (value optional for multi-line)
+                                `^\\s*\\*\\*${key}\\*\\*:\\s*(.*)$`, // **KEY**: value (value optional)
+                                `^\\s*${key}\\s*=\\s*(.*)$`         // KEY = value (value optional)
+                            ];
+
+                            for (const pattern of patterns) {
+                                const regex = new RegExp(pattern, 'i');
+                                const match = line.match(regex);
+                                if (match) {
+                                    // Save previous key-value if exists
+                                    if (currentKey) {
+                                        results[currentKey] = currentValue.join('\n').trim();
                                     }
-                                },
-                                promptTemplate: {
-                                    sectionOrder: ["header", "fields", "footer"],
-                                    sections: {
-                                        header: [
-                                            {
-                                                text: "=== CARDINAL SYSTEM - Character Generation ===",
-                                                priority: 0
-                                            },
-                                            {
-                                                text: "\nThe character \"$(trigger_name)\" was just referenced and needs to be generated.",
-                                                priority: 1,
-                                                condition: "$(trigger_name)"
-                                            },
-                                            {
-                                                text: "\nA new character needs to be generated.",
-                                                priority: 1,
-                                                condition: "!$(trigger_name)"
-                                            },
-                                            {
-                                                text: "\n\n==== REQUIRED INFORMATION ====\nProvide the following details:",
-                                                priority: 10
-                                            }
-                                        ],
-                                        footer: [
-                                            {
-                                                text: "\nBe creative and consistent with the game world.\nRespond ONLY with the requested fields. No narrative or additional text.\nRespond with each field on its own line:\nKEY: value",
-                                                priority: 100
-                                            }
-                                        ]
+                                    // Start new key-value
+                                    foundKey = key;
+                                    currentKey = key;
+                                    const initialValue = match[1] || '';
+                                    currentValue = initialValue ? [initialValue] : [];
+                                    if (debug && !initialValue) {
+                                        console.log(`${MODULE_NAME}: Found key ${key} with no initial value (multi-line expected)`);
                                     }
+                                    break;
                                 }
                             }
+                            if (foundKey) break;
+                        }
+
+                        // If no key found and we're collecting a value, append to current
+                        if (!foundKey && currentKey) {
+                            // Check for multi-line value continuation
+                            // Don't include lines that look like new keys (all caps followed by colon)
+                            if (line.trim() && !line.match(/^\*{0,2}[A-Z][A-Z_]+\*{0,2}[:=]/)) {
+                                currentValue.push(line);
+                            }
                         }
                     }
-                },
 
-                Location: {
-                    GameplayTags: ['Location'],
-                    components: ['info', 'pathways', 'display'],
-                    info: {
-                        displayname: null,
-                        description: null,
-                        type: null,
-                        danger_level: null
-                    },
-                    pathways: {},  // Format: { "north": { destination: "location_id", description: "optional desc" } }
-                    display: {
-                        active: false,  // Will be set to true when generation completes
-                        prefix: "<$# World Map><$## Floor One>",
-                        sections: {
-                            header: {
-                                line: "nameline",
-                                priority: 10,
-                                template: "### **{info.displayname}**",
-                                condition: "info.displayname"
-                            },
-                            type: {
-                                line: "infoline",
-                                priority: 20,
-                                template: "Type: {info.type}",
-                                condition: "info.type"
-                            },
-                            danger: {
-                                line: "infoline",
-                                priority: 30,
-                                template: "Danger: {info.danger_level}",
-                                condition: "info.danger_level"
-                            },
-                            description: {
-                                line: "section",
-                                priority: 10,
-                                template: "{info.description}",
-                                condition: "info.description"
-                            },
-                            pathways: {
-                                line: "section",
-                                priority: 20,
-                                template: "**Paths:**\n{pathways.*→ • {*}: {*.*| {*.destination}}",
-                                condition: "pathways.*"
+                    // Save the last key-value pair
+                    if (currentKey) {
+                        results[currentKey] = currentValue.join('\n').trim();
+                        if (debug && (currentKey === 'OBJECTIVES' || currentKey === 'ITEM_REWARDS')) {
+                            console.log(`${MODULE_NAME}: Collected ${currentKey}: "${results[currentKey].substring(0, 100)}"`);
+                        }
+                    }
+                    break;
+
+                case 'json':
+                    // Try to parse as JSON object
+                    try {
+                        const jsonMatch = text.match(/\{[\s\S]*\}/);
+                        if (jsonMatch) {
+                            const parsed = JSON.parse(jsonMatch[0]);
+                            for (const key of expectedKeys) {
+                                // Check various case variations
+                                const variations = [
+                                    key,
+                                    key.toLowerCase(),
+                                    key.charAt(0).toLowerCase() + key.slice(1)
+                                ];
+                                for (const variant of variations) {
+                                    if (parsed[variant] !== undefined) {
+                                        results[key] = String(parsed[variant]);
+                                        break;
+                                    }
+                                }
                             }
                         }
-                    },
-                    // Generation wizard configuration (if used)
-                    generationwizard: {
-                        state: "queued",
-                        activeGeneration: "initial",
-                        generations: {
-                            initial: {
-                                blueprint: "Location",
-                                stage: "collecting_fields",
-                                promptTemplate: "embedded",
-                                fields: {
-                                    description: {
-                                        maps_to: "*.info.description",
-                                        required: true,
-                                        key: "DESCRIPTION",
-                                        prompt: {
-                                            uncollected: "DESCRIPTION: [Detailed description of the location - what it looks like, sounds, smells, notable features. 2-3 sentences]",
-                                            known: "Description: $(value)",
-                                            priority: 20
-                                        }
-                                    },
-                                    type: {
-                                        maps_to: "*.info.type",
-                                        key: "TYPE",
-                                        prompt: {
-                                            uncollected: "TYPE: [Town/Dungeon/Field/Safe Zone/Boss Room/Shop/etc.]",
-                                            known: "Type: $(value)",
-                                            priority: 40
-                                        }
-                                    },
-                                    danger_level: {
-                                        maps_to: "*.info.danger_level",
-                                        key: "DANGER_LEVEL",
-                                        prompt: {
-                                            uncollected: "DANGER_LEVEL: [Safe/Low/Medium/High/Extreme]",
-                                            known: "Danger Level: $(value)",
-                                            priority: 50
-                                        }
-                                    }
-                                },
-                                promptTemplate: {
-                                    sectionOrder: ["header", "fields", "footer"],
-                                    sections: {
-                                        header: [
-                                            {
-                                                text: "=== LOCATION GENERATION SYSTEM ===",
-                                                priority: 0
-                                            },
-                                            {
-                                                text: "\nThe location \"$(trigger_name)\" needs to be generated for the game world.",
-                                                priority: 1
-                                            },
-                                            {
-                                                text: "\n==== REQUIRED LOCATION DETAILS ====\nProvide the following information:",
-                                                priority: 10
-                                            }
-                                        ],
-                                        footer: [
-                                            {
-                                                text: "\nCreate an immersive and atmospheric location.\nMake it feel alive and interesting to explore.\nRespond ONLY with the requested fields, each on its own line:\nKEY: value",
-                                                priority: 100
-                                            }
-                                        ]
-                                    }
-                                }
-                            }
+                    } catch (e) {
+                        // JSON parsing failed, that's okay
+                    }
+                    break;
+
+                case 'fuzzy':
+                    // Fuzzy matching - look for keys anywhere in the text
+                    for (const key of expectedKeys) {
+                        // Skip if we already have this key from a better strategy
+                        if (results[key]) continue;
+
+                        // Create a more flexible pattern
+                        const fuzzyPattern = new RegExp(
+                            `${key}[:\\s=]+([^\\n]+)`,
+                            'i'
+                        );
+                        const match = text.match(fuzzyPattern);
+                        if (match) {
+                            // Clean up captured value - remove leading markdown asterisks
+                            let value = match[1].trim();
+                            value = value.replace(/^\*+\s*/, '').replace(/\s*\*+$/, '');
+                            results[key] = value;
                         }
                     }
-                },
+                    break;
+            }
 
-                Quest: {
-                    GameplayTags: ['Quest'],
-                    components: ['info', 'quest', 'objectives', 'rewards', 'display'],
-                    info: {
-                        displayname: null,
-                        description: null,
-                        difficulty: null,
-                    },
-                    quest: {
-                        status: 'available',
-                        giver: null,
-                        location: null,
-                        prerequisites: [],
-                        type: null
-                    },
-                    objectives: {},  // Objectives added dynamically
-                    rewards: {},     // Rewards added dynamically
-                    display: {
-                        active: false,  // Will be set to true when generation completes
-                        prefix: "<$# Quests>",
-                        sections: {
-                            header: {
-                                line: "nameline",
-                                priority: 10,
-                                template: "## **{info.displayname}**",
-                                condition: "info.displayname"
-                            },
-                            status: {
-                                line: "infoline",
-                                priority: 10,
-                                template: "Status: {quest.status}",
-                                condition: "quest.status"
-                            },
-                            type: {
-                                line: "infoline",
-                                priority: 11,
-                                template: "Type: {quest.type}",
-                                condition: "quest.type"
-                            },
-                            difficulty: {
-                                line: "infoline",
-                                priority: 15,
-                                template: "Difficulty: {info.difficulty}",
-                                condition: "info.difficulty"
-                            },
-                            giver: {
-                                line: "infoline",
-                                priority: 20,
-                                template: "Giver: {quest.giver}",
-                                condition: "quest.giver"
-                            },
-                            location: {
-                                line: "infoline",
-                                priority: 30,
-                                template: "Location: {quest.location}",
-                                condition: "quest.location"
-                            },
-                            description: {
-                                line: "section",
-                                priority: 10,
-                                template: "{info.description}",
-                                condition: "info.description"
-                            },
-                            objectives: {
-                                line: "section",
-                                priority: 20,
-                                template: "**Objectives:**\n{objectives.*→ • {*.description}}",
-                                condition: "objectives.*"
-                            },
-                            rewards_xp: {
-                                line: "section",
-                                priority: 30,
-                                template: "**Rewards:**\n• Experience: {rewards.xp} XP",
-                                condition: "rewards.xp"
-                            },
-                            rewards_gold: {
-                                line: "section",
-                                priority: 31,
-                                template: "• Gold: {rewards.gold}",
-                                condition: "rewards.gold"
-                            },
-                            rewards_items: {
-                                line: "section",
-                                priority: 32,
-                                template: "{rewards.items.*→ • {*} x{*.quantity}}",
-                                condition: "rewards.items.*"
+            return results;
+        }
+
+        // Helper: Prepare prompt from component
+        function preparePromptFromComponent(entity) {
+            const genComponent = entity.generationwizard;
+            if (!genComponent) return null;
+
+            const activeGenName = genComponent.activeGeneration || 'initial';
+            const generation = genComponent.generations?.[activeGenName];
+            if (!generation) return null;
+
+            // IMPORTANT: Process computed fields and expand templates BEFORE building prompt
+            const collectedFields = genComponent.fields_collected || {};
+
+            // Process computed fields first
+            processComputedFields(generation, collectedFields);
+
+            // Expand template fields based on computed values
+            const expanded = expandFieldTemplates(generation, collectedFields);
+            if (expanded && debug) {
+                console.log(`${MODULE_NAME}: Expanded template fields in prompt builder`);
+            }
+
+            // Build context for variable substitution
+            const context = {
+                trigger_name: genComponent.trigger || entity.info?.trigger_name || entity.info?.displayname || entity.id,
+                currentLocation: entity.info?.currentLocation || 'unknown',
+                entityId: entity.id
+            };
+
+            // Helper to process text with variable substitution
+            function processText(text) {
+                if (!text) return '';
+                // Support both $(variable) and {variable} syntax
+                text = text.replace(/\$\(([^)]+)\)/g, (match, key) => {
+                    return context[key] || match;
+                });
+                text = text.replace(/\{([^}]+)\}/g, (match, key) => {
+                    return context[key] || match;
+                });
+                return text;
+            }
+
+            // Build prompt from sections
+            let prompt = '\n\n';
+
+            // Add prompt template sections if available
+            if (generation.promptTemplate?.sections) {
+                const sections = generation.promptTemplate.sections;
+
+                // Header
+                if (sections.header) {
+                    for (const section of sections.header) {
+                        const sectionText = typeof section === 'string' ? section : (section.text || '');
+                        if (sectionText) {
+                            const processed = processText(sectionText);
+                            prompt += processed + '\n';
+                        }
+                    }
+                }
+
+                // Add a single newline before fields if there was header content
+                if (sections.header && sections.header.length > 0) {
+                    prompt += '\n';
+                }
+
+                // Field requests for uncollected fields
+                const collectedFields = genComponent.fields_collected || {};
+                if (generation.fields) {
+                    for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                        // Skip computed and expansion fields - they're not collected from AI
+                        if (fieldDef.source === 'computed' || fieldDef.type === 'expansion') continue;
+
+                        if (!collectedFields[fieldName]) {
+                            const key = fieldDef.key || fieldName.toUpperCase();
+                            if (fieldDef.prompt && fieldDef.prompt.uncollected) {
+                                prompt += processText(fieldDef.prompt.uncollected) + '\n';
+                            } else {
+                                prompt += `${key}: [Provide ${fieldName}]\n`;
                             }
                         }
-                    },
-                    // Generation wizard configuration (if used)
-                    generationwizard: {
-                        state: "queued",
-                        activeGeneration: "initial",
+                    }
+                }
+
+                // Footer
+                if (sections.footer) {
+                    prompt += '\n';  // Single newline before footer
+                    for (const section of sections.footer) {
+                        const sectionText = typeof section === 'string' ? section : (section.text || '');
+                        if (sectionText) {
+                            const processed = processText(sectionText);
+                            prompt += processed + '\n';
+                        }
+                    }
+                }
+            } else {
+                // Fallback: Simple field listing
+                prompt += 'Generate the following entity details:\n\n';
+                const collectedFields = genComponent.fields_collected || {};
+                if (generation.fields) {
+                    for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                        if (!collectedFields[fieldName]) {
+                            const key = fieldDef.key || fieldName.toUpperCase();
+                            prompt += `${key}: [${fieldDef.description || fieldName}]\n`;
+                        }
+                    }
+                }
+            }
+
+            return prompt;
+        }
+
+        // Helper: Prepare one prompt collecting the fields of every pending batch member
+        function prepareBatchPrompt(batch) {
+            const batchType = BATCH_TYPES[batch.type];
+            const requests = new Map();  // key -> field request, shared by all members
+            const pending = [];
+
+            for (const member of findBatchMembers(batch.id)) {
+                if (!isPending(member.entity)) continue;
+
+                const genComponent = member.entity.generationwizard;
+                const generation = genComponent.generations?.[genComponent.activeGeneration || 'initial'];
+                if (!generation?.fields) continue;
+
+                const collectedFields = genComponent.fields_collected || {};
+                processComputedFields(generation, collectedFields);
+                expandFieldTemplates(generation, collectedFields);
+
+                const keys = [];
+                for (const [fieldName, fieldDef] of Object.entries(generation.fields)) {
+                    if (fieldDef.source === 'computed' || fieldDef.type === 'expansion') continue;
+                    if (collectedFields[fieldName]) continue;
+
+                    const key = fieldDef.key || fieldName.toUpperCase();
+                    keys.push(key);
+                    if (!requests.has(key)) {
+                        requests.set(key, {
+                            text: fieldDef.prompt?.uncollected || `${key}: [Provide ${fieldName}]`,
+                            priority: fieldDef.prompt?.priority ?? 50
+                        });
+                    }
+                }
+                pending.push({ index: genComponent.batch.index, keys });
+            }
+
+            if (pending.length === 0) return null;
+
+            const noun = pending.length === 1 ? batchType.singular : batchType.plural;
+            let prompt = `\n\n=== BATCH GENERATION - ${pending.length} ${noun} ===\n`;
+            prompt += `\nGenerate ${pending.length} ${noun}${batch.group ? ` of "${batch.group}"` : ''} at once. ${batchType.together}\n`;
+
+            prompt += '\n==== REQUIRED INFORMATION FOR EACH ====\n';
+            prompt += [...requests.values()]
+                .sort((a, b) => a.priority - b.priority)
+                .map(request => request.text)
+                .join('\n') + '\n';
+
+            prompt += '\n==== RESPONSE FORMAT ====\nStart each one with its header line, followed by its fields:\n';
+            for (const { index, keys } of pending) {
+                prompt += keys.length < requests.size ? `### ENTITY ${index} (only ${keys.join(', ')})\n` : `### ENTITY ${index}\n`;
+            }
+
+            prompt += '\nMake each one distinct from the others and consistent with the game world.\n' +
+                'Respond ONLY with the requested entities and fields. No narrative or additional text.\n' +
+                'Respond with each field on its own line:\nKEY: value\n';
+            return prompt;
+        }
+
+        // Helper: Finalize entity generation (GREEDY COMPONENT - never remove)
+        function finalizeEntity(entityId, entity = null) {
+            // Use provided entity or reload from storage
+            if (!entity) {
+                entity = ModuleAPI.get(entityId);
+            }
+            if (!entity?.generationwizard) return;
+
+            const genComponent = entity.generationwizard;
+            const activeGen = genComponent.activeGeneration;
+
+            // Delete the completed generation object to save memory (but keep the component)
+            if (activeGen && genComponent.generations?.[activeGen]) {
+                delete genComponent.generations[activeGen];
+            }
+
+            // Set component to dormant state (component persists!)
+            genComponent.state = 'dormant';
+            genComponent.activeGeneration = null;
+
+            // Clean up temporary data that's no longer needed
+            if (genComponent.fields_collected) {
+                delete genComponent.fields_collected;
+            }
+            if (genComponent.trigger) {
+                delete genComponent.trigger;
+            }
+            // Clean up any rejected value tracking
+            for (const key of Object.keys(genComponent)) {
+                if (key.startsWith('rejected_')) {
+                    delete genComponent[key];
+                }
+            }
+
+            // Activate display when generation is complete
+            if (entity.components?.includes('display')) {
+                if (!entity.display) entity.display = {};
+                entity.display.active = true;
+            }
+
+            // Rename entity based on USERNAME (which should be in displayname)
+            const finalName = entity.info?.displayname || entity.aliases?.[0];
+            if (debug) {
+                console.log(`${MODULE_NAME}: Checking rename - displayname: "${entity.info?.displayname}", aliases[0]: "${entity.aliases?.[0]}", finalName: "${finalName}"`);
+            }
+            if (finalName && finalName !== entityId) {
+                // Create renamed entity - use the displayname as-is, no transformation
+                const renamedId = finalName;  // No transformation - use displayname directly
+                if (renamedId !== entityId && !ModuleAPI.get(renamedId)) {
+                    // Copy to new ID
+                    entity.id = renamedId;
+                    ModuleAPI.save(renamedId, entity);
+                    // Delete old ID
+                    ModuleAPI.del(entityId);
+                    console.log(`${MODULE_NAME}: Renamed entity from ${entityId} to ${renamedId}`);
+                    entityId = renamedId;
+                }
+            }
+
+            ModuleAPI.save(entityId, entity);
+            console.log(`${MODULE_NAME}: Completed generation for ${entityId}, component remains dormant`);
+
+            // Check for any queued generators to activate next
+            const queued = findQueuedGenerators();
+            if (queued.length > 0) {
+                console.log(`${MODULE_NAME}: Activating next queued generator: ${queued[0].entityId}`);
+                setGeneratorState(queued[0].entityId, 'generating');
+            }
+        }
+
+        // Helper: Connect the finalized members of a batch - a group of characters knows each other,
+        // locations are reached from the first one and nest inside the group's location
+        function wireBatch(batch, members) {
+            const finished = members.filter(member => member.entity.generationwizard.state === 'dormant');
+            const ids = finished.map(member => member.entity.id);
+
+            if (batch.type === 'npc' && ModuleAPI.changeRelationship) {
+                const reason = batch.group ? `Member of ${batch.group}` : 'Travelling companions';
+                for (const member of finished) {
+                    for (const otherId of ids) {
+                        if (otherId === member.entity.id) continue;
+                        ModuleAPI.changeRelationship(member.entity, otherId.toLowerCase(), BATCH_CONFIG.relationship, reason);
+                    }
+                }
+            } else if (batch.type === 'location') {
+                // A pathway only leads back with a known direction, so members without one stay unconnected
+                const [hub, ...rest] = finished;
+                for (const member of rest) {
+                    const direction = String(member.entity.generationwizard.batch.direction || '').trim().toLowerCase();
+                    if (!hub || !BATCH_CONFIG.directions.includes(direction)) continue;
+                    ModuleAPI.processTool('connect_locations', { location_a: hub.entity.id, location_b: member.entity.id, direction });
+                }
+
+                // The group is a location of its own, with the id gw_batch named the members after
+                if (batch.group) {
+                    const parentId = String(batch.group).replace(/\s+/g, '_').toLowerCase();
+                    if (!ModuleAPI.get(parentId)) console.log(`${MODULE_NAME}: Creating group location ${parentId}`);
+                    for (const id of ids) {
+                        ModuleAPI.processTool('nest_location', { location: id, parent: parentId });
+                    }
+                }
+            }
+
+            for (const member of finished) {
+                delete member.entity.generationwizard.batch;
+                ModuleAPI.save(member.entity.id, member.entity);
+            }
+            console.log(`${MODULE_NAME}: Completed batch ${batch.id}: ${ids.join(', ')}`);
+        }
+
+        // Register tools
+        // XML: <gw_abort/>
+        ModuleAPI.registerTool('gw_abort', function(params) {
+            // Abort any active generation
+            const activeGen = findActiveGenerator();
+            if (activeGen) {
+                // A batch is generated as a whole, so it is aborted as a whole
+                const batch = activeGen.entity.generationwizard.batch;
+                const targets = batch ? findBatchMembers(batch.id).filter(member => isPending(member.entity)) : [activeGen];
+                for (const target of targets) {
+                    setGeneratorState(target.entityId, 'aborted');
+                    console.log(`${MODULE_NAME}: Aborted generation for ${target.entityId}`);
+                }
+                return 'executed';
+            }
+            return 'executed';
+        }, {
+            category: 'Generation',
+            description: 'Abort the active generation',
+            hidden: true,
+            params: []
+        });
+
+        // XML: <gw_status/>
+        ModuleAPI.registerTool('gw_status', function(params) {
+            const activeGen = findActiveGenerator();
+            if (!activeGen) {
+                const queued = findQueuedGenerators();
+                if (queued.length > 0) {
+                    console.log(`${MODULE_NAME}: ${queued.length} entities queued for generation`);
+                } else {
+                    console.log(`${MODULE_NAME}: GenerationWizard is idle`);
+                }
+            } else {
+                console.log(`${MODULE_NAME}: Generating entity: ${activeGen.entityId}`);
+            }
+            return 'executed';
+        }, {
+            category: 'Generation',
+            description: 'Report generation status',
+            hidden: true,
+            params: []
+        });
+
+        // XML: <gw_npc name="Marcus" location="Town_Square"/>
+        ModuleAPI.registerTool('gw_npc', function(params) {
+            const { name, location } = params || {};
+
+            // Generate unique ID - use provided name or create timestamp-based one
+            const displayName = name || `NPC_${Date.now()}`;
+            const characterId = displayName;  // Use displayName as-is, no transformation
+
+            // Check if character already exists
+            if (ModuleAPI.get(characterId)) {
+                console.log(`${MODULE_NAME}: Character ${characterId} already exists`);
+                return 'malformed';
+            }
+
+            // Structure data for blueprint
+            const entityData = {
+                id: characterId,
+                info: {
+                    trigger_name: displayName  // Store the trigger name that caused generation
+                },
+                generationwizard: {
+                    trigger: displayName  // Store original name for prompt context
+                }
+            };
+
+            // Add location - use provided location or player's current location
+            if (location) {
+                entityData.info.currentLocation = location;
+            } else {
+                // Try to get player's current location
+                const player = ModuleAPI.get('player');
+                if (player && player.info && player.info.currentLocation) {
+                    entityData.info.currentLocation = player.info.currentLocation;
+                    console.log(`${MODULE_NAME}: Using player's current location: ${player.info.currentLocation}`);
+                }
+            }
+
+            // Instantiate from Character blueprint
+            const entity = ModuleAPI.instantiateBlueprint('Character', entityData);
+            if (entity) {
+                console.log(`${MODULE_NAME}: Queued NPC generation for: ${characterId}`);
+                return 'executed';
+            }
+            console.log(`${MODULE_NAME}: Failed to instantiate Character blueprint`);
+            return 'malformed';
+        }, {
+            category: 'Generation',
+            description: 'Generate a new NPC',
+            hidden: true,
+            params: [
+                { name: 'name', type: 'string' },
+                { name: 'location', type: 'string', optional: true }
+            ]
+        });
+
+        // XML: <gw_location name="Forest_Clearing" direction="north"/>
+        ModuleAPI.registerTool('gw_location', function(params) {
+            const { name, direction } = params || {};
+
+            // Generate unique ID - use provided name or create timestamp-based one
+            const displayName = name || `Location_${Date.now()}`;
+            const locationId = displayName;  // Use displayName as-is, no transformation
+
+            // Check if location already exists
+            if (ModuleAPI.get(locationId)) {
+                console.log(`${MODULE_NAME}: Location ${locationId} already exists`);
+                return 'malformed';
+            }
+
+            // Structure data for blueprint
+            const entityData = {
+                id: locationId,
+                info: {
+                    displayname: displayName,  // Set the displayname directly
+                    trigger_name: displayName
+                },
+                generationwizard: {
+                    trigger: displayName
+                }
+            };
+
+            // Add connection info if direction provided
+            if (direction) {
+                entityData.pathways = { [direction]: 'pending' };
+            }
+
+            // Instantiate from Location blueprint
+            const entity = ModuleAPI.instantiateBlueprint('Location', entityData);
+            if (entity) {
+                console.log(`${MODULE_NAME}: Queued location generation for: ${locationId}`);
+                return 'executed';
+            }
+            return 'malformed';
+        }, {
+            category: 'Generation',
+            description: 'Generate a new location',
+            hidden: true,
+            params: [
+                { name: 'name', type: 'string' },
+                { name: 'direction', type: 'string', optional: true }
+            ]
+        });
+
+        // XML: <gw_quest name="Missing_Merchant" type="Side"/>
+        ModuleAPI.registerTool('gw_quest', function(params) {
+            const { name, type: typeParam } = params || {};
+
+            // Generate unique ID - use provided name or create timestamp-based one
+            const displayName = name || `Quest_${Date.now()}`;
+            const questId = displayName;  // Use displayName as-is, no transformation
+
+            // Check if quest already exists
+            if (ModuleAPI.get(questId)) {
+                console.log(`${MODULE_NAME}: Quest ${questId} already exists`);
+                return 'malformed';
+            }
+
+            // Determine quest type - code decides, not user
+            let questType = typeParam;
+            if (!questType) {
+                // Randomize quest type with weighted distribution
+                const rand = Math.random();
+                if (rand < 0.05) {
+                    questType = "Story";        // 5% chance - Main story quests
+                } else if (rand < 0.75) {
+                    questType = "Side";         // 70% chance - Side quests
+                } else if (rand < 0.90) {
+                    questType = "Hidden";       // 15% chance - Hidden quests
+                } else {
+                    questType = "Raid";         // 10% chance - Raid quests
+                }
+                if (debug) console.log(`${MODULE_NAME}: Randomized quest type: ${questType}`);
+            }
+
+            // Structure data for blueprint
+            const entityData = {
+                id: questId,
+                quest: {
+                    type: questType
+                },
+                generationwizard: {
+                    trigger: displayName,
+                    fields_collected: {
+                        type: questType  // Mark type as already collected
+                    }
+                }
+            };
+
+            // Instantiate from Quest blueprint
+            const entity = ModuleAPI.instantiateBlueprint('Quest', entityData);
+            if (entity) {
+                console.log(`${MODULE_NAME}: Queued quest generation for: ${questId}`);
+                return 'executed';
+            }
+            return 'malformed';
+        }, {
+            category: 'Generation',
+            description: 'Generate a new quest',
+            hidden: true,
+            params: [
+                { name: 'name', type: 'string' },
+                { name: 'type', type: 'string', optional: true }
+            ]
+        });
+
+        // XML: <gw_batch type="npc" count="4" group="Moonlit_Black_Cats"/>
+        ModuleAPI.registerTool('gw_batch', function(params) {
+            const { type, count, group } = params || {};
+
+            const typeName = String(type || '').toLowerCase().replace(/s$/, '');
+            const batchType = BATCH_TYPES[typeName];
+            const size = parseInt(count, 10);
+            if (!batchType || isNaN(size) || size < 2 || size > BATCH_CONFIG.maxSize) {
+                console.log(`${MODULE_NAME}: Invalid batch request: ${type} x${count}`);
+                return 'malformed';
+            }
+
+            // Placeholder IDs - members are renamed to their generated names on finalize
+            const batchId = `batch_${Date.now()}`;
+            const prefix = group ? String(group).replace(/\s+/g, '_') : `${batchType.prefix}_${Date.now()}`;
+            const entityIds = Array.from({ length: size }, (_, i) => `${prefix}_${i + 1}`);
+            const taken = entityIds.find(entityId => ModuleAPI.get(entityId));
+            if (taken) {
+                console.log(`${MODULE_NAME}: Entity ${taken} already exists`);
+                return 'malformed';
+            }
+
+            const player = ModuleAPI.get('player');
+            for (let i = 0; i < size; i++) {
+                const entityData = {
+                    id: entityIds[i],
+                    generationwizard: {
+                        batch: { id: batchId, index: i + 1, size, type: typeName, group: group || null }
+                    }
+                };
+
+                if (typeName === 'npc') {
+                    entityData.info = { trigger_name: entityIds[i] };
+                    if (player?.info?.currentLocation) {
+                        entityData.info.currentLocation = player.info.currentLocation;
+                    }
+                } else {
+                    // Single locations are named by whatever mentioned them - a batch has to name its own
+                    const fields = {
+                        displayname: {
+                            maps_to: "*.info.displayname",
+                            validation: "unique_entity_id",
+                            key: "NAME",
+                            prompt: {
+                                uncollected: "NAME: [A short, distinct name for this location]",
+                                known: "Name: $(value)",
+                                priority: 10
+                            }
+                        }
+                    };
+
+                    // The others are reached from the first one, so they say which way they lie from it
+                    if (i > 0) {
+                        fields.direction = {
+                            maps_to: "*.generationwizard.batch.direction",
+                            validation: "direction",
+                            key: "DIRECTION",
+                            prompt: {
+                                uncollected: `DIRECTION: [Which way this location lies from ENTITY 1: ${BATCH_CONFIG.directions.join('/')}]`,
+                                known: "Direction from entity 1: $(value)",
+                                priority: 15
+                            }
+                        };
+                    }
+                    entityData.generationwizard.generations = { initial: { fields } };
+                }
+
+                if (!ModuleAPI.instantiateBlueprint(batchType.blueprint, entityData)) {
+                    console.log(`${MODULE_NAME}: Failed to instantiate ${batchType.blueprint} blueprint`);
+                    return 'malformed';
+                }
+            }
+
+            console.log(`${MODULE_NAME}: Queued batch generation of ${size} ${batchType.plural}: ${entityIds.join(', ')}`);
+            return 'executed';
+        }, {
+            category: 'Generation',
+            description: 'Generate a group of NPCs or locations in one go',
+            hidden: true,
+            params: [
+                { name: 'type', type: 'string' },
+                { name: 'count', type: 'number' },
+                { name: 'group', type: 'string', optional: true }
+            ]
+        });
+    }
+    //#endregion GenerationWizardModule
+
+    // ========================================
+    // SceneModule - Current scene card management
+    // ========================================
+    //#region SceneModule
+    {
+        const MODULE_NAME = 'SceneModule';
+
+        function createDefaultCurrentScene() {
+            // Find the first user-controlled entity
+            const userControlled = ModuleAPI.queryTags('UserControlled');
+
+            // Use first user-controlled entity name or default to 'player'
+            let playerName = 'player';
+            if (userControlled && userControlled.length > 0) {
+                playerName = userControlled[0].id.toLowerCase();
+            }
+
+            // The tool list is generated from the registry each turn via get(tools.scene)
+            const defaultText = (
+                `[**Current Scene** Location: get(breadcrumb.${playerName}) get(area.${playerName}) | get(time.formatted) (get(time.period)) | Load: get(${playerName}.carry.status)\n` +
+                `**Available Tools:**\n` +
+                `get(tools.scene)\n` +
+                `  - Directions: north, south, east, west, inside (enter), outside (exit)]`
+            );
+
+            Utilities.storyCard.add({
+                title: '[CURRENT SCENE]',
+                type: 'data',
+                entry: defaultText,
+                description: 'Edit this card to customize what appears in the scene block. Use get(params) for dynamic values.',
+                keys: '.,a,b,c,d,e,f,g,h,i,j,k,l,m,n,o,p,q,r,s,t,u,v,w,x,y,z,"'
+            });
+
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created default Current Scene template with player: ${playerName}`);
+            return defaultText;
+        }
+
+        function getDisplayName(entity) {
+            return entity.info?.displayname || entity.id;
+        }
+
+        // Hidden everywhere with "Hidden", or only at one location with "Hidden.<location_id>"
+        function isHiddenAt(entity, locationId) {
+            return ModuleAPI.hasTagExact(entity, 'Hidden') || ModuleAPI.hasTagExact(entity, `Hidden.${locationId}`);
+        }
+
+        // Who and what shares a location: characters, items on the ground, other entities and exits
+        function getPresence(locationId, viewers) {
+            const location = ModuleAPI.get(locationId);
+            const here = ModuleAPI.queryTags(entity =>
+                String(entity.info?.currentLocation || '').toLowerCase() === locationId &&
+                !viewers.includes(entity) &&
+                !isHiddenAt(entity, locationId)
+            );
+
+            const people = here.filter(entity => ModuleAPI.hasGameplayTag(entity, 'Character')).map(getDisplayName);
+            const items = here.filter(entity => ModuleAPI.hasGameplayTag(entity, 'Item')).map(getDisplayName);
+            const other = here.filter(entity =>
+                !ModuleAPI.hasGameplayTag(entity, 'Character') && !ModuleAPI.hasGameplayTag(entity, 'Item')
+            ).map(getDisplayName);
+
+            // Items dropped into the location's own inventory
+            for (const [item, entry] of Object.entries(location?.inventory || {})) {
+                const quantity = entry?.quantity ?? 1;
+                if (quantity > 0) items.push(quantity > 1 ? `${quantity}x ${item}` : item);
+            }
+
+            const exits = [];
+            for (const [direction, destinations] of Object.entries(location?.pathways || {})) {
+                const list = (Array.isArray(destinations) ? destinations : [destinations])
+                    .map(destination => typeof destination === 'string' ? destination : destination?.destination)
+                    .filter(destination => destination && destination !== 'pending');
+                if (list.length > 0) exits.push(`${direction} -> ${list.join(', ')}`);
+            }
+
+            // Stepping outside leads to the enclosing location unless a pathway says otherwise
+            const parent = location?.location?.parent;
+            if (parent && !['outside', 'out', 'exit'].some(direction => location.pathways?.[direction])) {
+                exits.push(`outside -> ${parent}`);
+            }
+
+            return { location, people, items, other, exits };
+        }
+
+        function renderPresence() {
+            const players = ModuleAPI.queryTags('UserControlled') || [];
+            const locations = [...new Set(players
+                .map(player => String(player.info?.currentLocation || '').toLowerCase())
+                .filter(Boolean))];
+
+            const blocks = [];
+            for (const locationId of locations) {
+                const { location, people, items, other, exits } = getPresence(locationId, players);
+                const lines = [];
+                if (people.length > 0) lines.push(`• People: ${people.join(', ')}`);
+                if (items.length > 0) lines.push(`• Items: ${items.join(', ')}`);
+                if (other.length > 0) lines.push(`• Also here: ${other.join(', ')}`);
+                if (exits.length > 0) lines.push(`• Exits: ${exits.join('; ')}`);
+                if (lines.length === 0) continue;
+
+                const name = location ? getDisplayName(location) : locationId;
+                blocks.push(`[Present here - ${name}:\n${lines.join('\n')}]`);
+            }
+            return blocks.join('\n');
+        }
+
+        function moveCurrentSceneCard(contextText) {
+            // Don't move scene if generation is active
+            for (const [key, entity] of Object.entries(dataCache)) {
+                if (entity?.generationwizard?.state === 'generating') {
+                    // Generation is active, don't modify context
+                    return contextText;
+                }
+            }
+
+            // Get or create the Current Scene card
+            let sceneCard = Utilities.storyCard.get('[CURRENT SCENE]');
+            if (!sceneCard) {
+                // Create the default scene card
+                createDefaultCurrentScene();
+                sceneCard = Utilities.storyCard.get('[CURRENT SCENE]');
+            }
+
+            // Who and what is at the player's location comes from the entities themselves,
+            // so it is shown whether or not the scene card made it into the context
+            const presence = renderPresence();
+
+            // Get the scene content
+            const sceneContent = sceneCard.entry;
+            if (!sceneContent) {
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: No scene content to move`);
+                return presence ? insertNearEnd(contextText, presence, 6) : contextText;
+            }
+
+            // Try to find the exact scene content in the context
+            let sceneIndex = contextText.indexOf(sceneContent);
+            let sceneToRemove = sceneContent;
+
+            if (sceneIndex === -1) {
+                // Exact match not found - try to find it by parts
+                const sceneLines = sceneContent.split('\n');
+                const firstLine = sceneLines[0];
+                const lastLine = sceneLines[sceneLines.length - 1];
+
+                sceneIndex = contextText.indexOf(firstLine);
+
+                if (sceneIndex === -1) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Scene not found in context at all`);
+                    return presence ? insertNearEnd(contextText, presence, 6) : contextText;
+                }
+
+                // Find where the scene ends by looking for the last line
+                const endIndex = contextText.indexOf(lastLine, sceneIndex);
+                if (endIndex === -1) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Scene end not found, cannot move`);
+                    return presence ? insertNearEnd(contextText, presence, 6) : contextText;
+                }
+
+                // Extract what's actually in the context
+                sceneToRemove = contextText.substring(sceneIndex, endIndex + lastLine.length);
+            }
+
+            // Remove the scene from its current position
+            let modifiedContext = contextText.substring(0, sceneIndex) +
+                                 contextText.substring(sceneIndex + sceneToRemove.length);
+
+            // Clean up excessive newlines only where content was removed
+            modifiedContext = modifiedContext.replace(/\n{4,}/g, '\n\n\n');
+
+            // Follow the scene with who and what is at the player's location
+            const result = insertNearEnd(modifiedContext, presence ? `${sceneContent}\n${presence}` : sceneContent, 6);
+
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Positioned Current Scene 6 sentences from end`);
+            return result;
+        }
+
+        // Register context hook to move scene card
+        ModuleAPI.registerHook('context', function(text) {
+            return moveCurrentSceneCard(text);
+        });
+    }
+    //#endregion SceneModule
+
+    // ========================================
+    // BlueprintModule - Entity templates
+    // ========================================
+    //#region BlueprintModule
+    {
+        const MODULE_NAME = 'BlueprintModule';
+
+        // Create default blueprints if they don't exist
+        function createDefaultBlueprints() {
+            const blueprints = {
+                Character: {
+                    id: 'Character',
+                    GameplayTags: ['Character'],
+                    components: ['info', 'stats', 'skills', 'attributes', 'status_effects', 'inventory', 'wallet', 'equipment', 'relationships', 'reputation', 'display'],
+
+                    // Default values for components
+                    info: {
+                        displayname: null,   // The character's display name (username)
+                        realname: null,      // The character's real name (if different from username)
+                        gender: null,
+                        currentLocation: 'Unknown',
+                        description: null,
+                        appearance: null,
+                        personality: null
+                    },
+
+                    stats: {
+                        level: { value: 1, xp: { current: 0, max: 500 } },
+                        hp: { current: 100, max: 100 }
+                    },
+
+                    skills: {},  // Skills are added dynamically
+
+                    attributes: {
+                        STRENGTH: { value: 10 },
+                        AGILITY: { value: 10 },
+                        VITALITY: { value: 10 },
+                        DEXTERITY: { value: 10 }
+                    },
+
+                    status_effects: {},  // Conditions are added by apply_effect
+
+                    inventory: {},  // Items are added dynamically
+
+                    wallet: {},  // Currency -> { amount }
+
+                    equipment: {},  // Slots are filled by equip_item
+
+                    relationships: {},  // Relationships are added dynamically
+
+                    reputation: {},  // Faction -> { value, standing }, changed by update_reputation
+                    display: {
+                        active: false,  // Will be set to true when generation completes
+                        prefix: "<$# Characters>",
+                        sections: {
+                            header: {
+                                line: "nameline",
+                                priority: 10,
+                                template: "## **{info.displayname}**",
+                                condition: "info.displayname"
+                            },
+                            realname: {
+                                line: "nameline",
+                                priority: 11,
+                                template: "[{info.realname}]",
+                                condition: "info.realname"
+                            },
+                            infoline: {
+                                line: "infoline",
+                                priority: 10,
+                                template: "Gender: {info.gender} | Level: {stats.level.value} ({stats.level.xp.current}/{stats.level.xp.max}) | HP: {stats.hp.current}/{stats.hp.max} | Location: {info.currentLocation}",
+                                condition: "info.gender"
+                            },
+                            lifestate: {
+                                line: "infoline",
+                                priority: 11,
+                                template: "State: {stats.hp.state}",
+                                condition: "stats.hp.state"
+                            },
+                            attributes: {
+                                line: "section",
+                                priority: 20,
+                                template: "**Attributes**\nVITALITY: {attributes.VITALITY.value} | STRENGTH: {attributes.STRENGTH.value} | DEXTERITY: {attributes.DEXTERITY.value} | AGILITY: {attributes.AGILITY.value}",
+                                condition: "attributes"
+                            },
+                            appearance: {
+                                line: "section",
+                                priority: 30,
+                                template: "**Appearance**\n{info.appearance}",
+                                condition: "info.appearance"
+                            },
+                            personality: {
+                                line: "section",
+                                priority: 40,
+                                template: "**Personality**\n{info.personality}",
+                                condition: "info.personality"
+                            },
+                            background: {
+                                line: "section",
+                                priority: 50,
+                                template: "**Background**\n{info.description}",
+                                condition: "info.description"
+                            },
+                            skills: {
+                                line: "section",
+                                priority: 60,
+                                template: "**Skills**\n{skills.*→ • {*}: Level {*.level} ({*.xp.current}/{*.xp.max} XP)}",
+                                condition: "skills"
+                            },
+                            status_effects: {
+                                line: "section",
+                                priority: 65,
+                                template: "**Status Effects**\n{status_effects.*→ • {*}: {*.description}}",
+                                condition: "status_effects.*"
+                            },
+                            inventory: {
+                                line: "section",
+                                priority: 70,
+                                template: "**Inventory**\n{inventory.*→ • {*} x{*.quantity}}",
+                                condition: "inventory.*"
+                            },
+                            carry: {
+                                line: "infoline",
+                                priority: 12,
+                                template: "Carrying: {carry.load}/{carry.capacity} ({carry.status})",
+                                condition: "carry"
+                            },
+                            wallet: {
+                                line: "section",
+                                priority: 72,
+                                template: "**Wallet**: {wallet.*| {*.amount} {*}}",
+                                condition: "wallet.*"
+                            },
+                            equipment: {
+                                line: "section",
+                                priority: 75,
+                                template: "**Equipment** (Armor: {effective.armor} | Weapon: +{effective.damage})\n{equipment.*→ • {*}: {*.item}}",
+                                condition: "equipment.*"
+                            },
+                            relationships: {
+                                line: "section",
+                                priority: 80,
+                                template: "**Relationships**\n{relationships.*→ • {*} ({*.value}): {$relFlavor:info.displayname,*.value}{$relMemories}}",
+                                condition: "relationships.*"
+                            },
+                            reputation: {
+                                line: "section",
+                                priority: 85,
+                                template: "**Reputation**\n{reputation.*→ • {*} ({*.value}): {*.standing}}",
+                                condition: "reputation.*"
+                            }
+                        }
+                    },
+                    // Generation wizard configuration (if used)
+                    generationwizard: {
+                        state: "queued",
+                        activeGeneration: "initial",
+                        generations: {
+                            initial: {
+                                blueprint: "Character",
+                                stage: "collecting_fields",
+                                promptTemplate: "embedded",
+                                fields: {
+                                    displayname: {
+                                        maps_to: "*.info.displayname",
+                                        validation: "unique_entity_id",  // Ensure the name is unique
+                                        key: "USERNAME",  // Still use USERNAME in the prompt for characters
+                                        prompt: {
+                                            uncollected: "USERNAME: [Create a unique username/gamertag like SwordMaster2000, DarkKnight92]",
+                                            known: "Username: $(value)",
+                                            priority: 10
+                                        }
+                                    },
+                                    realname: {
+                                        maps_to: "*.info.realname",
+                                        key: "REALNAME",
+                                        prompt: {
+                                            uncollected: "REALNAME: [Their real-world name, if different from username]",
+                                            known: "Real Name: $(value)",
+                                            priority: 15
+                                        }
+                                    },
+                                    gender: {
+                                        maps_to: "*.info.gender",
+                                        key: "GENDER",
+                                        prompt: {
+                                            uncollected: "GENDER: [Male/Female/Other]",
+                                            known: "Gender: $(value)",
+                                            priority: 20
+                                        }
+                                    },
+                                    appearance: {
+                                        maps_to: "*.info.appearance",
+                                        key: "APPEARANCE",
+                                        prompt: {
+                                            uncollected: "APPEARANCE: [Physical characteristics only - height, build, hair, eyes, facial features, distinguishing marks. Do NOT describe clothing or equipment]",
+                                            known: "Appearance: $(value)",
+                                            priority: 40
+                                        }
+                                    },
+                                    description: {
+                                        maps_to: "*.info.description",
+                                        key: "BACKGROUND",
+                                        prompt: {
+                                            uncollected: "BACKGROUND: [Their real-world life - occupation, interests. Do NOT mention SAO or why they joined]",
+                                            known: "Background: $(value)",
+                                            priority: 50
+                                        }
+                                    },
+                                    personality: {
+                                        maps_to: "*.info.personality",
+                                        key: "PERSONALITY",
+                                        prompt: {
+                                            uncollected: "PERSONALITY: [Their personality traits - how they act, think, and interact with others]",
+                                            known: "Personality: $(value)",
+                                            priority: 55
+                                        }
+                                    }
+                                },
+                                promptTemplate: {
+                                    sectionOrder: ["header", "fields", "footer"],
+                                    sections: {
+                                        header: [
+                                            {
+                                                text: "=== CARDINAL SYSTEM - Character Generation ===",
+                                                priority: 0
+                                            },
+                                            {
+                                                text: "\nThe character \"$(trigger_name)\" was just referenced and needs to be generated.",
+                                                priority: 1,
+                                                condition: "$(trigger_name)"
+                                            },
+                                            {
+                                                text: "\nA new character needs to be generated.",
+                                                priority: 1,
+                                                condition: "!$(trigger_name)"
+                                            },
+                                            {
+                                                text: "\n\n==== REQUIRED INFORMATION ====\nProvide the following details:",
+                                                priority: 10
+                                            }
+                                        ],
+                                        footer: [
+                                            {
+                                                text: "\nBe creative and consistent with the game world.\nRespond ONLY with the requested fields. No narrative or additional text.\nRespond with each field on its own line:\nKEY: value",
+                                                priority: 100
+                                            }
+                                        ]
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+
+                Location: {
+                    GameplayTags: ['Location'],
+                    components: ['info', 'location', 'pathways', 'display'],
+                    info: {
+                        displayname: null,
+                        description: null,
+                        type: null,
+                        danger_level: null
+                    },
+                    pathways: {},  // Format: { "north": { destination: "location_id", description: "optional desc" } }
+                    display: {
+                        active: false,  // Will be set to true when generation completes
+                        prefix: "<$# World Map><$## Floor One>",
+                        sections: {
+                            header: {
+                                line: "nameline",
+                                priority: 10,
+                                template: "### **{info.displayname}**",
+                                condition: "info.displayname"
+                            },
+                            type: {
+                                line: "infoline",
+                                priority: 20,
+                                template: "Type: {info.type}",
+                                condition: "info.type"
+                            },
+                            danger: {
+                                line: "infoline",
+                                priority: 30,
+                                template: "Danger: {info.danger_level}",
+                                condition: "info.danger_level"
+                            },
+                            parent: {
+                                line: "infoline",
+                                priority: 40,
+                                template: "Inside: {location.parent}",
+                                condition: "location.parent"
+                            },
+                            description: {
+                                line: "section",
+                                priority: 10,
+                                template: "{info.description}",
+                                condition: "info.description"
+                            },
+                            pathways: {
+                                line: "section",
+                                priority: 20,
+                                template: "**Paths:**\n{pathways.*→ • {*}: {*.*| {*.destination}}",
+                                condition: "pathways.*"
+                            }
+                        }
+                    },
+                    // Generation wizard configuration (if used)
+                    generationwizard: {
+                        state: "queued",
+                        activeGeneration: "initial",
+                        generations: {
+                            initial: {
+                                blueprint: "Location",
+                                stage: "collecting_fields",
+                                promptTemplate: "embedded",
+                                fields: {
+                                    description: {
+                                        maps_to: "*.info.description",
+                                        required: true,
+                                        key: "DESCRIPTION",
+                                        prompt: {
+                                            uncollected: "DESCRIPTION: [Detailed description of the location - what it looks like, sounds, smells, notable features. 2-3 sentences]",
+                                            known: "Description: $(value)",
+                                            priority: 20
+                                        }
+                                    },
+                                    type: {
+                                        maps_to: "*.info.type",
+                                        key: "TYPE",
+                                        prompt: {
+                                            uncollected: "TYPE: [Town/Dungeon/Field/Safe Zone/Boss Room/Shop/etc.]",
+                                            known: "Type: $(value)",
+                                            priority: 40
+                                        }
+                                    },
+                                    danger_level: {
+                                        maps_to: "*.info.danger_level",
+                                        key: "DANGER_LEVEL",
+                                        prompt: {
+                                            uncollected: "DANGER_LEVEL: [Safe/Low/Medium/High/Extreme]",
+                                            known: "Danger Level: $(value)",
+                                            priority: 50
+                                        }
+                                    }
+                                },
+                                promptTemplate: {
+                                    sectionOrder: ["header", "fields", "footer"],
+                                    sections: {
+                                        header: [
+                                            {
+                                                text: "=== LOCATION GENERATION SYSTEM ===",
+                                                priority: 0
+                                            },
+                                            {
+                                                text: "\nThe location \"$(trigger_name)\" needs to be generated for the game world.",
+                                                priority: 1
+                                            },
+                                            {
+                                                text: "\n==== REQUIRED LOCATION DETAILS ====\nProvide the following information:",
+                                                priority: 10
+                                            }
+                                        ],
+                                        footer: [
+                                            {
+                                                text: "\nCreate an immersive and atmospheric location.\nMake it feel alive and interesting to explore.\nRespond ONLY with the requested fields, each on its own line:\nKEY: value",
+                                                priority: 100
+                                            }
+                                        ]
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+
+                Quest: {
+                    GameplayTags: ['Quest'],
+                    components: ['info', 'quest', 'objectives', 'rewards', 'display'],
+                    info: {
+                        displayname: null,
+                        description: null,
+                        difficulty: null,
+                    },
+                    quest: {
+                        status: 'available',
+                        giver: null,
+                        location: null,
+                        prerequisites: [],
+                        type: null
+                    },
+                    objectives: {},  // Objectives added dynamically
+                    rewards: {},     // Rewards added dynamically
+                    display: {
+                        active: false,  // Will be set to true when generation completes
+                        prefix: "<$# Quests>",
+                        sections: {
+                            header: {
+                                line: "nameline",
+                                priority: 10,
+                                template: "## **{info.displayname}**",
+                                condition: "info.displayname"
+                            },
+                            status: {
+                                line: "infoline",
+                                priority: 10,
+                                template: "Status: {quest.status}",
+                                condition: "quest.status"
+                            },
+                            type: {
+                                line: "infoline",
+                                priority: 11,
+                                template: "Type: {quest.type}",
+                                condition: "quest.type"
+                            },
+                            difficulty: {
+                                line: "infoline",
+                                priority: 15,
+                                template: "Difficulty: {info.difficulty}",
+                                condition: "info.difficulty"
+                            },
+                            giver: {
+                                line: "infoline",
+                                priority: 20,
+                                template: "Giver: {quest.giver}",
+                                condition: "quest.giver"
+                            },
+                            location: {
+                                line: "infoline",
+                                priority: 30,
+                                template: "Location: {quest.location}",
+                                condition: "quest.location"
+                            },
+                            description: {
+                                line: "section",
+                                priority: 10,
+                                template: "{info.description}",
+                                condition: "info.description"
+                            },
+                            objectives: {
+                                line: "section",
+                                priority: 20,
+                                template: "**Objectives:**\n{objectives.*→ • {*.description}}",
+                                condition: "objectives.*"
+                            },
+                            rewards_xp: {
+                                line: "section",
+                                priority: 30,
+                                template: "**Rewards:**\n• Experience: {rewards.xp} XP",
+                                condition: "rewards.xp"
+                            },
+                            rewards_gold: {
+                                line: "section",
+                                priority: 31,
+                                template: "• Gold: {rewards.gold}",
+                                condition: "rewards.gold"
+                            },
+                            rewards_items: {
+                                line: "section",
+                                priority: 32,
+                                template: "{rewards.items.*→ • {*} x{*.quantity}}",
+                                condition: "rewards.items.*"
+                            }
+                        }
+                    },
+                    // Generation wizard configuration (if used)
+                    generationwizard: {
+                        state: "queued",
+                        activeGeneration: "initial",
                         generations: {
                             initial: {
                                 blueprint: "Quest",
@@ -3947,326 +5539,1906 @@ function SANE(hook, text) {
                 }
             };
 
-            // Create blueprint cards if they don't exist
-            for (const [name, blueprint] of Object.entries(blueprints)) {
-                const cardTitle = `[SANE:BP] ${name}`;
-                if (!Utilities?.storyCard?.get(cardTitle)) {
-                    Utilities?.storyCard?.upsert({
-                        title: cardTitle,
-                        value: `# ${name} Blueprint\nTemplate for creating ${name} entities`,
-                        description: JSON.stringify(blueprint, null, 2),
-                        type: 'blueprint'
-                    });
-                }
+            // Create blueprint cards if they don't exist
+            for (const [name, blueprint] of Object.entries(blueprints)) {
+                const cardTitle = `[SANE:BP] ${name}`;
+                if (!Utilities?.storyCard?.get(cardTitle)) {
+                    Utilities?.storyCard?.upsert({
+                        title: cardTitle,
+                        value: `# ${name} Blueprint\nTemplate for creating ${name} entities`,
+                        description: JSON.stringify(blueprint, null, 2),
+                        type: 'blueprint'
+                    });
+                }
+            }
+        }
+
+        // Register blueprint tools
+        // XML: <create_blueprint name="Vehicle"/>
+        ModuleAPI.registerTool('create_blueprint', function(params) {
+            const { name } = params || {};
+            if (!name) return 'malformed';
+
+            // Blueprint creation would be more complex in practice
+            // This is a simplified version
+            const blueprint = {
+                GameplayTags: [name],
+                components: ['info'],
+                info: {
+                    name: null,
+                    description: null
+                }
+            };
+
+            Utilities?.storyCard?.upsert({
+                title: `[SANE:BP] ${name}`,
+                value: `# ${name} Blueprint\nCustom blueprint`,
+                description: JSON.stringify(blueprint, null, 2),
+                type: 'blueprint'
+            });
+
+            debugLog('blueprint', `Created custom ${name} blueprint`);
+            return 'executed';
+        }, {
+            category: 'Blueprint',
+            description: 'Create a blueprint card',
+            hidden: true,
+            params: [
+                { name: 'name', type: 'string' }
+            ]
+        });
+
+        // XML: <list_blueprints/>
+        ModuleAPI.registerTool('list_blueprints', function(params) {
+            const blueprints = [];
+            // Would need to iterate story cards to find all [SANE:BP] cards
+            // For now, list the default ones
+            blueprints.push('Character', 'Location', 'Quest', 'Item');
+            debugLog('blueprint', `Available blueprints: ${blueprints.join(', ')}`);
+            return 'executed';
+        }, {
+            category: 'Blueprint',
+            description: 'List blueprint cards',
+            hidden: true,
+            params: []
+        });
+
+        // Create defaults on init
+        createDefaultBlueprints();
+
+    }
+    //#endregion BlueprintModule
+
+    // ========================================
+    // CoreComponentsModule - Core schemas
+    // ========================================
+    //#region CoreComponentsModule
+    {
+        const MODULE_NAME = 'CoreComponentsModule';
+
+        // Define core component schemas (no display rules - those belong in entity display components)
+        const coreSchemas = [
+            {
+                name: 'info',
+                schema: {
+                    id: 'info',
+                    defaults: {
+                        name: null,
+                        description: null,
+                        currentLocation: null
+                    }
+                }
+            },
+            {
+                name: 'display',
+                schema: {
+                    id: 'display',
+                    defaults: {
+                        active: true,
+                        // Display component contains all formatting for the entity
+                        // Structure: display.componentName = [{ line, priority, format, condition }]
+                        // Example: display.info = [{ line: 'section', priority: 10, format: '**Description**\n{info.description}' }]
+                        separators: {
+                            nameline: ' ',
+                            infoline: ' | ',
+                            section: '\n\n',
+                            footer: '\n'
+                        },
+                        order: ['prefixline', 'nameline', 'infoline', 'section', 'footer']
+                    }
+                }
+            }
+        ];
+
+        // Create [SANE:S] cards for core schemas if they don't exist
+        for (const { name, schema } of coreSchemas) {
+            const existingCard = Utilities.storyCard.get(`[SANE:S] ${name}`);
+            if (!existingCard) {
+                Utilities.storyCard.upsert({
+                    title: `[SANE:S] ${name}`,
+                    value: `# ${name.charAt(0).toUpperCase() + name.slice(1)} Component Schema`,
+                    description: JSON.stringify(schema, null, 2),
+                    type: 'data'
+                });
+                if (debug) console.log(`${MODULE_NAME}: Created [SANE:S] ${name} Story Card`);
+            }
+
+            // Register the schema
+            ModuleAPI.registerSchema(name, schema);
+        }
+    }
+    //#endregion CoreComponentsModule
+
+    // ========================================
+    // CombatModule - Combat system
+    // ========================================
+    //#region CombatModule
+    {
+        const MODULE_NAME = 'CombatModule';
+
+        // Entities with these tags are downed rather than killed at 0 HP
+        // (override with stats schema: hp_states.downed_tags)
+        const DEFAULT_DOWNED_TAGS = ['UserControlled'];
+
+        function getDownedTags() {
+            return ModuleAPI.schemas.stats?.hp_states?.downed_tags || DEFAULT_DOWNED_TAGS;
+        }
+
+        // Keep stats.hp.state in step with current HP:
+        // 0 HP -> 'downed' or 'dead'; a downed entity back above 0 is up again.
+        // Dead stays dead until HP is set directly (update_health)
+        function updateLifeState(entity) {
+            const hp = entity.stats.hp;
+            if (hp.current <= 0) {
+                if (hp.state !== 'dead') {
+                    hp.state = ModuleAPI.hasAnyTag(entity, getDownedTags()) ? 'downed' : 'dead';
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${entity.id} is ${hp.state}`);
+                }
+            } else if (hp.state === 'downed') {
+                delete hp.state;
+            }
+        }
+
+        // Set current HP (clamped to 0..max) and update the life state
+        function setCurrentHp(entity, value) {
+            const hp = entity.stats.hp;
+            const oldHp = hp.current;
+            hp.current = Math.max(0, Math.min(hp.max, Math.round(value)));
+            updateLifeState(entity);
+            return oldHp;
+        }
+
+        // Temporary max HP buffs live in stats.hp.buffs as { amount, expires }.
+        // Whether a buff is applied is derived from the turn, so a retry or rewind to an
+        // earlier turn re-applies a buff that had already run out
+        function syncHpBuffs(entity, turn) {
+            const hp = entity.stats?.hp;
+            if (!hp || !Array.isArray(hp.buffs) || hp.buffs.length === 0) return false;
+
+            let changed = false;
+            for (const buff of hp.buffs) {
+                const active = turn < buff.expires;
+                if (active === !!buff.applied) continue;
+
+                hp.max = Math.max(1, hp.max + (active ? buff.amount : -buff.amount));
+                buff.applied = active;
+                changed = true;
+            }
+
+            // Forget buffs that ran out longer ago than we can rewind
+            hp.buffs = hp.buffs.filter(buff => buff.applied || turn - buff.expires < MODULE_CONFIG.maxRewind);
+            if (hp.buffs.length === 0) delete hp.buffs;
+
+            if (changed) {
+                hp.current = Math.min(hp.current, hp.max);
+                updateLifeState(entity);
+            }
+            return changed;
+        }
+
+        function getHpEntity(entityName, toolName) {
+            const entity = toolHelpers.getEntityOrTrack(entityName, toolName);
+            if (!entity || !entity.stats || !entity.stats.hp) return null;
+            return entity;
+        }
+
+        ModuleAPI.registerAPI('setCurrentHp', setCurrentHp);
+
+        // Combat tools
+        // XML: <deal_damage source="Kirito" target="Wolf_01" amount="45"/>
+        ModuleAPI.registerTool('deal_damage', toolHelpers.createTool('deal_damage', ['target', 'amount'], (params) => {
+            const { source: sourceName, target: targetName, amount } = params;
+
+            const target = getHpEntity(targetName, 'deal_damage');
+            if (!target) return 'executed';
+
+            const baseDamage = validators.requirePositiveNumber(amount);
+            if (!baseDamage) {
+                if (MODULE_CONFIG.debug) console.log(`[deal_damage]: Invalid damage: ${amount}`);
+                return 'malformed';
+            }
+
+            // Equipped weapons add damage and armor soaks it, but a hit always does at least 1
+            const source = sourceName ? ModuleAPI.get(validators.normalizeString(sourceName)) : null;
+            const weaponBonus = source?.effective?.damage || 0;
+            const armor = target.effective?.armor || 0;
+            const dmg = Math.max(1, baseDamage + weaponBonus - armor);
+
+            const oldHp = setCurrentHp(target, target.stats.hp.current - dmg);
+
+            ModuleAPI.save(targetName, target);
+            if (MODULE_CONFIG.debug) console.log(`[deal_damage]: ${targetName} took ${dmg} damage (${oldHp} → ${target.stats.hp.current})`);
+
+            return 'executed';
+        }), {
+            category: 'Combat',
+            description: 'ALL combat damage (handles health automatically)',
+            when: 'Character takes damage',
+            examples: ["The boar deal_damage(boar, bob, 8) gores your leg."],
+            params: [
+                { name: 'source', type: 'entity', optional: true },
+                { name: 'target', type: 'entity' },
+                { name: 'amount', type: 'number' }
+            ]
+        });
+
+        // XML: <heal name="Kirito" amount="20"/>
+        ModuleAPI.registerTool('heal', toolHelpers.createTool('heal', ['name', 'amount'], (params) => {
+            const { name, amount } = params;
+
+            const entity = getHpEntity(name, 'heal');
+            if (!entity) return 'executed';
+
+            const healing = validators.requirePositiveNumber(amount);
+            if (!healing) {
+                if (MODULE_CONFIG.debug) console.log(`[heal]: Invalid amount: ${amount}`);
+                return 'malformed';
+            }
+
+            // Healing can't bring back the dead
+            if (entity.stats.hp.state === 'dead') {
+                if (MODULE_CONFIG.debug) console.log(`[heal]: ${name} is dead and can't be healed`);
+                return 'permitted';
+            }
+
+            const oldHp = setCurrentHp(entity, entity.stats.hp.current + healing);
+
+            ModuleAPI.save(name, entity);
+            if (MODULE_CONFIG.debug) console.log(`[heal]: ${name} healed ${healing} (${oldHp} → ${entity.stats.hp.current})`);
+
+            return 'executed';
+        }), {
+            category: 'Health',
+            description: 'Restore HP (potions, spells, first aid)',
+            when: 'Character heals',
+            examples: ["Bob drinks the potion heal(bob, 25) and the wound closes."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'amount', type: 'number' }
+            ]
+        });
+
+        // XML: <update_health name="Kirito" current="100"/>
+        ModuleAPI.registerTool('update_health', toolHelpers.createTool('update_health', ['name', 'current'], (params) => {
+            const { name, current } = params;
+
+            const entity = getHpEntity(name, 'update_health');
+            if (!entity) return 'executed';
+
+            const value = validators.parseNumber(current, false);
+            if (value === null) {
+                if (MODULE_CONFIG.debug) console.log(`[update_health]: Invalid HP: ${current}`);
+                return 'malformed';
+            }
+
+            // Setting HP directly is authoritative, so it also revives the dead
+            if (value > 0) delete entity.stats.hp.state;
+            const oldHp = setCurrentHp(entity, value);
+
+            ModuleAPI.save(name, entity);
+            if (MODULE_CONFIG.debug) console.log(`[update_health]: ${name} HP set (${oldHp} → ${entity.stats.hp.current})`);
+
+            return 'executed';
+        }), {
+            category: 'Health',
+            description: 'Set current HP (full rest, revival)',
+            when: 'Character fully recovers',
+            aliases: ['update_hp'],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'current', type: 'number' }
+            ]
+        });
+
+        // XML: <update_max_health name="Kirito" max="120" turns="5"/>
+        ModuleAPI.registerTool('update_max_health', toolHelpers.createTool('update_max_health', ['name', 'max'], (params) => {
+            const { name, max, turns } = params;
+
+            const entity = getHpEntity(name, 'update_max_health');
+            if (!entity) return 'executed';
+
+            const newMax = validators.requirePositiveNumber(max);
+            if (!newMax) {
+                if (MODULE_CONFIG.debug) console.log(`[update_max_health]: Invalid max HP: ${max}`);
+                return 'malformed';
+            }
+
+            const hp = entity.stats.hp;
+            const oldMax = hp.max;
+
+            if (turns !== undefined && turns !== '') {
+                // Temporary: record the difference as a buff that runs out after N turns
+                const duration = validators.requirePositiveNumber(turns);
+                if (!duration) {
+                    if (MODULE_CONFIG.debug) console.log(`[update_max_health]: Invalid duration: ${turns}`);
+                    return 'malformed';
+                }
+                if (!hp.buffs) hp.buffs = [];
+                hp.buffs.push({ amount: newMax - oldMax, expires: getCurrentTurn() + duration, applied: true });
+
+                // Remember who has buffs so the output hook can find them when they aren't loaded
+                const buffed = ModuleAPI.get('Global.hpBuffed') || [];
+                if (!buffed.includes(name)) ModuleAPI.set('Global.hpBuffed', [...buffed, name]);
+            }
+
+            hp.max = newMax;
+            // A buff raises current HP along with the max; a reduction only clamps it
+            setCurrentHp(entity, newMax > oldMax ? hp.current + (newMax - oldMax) : hp.current);
+
+            ModuleAPI.save(name, entity);
+            if (MODULE_CONFIG.debug) console.log(`[update_max_health]: ${name} max HP ${oldMax} → ${newMax}${turns ? ` for ${turns} turns` : ''}`);
+
+            return 'executed';
+        }), {
+            category: 'Health',
+            description: 'Set max HP; with turns it is a temporary buff',
+            when: 'Max HP is buffed or reduced',
+            aliases: ['update_max_hp'],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'max', type: 'number' },
+                { name: 'turns', type: 'number', optional: true }
+            ]
+        });
+
+        // Every HP tool is rewound by restoring the whole hp block (current, max, buffs, state)
+        function hpRewindStrategy(paramName) {
+            return {
+                type: 'stateful',
+                captureState: function(params) {
+                    const entity = ModuleAPI.get(params[paramName]);
+
+                    if (entity && entity.stats && entity.stats.hp) {
+                        return { hp: JSON.stringify(entity.stats.hp) };
+                    }
+                    return {};
+                },
+                restoreState: function(params, state) {
+                    const entityName = params[paramName];
+                    const entity = ModuleAPI.get(entityName);
+                    if (!entity || !entity.stats || !entity.stats.hp) return;
+
+                    if (state.hp) {
+                        entity.stats.hp = JSON.parse(state.hp);
+                    } else if (state.oldHp !== undefined) {
+                        // Entries recorded before the hp snapshot only stored current HP
+                        entity.stats.hp.current = state.oldHp;
+                    } else {
+                        return;
+                    }
+                    ModuleAPI.save(entityName, entity);
+                }
+            };
+        }
+
+        // Register rewindable strategies for combat tools
+        ModuleAPI.registerRewindable('deal_damage', hpRewindStrategy('target'));
+        ModuleAPI.registerRewindable('heal', hpRewindStrategy('name'));
+        ModuleAPI.registerRewindable('update_health', hpRewindStrategy('name'));
+        ModuleAPI.registerRewindable('update_hp', hpRewindStrategy('name'));
+        ModuleAPI.registerRewindable('update_max_health', hpRewindStrategy('name'));
+        ModuleAPI.registerRewindable('update_max_hp', hpRewindStrategy('name'));
+
+        // Apply or expire temporary max HP buffs once per output
+        ModuleAPI.registerHook('output', function(text) {
+            const buffed = ModuleAPI.get('Global.hpBuffed');
+            if (!Array.isArray(buffed) || buffed.length === 0) return;
+
+            const turn = getCurrentTurn();
+            const remaining = buffed.filter(name => {
+                const entity = ModuleAPI.get(name);
+                if (!entity) return false;
+                if (syncHpBuffs(entity, turn)) ModuleAPI.save(name, entity);
+                return Array.isArray(entity.stats?.hp?.buffs);
+            });
+
+            if (remaining.length !== buffed.length) ModuleAPI.set('Global.hpBuffed', remaining);
+        });
+
+        ModuleAPI.debugLog('module', 'CombatModule loaded');
+    }
+    //#endregion CombatModule
+
+    // ========================================
+    // StatusEffectsModule - Timed conditions (poisoned, stunned, blessed...)
+    // ========================================
+    //#region StatusEffectsModule
+    {
+        const MODULE_NAME = 'StatusEffectsModule';
+
+        // Effect definitions, keyed by effect id:
+        //   duration  - default length: number of turns, or Calendar time ("8h", "30m", "2d")
+        //   tick      - applied once per turn while active ({ hp: -5 })
+        //   modifiers - attribute changes held while active ({ STRENGTH: -2 })
+        // Effects not listed here can still be applied; they just have no mechanics
+        const statusEffectsSchema = {
+            id: 'status_effects',
+            defaults: {},
+            registry: {
+                poisoned: { description: 'Losing health to poison', duration: 3, tick: { hp: -5 } },
+                burning: { description: 'On fire', duration: 2, tick: { hp: -8 } },
+                bleeding: { description: 'Bleeding from open wounds', duration: 3, tick: { hp: -3 } },
+                regenerating: { description: 'Recovering health', duration: 3, tick: { hp: 5 } },
+                stunned: { description: 'Unable to act', duration: 1 },
+                weakened: { description: 'Strength sapped', duration: 3, modifiers: { STRENGTH: -3 } },
+                exhausted: { description: 'Worn out', duration: '8h', modifiers: { STRENGTH: -2, AGILITY: -2 } },
+                blessed: { description: 'Favored by fortune', duration: '1d', modifiers: { VITALITY: 2, DEXTERITY: 2 } }
+            }
+        };
+
+        // Create [SANE:S] status_effects card if it doesn't exist
+        const existingCard = Utilities.storyCard.get('[SANE:S] status_effects');
+        if (!existingCard) {
+            Utilities.storyCard.upsert({
+                title: '[SANE:S] status_effects',
+                value: '# Status Effects Component Schema\nDefines conditions with durations, per-turn ticks and attribute modifiers',
+                description: JSON.stringify(statusEffectsSchema, null, 2),
+                type: 'data'
+            });
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created [SANE:S] status_effects Story Card`);
+        }
+
+        ModuleAPI.registerSchema('status_effects', statusEffectsSchema);
+
+        function getDefinition(effect) {
+            const schema = ModuleAPI.schemas.status_effects || statusEffectsSchema;
+            return (schema.registry || {})[effect] || null;
+        }
+
+        // Current Calendar time in hours, or null without a Calendar
+        function getCalendarHours() {
+            if (!Calendar || !Calendar.getDayNumber || !Calendar.getDayProgress) return null;
+            const hoursPerDay = Calendar.getConfig?.()?.hoursPerDay || 24;
+            return (Calendar.getDayNumber() + Calendar.getDayProgress()) * hoursPerDay;
+        }
+
+        // Parse "3" (turns) or "8h", "30m", "2d" (Calendar time) into an expiry
+        function resolveExpiry(duration) {
+            if (duration === undefined || duration === null || duration === '') return {};
+
+            if (typeof duration === 'number' || /^\d+$/.test(String(duration).trim())) {
+                const turns = validators.requirePositiveNumber(duration);
+                return turns ? { expiresTurn: getCurrentTurn() + turns } : null;
+            }
+
+            const match = String(duration).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|minutes?|h|hours?|d|days?)$/);
+            if (!match) return null;
+
+            const amount = parseFloat(match[1]);
+            const unit = match[2][0];
+            const hoursPerDay = Calendar?.getConfig?.()?.hoursPerDay || 24;
+            const hours = unit === 'm' ? amount / 60 : unit === 'd' ? amount * hoursPerDay : amount;
+
+            const now = getCalendarHours();
+            if (now === null) {
+                // No Calendar: count each hour as a turn
+                return { expiresTurn: getCurrentTurn() + Math.max(1, Math.ceil(hours)) };
+            }
+            return { expiresAt: now + hours };
+        }
+
+        function isExpired(effect, turn, hours) {
+            if (effect.expiresTurn !== undefined && turn >= effect.expiresTurn) return true;
+            if (effect.expiresAt !== undefined && hours !== null && hours >= effect.expiresAt) return true;
+            return false;
+        }
+
+        // Attribute modifiers are added on apply and subtracted on removal.
+        // Only attributes the entity has are touched, and what was applied is remembered
+        function applyModifiers(entity, effect, definition) {
+            effect.applied = {};
+            for (const [attr, amount] of Object.entries(definition?.modifiers || {})) {
+                if (!entity.attributes?.[attr]) continue;
+                entity.attributes[attr].value += amount;
+                effect.applied[attr] = amount;
+            }
+            if (Object.keys(effect.applied).length === 0) delete effect.applied;
+        }
+
+        function removeModifiers(entity, effect) {
+            for (const [attr, amount] of Object.entries(effect.applied || {})) {
+                if (entity.attributes?.[attr]) entity.attributes[attr].value -= amount;
+            }
+        }
+
+        // Remember who has effects so the output hook can find them when they aren't loaded
+        function trackEntity(name) {
+            const tracked = ModuleAPI.get('Global.statusEntities') || [];
+            if (!tracked.includes(name)) ModuleAPI.set('Global.statusEntities', [...tracked, name]);
+        }
+
+        // Run one turn of every effect on an entity; returns true if anything changed.
+        // lastTick makes this safe to call again on a retry of the same turn
+        function tickEffects(entity, turn, hours) {
+            const effects = entity.status_effects;
+            if (!effects) return false;
+
+            let changed = false;
+            for (const [id, effect] of Object.entries(effects)) {
+                if (effect.lastTick !== undefined && turn <= effect.lastTick) continue;
+                effect.lastTick = turn;
+                changed = true;
+
+                const hpChange = getDefinition(id)?.tick?.hp;
+                if (hpChange && entity.stats?.hp && ModuleAPI.setCurrentHp) {
+                    // The dead don't bleed or regenerate
+                    if (entity.stats.hp.state !== 'dead') {
+                        ModuleAPI.setCurrentHp(entity, entity.stats.hp.current + hpChange);
+                    }
+                }
+
+                if (isExpired(effect, turn, hours)) {
+                    removeModifiers(entity, effect);
+                    delete effects[id];
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${id} wore off ${entity.id}`);
+                }
+            }
+            return changed;
+        }
+
+        // Status effect tools
+        // XML: <apply_effect name="Kirito" effect="poisoned" duration="3"/>
+        ModuleAPI.registerTool('apply_effect', toolHelpers.createTool('apply_effect', ['name', 'effect'], (params) => {
+            const { name, duration } = params;
+            const effectId = String(params.effect).toLowerCase().replace(/\s+/g, '_');
+
+            const entity = toolHelpers.getEntityOrTrack(name, 'apply_effect');
+            if (!entity) return 'executed';
+
+            const definition = getDefinition(effectId);
+            const expiry = resolveExpiry(duration ?? definition?.duration);
+            if (!expiry) {
+                if (MODULE_CONFIG.debug) console.log(`[apply_effect]: Invalid duration: ${duration}`);
+                return 'malformed';
+            }
+
+            if (!entity.status_effects) entity.status_effects = {};
+            const existing = entity.status_effects[effectId];
+
+            if (existing) {
+                // Reapplying refreshes the duration; modifiers don't stack
+                Object.assign(existing, expiry);
+            } else {
+                const effect = {
+                    description: definition?.description || 'Narrative condition',
+                    ...expiry,
+                    lastTick: getCurrentTurn()
+                };
+                applyModifiers(entity, effect, definition);
+                entity.status_effects[effectId] = effect;
+            }
+
+            ModuleAPI.save(name, entity);
+            trackEntity(name);
+            if (MODULE_CONFIG.debug) console.log(`[apply_effect]: ${name} is ${effectId}${duration ? ` (${duration})` : ''}`);
+
+            return 'executed';
+        }), {
+            category: 'Status Effect',
+            description: 'Apply a condition; duration in turns or time (8h)',
+            when: 'Character gains a condition',
+            examples: ["The dagger was coated apply_effect(bob, poisoned, 3) and the wound burns."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'effect', type: 'string' },
+                { name: 'duration', type: 'string', optional: true }
+            ]
+        });
+
+        // XML: <remove_effect name="Kirito" effect="poisoned"/>
+        ModuleAPI.registerTool('remove_effect', toolHelpers.createTool('remove_effect', ['name', 'effect'], (params) => {
+            const { name } = params;
+            const effectId = String(params.effect).toLowerCase().replace(/\s+/g, '_');
+
+            const entity = toolHelpers.getEntityOrTrack(name, 'remove_effect');
+            if (!entity) return 'executed';
+
+            const effect = entity.status_effects?.[effectId];
+            if (!effect) {
+                if (MODULE_CONFIG.debug) console.log(`[remove_effect]: ${name} is not ${effectId}`);
+                return 'permitted';
+            }
+
+            removeModifiers(entity, effect);
+            delete entity.status_effects[effectId];
+
+            ModuleAPI.save(name, entity);
+            if (MODULE_CONFIG.debug) console.log(`[remove_effect]: ${name} is no longer ${effectId}`);
+
+            return 'executed';
+        }), {
+            category: 'Status Effect',
+            description: 'End a condition early (antidote, rest, dispel)',
+            when: 'Character is cured',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'effect', type: 'string' }
+            ]
+        });
+
+        // Rewinding restores the effect stack together with the attributes it modified
+        const effectRewindStrategy = {
+            type: 'stateful',
+            captureState: function(params) {
+                const entity = ModuleAPI.get(params.name);
+                if (!entity) return {};
+
+                return {
+                    effects: JSON.stringify(entity.status_effects || {}),
+                    attributes: JSON.stringify(entity.attributes || {})
+                };
+            },
+            restoreState: function(params, state) {
+                const entity = ModuleAPI.get(params.name);
+                if (!entity || !state.effects) return;
+
+                entity.status_effects = JSON.parse(state.effects);
+                entity.attributes = JSON.parse(state.attributes);
+                ModuleAPI.save(params.name, entity);
+            }
+        };
+
+        ModuleAPI.registerRewindable('apply_effect', effectRewindStrategy);
+        ModuleAPI.registerRewindable('remove_effect', effectRewindStrategy);
+
+        // A turn of ticks and expiry, recorded by the output hook: restores the effects,
+        // attributes and stats of every ticked entity along with the tracked list
+        const TICKED_COMPONENTS = ['status_effects', 'attributes', 'stats'];
+        ModuleAPI.registerRewindable('status_effects_tick', {
+            type: 'stateful',
+            captureState: function(params) {
+                const entities = {};
+                for (const name of params.names || []) {
+                    const entity = ModuleAPI.get(name);
+                    if (!entity) continue;
+                    const components = {};
+                    for (const component of TICKED_COMPONENTS) {
+                        if (entity[component] !== undefined) components[component] = entity[component];
+                    }
+                    entities[name] = JSON.stringify(components);
+                }
+                return { entities, tracked: JSON.stringify(ModuleAPI.get('Global.statusEntities') || []) };
+            },
+            restoreState: function(params, state) {
+                for (const [name, saved] of Object.entries(state.entities || {})) {
+                    const entity = ModuleAPI.get(name);
+                    if (!entity) continue;
+                    const components = JSON.parse(saved);
+                    for (const component of TICKED_COMPONENTS) {
+                        if (component in components) entity[component] = components[component];
+                        else delete entity[component];
+                    }
+                    ModuleAPI.save(name, entity);
+                }
+                if (state.tracked) ModuleAPI.set('Global.statusEntities', JSON.parse(state.tracked));
+            }
+        });
+
+        // Tick every affected entity once per output
+        ModuleAPI.registerHook('output', function(text) {
+            const tracked = ModuleAPI.get('Global.statusEntities');
+            if (!Array.isArray(tracked) || tracked.length === 0) return;
+
+            ModuleAPI.recordChange('status_effects_tick', { names: tracked });
+
+            const turn = getCurrentTurn();
+            const hours = getCalendarHours();
+            const remaining = tracked.filter(name => {
+                const entity = ModuleAPI.get(name);
+                if (!entity) return false;
+                if (tickEffects(entity, turn, hours)) ModuleAPI.save(name, entity);
+                return Object.keys(entity.status_effects || {}).length > 0;
+            });
+
+            if (remaining.length !== tracked.length) ModuleAPI.set('Global.statusEntities', remaining);
+        });
+
+        ModuleAPI.registerAPI('getStatusEffectDefinition', getDefinition);
+
+        ModuleAPI.debugLog('module', 'StatusEffectsModule loaded');
+    }
+    //#endregion StatusEffectsModule
+
+    // ========================================
+    // EncounterModule - Turn-based combat tracking
+    // ========================================
+    //#region EncounterModule
+    {
+        const MODULE_NAME = 'EncounterModule';
+
+        // Encounter state lives on Global so it persists and rewinds with the data card:
+        // { round, turn, started, advancedAt, order: [{ name, side, initiative }] }
+        function getEncounter() {
+            const encounter = ModuleAPI.get('Global.encounter');
+            return encounter && Array.isArray(encounter.order) ? encounter : null;
+        }
+
+        function saveEncounter(encounter) {
+            ModuleAPI.set('Global.encounter', encounter || null);
+        }
+
+        // "Wolf_01, Wolf_02" / "Wolf_01; Wolf_02" / "Wolf_01|Wolf_02"
+        function parseNameList(value) {
+            if (!value) return [];
+            if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+            return String(value).split(/[,;|]/).map(v => v.trim()).filter(Boolean);
+        }
+
+        function isDefeated(name) {
+            const entity = ModuleAPI.get(name);
+            return !!(entity?.stats?.hp && entity.stats.hp.current <= 0);
+        }
+
+        // Only combatants with HP can be worn down; ones added by name alone leave through flee or end_encounter
+        function hasHealth(name) {
+            return !!ModuleAPI.get(name)?.stats?.hp;
+        }
+
+        // Initiative: 1d20 + AGILITY modifier, seeded by the action count so retries roll the same
+        function rollInitiative(name) {
+            const entity = ModuleAPI.get(name);
+            const agility = entity?.attributes?.AGILITY?.value ?? 10;
+            const modifier = Math.floor((agility - 10) / 2);
+            const roll = Utilities.math.roll('1d20', `initiative_${getCurrentTurn()}_${name}`);
+            return roll.total + modifier;
+        }
+
+        function buildParticipant(name, side) {
+            const entity = ModuleAPI.get(name);
+            const id = entity?.id || name;
+            return { name: id, side, initiative: rollInitiative(id) };
+        }
+
+        function endEncounter(outcome) {
+            const encounter = getEncounter();
+            if (!encounter) return false;
+
+            saveEncounter(null);
+            ModuleAPI.set('Global.lastEncounter', { outcome, rounds: encounter.round, ended: getCurrentTurn() });
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Encounter ended (${outcome}) after ${encounter.round} rounds`);
+            return true;
+        }
+
+        // Move to the next combatant still standing, counting rounds as the order wraps
+        function advanceTurn(encounter) {
+            const count = encounter.order.length;
+            for (let step = 0; step < count; step++) {
+                encounter.turn++;
+                if (encounter.turn >= count) {
+                    encounter.turn = 0;
+                    encounter.round++;
+                }
+                if (!isDefeated(encounter.order[encounter.turn].name)) return;
+            }
+        }
+
+        // Compact summary for the AI:
+        // [Encounter - Round 2 | Turn: Wolf_01
+        // Order: Kirito (ally, HP 80/100) > Wolf_01 (hostile, HP 12/30)]
+        function buildSummary(encounter) {
+            const current = encounter.order[encounter.turn];
+            const combatants = encounter.order.map(participant => {
+                const hp = ModuleAPI.get(participant.name)?.stats?.hp;
+                const health = hp ? (hp.current <= 0 ? 'down' : `HP ${hp.current}/${hp.max}`) : null;
+                return `${participant.name} (${[participant.side, health].filter(Boolean).join(', ')})`;
+            });
+
+            return `[Encounter - Round ${encounter.round} | Turn: ${current?.name || 'none'}\n` +
+                   `Order: ${combatants.join(' > ')}]`;
+        }
+
+        // Encounter tools
+        const tools = {
+            // XML: <start_encounter hostiles="Wolf_01, Wolf_02" allies="Asuna"/>
+            start_encounter: function(params) {
+                const { hostiles, allies } = params || {};
+                const hostileNames = parseNameList(hostiles);
+                if (hostileNames.length === 0) return 'malformed';
+
+                if (getEncounter()) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Encounter already in progress`);
+                    return 'permitted';
+                }
+
+                // No fighting where an enclosing area is a safe zone
+                const players = ModuleAPI.queryTags('UserControlled') || [];
+                const safe = players.find(player => player.info?.currentLocation &&
+                    ModuleAPI.getLocationProperty?.(player.info.currentLocation, 'safe_zone'));
+                if (safe) {
+                    ModuleAPI.addContextNotice(`${safe.info.currentLocation} is a safe zone - no fight breaks out`);
+                    return 'permitted';
+                }
+
+                // The player always takes part
+                const allyNames = parseNameList(allies);
+                for (const player of players) {
+                    if (!allyNames.some(name => name.toLowerCase() === player.id.toLowerCase())) {
+                        allyNames.unshift(player.id);
+                    }
+                }
+
+                const order = [
+                    ...hostileNames.map(name => buildParticipant(name, 'hostile')),
+                    ...allyNames.map(name => buildParticipant(name, 'ally'))
+                ].sort((a, b) => b.initiative - a.initiative);
+
+                const turn = getCurrentTurn();
+                saveEncounter({ round: 1, turn: 0, started: turn, advancedAt: turn, order });
+
+                if (MODULE_CONFIG.debug) {
+                    console.log(`${MODULE_NAME}: Encounter started: ${order.map(p => `${p.name}(${p.initiative})`).join(', ')}`);
+                }
+                return 'executed';
+            },
+
+            // XML: <end_encounter outcome="truce"/>
+            end_encounter: function(params) {
+                const { outcome } = params || {};
+                return endEncounter(outcome || 'ended') ? 'executed' : 'permitted';
+            },
+
+            // XML: <flee name="Wolf_02"/>
+            flee: function(params) {
+                const { name } = params || {};
+                if (!name) return 'malformed';
+
+                const encounter = getEncounter();
+                if (!encounter) return 'permitted';
+
+                const index = encounter.order.findIndex(p => p.name.toLowerCase() === String(name).toLowerCase());
+                if (index === -1) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${name} is not in the encounter`);
+                    return 'permitted';
+                }
+
+                const [fled] = encounter.order.splice(index, 1);
+                if (index < encounter.turn) encounter.turn--;
+                if (encounter.turn >= encounter.order.length) encounter.turn = 0;
+
+                // The encounter is over once a whole side has left
+                if (!encounter.order.some(p => p.side === fled.side)) {
+                    endEncounter(fled.side === 'ally' ? 'fled' : 'escaped');
+                } else {
+                    saveEncounter(encounter);
+                }
+
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${fled.name} fled the encounter`);
+                return 'executed';
+            }
+        };
+
+        // Tool schemas: start_encounter('wolf_01, wolf_02', asuna)
+        const definitions = {
+            start_encounter: {
+                description: 'Begin a fight; list hostiles (and allies) in quotes',
+                when: 'Combat begins',
+                examples: ["Two wolves start_encounter('wolf_01, wolf_02') leap from the brush."],
+                params: [
+                    { name: 'hostiles', type: 'string' },
+                    { name: 'allies', type: 'string', optional: true }
+                ]
+            },
+            end_encounter: {
+                description: 'End a fight without a victor (truce, surrender)',
+                when: 'Combat ends peacefully',
+                params: [{ name: 'outcome', type: 'string', optional: true }]
+            },
+            flee: {
+                description: 'A combatant escapes the fight',
+                when: 'Someone runs from combat',
+                params: [{ name: 'name', type: 'entity' }]
+            }
+        };
+
+        Object.entries(tools).forEach(([name, fn]) => {
+            ModuleAPI.registerTool(name, fn, { category: 'Encounter', ...definitions[name] });
+        });
+
+        // All encounter tools rewind by restoring the encounter (and how the last one ended) as it was
+        const encounterRewindStrategy = {
+            type: 'stateful',
+            captureState: function(params) {
+                return {
+                    encounter: JSON.stringify(ModuleAPI.get('Global.encounter') || null),
+                    lastEncounter: JSON.stringify(ModuleAPI.get('Global.lastEncounter') || null)
+                };
+            },
+            restoreState: function(params, state) {
+                if (state.encounter !== undefined) saveEncounter(JSON.parse(state.encounter));
+                if (state.lastEncounter !== undefined) ModuleAPI.set('Global.lastEncounter', JSON.parse(state.lastEncounter));
+            }
+        };
+
+        Object.keys(tools).forEach(name => ModuleAPI.registerRewindable(name, encounterRewindStrategy));
+
+        // The output hook's victory and turn passing are recorded the same way
+        ModuleAPI.registerRewindable('encounter_turn', encounterRewindStrategy);
+
+        // After each output: end the fight once every hostile with HP is down, otherwise pass the turn.
+        // advancedAt keeps a retry of the same action from advancing twice
+        ModuleAPI.registerHook('output', function(text) {
+            const encounter = getEncounter();
+            if (!encounter) return;
+
+            const hostiles = encounter.order.filter(p => p.side === 'hostile' && hasHealth(p.name));
+            if (hostiles.length > 0 && hostiles.every(p => isDefeated(p.name))) {
+                ModuleAPI.recordChange('encounter_turn');
+                endEncounter('victory');
+                return;
+            }
+
+            const turn = getCurrentTurn();
+            if (turn <= encounter.advancedAt) return;
+
+            ModuleAPI.recordChange('encounter_turn');
+            advanceTurn(encounter);
+            encounter.advancedAt = turn;
+            saveEncounter(encounter);
+        });
+
+        ModuleAPI.registerHook('context', function(text) {
+            const encounter = getEncounter();
+            if (!encounter) return text;
+            return insertNearEnd(text, buildSummary(encounter), 2);
+        });
+
+        ModuleAPI.registerAPI('getEncounter', getEncounter);
+
+        ModuleAPI.debugLog('module', 'EncounterModule loaded');
+    }
+    //#endregion EncounterModule
+
+    // ========================================
+    // RelationshipsModule - Relationship tracking
+    // ========================================
+    //#region RelationshipsModule
+    {
+        const MODULE_NAME = 'RelationshipsModule';
+
+        // Relationship thresholds for flavor text
+        const THRESHOLDS = [
+            { min: -9999, max: -2000, flavor: "{from}'s hatred for {to} consumes their every thought" },
+            { min: -1999, max: -1000, flavor: "{from} would sacrifice everything to see {to} destroyed" },
+            { min: -999, max: -500, flavor: "{from} actively wishes harm upon {to}" },
+            { min: -499, max: -200, flavor: "{from} feels genuine hostility toward {to}" },
+            { min: -199, max: -100, flavor: "{from} strongly dislikes {to}" },
+            { min: -99, max: -50, flavor: "{from} finds {to} irritating and unpleasant" },
+            { min: -49, max: -25, flavor: "{from} feels mild annoyance toward {to}" },
+            { min: -24, max: 24, flavor: "{from} feels neutral about {to}" },
+            { min: 25, max: 49, flavor: "{from} has slightly positive feelings toward {to}" },
+            { min: 50, max: 99, flavor: "{from} enjoys {to}'s company" },
+            { min: 100, max: 199, flavor: "{from} considers {to} a friend" },
+            { min: 200, max: 499, flavor: "{from} cares deeply about {to}'s wellbeing" },
+            { min: 500, max: 999, flavor: "{from} trusts {to} completely" },
+            { min: 1000, max: 1999, flavor: "{from} considers {to} family" },
+            { min: 2000, max: 9999, flavor: "{from} would do absolutely anything for {to}" }
+        ];
+
+        // Named axes a relationship can carry besides its overall value. Each axis has its own
+        // flavor table of verb phrases ("{from} <flavor> {to}"); values between the thresholds
+        // are neutral and left out. Inverted axes (fear) count as negative feelings when high
+        const AXES = {
+            trust: {
+                thresholds: [
+                    { min: -9999, max: -50, flavor: "deeply distrusts" },
+                    { min: -49, max: -15, flavor: "distrusts" },
+                    { min: 15, max: 49, flavor: "trusts" },
+                    { min: 50, max: 9999, flavor: "trusts completely" }
+                ]
+            },
+            affection: {
+                thresholds: [
+                    { min: -9999, max: -50, flavor: "despises" },
+                    { min: -49, max: -15, flavor: "dislikes" },
+                    { min: 15, max: 49, flavor: "is fond of" },
+                    { min: 50, max: 9999, flavor: "loves" }
+                ]
+            },
+            respect: {
+                thresholds: [
+                    { min: -9999, max: -50, flavor: "scorns" },
+                    { min: -49, max: -15, flavor: "looks down on" },
+                    { min: 15, max: 49, flavor: "respects" },
+                    { min: 50, max: 9999, flavor: "admires" }
+                ]
+            },
+            fear: {
+                inverted: true,
+                thresholds: [
+                    { min: 15, max: 49, flavor: "is wary of" },
+                    { min: 50, max: 99, flavor: "fears" },
+                    { min: 100, max: 9999, flavor: "is terrified of" }
+                ]
             }
+        };
+
+        function getAxes() {
+            return ModuleAPI.schemas.relationships?.axes || AXES;
         }
 
-        // Register blueprint tools
-        // XML: <create_blueprint name="Vehicle"/>
-        ModuleAPI.registerTool('create_blueprint', function(params) {
-            const { name } = params || {};
-            if (!name) return 'malformed';
+        // "{from} respects but fears {to}": positive feelings first, then the negative ones
+        function getAxesFlavor(axes, fromName, toName) {
+            const positive = [];
+            const negative = [];
+            for (const [axis, value] of Object.entries(axes || {})) {
+                const definition = getAxes()[axis];
+                if (!definition || typeof value !== 'number') continue;
 
-            // Blueprint creation would be more complex in practice
-            // This is a simplified version
-            const blueprint = {
-                GameplayTags: [name],
-                components: ['info'],
-                info: {
-                    name: null,
-                    description: null
+                const threshold = (definition.thresholds || []).find(t => value >= t.min && value <= t.max);
+                if (!threshold) continue;
+                ((value > 0) !== !!definition.inverted ? positive : negative).push(threshold.flavor);
+            }
+            if (positive.length === 0 && negative.length === 0) return null;
+
+            const feelings = [positive.join(' and '), negative.join(' and ')].filter(Boolean).join(' but ');
+            return `${fromName} ${feelings} ${toName}`;
+        }
+
+        // Helper function to get relationship flavor text
+        // Axis values, when any are past their thresholds, describe the relationship instead
+        function getRelationshipFlavor(value, fromName, toName, axes) {
+            const axesFlavor = fromName && toName ? getAxesFlavor(axes, fromName, toName) : null;
+            if (axesFlavor) return axesFlavor;
+
+            // Validate inputs
+            if (!fromName || !toName || typeof value !== 'number') {
+                return `${fromName || 'Someone'} has an indescribable relationship with ${toName || 'someone'}`;
+            }
+
+            // Try to load thresholds from relationships schema
+            let thresholds = THRESHOLDS;
+            const relationshipSchema = ModuleAPI.schemas.relationships;
+            if (relationshipSchema && relationshipSchema.thresholds) {
+                thresholds = relationshipSchema.thresholds;
+            }
+
+            for (const threshold of thresholds) {
+                if (value >= threshold.min && value <= threshold.max) {
+                    return threshold.flavor
+                        .replace('{from}', fromName)
+                        .replace('{to}', toName);
                 }
-            };
+            }
+            return `${fromName} has an indescribable relationship with ${toName}`;
+        }
 
-            Utilities?.storyCard?.upsert({
-                title: `[SANE:BP] ${name}`,
-                value: `# ${name} Blueprint\nCustom blueprint`,
-                description: JSON.stringify(blueprint, null, 2),
-                type: 'blueprint'
+        // Create relationships schema
+        //   log    - changes remembered per relationship, with the sentence that caused them;
+        //            those of at least `memorable` points are shown with the relationship
+        //   decay  - points per in-game day that relationships drift back toward neutral (0 = off)
+        //   axes   - named feelings set with update_relationship's axis param, stored per pair
+        //            as { value, axes: { respect: 30, fear: 60 } }
+        const relationshipsSchema = {
+            id: 'relationships',
+            defaults: {},
+            thresholds: THRESHOLDS,
+            axes: AXES,
+            log: { size: 10, memorable: 5, shown: 3 },
+            decay: { per_day: 0 }
+        };
+
+        // Create [SANE:S] relationships card if it doesn't exist
+        const existingCard = Utilities.storyCard.get('[SANE:S] relationships');
+        if (!existingCard) {
+            Utilities.storyCard.upsert({
+                title: '[SANE:S] relationships',
+                value: '# Relationships Component Schema\nDefines relationship tracking with flavor text thresholds',
+                description: JSON.stringify(relationshipsSchema, null, 2),
+                type: 'data'
             });
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created [SANE:S] relationships Story Card`);
+        }
 
-            debugLog('blueprint', `Created custom ${name} blueprint`);
+        // Register relationships schema
+        ModuleAPI.registerSchema('relationships', relationshipsSchema);
+
+        function getRelationshipConfig(key) {
+            return { ...relationshipsSchema[key], ...(ModuleAPI.schemas.relationships?.[key] || {}) };
+        }
+
+        // Change one side of a relationship (its overall value, or one axis) and remember why
+        function changeRelationship(entity, target, change, reason, axis) {
+            if (!entity.relationships) entity.relationships = {};
+            if (!entity.relationships[target]) {
+                entity.relationships[target] = { value: 0 };
+            }
+
+            const relationship = entity.relationships[target];
+            if (axis) {
+                if (!relationship.axes) relationship.axes = {};
+                relationship.axes[axis] = (relationship.axes[axis] || 0) + change;
+            } else {
+                relationship.value += change;
+            }
+
+            const size = getRelationshipConfig('log').size;
+            if (size > 0) {
+                const entry = axis ? { turn: getCurrentTurn(), change, axis, reason } : { turn: getCurrentTurn(), change, reason };
+                relationship.log = [...(relationship.log || []), entry].slice(-size);
+            }
+        }
+
+        // Last memorable changes of a relationship, for display next to the flavor text
+        function getRelationshipMemories(relationship, count) {
+            const config = getRelationshipConfig('log');
+            const memorable = (relationship?.log || [])
+                .filter(entry => entry.reason && Math.abs(entry.change) >= config.memorable)
+                .slice(-(count || config.shown));
+            if (memorable.length === 0) return '';
+            return ` (remembers: ${memorable.map(entry => `"${entry.reason}"`).join('; ')})`;
+        }
+
+        // Expose the function to ModuleAPI.Library
+        if (!ModuleAPI.Library) ModuleAPI.Library = {};
+        ModuleAPI.Library.getRelationshipFlavor = getRelationshipFlavor;
+        ModuleAPI.Library.getRelationshipMemories = getRelationshipMemories;
+        ModuleAPI.registerAPI('changeRelationship', changeRelationship);
+
+        // Relationship tools
+        // XML: <update_relationship name1="Kirito" name2="Asuna" points="10"/>
+        ModuleAPI.registerTool('update_relationship', toolHelpers.createTool('update_relationship', ['name1', 'name2', 'points'], (params) => {
+            const { name1: source, name2: target, points } = params;
+
+            const changeVal = validators.parseNumber(points, true);
+            if (changeVal === null || changeVal === 0) {
+                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Invalid change value: ${points}`);
+                return 'malformed';
+            }
+
+            const axis = params.axis ? validators.normalizeString(params.axis) : null;
+            if (axis && !getAxes()[axis]) {
+                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Unknown axis: ${axis} (axes: ${Object.keys(getAxes()).join(', ')})`);
+                return 'malformed';
+            }
+
+            // Get entities and track if not found
+            const sourceEntity = ModuleAPI.get(source);
+            const targetEntity = ModuleAPI.get(target);
+
+            // Track unknown entities
+            if (!sourceEntity) {
+                if (ModuleAPI.trackUnknownEntity) {
+                    ModuleAPI.trackUnknownEntity(source, 'update_relationship');
+                }
+                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Source entity ${source} not found`);
+            }
+            if (!targetEntity) {
+                if (ModuleAPI.trackUnknownEntity) {
+                    ModuleAPI.trackUnknownEntity(target, 'update_relationship');
+                }
+                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Target entity ${target} not found`);
+            }
+
+            // Bidirectional update, both sides remember the sentence it happened in.
+            // Axes are one person's feelings, so only name1's side changes
+            const reason = ModuleAPI.getToolSentence();
+            if (sourceEntity) {
+                changeRelationship(sourceEntity, target, changeVal, reason, axis);
+                ModuleAPI.save(source, sourceEntity);
+            }
+            if (targetEntity && !axis) {
+                changeRelationship(targetEntity, source, changeVal, reason);
+                ModuleAPI.save(target, targetEntity);
+            }
+
+            if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Updated ${source} ${axis ? `-> ${target} ${axis}` : `<-> ${target}`} by ${changeVal}`);
             return 'executed';
+        }), {
+            category: 'Relationship',
+            description: 'Change relationship (bidirectional, default 0); with an axis (trust, affection, respect, fear) only how name1 feels about name2',
+            when: 'Characters grow closer or apart',
+            examples: [
+                "Alice update_relationship(bob, alice, 5) smiles warmly at Bob.",
+                "The goblin update_relationship(goblin, kirito, 40, fear) backs away from Kirito's blade."
+            ],
+            params: [
+                { name: 'name1', type: 'entity' },
+                { name: 'name2', type: 'entity' },
+                { name: 'points', type: 'number' },
+                { name: 'axis', type: 'string', optional: true }
+            ]
         });
 
-        // XML: <list_blueprints/>
-        ModuleAPI.registerTool('list_blueprints', function(params) {
-            const blueprints = [];
-            // Would need to iterate story cards to find all [SANE:BP] cards
-            // For now, list the default ones
-            blueprints.push('Character', 'Location', 'Quest', 'Item');
-            debugLog('blueprint', `Available blueprints: ${blueprints.join(', ')}`);
-            return 'executed';
+        ModuleAPI.registerRewindable('update_relationship', {
+            type: 'stateful',
+            captureState: function(params) {
+                const sides = {};
+                for (const [from, to] of [[params.name1, params.name2], [params.name2, params.name1]]) {
+                    const entity = ModuleAPI.get(from);
+                    if (!entity) continue;
+                    sides[from] = JSON.stringify(entity.relationships?.[to] || null);
+                }
+                return { sides };
+            },
+            restoreState: function(params, state) {
+                for (const [from, to] of [[params.name1, params.name2], [params.name2, params.name1]]) {
+                    const entity = ModuleAPI.get(from);
+                    if (!entity || !state.sides || !(from in state.sides)) continue;
+
+                    const relationship = JSON.parse(state.sides[from]);
+                    if (!entity.relationships) entity.relationships = {};
+                    if (relationship) {
+                        entity.relationships[to] = relationship;
+                    } else {
+                        delete entity.relationships[to];
+                    }
+                    ModuleAPI.save(from, entity);
+                }
+            }
         });
 
-        // Create defaults on init
-        createDefaultBlueprints();
+        // Relationships drift back toward neutral as in-game days pass
+        function decayPerDay() {
+            const perDay = getRelationshipConfig('decay').per_day;
+            return perDay > 0 ? perDay : 0;
+        }
 
-    }
-    //#endregion BlueprintModule
+        // The feelings a relationship holds: its overall value and each axis, as [holder, key] pairs
+        function relationshipFeelings(relationship) {
+            if (!relationship || typeof relationship !== 'object') return [];
+            return [[relationship, 'value'], ...Object.keys(relationship.axes || {}).map(axis => [relationship.axes, axis])];
+        }
 
-    // ========================================
-    // CoreComponentsModule - Core schemas
-    // ========================================
-    //#region CoreComponentsModule
-    {
-        const MODULE_NAME = 'CoreComponentsModule';
+        // Which sides decay would move, as entity id -> the others they feel something about
+        function findDecayingRelationships() {
+            const decaying = {};
+            for (const [key, entity] of Object.entries(dataCache)) {
+                if (!entity?.relationships || key.startsWith('schema.')) continue;
+                const targets = Object.keys(entity.relationships).filter(target =>
+                    relationshipFeelings(entity.relationships[target]).some(([holder, feeling]) =>
+                        typeof holder[feeling] === 'number' && holder[feeling] !== 0));
+                if (targets.length > 0) decaying[entity.id || key] = targets;
+            }
+            return decaying;
+        }
 
-        // Define core component schemas (no display rules - those belong in entity display components)
-        const coreSchemas = [
-            {
-                name: 'info',
-                schema: {
-                    id: 'info',
-                    defaults: {
-                        name: null,
-                        description: null,
-                        currentLocation: null
+        function decayRelationships(decaying, days) {
+            const drift = decayPerDay() * days;
+            for (const [name, targets] of Object.entries(decaying)) {
+                const entity = ModuleAPI.get(name);
+                if (!entity?.relationships) continue;
+                for (const target of targets) {
+                    for (const [holder, feeling] of relationshipFeelings(entity.relationships[target])) {
+                        if (typeof holder[feeling] !== 'number' || holder[feeling] === 0) continue;
+                        holder[feeling] -= Math.sign(holder[feeling]) * Math.min(Math.abs(holder[feeling]), drift);
+                    }
+                }
+                ModuleAPI.save(name, entity);
+            }
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Relationships decayed over ${days} day(s)`);
+        }
+
+        // Decay is recorded with the output it happened in: undoing across a day boundary
+        // restores the relationships it moved and the day decay last ran on
+        ModuleAPI.registerRewindable('relationship_decay', {
+            type: 'stateful',
+            captureState: function(params) {
+                const relationships = {};
+                for (const [name, targets] of Object.entries(params.relationships || {})) {
+                    const entity = ModuleAPI.get(name);
+                    if (!entity?.relationships) continue;
+                    relationships[name] = {};
+                    for (const target of targets) {
+                        relationships[name][target] = JSON.stringify(entity.relationships[target]);
                     }
                 }
+                return { relationships, day: ModuleAPI.get('Global.relationshipDecayDay') ?? null };
             },
-            {
-                name: 'display',
-                schema: {
-                    id: 'display',
-                    defaults: {
-                        active: true,
-                        // Display component contains all formatting for the entity
-                        // Structure: display.componentName = [{ line, priority, format, condition }]
-                        // Example: display.info = [{ line: 'section', priority: 10, format: '**Description**\n{info.description}' }]
-                        separators: {
-                            nameline: ' ',
-                            infoline: ' | ',
-                            section: '\n\n',
-                            footer: '\n'
-                        },
-                        order: ['prefixline', 'nameline', 'infoline', 'section', 'footer']
+            restoreState: function(params, state) {
+                for (const [name, sides] of Object.entries(state.relationships || {})) {
+                    const entity = ModuleAPI.get(name);
+                    if (!entity) continue;
+                    if (!entity.relationships) entity.relationships = {};
+                    for (const [target, relationship] of Object.entries(sides)) {
+                        entity.relationships[target] = JSON.parse(relationship);
                     }
+                    ModuleAPI.save(name, entity);
                 }
+                if ('day' in state) ModuleAPI.set('Global.relationshipDecayDay', state.day);
             }
-        ];
+        });
 
-        // Create [SANE:S] cards for core schemas if they don't exist
-        for (const { name, schema } of coreSchemas) {
-            const existingCard = Utilities.storyCard.get(`[SANE:S] ${name}`);
-            if (!existingCard) {
-                Utilities.storyCard.upsert({
-                    title: `[SANE:S] ${name}`,
-                    value: `# ${name.charAt(0).toUpperCase() + name.slice(1)} Component Schema`,
-                    description: JSON.stringify(schema, null, 2),
-                    type: 'data'
-                });
-                if (debug) console.log(`${MODULE_NAME}: Created [SANE:S] ${name} Story Card`);
+        // Days are counted from the latest day already decayed, so skipping time with
+        // advance_time counts too and undoing then replaying a day doesn't decay it twice.
+        // Calendar moves on in the context hook; the day it reached is decayed after the output.
+        // With decay off or nothing left to decay, the day just moves on and nothing is recorded
+        ModuleAPI.registerHook('output', function(text) {
+            if (!Calendar || !Calendar.getDayNumber) return;
+            const today = Calendar.getDayNumber();
+            if (typeof today !== 'number') return;
+
+            const lastDay = ModuleAPI.get('Global.relationshipDecayDay');
+            if (typeof lastDay === 'number' && today <= lastDay) return;
+
+            const decaying = typeof lastDay === 'number' && decayPerDay() > 0 ? findDecayingRelationships() : {};
+            if (Object.keys(decaying).length > 0) {
+                ModuleAPI.recordChange('relationship_decay', { relationships: decaying });
+                decayRelationships(decaying, today - lastDay);
             }
+            ModuleAPI.set('Global.relationshipDecayDay', today);
+        });
 
-            // Register the schema
-            ModuleAPI.registerSchema(name, schema);
-        }
+        ModuleAPI.debugLog('module', 'RelationshipsModule loaded');
     }
-    //#endregion CoreComponentsModule
+    //#endregion RelationshipsModule
 
     // ========================================
-    // CombatModule - Combat system
+    // FactionModule - Faction reputation and standings
     // ========================================
-    //#region CombatModule
+    //#region FactionModule
     {
-        const MODULE_NAME = 'CombatModule';
+        const MODULE_NAME = 'FactionModule';
+
+        // Reputation thresholds for flavor text; a faction can override them with its own list
+        const REPUTATION_THRESHOLDS = [
+            { min: -9999, max: -500, flavor: "{name} is a sworn enemy of {faction}" },
+            { min: -499, max: -100, flavor: "{name} is hated by {faction}" },
+            { min: -99, max: -25, flavor: "{name} is distrusted by {faction}" },
+            { min: -24, max: 24, flavor: "{name} has a neutral standing with {faction}" },
+            { min: 25, max: 99, flavor: "{name} is well regarded by {faction}" },
+            { min: 100, max: 499, flavor: "{name} is trusted by {faction}" },
+            { min: 500, max: 9999, flavor: "{name} is honored by {faction}" }
+        ];
 
-        // Combat tools
-        // XML: <deal_damage source="Kirito" target="Wolf_01" amount="45"/>
-        ModuleAPI.registerTool('deal_damage', toolHelpers.createTool('deal_damage', ['target', 'amount'], (params) => {
-            const { target: targetName, amount } = params;
+        // Factions are entities with a faction component. Members carry the faction's
+        // GameplayTag (Faction.<id> unless `tag` is set), and `propagation` is the share
+        // of a reputation change that each member applies to their relationship with that character
+        const factionSchema = {
+            id: 'faction',
+            defaults: {
+                tag: null,
+                standings: {},      // Other factions -> { value, standing }
+                propagation: 0.5,
+                thresholds: null    // Faction-specific flavor, same format as `thresholds`
+            },
+            thresholds: REPUTATION_THRESHOLDS
+        };
+
+        if (!Utilities.storyCard.get('[SANE:S] faction')) {
+            Utilities.storyCard.upsert({
+                title: '[SANE:S] faction',
+                value: '# Faction Component Schema\nFaction membership tag, standings, reputation propagation and flavor thresholds',
+                description: JSON.stringify(factionSchema, null, 2),
+                type: 'data'
+            });
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created [SANE:S] faction Story Card`);
+        }
+        ModuleAPI.registerSchema('faction', factionSchema);
+
+        // Characters' reputation with each faction: { faction_id: { value, standing } }
+        ModuleAPI.registerSchema('reputation', { id: 'reputation', defaults: {} });
+
+        function getFaction(name) {
+            const entity = ModuleAPI.get(name);
+            return entity?.faction ? entity : null;
+        }
+
+        function getFactionName(faction) {
+            return faction.info?.displayname || faction.id;
+        }
+
+        function getMemberTag(faction) {
+            return faction.faction.tag || `Faction.${faction.id}`;
+        }
+
+        function getMembers(faction, excluding) {
+            return ModuleAPI.queryTags(getMemberTag(faction))
+                .filter(member => member.id.toLowerCase() !== excluding && !member.faction);
+        }
+
+        function getReputationFlavor(value, name, faction) {
+            const schema = ModuleAPI.schemas.faction || factionSchema;
+            const thresholds = faction.faction.thresholds || schema.thresholds || REPUTATION_THRESHOLDS;
+
+            for (const threshold of thresholds) {
+                if (value >= threshold.min && value <= threshold.max) {
+                    return threshold.flavor
+                        .replace('{name}', name)
+                        .replace('{faction}', getFactionName(faction));
+                }
+            }
+            return `${name} has an unknown standing with ${getFactionName(faction)}`;
+        }
 
-            const target = toolHelpers.getEntityOrTrack(targetName, 'deal_damage');
-            if (!target) return 'executed';
+        function adjustStanding(record, key, change, name, faction) {
+            const value = (record[key]?.value || 0) + change;
+            record[key] = { value, standing: getReputationFlavor(value, name, faction) };
+        }
 
-            if (!target.stats || !target.stats.hp) return 'executed';
+        // XML: <update_reputation name="Kirito" faction="knights_of_the_blood" points="10"/>
+        ModuleAPI.registerTool('update_reputation', toolHelpers.createTool('update_reputation', ['name', 'faction', 'points'], (params) => {
+            const name = validators.normalizeString(params.name);
+            const factionId = validators.normalizeString(params.faction);
 
-            const dmg = validators.requirePositiveNumber(amount);
-            if (!dmg) {
-                if (MODULE_CONFIG.debug) console.log(`[deal_damage]: Invalid damage: ${amount}`);
+            const changeVal = validators.parseNumber(params.points, true);
+            if (changeVal === null || changeVal === 0) {
+                if (MODULE_CONFIG.debug) console.log(`[update_reputation]: Invalid change value: ${params.points}`);
                 return 'malformed';
             }
 
-            const oldHp = target.stats.hp.current;
-            target.stats.hp.current = Math.max(0, oldHp - dmg);
+            const faction = getFaction(factionId);
+            const entity = toolHelpers.getEntityOrTrack(name, 'update_reputation');
+            if (!faction) {
+                if (ModuleAPI.trackUnknownEntity) ModuleAPI.trackUnknownEntity(factionId, 'update_reputation');
+                if (MODULE_CONFIG.debug) console.log(`[update_reputation]: ${factionId} is not a faction`);
+                return 'executed';
+            }
+            if (!entity) return 'executed';
+
+            // Between two factions the standing changes on both sides
+            if (entity.faction) {
+                if (!entity.faction.standings) entity.faction.standings = {};
+                if (!faction.faction.standings) faction.faction.standings = {};
+                adjustStanding(entity.faction.standings, factionId, changeVal, getFactionName(faction), entity);
+                adjustStanding(faction.faction.standings, name, changeVal, getFactionName(entity), faction);
+                ModuleAPI.save(name, entity);
+                ModuleAPI.save(factionId, faction);
+                if (MODULE_CONFIG.debug) console.log(`[update_reputation]: Standing ${name} <-> ${factionId} changed by ${changeVal}`);
+                return 'executed';
+            }
+
+            if (!entity.reputation) entity.reputation = {};
+            adjustStanding(entity.reputation, factionId, changeVal, entity.info?.displayname || entity.id, faction);
+            ModuleAPI.save(name, entity);
 
-            ModuleAPI.save(targetName, target);
-            if (MODULE_CONFIG.debug) console.log(`[deal_damage]: ${targetName} took ${dmg} damage (${oldHp} → ${target.stats.hp.current})`);
+            // Members follow their faction's lead
+            const schema = ModuleAPI.schemas.faction || factionSchema;
+            const ratio = faction.faction.propagation ?? schema.defaults?.propagation ?? 0;
+            const memberChange = Math.round(changeVal * ratio);
+            if (memberChange !== 0) {
+                const reason = ModuleAPI.getToolSentence();
+                for (const member of getMembers(faction, name)) {
+                    ModuleAPI.changeRelationship(member, name, memberChange, reason);
+                    ModuleAPI.save(member.id.toLowerCase(), member);
+                }
+            }
 
+            if (MODULE_CONFIG.debug) console.log(`[update_reputation]: ${name} reputation with ${factionId} changed by ${changeVal}`);
             return 'executed';
-        }));
+        }), {
+            category: 'Relationship',
+            description: 'Change reputation with a faction (members follow); between two factions changes their standing',
+            when: 'A character or faction earns favor or enmity with a faction',
+            examples: ["Kirito update_reputation(kirito, knights_of_the_blood, 20) is saluted by the guild's guards."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'faction', type: 'entity' },
+                { name: 'points', type: 'number' }
+            ]
+        });
 
-        // Register rewindable strategy for combat tools
-        ModuleAPI.registerRewindable('deal_damage', {
+        // Snapshot everything the change can touch: both parties and the faction's members
+        ModuleAPI.registerRewindable('update_reputation', {
             type: 'stateful',
             captureState: function(params) {
-                const { target: targetName } = params;
-                const target = ModuleAPI.get(targetName);
-
-                if (target && target.stats && target.stats.hp) {
-                    return { oldHp: target.stats.hp.current };
+                const name = validators.normalizeString(params.name);
+                const factionId = validators.normalizeString(params.faction);
+                const faction = getFaction(factionId);
+                const ids = [name, factionId, ...(faction ? getMembers(faction, name).map(member => member.id.toLowerCase()) : [])];
+
+                const entities = {};
+                for (const id of ids) {
+                    const entity = ModuleAPI.get(id);
+                    if (!entity) continue;
+                    entities[id] = JSON.stringify({
+                        reputation: entity.reputation,
+                        faction: entity.faction,
+                        relationships: entity.relationships
+                    });
                 }
-                return {};
+                return { entities };
             },
             restoreState: function(params, state) {
-                const { target: targetName } = params;
-                const target = ModuleAPI.get(targetName);
-
-                if (target && target.stats && target.stats.hp && state.oldHp !== undefined) {
-                    target.stats.hp.current = state.oldHp;
-                    ModuleAPI.save(targetName, target);
+                for (const [id, saved] of Object.entries(state.entities || {})) {
+                    const entity = ModuleAPI.get(id);
+                    if (!entity) continue;
+
+                    const fields = JSON.parse(saved);
+                    for (const field of ['reputation', 'faction', 'relationships']) {
+                        if (field in fields) {
+                            entity[field] = fields[field];
+                        } else {
+                            delete entity[field];
+                        }
+                    }
+                    ModuleAPI.save(id, entity);
                 }
             }
         });
 
+        ModuleAPI.registerAPI('getReputationFlavor', getReputationFlavor);
+
+        ModuleAPI.debugLog('module', 'FactionModule loaded');
     }
-    //#endregion CombatModule
+    //#endregion FactionModule
 
     // ========================================
-    // RelationshipsModule - Relationship tracking
+    // LocationModule - Location and pathways management
     // ========================================
-    //#region RelationshipsModule
+    //#region LocationModule
     {
-        const MODULE_NAME = 'RelationshipsModule';
+        const MODULE_NAME = 'LocationModule';
 
-        // Relationship thresholds for flavor text
-        const THRESHOLDS = [
-            { min: -9999, max: -2000, flavor: "{from}'s hatred for {to} consumes their every thought" },
-            { min: -1999, max: -1000, flavor: "{from} would sacrifice everything to see {to} destroyed" },
-            { min: -999, max: -500, flavor: "{from} actively wishes harm upon {to}" },
-            { min: -499, max: -200, flavor: "{from} feels genuine hostility toward {to}" },
-            { min: -199, max: -100, flavor: "{from} strongly dislikes {to}" },
-            { min: -99, max: -50, flavor: "{from} finds {to} irritating and unpleasant" },
-            { min: -49, max: -25, flavor: "{from} feels mild annoyance toward {to}" },
-            { min: -24, max: 24, flavor: "{from} feels neutral about {to}" },
-            { min: 25, max: 49, flavor: "{from} has slightly positive feelings toward {to}" },
-            { min: 50, max: 99, flavor: "{from} enjoys {to}'s company" },
-            { min: 100, max: 199, flavor: "{from} considers {to} a friend" },
-            { min: 200, max: 499, flavor: "{from} cares deeply about {to}'s wellbeing" },
-            { min: 500, max: 999, flavor: "{from} trusts {to} completely" },
-            { min: 1000, max: 1999, flavor: "{from} considers {to} family" },
-            { min: 2000, max: 9999, flavor: "{from} would do absolutely anything for {to}" }
-        ];
+        // Register pathways schema
+        ModuleAPI.registerSchema('pathways', {
+            id: 'pathways',
+            defaults: {}  // Connections to other locations - Format: { "north": "location_id", "south": "location_id", etc. }
+        });
 
-        // Helper function to get relationship flavor text
-        function getRelationshipFlavor(value, fromName, toName) {
-            // Validate inputs
-            if (!fromName || !toName || typeof value !== 'number') {
-                return `${fromName || 'Someone'} has an indescribable relationship with ${toName || 'someone'}`;
+        // Register location schema - containment and properties shared with everything inside
+        ModuleAPI.registerSchema('location', {
+            id: 'location',
+            defaults: {
+                parent: null,     // Location this one is inside, e.g. tavern_cellar -> tavern
+                properties: {}    // Inherited by children unless overridden, e.g. { "safe_zone": true, "climate": "cold", "faction": "aincrad_army" }
             }
+        });
 
-            // Try to load thresholds from relationships schema
-            let thresholds = THRESHOLDS;
-            const relationshipSchema = ModuleAPI.get('schema.relationships');
-            if (relationshipSchema && relationshipSchema.thresholds) {
-                thresholds = relationshipSchema.thresholds;
+        // Register travel schema
+        ModuleAPI.registerSchema('travel', {
+            id: 'travel',
+            defaults: {}  // Travel time to neighbouring locations - Format: { "location_id": "2h", "other_id": "1d, 3h" }
+        });
+
+        // Routing config card:
+        //   default_time  - travel time for a pathway without its own entry in the travel component
+        //   unknown_route - "warn" (move anyway and add a notice) or "reject" (stay put)
+        const TRAVEL_CARD = '[SANE:C] Travel';
+        const travelDefaults = { default_time: '30m', unknown_route: 'warn' };
+
+        function loadTravelConfig() {
+            const card = Utilities.storyCard.get(TRAVEL_CARD);
+            if (!card) {
+                Utilities.storyCard.upsert({
+                    title: TRAVEL_CARD,
+                    value: '# Travel\nDefault travel time between locations and handling of unknown routes',
+                    description: JSON.stringify(travelDefaults, null, 2),
+                    type: 'data'
+                });
+                return { ...travelDefaults };
             }
 
-            for (const threshold of thresholds) {
-                if (value >= threshold.min && value <= threshold.max) {
-                    return threshold.flavor
-                        .replace('{from}', fromName)
-                        .replace('{to}', toName);
-                }
+            try {
+                return { ...travelDefaults, ...JSON.parse(card.description || '{}') };
+            } catch (e) {
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to parse ${TRAVEL_CARD}: ${e.message}`);
+                return { ...travelDefaults };
             }
-            return `${fromName} has an indescribable relationship with ${toName}`;
         }
 
-        // Create relationships schema
-        const relationshipsSchema = {
-            id: 'relationships',
-            defaults: {},
-            thresholds: THRESHOLDS
-        };
+        // "2h", "1d, 3h", "90m" or a plain number of minutes -> minutes
+        function parseTravelTime(spec) {
+            if (typeof spec === 'number') return spec > 0 ? spec : 0;
+            if (typeof spec !== 'string') return 0;
 
-        // Create [SANE:S] relationships card if it doesn't exist
-        const existingCard = Utilities.storyCard.get('[SANE:S] relationships');
-        if (!existingCard) {
-            Utilities.storyCard.upsert({
-                title: '[SANE:S] relationships',
-                value: '# Relationships Component Schema\nDefines relationship tracking with flavor text thresholds',
-                description: JSON.stringify(relationshipsSchema, null, 2),
-                type: 'data'
-            });
-            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created [SANE:S] relationships Story Card`);
+            const hoursPerDay = Calendar?.getConfig?.()?.hoursPerDay || 24;
+            const units = { d: hoursPerDay * 60, h: 60, m: 1 };
+            let minutes = 0;
+            for (const [, amount, unit] of spec.matchAll(/(\d+(?:\.\d+)?)\s*([dhm])/gi)) {
+                minutes += parseFloat(amount) * units[unit.toLowerCase()];
+            }
+            if (!minutes && /^\s*\d+(?:\.\d+)?\s*$/.test(spec)) minutes = parseFloat(spec);
+            return Math.round(minutes);
         }
 
-        // Register relationships schema
-        ModuleAPI.registerSchema('relationships', relationshipsSchema);
+        function formatTravelTime(minutes) {
+            const hours = Math.floor(minutes / 60);
+            const rest = minutes % 60;
+            if (!hours) return `${rest}m`;
+            return rest ? `${hours}h ${rest}m` : `${hours}h`;
+        }
 
-        // Expose the function to ModuleAPI.Library
-        if (!ModuleAPI.Library) ModuleAPI.Library = {};
-        ModuleAPI.Library.getRelationshipFlavor = getRelationshipFlavor;
+        const INSIDE_DIRECTIONS = ['inside', 'in', 'enter'];
+        const OUTSIDE_DIRECTIONS = ['outside', 'out', 'exit'];
 
-        // Relationship tools
-        // XML: <update_relationship name1="Kirito" name2="Asuna" points="10"/>
-        ModuleAPI.registerTool('update_relationship', toolHelpers.createTool('update_relationship', ['name1', 'name2', 'points'], (params) => {
-            const { name1: source, name2: target, points } = params;
+        function getParentId(location) {
+            return location?.location?.parent ? String(location.location.parent).toLowerCase() : null;
+        }
 
-            const changeVal = validators.parseNumber(points, true);
-            if (changeVal === null || changeVal === 0) {
-                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Invalid change value: ${points}`);
-                return 'malformed';
+        // Enclosing locations, nearest first: tavern_cellar -> [tavern, town_of_beginnings]
+        function getLocationAncestors(locationId) {
+            const ancestors = [];
+            let parent = getParentId(ModuleAPI.get(locationId));
+            while (parent && !ancestors.includes(parent) && parent !== String(locationId).toLowerCase()) {
+                ancestors.push(parent);
+                parent = getParentId(ModuleAPI.get(parent));
             }
+            return ancestors;
+        }
 
-            // Get entities and track if not found
-            const sourceEntity = ModuleAPI.get(source);
-            const targetEntity = ModuleAPI.get(target);
+        function getChildLocations(locationId) {
+            const id = String(locationId).toLowerCase();
+            return ModuleAPI.queryTags(entity => getParentId(entity) === id).map(entity => entity.id.toLowerCase());
+        }
 
-            // Track unknown entities
-            if (!sourceEntity) {
-                if (ModuleAPI.trackUnknownEntity) {
-                    ModuleAPI.trackUnknownEntity(source, 'update_relationship');
+        function isWithinLocation(locationId, areaId) {
+            const id = String(locationId || '').toLowerCase();
+            const area = String(areaId || '').toLowerCase();
+            return !!id && (id === area || getLocationAncestors(id).includes(area));
+        }
+
+        // Properties from the outermost area inwards, so the nearest location wins
+        function getLocationProperties(locationId) {
+            const chain = [String(locationId).toLowerCase(), ...getLocationAncestors(locationId)].reverse();
+            return chain.reduce((properties, id) => ({ ...properties, ...(ModuleAPI.get(id)?.location?.properties || {}) }), {});
+        }
+
+        function getLocationProperty(locationId, property) {
+            return getLocationProperties(locationId)[property];
+        }
+
+        // "[safe zone, climate: cold]" for a location, or for where an entity is; empty without properties
+        function describeLocationProperties(id) {
+            const entity = ModuleAPI.get(id);
+            const locationId = String(entity?.info?.currentLocation || id || '').toLowerCase();
+            if (!locationId) return '';
+
+            const described = Object.entries(getLocationProperties(locationId))
+                .filter(([, value]) => value !== false && value !== null && value !== undefined && value !== '')
+                .map(([key, value]) => value === true ? key.replace(/_/g, ' ') : `${key.replace(/_/g, ' ')}: ${value}`);
+            return described.length > 0 ? `[${described.join(', ')}]` : '';
+        }
+
+        // Everyone and everything in a location or anywhere inside it
+        function getEntitiesWithin(areaId) {
+            return ModuleAPI.queryTags(entity => entity.info?.currentLocation && isWithinLocation(entity.info.currentLocation, areaId));
+        }
+
+        // "town_of_beginnings > tavern > tavern_cellar" for a location, or for where an entity is
+        function getLocationBreadcrumb(id) {
+            const entity = ModuleAPI.get(id);
+            const locationId = String(entity?.info?.currentLocation || id || '').toLowerCase();
+            if (!locationId) return '';
+            return [...getLocationAncestors(locationId).reverse(), locationId].join(' > ');
+        }
+
+        ModuleAPI.registerAPI('getLocationAncestors', getLocationAncestors);
+        ModuleAPI.registerAPI('isWithinLocation', isWithinLocation);
+        ModuleAPI.registerAPI('getLocationProperties', getLocationProperties);
+        ModuleAPI.registerAPI('getLocationProperty', getLocationProperty);
+        ModuleAPI.registerAPI('describeLocationProperties', describeLocationProperties);
+        ModuleAPI.registerAPI('getEntitiesWithin', getEntitiesWithin);
+        ModuleAPI.registerAPI('getLocationBreadcrumb', getLocationBreadcrumb);
+
+        function getPathwayDestinations(location, direction) {
+            const destinations = location?.pathways?.[direction];
+            if (!destinations) return [];
+            return (Array.isArray(destinations) ? destinations : [destinations])
+                .map(destination => typeof destination === 'string' ? destination : destination?.destination)
+                .filter(destination => destination && destination !== 'pending')
+                .map(destination => destination.toLowerCase());
+        }
+
+        // "outside" from a location without an explicit pathway leads to its parent,
+        // "inside" to its only child; anything else is not a direction
+        function resolveDirection(locationId, direction) {
+            const dir = String(direction || '').toLowerCase();
+            const isInside = INSIDE_DIRECTIONS.includes(dir);
+            if (!isInside && !OUTSIDE_DIRECTIONS.includes(dir)) return null;
+
+            const location = ModuleAPI.get(locationId);
+            const explicit = (isInside ? INSIDE_DIRECTIONS : OUTSIDE_DIRECTIONS)
+                .flatMap(alias => getPathwayDestinations(location, alias));
+            if (explicit.length === 1) return explicit[0];
+            if (explicit.length > 1) return null;
+
+            if (!isInside) return getParentId(location);
+            const children = getChildLocations(locationId);
+            return children.length === 1 ? children[0] : null;
+        }
+
+        // Destinations reachable from a location, in any of the pathway formats,
+        // plus stepping out to its parent and into its children
+        function getNeighbours(location, defaultMinutes) {
+            const neighbours = {};
+            const addNeighbour = (key, time) => {
+                const minutes = time !== undefined ? parseTravelTime(time) : defaultMinutes;
+                if (neighbours[key] === undefined || minutes < neighbours[key]) {
+                    neighbours[key] = minutes;
+                }
+            };
+
+            for (const direction of Object.keys(location?.pathways || {})) {
+                for (const key of getPathwayDestinations(location, direction)) {
+                    addNeighbour(key, location.travel?.[key]);
                 }
-                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Source entity ${source} not found`);
             }
-            if (!targetEntity) {
-                if (ModuleAPI.trackUnknownEntity) {
-                    ModuleAPI.trackUnknownEntity(target, 'update_relationship');
+            if (!location?.id) return neighbours;
+
+            const parent = getParentId(location);
+            if (parent && neighbours[parent] === undefined) addNeighbour(parent, location.travel?.[parent]);
+            for (const child of getChildLocations(location.id)) {
+                if (neighbours[child] === undefined) addNeighbour(child, location.travel?.[child]);
+            }
+            return neighbours;
+        }
+
+        // Shortest known route by travel time (Dijkstra over discovered pathways)
+        function findRoute(from, to) {
+            const start = String(from || '').toLowerCase();
+            const goal = String(to || '').toLowerCase();
+            if (!start || !goal) return null;
+            if (start === goal) return { path: [start], minutes: 0 };
+
+            const defaultMinutes = parseTravelTime(loadTravelConfig().default_time);
+            const distance = { [start]: 0 };
+            const previous = {};
+            const visited = new Set();
+            const queue = [start];
+
+            while (queue.length > 0) {
+                queue.sort((a, b) => distance[a] - distance[b]);
+                const current = queue.shift();
+                if (visited.has(current)) continue;
+                visited.add(current);
+                if (current === goal) break;
+
+                const neighbours = getNeighbours(ModuleAPI.get(current), defaultMinutes);
+                for (const [next, minutes] of Object.entries(neighbours)) {
+                    if (visited.has(next)) continue;
+                    const total = distance[current] + minutes;
+                    if (distance[next] === undefined || total < distance[next]) {
+                        distance[next] = total;
+                        previous[next] = current;
+                        queue.push(next);
+                    }
                 }
-                if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Target entity ${target} not found`);
             }
 
-            // Update source's relationship to target
-            if (sourceEntity) {
-                if (!sourceEntity.relationships) sourceEntity.relationships = {};
-                if (!sourceEntity.relationships[target]) {
-                    sourceEntity.relationships[target] = { value: 0 };
+            if (distance[goal] === undefined) return null;
+
+            const path = [goal];
+            while (path[0] !== start) path.unshift(previous[path[0]]);
+            return { path, minutes: distance[goal] };
+        }
+
+        function describeRoute(from, to) {
+            const route = findRoute(from, to);
+            if (!route) return `No known route from ${from} to ${to}`;
+
+            const hops = route.path.length - 1;
+            return `Route from ${from} to ${to} (${hops} ${hops === 1 ? 'hop' : 'hops'}, ${formatTravelTime(route.minutes)}):\n` +
+                route.path.join(' -> ');
+        }
+
+        ModuleAPI.registerAPI('findRoute', findRoute);
+        ModuleAPI.registerAPI('describeRoute', describeRoute);
+
+        // Discovered world as a graph: pathways as labelled edges, containment as dashed "inside" edges,
+        // the players' locations highlighted
+        function buildLocationGraph() {
+            const here = new Set((ModuleAPI.queryTags('UserControlled') || [])
+                .map(player => String(player.info?.currentLocation || '').toLowerCase())
+                .filter(Boolean));
+
+            const nodes = [];
+            const edges = [];
+            for (const location of ModuleAPI.queryTags('Location')) {
+                const id = location.id.toLowerCase();
+                nodes.push({ id, label: location.info?.displayname || location.id, highlight: here.has(id) });
+
+                for (const direction of Object.keys(location.pathways || {})) {
+                    for (const destination of getPathwayDestinations(location, direction)) {
+                        edges.push({ from: id, to: destination, label: direction });
+                    }
                 }
-                sourceEntity.relationships[target].value += changeVal;
-                ModuleAPI.save(source, sourceEntity);
+
+                const parent = getParentId(location);
+                if (parent) edges.push({ from: id, to: parent, label: 'inside', dashed: true });
             }
+            return { nodes, edges };
+        }
 
-            // Bidirectional update
-            if (targetEntity) {
-                if (!targetEntity.relationships) targetEntity.relationships = {};
-                if (!targetEntity.relationships[source]) {
-                    targetEntity.relationships[source] = { value: 0 };
+        // Write the map to [SANE:MAP] for copy-out; format is "mermaid" (default) or "dot"
+        function exportMap(format) {
+            const type = String(format || 'mermaid').toLowerCase() === 'dot' ? 'dot' : 'mermaid';
+            const graph = buildLocationGraph();
+            const source = Utilities.graph.export(graph, type, { name: 'World Map' });
+
+            Utilities.storyCard.upsert({
+                title: '[SANE:MAP]',
+                entry: `# World Map\n${graph.nodes.length} locations as ${type === 'dot' ? 'Graphviz DOT' : 'Mermaid'} (turn ${getCurrentTurn()}) - copy the notes`,
+                description: source,
+                type: 'data'
+            });
+
+            return `Map of ${graph.nodes.length} locations written to [SANE:MAP] (${type})`;
+        }
+
+        ModuleAPI.registerAPI('exportMap', exportMap);
+
+        // Create a location using the blueprint (fallback to a bare entity)
+        function getOrCreateLocation(locationName) {
+            let location = ModuleAPI.get(locationName);
+            if (!location) {
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Creating location ${locationName} using blueprint`);
+
+                // Use instantiateBlueprint to create location with GenerationWizard support
+                const locationData = {
+                    id: locationName,
+                    info: {
+                        displayname: locationName,
+                        trigger_name: locationName,
+                        discovered: true
+                    },
+                    pathways: {}
+                };
+
+                const newLocationId = ModuleAPI.instantiateBlueprint('Location', locationData);
+                if (newLocationId) {
+                    location = ModuleAPI.get(newLocationId);
+                }
+
+                // Fallback if blueprint system not available
+                if (!location) {
+                    location = {
+                        id: locationName,
+                        GameplayTags: ['Location'],
+                        components: ['info', 'pathways', 'display'],
+                        info: {
+                            displayname: locationName,
+                            description: `A location called ${locationName}`,
+                            discovered: true
+                        },
+                        pathways: {},
+                        display: { active: true }
+                    };
+                    ModuleAPI.save(locationName, location);
                 }
-                targetEntity.relationships[source].value += changeVal;
-                ModuleAPI.save(target, targetEntity);
             }
+            return location;
+        }
 
-            if (MODULE_CONFIG.debug) console.log(`[update_relationship]: Updated ${source} <-> ${target} by ${changeVal}`);
-            return 'executed';
-        }));
+        // Put a location inside another one, refusing loops (a room inside its own cellar)
+        function nestLocation(location, parentId) {
+            const id = location.id.toLowerCase();
+            if (parentId === id || getLocationAncestors(parentId).includes(id)) return false;
 
-    }
-    //#endregion RelationshipsModule
+            location.location = { ...(location.location || {}), parent: parentId };
+            return true;
+        }
 
-    // ========================================
-    // LocationModule - Location and pathways management
-    // ========================================
-    //#region LocationModule
-    {
-        const MODULE_NAME = 'LocationModule';
+        // Stepping inside from a location nests the destination in it, stepping outside nests the origin
+        function nestByDirection(from, to, direction) {
+            if (INSIDE_DIRECTIONS.includes(direction) && !getParentId(to)) return nestLocation(to, from.id.toLowerCase());
+            if (OUTSIDE_DIRECTIONS.includes(direction) && !getParentId(from)) return nestLocation(from, to.id.toLowerCase());
+            return false;
+        }
 
-        // Register pathways schema
-        ModuleAPI.registerSchema('pathways', {
-            id: 'pathways',
-            defaults: {}  // Connections to other locations - Format: { "north": "location_id", "south": "location_id", etc. }
-        });
+        // Route and time cost of a move. Only moves between two known locations are checked;
+        // travel time is skipped on a single hop, which the narrative's own pacing already covers
+        function planTravel(from, to) {
+            if (!from || !to || String(from).toLowerCase() === String(to).toLowerCase()) return null;
+            if (!ModuleAPI.get(from) || !ModuleAPI.get(to)) return null;
+
+            const route = findRoute(from, to);
+            if (!route) {
+                return loadTravelConfig().unknown_route === 'reject' ? { blocked: true } : { warning: true };
+            }
+
+            const advance = route.path.length > 2 && Calendar?.advanceTime ? route.minutes : 0;
+            return { route, advance };
+        }
 
         // Location management tools
         // XML: <update_location name="Kirito" location="Town_Square"/>
@@ -4276,7 +7448,7 @@ function SANE(hook, text) {
             if (!characterName || !locationName) return 'malformed';
 
             const charName = String(characterName).toLowerCase();
-            const locName = String(locationName).toLowerCase();
+            let locName = String(locationName).toLowerCase();
 
             // Get character
             const character = ModuleAPI.get(charName);
@@ -4294,6 +7466,32 @@ function SANE(hook, text) {
             // Store old location for reversion
             const oldLocation = character.info.currentLocation;
 
+            // "inside"/"outside" move through the containment hierarchy
+            if (oldLocation && [...INSIDE_DIRECTIONS, ...OUTSIDE_DIRECTIONS].includes(locName)) {
+                const resolved = resolveDirection(oldLocation, locName);
+                if (!resolved) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Cannot resolve ${locName} from ${oldLocation}`);
+                    return 'malformed';
+                }
+                locName = resolved;
+            }
+
+            // Moving between two mapped locations follows the shortest known route
+            const plan = planTravel(oldLocation, locName);
+            if (plan?.blocked) {
+                ModuleAPI.addContextNotice(`${character.info.displayname || charName} cannot reach ${locName} from ${oldLocation}: no known route`);
+                return 'permitted';
+            }
+            if (plan?.warning) {
+                ModuleAPI.addContextNotice(`${character.info.displayname || charName} reached ${locName} from ${oldLocation} without a known route`);
+            }
+            if (plan?.advance) {
+                Calendar.advanceTime(`${plan.advance}m`);
+                if (MODULE_CONFIG.debug) {
+                    console.log(`${MODULE_NAME}: Travel via ${plan.route.path.join(' -> ')} took ${formatTravelTime(plan.advance)}`);
+                }
+            }
+
             // Update character's location
             character.info.currentLocation = locName;
 
@@ -4305,6 +7503,15 @@ function SANE(hook, text) {
             }
 
             return 'executed';
+        }, {
+            category: 'Location',
+            description: 'Movement between areas',
+            when: 'Character moves locations',
+            examples: ["The path curves update_location(bob, misty_forest) into a misty forest."],
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'location', type: 'string' }
+            ]
         });
 
         // XML: <discover_location name="Kirito" location="Dark_Forest" direction="north"/>
@@ -4438,6 +7645,8 @@ function SANE(hook, text) {
                         currentLoc.pathways[dir].push(locName);
                     }
 
+                    nestByDirection(currentLoc, location, dir);
+
                     // Save current location with new pathway
                     ModuleAPI.save(currentLocation, currentLoc);
                     if (MODULE_CONFIG.debug) {
@@ -4454,59 +7663,28 @@ function SANE(hook, text) {
             }
 
             return 'executed';
+        }, {
+            category: 'Location',
+            description: 'Finding new locations (north/south/east/west/inside/outside)',
+            when: 'Character discovers a new place',
+            params: [
+                { name: 'name', type: 'entity' },
+                { name: 'location', type: 'string' },
+                { name: 'direction', type: 'string', optional: true }
+            ]
         });
 
-        // XML: <connect_locations location_a="Town_Square" location_b="Temple_District" direction="north"/>
+        // XML: <connect_locations location_a="Town_Square" location_b="Temple_District" direction="north" time="2h"/>
         ModuleAPI.registerTool('connect_locations', function(params) {
-            const { location_a, location_b, direction } = params || {};
+            const { location_a, location_b, direction, time } = params || {};
 
             if (!location_a || !location_b) return 'malformed';
 
             const loc1Name = String(location_a).toLowerCase();
             const loc2Name = String(location_b).toLowerCase();
             const dir = direction ? String(direction).toLowerCase() : 'both';
-
-            // Helper function to create location using blueprint
-            function getOrCreateLocation(locationName) {
-                let location = ModuleAPI.get(locationName);
-                if (!location) {
-                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Creating location ${locationName} using blueprint`);
-
-                    // Use instantiateBlueprint to create location with GenerationWizard support
-                    const locationData = {
-                        id: locationName,
-                        info: {
-                            displayname: locationName,
-                            trigger_name: locationName,
-                            discovered: true
-                        },
-                        pathways: {}
-                    };
-
-                    const newLocationId = ModuleAPI.instantiateBlueprint('Location', locationData);
-                    if (newLocationId) {
-                        location = ModuleAPI.get(newLocationId);
-                    }
-
-                    // Fallback if blueprint system not available
-                    if (!location) {
-                        location = {
-                            id: locationName,
-                            GameplayTags: ['Location'],
-                            components: ['info', 'pathways', 'display'],
-                            info: {
-                                displayname: locationName,
-                                description: `A location called ${locationName}`,
-                                discovered: true
-                            },
-                            pathways: {},
-                            display: { active: true }
-                        };
-                        ModuleAPI.save(locationName, location);
-                    }
-                }
-                return location;
-            }
+            const minutes = time !== undefined ? parseTravelTime(time) : 0;
+            if (time !== undefined && !minutes) return 'malformed';
 
             // Get or create both locations
             let loc1 = getOrCreateLocation(loc1Name);
@@ -4569,36 +7747,88 @@ function SANE(hook, text) {
                 addPathway(loc2, opposites[dir], loc1Name);
             }
 
+            nestByDirection(loc1, loc2, dir);
+
+            // Travel time applies both ways
+            if (minutes) {
+                loc1.travel = { ...(loc1.travel || {}), [loc2Name]: formatTravelTime(minutes) };
+                loc2.travel = { ...(loc2.travel || {}), [loc1Name]: formatTravelTime(minutes) };
+            }
+
             // Save both locations
             ModuleAPI.save(loc1Name, loc1);
             ModuleAPI.save(loc2Name, loc2);
 
-            if (MODULE_CONFIG.debug) {
-                if (dir === 'both') {
-                    console.log(`${MODULE_NAME}: Connected ${loc1.id || loc1Name} <-> ${loc2.id || loc2Name}`);
-                } else {
-                    console.log(`${MODULE_NAME}: Connected ${loc1.id || loc1Name} -${dir}-> ${loc2.id || loc2Name}`);
-                }
+            if (MODULE_CONFIG.debug) {
+                if (dir === 'both') {
+                    console.log(`${MODULE_NAME}: Connected ${loc1.id || loc1Name} <-> ${loc2.id || loc2Name}`);
+                } else {
+                    console.log(`${MODULE_NAME}: Connected ${loc1.id || loc1Name} -${dir}-> ${loc2.id || loc2Name}`);
+                }
+            }
+
+            return 'executed';
+        }, {
+            category: 'Location',
+            description: 'Creating pathways',
+            when: 'Find new path',
+            params: [
+                { name: 'location_a', type: 'string' },
+                { name: 'location_b', type: 'string' },
+                { name: 'direction', type: 'string', optional: true },
+                { name: 'time', type: 'string', optional: true }
+            ]
+        });
+
+        // XML: <nest_location location="Tavern_Cellar" parent="Tavern"/>
+        ModuleAPI.registerTool('nest_location', function(params) {
+            const { location: locationName, parent: parentName } = params || {};
+
+            if (!locationName || !parentName) return 'malformed';
+
+            const locName = String(locationName).toLowerCase();
+            const parentId = String(parentName).toLowerCase();
+
+            const location = getOrCreateLocation(locName);
+            const parent = getOrCreateLocation(parentId);
+            if (!location || !parent) return 'malformed';
+
+            if (!nestLocation(location, parentId)) {
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${parentId} is inside ${locName} - cannot nest`);
+                return 'malformed';
             }
 
+            ModuleAPI.save(locName, location);
+
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${locName} is now inside ${parentId}`);
             return 'executed';
+        }, {
+            category: 'Location',
+            description: 'Placing a location inside a larger one',
+            when: 'A room, building or district belongs to a bigger area',
+            examples: ["The stairs lead down nest_location(tavern_cellar, tavern) into the tavern's cellar."],
+            params: [
+                { name: 'location', type: 'string' },
+                { name: 'parent', type: 'string' }
+            ]
         });
 
         // Register rewindable strategies for location tools
         ModuleAPI.registerRewindable('update_location', {
             type: 'stateful',
             captureState: function(params) {
-                const [characterName] = params;
+                const { name: characterName } = params;
                 const charName = validators.normalizeString(characterName);
                 const character = ModuleAPI.get(charName);
 
+                // Travel time needs no state: Calendar takes back the turn's time advances itself on retry and undo
                 if (character && character.info) {
                     return { oldLocation: character.info.currentLocation };
                 }
                 return {};
             },
             restoreState: function(params, state) {
-                const [characterName] = params;
+                const { name: characterName } = params;
                 const charName = validators.normalizeString(characterName);
                 const character = ModuleAPI.get(charName);
 
@@ -4609,6 +7839,69 @@ function SANE(hook, text) {
             }
         });
 
+        // Tools that create locations or change how they connect and nest rewind by restoring
+        // the locations they touched; a location the tool created is removed again.
+        // The whole entity is kept as well, so a redo can bring back a location the undo removed
+        const LOCATION_REWIND_COMPONENTS = ['location', 'pathways', 'travel'];
+        function locationRewindStrategy(getLocationIds) {
+            const idsOf = params => [...new Set(getLocationIds(params).filter(Boolean).map(id => String(id).toLowerCase()))];
+            return {
+                type: 'stateful',
+                captureState: function(params) {
+                    const locations = {};
+                    for (const id of idsOf(params)) {
+                        const location = ModuleAPI.get(id);
+                        if (!location) {
+                            locations[id] = null;
+                            continue;
+                        }
+                        const components = {};
+                        for (const component of LOCATION_REWIND_COMPONENTS) {
+                            if (location[component] !== undefined) components[component] = location[component];
+                        }
+                        locations[id] = JSON.stringify({ components, entity: location });
+                    }
+                    return { locations };
+                },
+                restoreState: function(params, state) {
+                    for (const [id, saved] of Object.entries(state.locations || {})) {
+                        const location = ModuleAPI.get(id);
+                        if (saved === null) {
+                            if (location) ModuleAPI.del(id);
+                            continue;
+                        }
+
+                        const { components, entity } = JSON.parse(saved);
+                        if (!location) {
+                            ModuleAPI.save(id, entity);
+                            continue;
+                        }
+                        for (const component of LOCATION_REWIND_COMPONENTS) {
+                            if (component in components) location[component] = components[component];
+                            else delete location[component];
+                        }
+                        ModuleAPI.save(id, location);
+                    }
+                }
+            };
+        }
+
+        ModuleAPI.registerRewindable('nest_location', locationRewindStrategy(params => [
+            validators.normalizeString(params.location),
+            validators.normalizeString(params.parent)
+        ]));
+
+        ModuleAPI.registerRewindable('connect_locations', locationRewindStrategy(params => [
+            validators.normalizeString(params.location_a),
+            validators.normalizeString(params.location_b)
+        ]));
+
+        // The new location and the one it was discovered from, which gains the pathway
+        ModuleAPI.registerRewindable('discover_location', locationRewindStrategy(params => [
+            validators.normalizeString(params.location),
+            ModuleAPI.get(validators.normalizeString(params.name))?.info?.currentLocation
+        ]));
+
     }
     //#endregion LocationModule
 
@@ -4620,7 +7913,7 @@ function SANE(hook, text) {
         const MODULE_NAME = 'QuestModule';
 
         // Register quest schema
-        ModuleAPI.registerSchema('quest', {
+        const questSchema = {
             id: 'quest',
             defaults: {
                 status: 'available',  // available, active, completed, failed, abandoned
@@ -4628,15 +7921,31 @@ function SANE(hook, text) {
                 objectives: {
                     total: 0,
                     completed: 0,
-                    stages: {}  // stages.1, stages.2, etc.
+                    stages: {}  // stages.1, stages.2, etc. { description, completed, next: [N, ...] }
                 },
                 rewards: {
                     xp: 0,
                     gold: 0,
                     items: {}  // { "item_name": { "quantity": N } }
-                }
+                },
+                // Required to accept: completed quests, minimum level,
+                // minimum relationship values ({ "klein": 20 }) and GameplayTags
+                prerequisites: {
+                    quests: [],
+                    level: 0,
+                    relationships: {},
+                    tags: []
+                },
+                // Expressions checked after every output; $(path) is resolved first and
+                // text functions match the output: ["$(elder_tom.stats.hp.current) <= 0",
+                // { "when": "any(\"village burns\")", "reason": "The village was lost" }]
+                fail_conditions: [],
+                // Calendar deadline: { "days": 3 } after acceptance, { "day": 42 } or
+                // { "date": "07/20/2023" }; "warn_days" sets when warnings start (default 1)
+                deadline: null
             }
-        });
+        };
+        ModuleAPI.registerSchema('quest', questSchema);
 
         // Register objectives schema (for non-quest entities that have objectives)
         ModuleAPI.registerSchema('objectives', {
@@ -4658,10 +7967,193 @@ function SANE(hook, text) {
             }
         });
 
+        function questTitle(questEntity, quest) {
+            return questEntity?.info?.displayname || quest;
+        }
+
+        // Active quests and who holds them ({ quest: character }), checked for failure after each output
+        function trackQuest(quest, charName) {
+            const active = { ...(ModuleAPI.get('Global.activeQuests') || {}) };
+            if (charName) {
+                active[quest] = charName;
+            } else {
+                delete active[quest];
+            }
+            ModuleAPI.set('Global.activeQuests', active);
+        }
+
+        // Stage N lives in quest.objectives.stages[N], or in the objectives component
+        // as objective_N for quests built by the generation wizard
+        function listStages(questEntity) {
+            const stages = new Map();
+            for (const [key, stage] of Object.entries(questEntity.quest?.objectives?.stages || {})) {
+                const num = parseInt(key);
+                if (!isNaN(num) && stage && typeof stage === 'object') stages.set(num, stage);
+            }
+            for (const [key, stage] of Object.entries(questEntity.objectives || {})) {
+                const match = key.match(/^objective_(\d+)$/);
+                const num = match ? parseInt(match[1]) : NaN;
+                if (!isNaN(num) && !stages.has(num) && stage && typeof stage === 'object') stages.set(num, stage);
+            }
+            return [...stages.entries()].sort((a, b) => a[0] - b[0]);
+        }
+
+        // A stage with a next list branches: completing it opens the listed alternatives,
+        // and completing one of those skips the others. Quests without next lists stay
+        // linear and their stages can be completed in any order (null)
+        function getOpenStages(questEntity, stages) {
+            if (!stages.some(([, stage]) => Array.isArray(stage.next))) return null;
+            if (Array.isArray(questEntity.quest.current)) return questEntity.quest.current;
+            return stages.length > 0 ? [stages[0][0]] : [];
+        }
+
+        // The Quest blueprint stores prerequisites as a plain list of quest ids
+        function normalizePrerequisites(prerequisites) {
+            if (Array.isArray(prerequisites)) {
+                return { quests: prerequisites.filter(id => typeof id === 'string') };
+            }
+            return prerequisites && typeof prerequisites === 'object' ? prerequisites : {};
+        }
+
+        // Reasons the character can't take the quest yet
+        function getUnmetPrerequisites(character, questEntity) {
+            const prerequisites = normalizePrerequisites(questEntity.quest.prerequisites);
+            const unmet = [];
+
+            for (const required of prerequisites.quests || []) {
+                const id = String(required).toLowerCase();
+                const requiredQuest = get(id);
+                if (character.quests?.[id]?.status !== 'completed' && requiredQuest?.quest?.status !== 'completed') {
+                    unmet.push(`complete ${questTitle(requiredQuest, id)}`);
+                }
+            }
+
+            const level = character.stats?.level?.value || 1;
+            if (prerequisites.level > level) unmet.push(`level ${prerequisites.level}`);
+
+            for (const [other, minimum] of Object.entries(prerequisites.relationships || {})) {
+                const relationship = character.relationships?.[other.toLowerCase()];
+                const value = typeof relationship === 'number' ? relationship : relationship?.value || 0;
+                if (value < minimum) unmet.push(`relationship ${minimum}+ with ${other}`);
+            }
+
+            for (const tag of prerequisites.tags || []) {
+                if (!hasGameplayTag(character, tag)) unmet.push(tag);
+            }
+
+            return unmet;
+        }
+
+        // First failure condition that holds for this output, as its reason
+        function getFailureReason(questEntity, text) {
+            for (const condition of questEntity.quest.fail_conditions || []) {
+                const expression = typeof condition === 'string' ? condition : condition?.when;
+                if (!expression) continue;
+
+                // Conditions on entities that don't exist yet can't be judged
+                const resolved = resolve(String(expression));
+                if (resolved.includes('$(')) continue;
+
+                if (Utilities.expression.evaluate(resolved, text)) {
+                    return condition.reason || expression;
+                }
+            }
+            return null;
+        }
+
+        function failQuest(quest, charName, reason, notify = true) {
+            const questEntity = get(quest);
+            const character = get(charName);
+            if (!questEntity?.quest) return;
+
+            questEntity.quest.status = 'failed';
+            save(quest, questEntity);
+
+            if (character?.quests?.[quest]) {
+                character.quests[quest].status = 'failed';
+                character.quests[quest].failedAt = getCurrentTurn();
+                save(charName, character);
+            }
+
+            trackQuest(quest, null);
+            if (notify) ModuleAPI.addContextNotice(`Quest failed - ${questTitle(questEntity, quest)}: ${reason}`);
+        }
+
+        function getToday() {
+            if (!Calendar || !Calendar.getDayNumber) return null;
+            const day = Calendar.getDayNumber();
+            return typeof day === 'number' ? day : null;
+        }
+
+        // A plain number or "3 days" counts from acceptance, "MM/DD/YYYY" is a Calendar date
+        function normalizeDeadline(deadline) {
+            if (deadline === null || deadline === undefined || deadline === '') return null;
+            if (typeof deadline === 'object') return deadline;
+
+            const text = String(deadline).trim();
+            return text.includes('/') ? { date: text } : { days: parseInt(text) };
+        }
+
+        // Day number the quest must be finished by (inclusive), or null without a deadline
+        function resolveDueDay(deadline, acceptedDay) {
+            deadline = normalizeDeadline(deadline);
+            if (!deadline) return null;
+
+            if (typeof deadline.day === 'number') return deadline.day;
+            if (deadline.date) return Calendar.getDayNumberForDate ? Calendar.getDayNumberForDate(deadline.date) : null;
+            if (deadline.days > 0 && acceptedDay !== null) return acceptedDay + deadline.days;
+            return null;
+        }
+
+        function formatDue(daysLeft) {
+            if (daysLeft <= 0) return 'due today';
+            if (daysLeft === 1) return 'due tomorrow';
+            return `due in ${daysLeft} days`;
+        }
+
+        // Rewards are set in quest.rewards, or in the rewards component by the generation wizard
+        function getRewards(questEntity) {
+            const own = questEntity.quest.rewards || {};
+            const component = questEntity.rewards || {};
+            return {
+                xp: own.xp || component.xp || 0,
+                gold: own.gold || component.gold || 0,
+                items: { ...(component.items || {}), ...(own.items || {}) }
+            };
+        }
+
+        // Pays out through the owning tools so level ups and carry limits apply as usual
+        function grantRewards(charName, rewards) {
+            const granted = [];
+
+            if (rewards.xp > 0 && ModuleAPI.tools['add_levelxp']) {
+                ModuleAPI.tools['add_levelxp']({ name: charName, amount: rewards.xp });
+                granted.push(`${rewards.xp} XP`);
+            }
+
+            // Gold is paid in the default currency
+            if (rewards.gold > 0 && ModuleAPI.adjustFunds) {
+                const character = get(charName);
+                ModuleAPI.adjustFunds(character, rewards.gold);
+                save(charName, character);
+                granted.push(`${rewards.gold} ${ModuleAPI.schemas.wallet?.currencies?.[0] || 'gold'}`);
+            }
+
+            for (const [itemName, reward] of Object.entries(rewards.items)) {
+                const quantity = typeof reward === 'number' ? reward : reward?.quantity || 1;
+                if (ModuleAPI.tools['add_item']) {
+                    ModuleAPI.tools['add_item']({ name: charName, item: itemName, quantity });
+                    granted.push(`${quantity} ${itemName}`);
+                }
+            }
+
+            return granted;
+        }
+
         // Tool definitions
         const tools = {
             accept_quest: function(params) {
-                const [characterName, questName] = params;
+                const { name: characterName, quest: questName, giver, type } = params || {};
 
                 if (!characterName || !questName) return 'malformed';
 
@@ -4694,8 +8186,23 @@ function SANE(hook, text) {
                     return 'executed';
                 }
 
+                const unmet = getUnmetPrerequisites(character, questEntity);
+                if (unmet.length > 0) {
+                    ModuleAPI.addContextNotice(`${questTitle(questEntity, quest)} can't be accepted yet - requires ${unmet.join(', ')}`);
+                    return 'permitted';
+                }
+
                 // Update quest status
                 questEntity.quest.status = 'active';
+                if (giver && !questEntity.quest.giver) questEntity.quest.giver = String(giver).toLowerCase();
+                if (type) questEntity.quest.type = String(type);
+
+                const due = resolveDueDay(questEntity.quest.deadline, getToday());
+                if (due !== null) {
+                    questEntity.quest.due = due;
+                } else {
+                    delete questEntity.quest.due;
+                }
 
                 // Link quest to character
                 if (!character.quests) character.quests = {};
@@ -4711,11 +8218,12 @@ function SANE(hook, text) {
                 // Save updates
                 save(charName, character);
                 save(quest, questEntity);
+                trackQuest(quest, charName);
                 return 'executed';
             },
 
             offer_quest: function(params) {
-                const [questName, giverName] = params;
+                const { giver: giverName, quest: questName, type } = params || {};
 
                 if (!questName) return 'malformed';
 
@@ -4725,17 +8233,19 @@ function SANE(hook, text) {
                 // Get or create quest entity
                 let questEntity = get(quest);
                 if (!questEntity) {
-                    // Create new quest entity
-                    questEntity = create({
+                    // Create new quest entity (create returns the id)
+                    const questId = create({
                         id: quest,
                         GameplayTags: ['Quest'],
                         components: ['info', 'quest', 'display']
                     });
+                    questEntity = questId ? get(questId) : null;
+                    if (!questEntity) return 'malformed';
                 }
 
                 // Ensure quest component exists
                 if (!questEntity.quest) {
-                    questEntity.quest = { ...questSchema.defaults };
+                    questEntity.quest = JSON.parse(JSON.stringify(questSchema.defaults));
                 }
 
                 // Update quest to available status
@@ -4743,6 +8253,9 @@ function SANE(hook, text) {
                 if (giver) {
                     questEntity.quest.giver = giver;
                 }
+                if (type) {
+                    questEntity.quest.type = String(type);
+                }
 
                 if (MODULE_CONFIG.debug) {
                     console.log(`${MODULE_NAME}: Quest ${quest} is now available${giver ? ` from ${giver}` : ''}`);
@@ -4754,17 +8267,11 @@ function SANE(hook, text) {
             },
 
             update_quest: function(params) {
-                const [questName, objectiveNum] = params;
+                const { quest: questName, stage: objectiveNum } = params || {};
 
                 if (!questName) return 'malformed';
 
                 const quest = String(questName).toLowerCase();
-                const objNum = objectiveNum ? parseInt(objectiveNum) : 1;
-
-                if (isNaN(objNum) || objNum < 1) {
-                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Invalid objective number: ${objectiveNum}`);
-                    return 'malformed';
-                }
 
                 // Get quest entity
                 const questEntity = get(quest);
@@ -4782,28 +8289,54 @@ function SANE(hook, text) {
                     return 'executed';
                 }
 
-                // Mark objective as completed
-                if (!questEntity.quest.objectives) {
-                    questEntity.quest.objectives = { total: 0, completed: 0, stages: {} };
+                const stages = listStages(questEntity);
+                const open = getOpenStages(questEntity, stages);
+
+                // Without a stage, progress the next open (or first unfinished) one
+                const fallback = open ? open[0] : stages.find(([, stage]) => !stage.completed)?.[0];
+                const objNum = objectiveNum ? parseInt(objectiveNum) : (fallback || 1);
+
+                if (isNaN(objNum) || objNum < 1) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Invalid objective number: ${objectiveNum}`);
+                    return 'malformed';
                 }
 
-                const objectives = questEntity.quest.objectives;
-                if (objectives.stages[objNum]) {
-                    if (!objectives.stages[objNum].completed) {
-                        objectives.stages[objNum].completed = true;
-                        objectives.completed = Math.min(objectives.total, objectives.completed + 1);
+                const stage = stages.find(([num]) => num === objNum)?.[1];
+                if (!stage || stage.completed) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Quest ${quest} has no open objective ${objNum}`);
+                    return 'executed';
+                }
 
-                        if (MODULE_CONFIG.debug) {
-                            console.log(`${MODULE_NAME}: Quest ${quest} objective ${objNum} completed (${objectives.completed}/${objectives.total})`);
-                        }
+                if (open && !open.includes(objNum)) {
+                    const reason = stage.skipped ? 'another path was taken' : 'earlier stages come first';
+                    ModuleAPI.addContextNotice(`${questTitle(questEntity, quest)}: "${stage.description || `stage ${objNum}`}" can't be progressed - ${reason}`);
+                    return 'permitted';
+                }
 
-                        // Check if all objectives completed
-                        if (objectives.completed >= objectives.total && objectives.total > 0) {
-                            if (MODULE_CONFIG.debug) {
-                                console.log(`${MODULE_NAME}: Quest ${quest} all objectives completed! Use complete_quest to finish.`);
-                            }
-                        }
+                // Mark objective as completed
+                stage.completed = true;
+                const objectives = questEntity.quest.objectives;
+                if (objectives && typeof objectives.completed === 'number') {
+                    objectives.completed = Math.min(objectives.total, objectives.completed + 1);
+                }
+
+                let finished = stages.every(([, other]) => other.completed);
+                if (open) {
+                    // Close the alternatives that weren't taken and open this stage's branches
+                    for (const num of open) {
+                        const other = stages.find(([n]) => n === num)?.[1];
+                        if (num !== objNum && other && !other.completed) other.skipped = true;
                     }
+
+                    const next = Array.isArray(stage.next) ? stage.next.map(Number) : [objNum + 1];
+                    questEntity.quest.current = next.filter(num => stages.some(([n]) => n === num));
+                    questEntity.quest.path = [...(questEntity.quest.path || []), objNum];
+                    finished = questEntity.quest.current.length === 0;
+                }
+
+                if (MODULE_CONFIG.debug) {
+                    console.log(`${MODULE_NAME}: Quest ${quest} objective ${objNum} completed`);
+                    if (finished) console.log(`${MODULE_NAME}: Quest ${quest} all objectives completed! Use complete_quest to finish.`);
                 }
 
                 // Save quest
@@ -4812,7 +8345,7 @@ function SANE(hook, text) {
             },
 
             complete_quest: function(params) {
-                const [characterName, questName] = params;
+                const { name: characterName, quest: questName } = params || {};
 
                 if (!characterName || !questName) return 'malformed';
 
@@ -4845,32 +8378,6 @@ function SANE(hook, text) {
                     return 'executed';
                 }
 
-                // Apply rewards
-                const rewards = questEntity.quest.rewards;
-                if (rewards) {
-                    // Apply XP reward
-                    if (rewards.xp > 0 && ModuleAPI.tools['add_levelxp']) {
-                        ModuleAPI.tools['add_levelxp']([charName, rewards.xp]);
-                    }
-
-                    // Apply gold reward (if currency system exists)
-                    if (rewards.gold > 0) {
-                        if (!character.currency) character.currency = {};
-                        character.currency.gold = (character.currency.gold || 0) + rewards.gold;
-                        if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: ${charName} received ${rewards.gold} gold`);
-                    }
-
-                    // Apply item rewards
-                    if (rewards.items && Object.keys(rewards.items).length > 0) {
-                        for (const itemName in rewards.items) {
-                            const quantity = rewards.items[itemName].quantity || rewards.items[itemName];
-                            if (ModuleAPI.tools['add_item']) {
-                                ModuleAPI.tools['add_item']([charName, itemName, quantity]);
-                            }
-                        }
-                    }
-                }
-
                 // Update quest status
                 questEntity.quest.status = 'completed';
 
@@ -4880,18 +8387,22 @@ function SANE(hook, text) {
                     character.quests[quest].completedAt = history.length;
                 }
 
+                // Save updates before the rewards, which save the character themselves
+                save(charName, character);
+                save(quest, questEntity);
+                trackQuest(quest, null);
+
+                const granted = grantRewards(charName, getRewards(questEntity));
+                ModuleAPI.addContextNotice(`Quest complete - ${questTitle(questEntity, quest)}${granted.length > 0 ? `: ${granted.join(', ')}` : ''}`);
+
                 if (MODULE_CONFIG.debug) {
                     console.log(`${MODULE_NAME}: ${charName} completed quest: ${quest}`);
                 }
-
-                // Save updates
-                save(charName, character);
-                save(quest, questEntity);
                 return 'executed';
             },
 
             abandon_quest: function(params) {
-                const [characterName, questName] = params;
+                const { name: characterName, quest: questName } = params || {};
 
                 if (!characterName || !questName) return 'malformed';
 
@@ -4929,22 +8440,363 @@ function SANE(hook, text) {
                     character.quests[quest].abandonedAt = history.length;
                 }
 
-                if (MODULE_CONFIG.debug) {
-                    console.log(`${MODULE_NAME}: ${charName} abandoned quest: ${quest}`);
+                if (MODULE_CONFIG.debug) {
+                    console.log(`${MODULE_NAME}: ${charName} abandoned quest: ${quest}`);
+                }
+
+                // Save updates
+                save(charName, character);
+                save(quest, questEntity);
+                trackQuest(quest, null);
+                return 'executed';
+            }
+        };
+
+        // Tool schemas: accept_quest(kirito, boar_hunt, klein, Side)
+        const definitions = {
+            offer_quest: {
+                description: 'NPC offers quest',
+                when: 'Quest offered',
+                params: [
+                    { name: 'giver', type: 'entity', optional: true },
+                    { name: 'quest', type: 'string' },
+                    { name: 'type', type: 'string', optional: true }
+                ]
+            },
+            accept_quest: {
+                description: 'Player accepts (Types: Story, Side, Hidden, Raid); refused until prerequisites are met',
+                when: 'Quest accepted',
+                params: [
+                    { name: 'name', type: 'entity' },
+                    { name: 'quest', type: 'string' },
+                    { name: 'giver', type: 'entity', optional: true },
+                    { name: 'type', type: 'string', optional: true }
+                ]
+            },
+            update_quest: {
+                description: 'Complete a quest stage (default: next open stage); branching stages lock out the alternatives',
+                when: 'Quest objective completed',
+                params: [
+                    { name: 'name', type: 'entity' },
+                    { name: 'quest', type: 'string' },
+                    { name: 'stage', type: 'number', optional: true }
+                ]
+            },
+            complete_quest: {
+                description: 'Mark complete and grant the XP, gold and item rewards',
+                when: 'Quest finished',
+                params: [
+                    { name: 'name', type: 'entity' },
+                    { name: 'quest', type: 'string' }
+                ]
+            },
+            abandon_quest: {
+                description: 'Player abandons',
+                params: [
+                    { name: 'name', type: 'entity' },
+                    { name: 'quest', type: 'string' }
+                ]
+            }
+        };
+
+        // Register all tools
+        Object.entries(tools).forEach(([name, fn]) => {
+            ModuleAPI.registerTool(name, fn, { category: 'Quest', ...definitions[name] });
+        });
+
+        // Quest tools touch the character, the quest and the active quest list;
+        // complete_quest also pays out XP, gold and items
+        const QUEST_CHARACTER_FIELDS = ['quests', 'stats', 'attributes', 'inventory', 'wallet'];
+        const questRewindStrategy = {
+            type: 'stateful',
+            captureState: function(params) {
+                const charName = validators.normalizeString(params.name);
+                const quest = validators.normalizeString(params.quest);
+                const character = charName ? get(charName) : null;
+                const questEntity = quest ? get(quest) : null;
+
+                const saved = {
+                    activeQuests: JSON.stringify(ModuleAPI.get('Global.activeQuests') || {}),
+                    notices: JSON.stringify(ModuleAPI.get('Global.notices') || [])
+                };
+                if (character) {
+                    saved.character = JSON.stringify(Object.fromEntries(
+                        QUEST_CHARACTER_FIELDS.filter(field => field in character).map(field => [field, character[field]])
+                    ));
+                }
+                if (questEntity) {
+                    saved.quest = JSON.stringify({ quest: questEntity.quest, objectives: questEntity.objectives });
+                }
+                return saved;
+            },
+            restoreState: function(params, state) {
+                const charName = validators.normalizeString(params.name);
+                const quest = validators.normalizeString(params.quest);
+
+                const character = state.character ? get(charName) : null;
+                if (character) {
+                    const fields = JSON.parse(state.character);
+                    for (const field of QUEST_CHARACTER_FIELDS) {
+                        if (field in fields) {
+                            character[field] = fields[field];
+                        } else {
+                            delete character[field];
+                        }
+                    }
+                    save(charName, character);
+                }
+
+                const questEntity = state.quest ? get(quest) : null;
+                if (questEntity) {
+                    const fields = JSON.parse(state.quest);
+                    questEntity.quest = fields.quest;
+                    if (fields.objectives) questEntity.objectives = fields.objectives;
+                    save(quest, questEntity);
+                }
+
+                if (state.activeQuests) ModuleAPI.set('Global.activeQuests', JSON.parse(state.activeQuests));
+                if (state.notices) ModuleAPI.set('Global.notices', JSON.parse(state.notices));
+            }
+        };
+
+        ['accept_quest', 'update_quest', 'complete_quest', 'abandon_quest'].forEach(name => {
+            ModuleAPI.registerRewindable(name, questRewindStrategy);
+        });
+
+        // Failures found by the output hook are recorded with the same strategy,
+        // so a retry whose text no longer meets the condition leaves the quest active
+        ModuleAPI.registerRewindable('quest_failed', questRewindStrategy);
+
+        // Check the failure conditions of active quests against each output
+        ModuleAPI.registerHook('output', function(text) {
+            const active = ModuleAPI.get('Global.activeQuests');
+            if (!active || typeof active !== 'object') return;
+
+            for (const [quest, charName] of Object.entries(active)) {
+                const questEntity = get(quest);
+                if (questEntity?.quest?.status !== 'active') {
+                    trackQuest(quest, null);
+                    continue;
+                }
+
+                const reason = getFailureReason(questEntity, text);
+                if (!reason) continue;
+
+                ModuleAPI.recordChange('quest_failed', { name: charName, quest });
+                failQuest(quest, charName, reason);
+            }
+        });
+
+        // Deadlines are checked once Calendar has processed the action, so a day that
+        // passes this turn fails the quest before the AI writes the next output.
+        // Quests failed this way are kept in Global.expiredQuests so a Calendar
+        // timeReversed event can reopen them
+        function getWarnDays(questEntity) {
+            const warnDays = normalizeDeadline(questEntity.quest.deadline)?.warn_days;
+            return typeof warnDays === 'number' ? warnDays : 1;
+        }
+
+        function reopenExpiredQuests(today) {
+            const expired = { ...(ModuleAPI.get('Global.expiredQuests') || {}) };
+            for (const [quest, charName] of Object.entries(expired)) {
+                const questEntity = get(quest);
+                if (questEntity?.quest?.status === 'failed' && today > questEntity.quest.due) continue;
+
+                delete expired[quest];
+                if (questEntity?.quest?.status !== 'failed') continue;
+
+                questEntity.quest.status = 'active';
+                delete questEntity.quest.failedTurn;
+                save(quest, questEntity);
+
+                const character = get(charName);
+                if (character?.quests?.[quest]) {
+                    character.quests[quest].status = 'active';
+                    delete character.quests[quest].failedAt;
+                    save(charName, character);
+                }
+                trackQuest(quest, charName);
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Time reversed, ${quest} is active again`);
+            }
+            ModuleAPI.set('Global.expiredQuests', expired);
+        }
+
+        function checkDeadlines(today) {
+            const turn = getCurrentTurn();
+            const lines = [];
+
+            for (const [quest, charName] of Object.entries(ModuleAPI.get('Global.activeQuests') || {})) {
+                const questEntity = get(quest);
+                const due = questEntity?.quest?.due;
+                if (questEntity?.quest?.status !== 'active' || typeof due !== 'number') continue;
+
+                if (today > due) {
+                    questEntity.quest.failedTurn = turn;
+                    failQuest(quest, charName, 'the deadline passed', false);
+                    ModuleAPI.set('Global.expiredQuests', { ...(ModuleAPI.get('Global.expiredQuests') || {}), [quest]: charName });
+                } else if (due - today <= getWarnDays(questEntity)) {
+                    lines.push(`• ${questTitle(questEntity, quest)} - ${formatDue(due - today)}`);
+                }
+            }
+
+            // Failures from this turn stay listed if the output is retried
+            for (const quest of Object.keys(ModuleAPI.get('Global.expiredQuests') || {})) {
+                const questEntity = get(quest);
+                if (questEntity?.quest?.failedTurn === turn) {
+                    lines.push(`• ${questTitle(questEntity, quest)} - the deadline has passed, the quest is failed`);
+                }
+            }
+
+            return lines;
+        }
+
+        ModuleAPI.registerHook('context', function(text) {
+            const today = getToday();
+            if (today === null) return text;
+
+            if ((Calendar.events || []).some(event => event.type === 'timeReversed')) {
+                reopenExpiredQuests(today);
+            }
+
+            const lines = checkDeadlines(today);
+            if (lines.length === 0) return text;
+            return insertNearEnd(text, `[Quest Deadlines:\n${lines.join('\n')}]`, 2);
+        });
+
+        // Journal of active quests shown to the AI. Placement is read from the config card:
+        //   placement          - "near_end" (default), "top" or "off"
+        //   sentences_from_end - how far from the end of the context for near_end
+        //   max_quests         - quests listed per character
+        const JOURNAL_CARD = '[SANE:C] Quest Journal';
+        const journalDefaults = { placement: 'near_end', sentences_from_end: 4, max_quests: 5 };
+
+        function loadJournalConfig() {
+            const card = Utilities.storyCard.get(JOURNAL_CARD);
+            if (!card) {
+                Utilities.storyCard.upsert({
+                    title: JOURNAL_CARD,
+                    value: '# Quest Journal\nPlacement of the active quest journal in the context',
+                    description: JSON.stringify(journalDefaults, null, 2),
+                    type: 'data'
+                });
+                return { ...journalDefaults };
+            }
+
+            try {
+                return { ...journalDefaults, ...JSON.parse(card.description || '{}') };
+            } catch (e) {
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to parse ${JOURNAL_CARD}: ${e.message}`);
+                return { ...journalDefaults };
+            }
+        }
+
+        function getActiveQuests(character) {
+            return Object.entries(character?.quests || {})
+                .filter(([, record]) => record?.status === 'active')
+                .map(([quest]) => [quest, get(quest)])
+                .filter(([, questEntity]) => questEntity?.quest);
+        }
+
+        // Stages still to do: the open alternatives first, then everything not completed or skipped
+        function getQuestProgress(questEntity) {
+            const stages = listStages(questEntity);
+            const open = getOpenStages(questEntity, stages);
+            const remaining = stages.filter(([, stage]) => !stage.completed && !stage.skipped);
+            const current = open
+                ? stages.filter(([num]) => open.includes(num))
+                : remaining.slice(0, 1);
+            return { stages, current, remaining };
+        }
+
+        function describeStage(num, stage) {
+            return stage.description || `stage ${num}`;
+        }
+
+        function formatJournalEntry(quest, questEntity) {
+            const { current, remaining } = getQuestProgress(questEntity);
+            const giver = questEntity.quest.giver ? ` (from ${questEntity.quest.giver})` : '';
+            let line = `• ${questTitle(questEntity, quest)}${giver}`;
+            if (current.length > 0) {
+                line += ` - Now: ${current.map(([num, stage]) => describeStage(num, stage)).join(' OR ')}`;
+            }
+            if (remaining.length > 0) {
+                line += ` | ${remaining.length} objective${remaining.length === 1 ? '' : 's'} left`;
+            }
+            const today = getToday();
+            if (typeof questEntity.quest.due === 'number' && today !== null) {
+                line += ` | ${formatDue(questEntity.quest.due - today)}`;
+            }
+            return line;
+        }
+
+        function renderJournal(maxQuests) {
+            const blocks = [];
+            for (const player of ModuleAPI.queryTags('UserControlled') || []) {
+                const active = getActiveQuests(player).slice(0, maxQuests);
+                if (active.length === 0) continue;
+
+                const name = player.info?.displayname || player.id;
+                const lines = active.map(([quest, questEntity]) => formatJournalEntry(quest, questEntity));
+                blocks.push(`[Quest Journal - ${name}:\n${lines.join('\n')}]`);
+            }
+            return blocks.join('\n');
+        }
+
+        // Readable log of every quest the player characters have taken, for the /quests command.
+        // "/quests all" also lists completed, failed and abandoned quests
+        function getQuestLog(showAll = false) {
+            const sections = [];
+            for (const player of ModuleAPI.queryTags('UserControlled') || []) {
+                const lines = [`Quest Log - ${player.info?.displayname || player.id}`];
+
+                const active = getActiveQuests(player);
+                lines.push(active.length > 0 ? 'Active:' : 'Active: none');
+                for (const [quest, questEntity] of active) {
+                    const today = getToday();
+                    const details = [
+                        questEntity.quest.type,
+                        questEntity.quest.giver && `from ${questEntity.quest.giver}`,
+                        typeof questEntity.quest.due === 'number' && today !== null && formatDue(questEntity.quest.due - today)
+                    ].filter(Boolean);
+                    lines.push(`  ${questTitle(questEntity, quest)}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+
+                    const { stages, current } = getQuestProgress(questEntity);
+                    for (const [num, stage] of stages) {
+                        const mark = stage.completed ? '✓' : stage.skipped ? '✗' : current.some(([n]) => n === num) ? '→' : ' ';
+                        lines.push(`    ${mark} ${num}. ${describeStage(num, stage)}${stage.skipped ? ' (path not taken)' : ''}`);
+                    }
+                }
+
+                if (showAll) {
+                    for (const status of ['completed', 'failed', 'abandoned']) {
+                        const titles = Object.entries(player.quests || {})
+                            .filter(([, record]) => record?.status === status)
+                            .map(([quest]) => questTitle(get(quest), quest));
+                        if (titles.length > 0) {
+                            lines.push(`${status.charAt(0).toUpperCase()}${status.slice(1)}: ${titles.join(', ')}`);
+                        }
+                    }
                 }
 
-                // Save updates
-                save(charName, character);
-                save(quest, questEntity);
-                return 'executed';
+                sections.push(lines.join('\n'));
             }
-        };
+            return sections.length > 0 ? sections.join('\n\n') : 'No player characters found';
+        }
 
-        // Register all tools
-        Object.entries(tools).forEach(([name, fn]) => {
-            ModuleAPI.registerTool(name, fn);
+        ModuleAPI.registerAPI('getQuestLog', getQuestLog);
+
+        ModuleAPI.registerHook('context', function(text) {
+            const config = loadJournalConfig();
+            if (config.placement === 'off') return text;
+
+            const journal = renderJournal(config.max_quests);
+            if (!journal) return text;
+
+            if (config.placement === 'top') return `${journal}\n\n${text}`;
+            return insertNearEnd(text, journal, config.sentences_from_end);
         });
 
+        ModuleAPI.debugLog('module', 'QuestModule loaded');
     }
     //#endregion QuestModule
 
@@ -4964,7 +8816,7 @@ function SANE(hook, text) {
                     return 'executed';
                 }
 
-                const [hours, minutes] = params;
+                const { hours, minutes } = params || {};
 
                 if (hours === undefined && minutes === undefined) return 'malformed';
 
@@ -4987,7 +8839,7 @@ function SANE(hook, text) {
                     let timeStr = '';
                     if (hoursInt > 0) timeStr += `${hoursInt}h`;
                     if (minutesInt > 0) {
-                        if (timeStr) timeStr += ' ';
+                        if (timeStr) timeStr += ', ';
                         timeStr += `${minutesInt}m`;
                     }
 
@@ -5012,9 +8864,22 @@ function SANE(hook, text) {
             }
         };
 
+        // Tool schemas: advance_time(3, 30)
+        const definitions = {
+            advance_time: {
+                description: 'Time skips only',
+                when: 'Time skip',
+                examples: ["Hours advance_time(3, 0) pass as you rest."],
+                params: [
+                    { name: 'hours', type: 'number', optional: true },
+                    { name: 'minutes', type: 'number', optional: true }
+                ]
+            }
+        };
+
         // Register all tools
         Object.entries(tools).forEach(([name, fn]) => {
-            ModuleAPI.registerTool(name, fn);
+            ModuleAPI.registerTool(name, fn, { category: 'Time', ...definitions[name] });
         });
 
     }
@@ -5190,12 +9055,23 @@ function SANE(hook, text) {
     {
         const MODULE_NAME = 'RewindModule';
 
+        // Marks a revert data key that was dropped since the previous call of the same tool
+        const REMOVED = { removed: true };
+
         // Rewind system to track and revert tool actions
         const RewindSystem = {
             STORAGE_CARD_PREFIX: '[GS_REWIND] History',  // Keep GS prefix for compatibility
             MAX_HISTORY: 100,  // Store all 100 entries
             MAX_REWIND: 99,    // Can rewind 99 (need 1 for verification)
             MAX_CARD_SIZE: 9000, // Max characters per card
+            MAX_BRANCHES: 10,    // Abandoned continuations kept for redo
+            SNAPSHOT_CARD_PREFIX: '[GS_REWIND] Snapshot',
+            SET_ASIDE_CARD_PREFIX: '[GS_REWIND] Set aside',
+            SNAPSHOT_INTERVAL: 20,  // Turns between automatic snapshots
+            MAX_SNAPSHOTS: 6,       // Automatic snapshots kept; named checkpoints are never pruned
+
+            // Storage cards hold one SRW2 document split across cards; older saves are one JSON object per card
+            STORAGE_FORMAT: 'SRW2',
 
             // Get all rewind cards
             getAllCards: function() {
@@ -5210,20 +9086,196 @@ function SANE(hook, text) {
                     const card = Utilities.storyCard.get(cardTitle);
                     if (!card) break;
 
-                    try {
-                        cards.push({
-                            title: cardTitle,
-                            data: JSON.parse(card.description || '{"entries":[]}')
-                        });
-                    } catch(e) {
-                        if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to parse card ${cardTitle}: ${e}`);
-                    }
+                    cards.push({ title: cardTitle, description: card.description || '' });
                     cardNum++;
                 }
 
                 return cards;
             },
 
+            // SRW2 layout:
+            //   line 1   "SRW2 <position>"
+            //   line 2   JSON array of every string used (tool names, params, entity ids, snapshots)
+            //   line 3+  one entry per line: "<hash>[:<turn its tools ran on>] <tools>", empty for a missing entry
+            //   then per branch "@<hash> <parent hash or .> <position> <turn>" followed by its entries,
+            //   whose tools also carry the state to redo them with
+            // Values: $<i> string i, #<n> integer, %<n> other number, t/f/n true/false/null,
+            // [a,b] array, {k:v} object with key string k, j<value> JSON text of a value.
+            // Numbers and indexes are base 36.
+            // Revert data is stored as the change from the previous call of the same tool,
+            // with ~ marking a key that is gone.
+            // Value packer shared by the history document and snapshots; strings collects the table
+            createPacker: function() {
+                const strings = [];
+                const indexes = new Map();
+                const intern = text => {
+                    if (!indexes.has(text)) {
+                        indexes.set(text, strings.length);
+                        strings.push(text);
+                    }
+                    return indexes.get(text).toString(36);
+                };
+
+                const pack = value => {
+                    if (value === REMOVED) return '~';
+                    if (value === null || value === undefined) return 'n';
+                    if (value === true) return 't';
+                    if (value === false) return 'f';
+                    if (typeof value === 'number') {
+                        return Number.isSafeInteger(value) ? `#${value.toString(36)}` : `%${value}`;
+                    }
+                    if (typeof value === 'string') {
+                        // Captured state is often JSON text: store its structure so keys and values get interned too
+                        if (value[0] === '{' || value[0] === '[') {
+                            try {
+                                const parsed = JSON.parse(value);
+                                if (JSON.stringify(parsed) === value) return `j${pack(parsed)}`;
+                            } catch(e) {
+                                // Not JSON after all
+                            }
+                        }
+                        return `$${intern(value)}`;
+                    }
+                    if (Array.isArray(value)) return `[${value.map(pack).join(',')}]`;
+                    return `{${Object.entries(value).map(([key, item]) => `${intern(key)}:${pack(item)}`).join(',')}}`;
+                };
+
+                return { pack, strings };
+            },
+
+            createUnpacker: function(strings) {
+                return source => {
+                    let i = 0;
+                    const readToken = () => {
+                        const begin = i;
+                        while (i < source.length && !',]}:'.includes(source[i])) i++;
+                        return source.slice(begin, i);
+                    };
+                    const read = () => {
+                        const type = source[i++];
+                        switch (type) {
+                            case '~': return REMOVED;
+                            case 'n': return null;
+                            case 't': return true;
+                            case 'f': return false;
+                            case '#': return parseInt(readToken(), 36);
+                            case '%': return parseFloat(readToken());
+                            case '$': return strings[parseInt(readToken(), 36)];
+                            case 'j': return JSON.stringify(read());
+                            case '[': {
+                                const list = [];
+                                while (source[i] !== ']') {
+                                    list.push(read());
+                                    if (source[i] === ',') i++;
+                                }
+                                i++;
+                                return list;
+                            }
+                            case '{': {
+                                const object = {};
+                                while (source[i] !== '}') {
+                                    const key = strings[parseInt(readToken(), 36)];
+                                    i++;  // ':'
+                                    object[key] = read();
+                                    if (source[i] === ',') i++;
+                                }
+                                i++;
+                                return object;
+                            }
+                        }
+                        throw new Error(`Unexpected '${type}' at ${i - 1}`);
+                    };
+                    return read();
+                };
+            },
+
+            encodeStorage: function(data) {
+                const { pack, strings } = RewindSystem.createPacker();
+
+                const previous = {};
+                const packEntry = entry => {
+                    if (!entry) return '';
+                    const tools = (entry.t || []).map(([toolName, params, revertData, redoData]) => {
+                        const delta = RewindSystem.diffRevertData(previous[toolName] || {}, revertData || {});
+                        previous[toolName] = revertData || {};
+                        if (redoData) return [toolName, params, delta, redoData];
+                        return Object.keys(delta).length > 0 ? [toolName, params, delta] : [toolName, params];
+                    });
+                    return `${entry.h}${entry.n ? `:${entry.n.toString(36)}` : ''} ${pack(tools)}`;
+                };
+
+                const lines = (data.entries || []).map(packEntry);
+                for (const [hash, branch] of Object.entries(data.branches || {})) {
+                    lines.push(`@${hash} ${branch.parent || '.'} ${branch.at.toString(36)} ${(branch.turn || 0).toString(36)}`);
+                    lines.push(...branch.entries.map(packEntry));
+                }
+
+                const position = data.position === undefined ? -1 : data.position;
+                return [`${RewindSystem.STORAGE_FORMAT} ${position.toString(36)}`, JSON.stringify(strings), ...lines].join('\n');
+            },
+
+            decodeStorage: function(text) {
+                const lines = text.split('\n');
+                const position = parseInt(lines[0].split(' ')[1], 36);
+                const strings = JSON.parse(lines[1] || '[]');
+
+                const unpack = RewindSystem.createUnpacker(strings);
+
+                const previous = {};
+                const entries = [];
+                const branches = {};
+                let target = entries;
+                for (const line of lines.slice(2)) {
+                    if (line.startsWith('@')) {
+                        const [hash, parent, at, turn] = line.slice(1).split(' ');
+                        branches[hash] = { parent: parent === '.' ? '' : parent, at: parseInt(at, 36), turn: parseInt(turn, 36) || 0, entries: [] };
+                        target = branches[hash].entries;
+                        continue;
+                    }
+                    if (!line) {
+                        target.push(null);
+                        continue;
+                    }
+
+                    const split = line.indexOf(' ');
+                    const tools = unpack(line.slice(split + 1)).map(([toolName, params, delta, redoData]) => {
+                        const revertData = RewindSystem.applyRevertDelta(previous[toolName] || {}, delta || {});
+                        previous[toolName] = revertData;
+                        return redoData ? [toolName, params, revertData, redoData] : [toolName, params, revertData];
+                    });
+                    const [hash, turn] = line.slice(0, split).split(':');
+                    target.push(turn ? { h: hash, n: parseInt(turn, 36), t: tools } : { h: hash, t: tools });
+                }
+
+                return { entries, branches, position: isNaN(position) ? -1 : position };
+            },
+
+            // Keys whose value changed since the previous revert data, REMOVED for keys that went away
+            diffRevertData: function(previous, current) {
+                const delta = {};
+                for (const [key, value] of Object.entries(current)) {
+                    if (!(key in previous) || JSON.stringify(previous[key]) !== JSON.stringify(value)) {
+                        delta[key] = value;
+                    }
+                }
+                for (const key of Object.keys(previous)) {
+                    if (!(key in current)) delta[key] = REMOVED;
+                }
+                return delta;
+            },
+
+            applyRevertDelta: function(previous, delta) {
+                const revertData = { ...previous };
+                for (const [key, value] of Object.entries(delta)) {
+                    if (value === REMOVED) {
+                        delete revertData[key];
+                    } else {
+                        revertData[key] = value;
+                    }
+                }
+                return revertData;
+            },
+
             // Get merged storage from all cards
             getStorage: function() {
                 const cards = RewindSystem.getAllCards();
@@ -5234,38 +9286,81 @@ function SANE(hook, text) {
                     Utilities.storyCard.add({
                         title: firstTitle,
                         value: '# Rewind System Data\nTracks tool execution history for state consistency.',
-                        description: JSON.stringify({
-                            entries: [],
-                            position: -1
-                        }),
+                        description: RewindSystem.encodeStorage({ entries: [], position: -1 }),
                         type: 'data'
                     });
-                    return { entries: [], position: -1 };
+                    return { entries: [], branches: {}, position: -1 };
+                }
+
+                if (cards[0].description.startsWith(RewindSystem.STORAGE_FORMAT)) {
+                    const encoded = cards.map(card => card.description).join('');
+                    try {
+                        return RewindSystem.decodeStorage(encoded);
+                    } catch(e) {
+                        // The whole document is one encoding, so nothing of it can be read. Keep a copy
+                        // and mark the read so saveStorage doesn't write an empty history over the cards
+                        if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to decode rewind storage: ${e}`);
+                        RewindSystem.backupUnreadable(encoded, e);
+                        return { entries: [], branches: {}, position: -1, unreadable: true };
+                    }
                 }
 
-                // Merge all entries from all cards
+                // Legacy JSON cards - merge all entries, the next save rewrites them as SRW2
                 let allEntries = [];
                 let position = -1;
 
                 for (const card of cards) {
-                    allEntries = allEntries.concat(card.data.entries || []);
-                    if (card.data.position !== undefined && card.data.position > position) {
-                        position = card.data.position;
+                    let data;
+                    try {
+                        data = JSON.parse(card.description || '{"entries":[]}');
+                    } catch(e) {
+                        if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to parse card ${card.title}: ${e}`);
+                        continue;
+                    }
+                    allEntries = allEntries.concat(data.entries || []);
+                    if (data.position !== undefined && data.position > position) {
+                        position = data.position;
                     }
                 }
 
-                return { entries: allEntries, position: position };
+                return { entries: allEntries, branches: {}, position: position };
+            },
+
+            // Copy history cards that can't be decoded to a backup card, once per content
+            backupUnreadable: function(encoded, error) {
+                const backupTitle = `[GS_REWIND] Backup unreadable ${RewindSystem.quickHash(encoded)}`;
+                if (Utilities.storyCard.get(backupTitle)) return;
+
+                Utilities.storyCard.add({
+                    title: backupTitle,
+                    value: `# Rewind Backup\nReason: History could not be decoded (${error.message || error})`,
+                    description: encoded,
+                    type: 'data'
+                });
+                ModuleAPI.debugLog('rewind', `History cards could not be decoded - copied to ${backupTitle}`);
+
+                // Told once, when the backup is made: until the cards are fixed or removed,
+                // undo and retry no longer take back tool changes
+                if (typeof state === 'object' && state) {
+                    state.message = `Rewind is unavailable: the history cards could not be read. A copy was saved to "${backupTitle}".`;
+                }
             },
 
             // Save storage across multiple cards
             saveStorage: function(data) {
+                // Unreadable history cards are left as they are until they are fixed or removed
+                const existingData = RewindSystem.getStorage();
+                if (existingData.unreadable) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: History cards are unreadable - not saving over them`);
+                    return;
+                }
+
                 // Ensure we don't exceed max history
                 if (data.entries.length > RewindSystem.MAX_HISTORY) {
                     data.entries = data.entries.slice(-RewindSystem.MAX_HISTORY);
                 }
 
                 // Check for suspicious data loss or hash mismatches
-                const existingData = RewindSystem.getStorage();
                 let shouldBackup = false;
                 let backupReason = '';
 
@@ -5281,52 +9376,35 @@ function SANE(hook, text) {
                     Utilities.storyCard.add({
                         title: backupTitle,
                         value: `# Rewind Backup\nReason: ${backupReason}`,
-                        description: JSON.stringify(existingData),
+                        description: RewindSystem.encodeStorage(existingData),
                         type: 'data'
                     });
                     if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Created backup: ${backupReason}`);
                 }
 
-                // Split entries across multiple cards if needed
-                const cardsToSave = [];
-                let currentCard = { entries: [], position: data.position };
-                let currentSize = 0;
-
-                for (const entry of data.entries) {
-                    const entrySize = JSON.stringify(entry).length;
-
-                    if (currentSize + entrySize > RewindSystem.MAX_CARD_SIZE && currentCard.entries.length > 0) {
-                        // Save current card and start new one
-                        cardsToSave.push({...currentCard});
-                        currentCard = { entries: [], position: data.position };
-                        currentSize = 0;
-                    }
-
-                    currentCard.entries.push(entry);
-                    currentSize += entrySize;
-                }
-
-                // Add the last card
-                if (currentCard.entries.length > 0) {
-                    cardsToSave.push(currentCard);
+                // Split the encoded document across as many cards as it needs
+                const encoded = RewindSystem.encodeStorage(data);
+                const chunks = [];
+                for (let i = 0; i < encoded.length; i += RewindSystem.MAX_CARD_SIZE) {
+                    chunks.push(encoded.slice(i, i + RewindSystem.MAX_CARD_SIZE));
                 }
 
                 // Update or create cards using upsert
-                for (let i = 0; i < cardsToSave.length; i++) {
+                for (let i = 0; i < chunks.length; i++) {
                     const cardTitle = i === 0
                         ? RewindSystem.STORAGE_CARD_PREFIX
                         : `${RewindSystem.STORAGE_CARD_PREFIX} ${i + 1}`;
 
                     Utilities.storyCard.upsert({
                         title: cardTitle,
-                        value: `# Rewind System Data - Part ${i + 1}/${cardsToSave.length}\nTracks tool execution history.`,
-                        description: JSON.stringify(cardsToSave[i]),
+                        value: `# Rewind System Data - Part ${i + 1}/${chunks.length}\nTracks tool execution history.`,
+                        description: chunks[i],
                         type: 'data'
                     });
                 }
 
                 // Remove any extra cards that are no longer needed
-                let cardNum = cardsToSave.length + 1;
+                let cardNum = chunks.length + 1;
                 while (true) {
                     const cardTitle = cardNum === 1
                         ? RewindSystem.STORAGE_CARD_PREFIX
@@ -5395,8 +9473,8 @@ function SANE(hook, text) {
                     hash = RewindSystem.quickHash(text);
                 }
 
-                // Position is based on history length
-                const position = Math.min(history.length - 1, RewindSystem.MAX_HISTORY - 1);
+                // The output is not in history yet - it lands right after the last entry
+                let position = history.length;
 
                 // Check for duplicate hash
                 if (position > 0 && data.entries[position - 1]) {
@@ -5410,91 +9488,450 @@ function SANE(hook, text) {
                     }
                 }
 
-                // Store the action
-                data.entries[position] = {
-                    h: hash,
-                    t: tools || []
-                };
+                // Store the action
+                data.entries[position] = {
+                    h: hash,
+                    n: getCurrentTurn(),
+                    t: tools || []
+                };
+
+                // History keeps MAX_HISTORY entries, so the oldest one goes with it
+                while (data.entries.length > RewindSystem.MAX_HISTORY) {
+                    RewindSystem.dropOldestEntry(data);
+                    position--;
+                }
+
+                data.position = position;
+                RewindSystem.saveStorage(data);
+
+                if (MODULE_CONFIG.debug) {
+                    console.log(`${MODULE_NAME}: Recorded action at position ${position} (hash: ${hash.substring(0, 8)})`);
+                }
+            },
+
+            // Get entries for rewind
+            getEntriesForRewind: function(targetPosition) {
+                const data = RewindSystem.getStorage();
+
+                if (targetPosition < 0 || targetPosition >= data.entries.length) {
+                    return null;
+                }
+
+                // Get all entries from target to current position
+                const entriesToRevert = [];
+                for (let i = data.position; i > targetPosition; i--) {
+                    if (data.entries[i] && data.entries[i].t) {
+                        entriesToRevert.push({
+                            position: i,
+                            tools: data.entries[i].t
+                        });
+                    }
+                }
+
+                return entriesToRevert;
+            },
+
+            // Revert tools for a rewind. Returns the tools with the state they left behind,
+            // so a branch can later be restored without running them again
+            revertTools: function(tools) {
+                const reverted = [];
+                if (!tools || tools.length === 0) return reverted;
+
+                // Revert tools in reverse order
+                for (let i = tools.length - 1; i >= 0; i--) {
+                    const toolData = tools[i];
+                    if (!toolData) continue;
+
+                    const [toolName, params, revertData] = toolData;
+                    const redoData = RewindSystem.captureRevertData(toolName, params);
+                    reverted.unshift(Object.keys(redoData || {}).length > 0
+                        ? [toolName, params, revertData, redoData]
+                        : [toolName, params, revertData]);
+
+                    // If we have revert data, use it to restore original values
+                    if (revertData && Object.keys(revertData).length > 0) {
+                        RewindSystem.applyRevertData(toolName, params, revertData);
+                    } else {
+                        // Fall back to inverse operations
+                        // Params may be stored positionally by older versions
+                        const named = ModuleAPI.normalizeToolParams(toolName, params);
+                        switch(toolName) {
+                            case 'add_item':
+                                if (ModuleAPI.tools['add_item'] && named.quantity) {
+                                    // Subtract the quantity that was added
+                                    ModuleAPI.processTool('add_item', { ...named, quantity: -named.quantity });
+                                }
+                                break;
+                            case 'remove_item':
+                                if (ModuleAPI.tools['add_item'] && named.quantity) {
+                                    ModuleAPI.processTool('add_item', named);
+                                }
+                                break;
+                            case 'add_levelxp':
+                                // Revert by subtracting the XP
+                                if (named.amount && ModuleAPI.tools['add_levelxp']) {
+                                    ModuleAPI.processTool('add_levelxp', { ...named, amount: -named.amount });
+                                }
+                                break;
+                            case 'add_skillxp':
+                                // Revert by subtracting the XP
+                                if (named.amount && ModuleAPI.tools['add_skillxp']) {
+                                    ModuleAPI.processTool('add_skillxp', { ...named, amount: -named.amount });
+                                }
+                                break;
+                            case 'deal_damage':
+                                // Best effort: heal the damage back (clamping may make this inexact)
+                                if (named.target && named.amount && ModuleAPI.tools['heal']) {
+                                    ModuleAPI.processTool('heal', { name: named.target, amount: named.amount });
+                                }
+                                break;
+                            default:
+                                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Cannot revert tool: ${toolName}`);
+                        }
+                    }
+                }
+
+                return reverted;
+            },
+
+            // Bring back the effects of reverted tools: stateful tools get their saved state back,
+            // anything else runs again
+            redoTools: function(tools) {
+                const redone = [];
+                for (const toolData of tools || []) {
+                    if (!toolData) continue;
+
+                    const [toolName, params, revertData, redoData] = toolData;
+                    const strategy = ModuleAPI.rewindableTools[toolName.toLowerCase()];
+                    if (redoData && strategy?.type === 'stateful' && strategy.restoreState) {
+                        strategy.restoreState(params, redoData);
+                    } else {
+                        ModuleAPI.processTool(toolName, params, 'rewind');
+                    }
+                    redone.push([toolName, params, revertData]);
+                }
+                return redone;
+            },
+
+            // Forget the oldest entry, moving branch positions along with it
+            dropOldestEntry: function(data) {
+                data.entries.shift();
+
+                for (const [hash, branch] of Object.entries(data.branches || {})) {
+                    branch.at--;
+                    if (branch.at < 0) delete data.branches[hash];
+                    else if (branch.at === 0) branch.parent = '';
+                }
+            },
+
+            // Revert entries from the newest back to position (reverse order) and keep them as a branch
+            abandonFrom: function(data, position) {
+                const abandoned = [];
+                for (let i = data.entries.length - 1; i >= position; i--) {
+                    if (!data.entries[i]) {
+                        abandoned[i - position] = null;
+                        continue;
+                    }
+
+                    // Revert tools in reverse order
+                    abandoned[i - position] = { h: data.entries[i].h, n: data.entries[i].n, t: RewindSystem.revertTools(data.entries[i].t || []) };
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Reverted tools at position ${i}`);
+                }
+
+                RewindSystem.stashBranch(data, position, abandoned);
+                data.entries = data.entries.slice(0, position);
+            },
+
+            // Keep an abandoned continuation as a branch off the entry before it, keyed by its first hash
+            stashBranch: function(data, position, entries) {
+                const first = entries[0];
+                if (!first || !first.h) return;
+
+                if (!data.branches) data.branches = {};
+                delete data.branches[first.h];
+                data.branches[first.h] = {
+                    parent: data.entries[position - 1]?.h || '',
+                    at: position,
+                    turn: getCurrentTurn(),
+                    entries: entries
+                };
+
+                // Oldest branches go first
+                const hashes = Object.keys(data.branches);
+                for (let i = 0; i < hashes.length - RewindSystem.MAX_BRANCHES; i++) {
+                    delete data.branches[hashes[i]];
+                }
+
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Stored branch ${first.h} (${entries.length} entries) at position ${position}`);
+            },
+
+            // History continues the way a stored branch did - restore its first entry and keep the rest as a branch
+            restoreFromBranch: function(data, position, hash) {
+                const branch = data.branches?.[hash];
+                if (!branch || branch.parent !== (data.entries[position - 1]?.h || '')) return null;
+
+                delete data.branches[hash];
+                const [entry, ...rest] = branch.entries;
+                if (rest[0]?.h) {
+                    data.branches[rest[0].h] = { parent: hash, at: position + 1, turn: branch.turn, entries: rest };
+                }
+
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Restored position ${position} from branch ${hash}`);
+                return { h: hash, t: RewindSystem.redoTools(entry?.t) };
+            },
+
+            // Branches as a tree under the entries they split from
+            describeTimeline: function() {
+                const data = RewindSystem.getStorage();
+                const branches = Object.entries(data.branches || {});
+                const lines = [`Timeline: ${data.entries.length} entries, position ${data.position}`];
+                if (branches.length === 0) {
+                    lines.push('No branches');
+                    return lines.join('\n');
+                }
+
+                const ownerOf = {};
+                for (const [hash, branch] of branches) {
+                    for (const entry of branch.entries) {
+                        if (entry?.h) ownerOf[entry.h] = hash;
+                    }
+                }
+
+                const render = (hash, branch, depth) => {
+                    const tools = branch.entries.flatMap(entry => (entry?.t || []).map(([toolName]) => toolName));
+                    const toolList = tools.length > 0 ? `: ${[...new Set(tools)].join(', ')}` : '';
+                    lines.push(`${'  '.repeat(depth)}• ${hash} - diverged at entry ${branch.at} on turn ${branch.turn}, ` +
+                        `${branch.entries.length} ${branch.entries.length === 1 ? 'entry' : 'entries'}, ${tools.length} tools${toolList}`);
+                    for (const [childHash, child] of branches) {
+                        if (ownerOf[child.parent] === hash) render(childHash, child, depth + 1);
+                    }
+                };
+
+                lines.push('Branches:');
+                for (const [hash, branch] of branches) {
+                    if (!ownerOf[branch.parent]) render(hash, branch, 0);
+                }
+                return lines.join('\n');
+            },
+
+            // Snapshot layout: "SRW2S <turn> <anchor hash or .> <auto|named>", the string table,
+            // then every entity packed as one object, split across "<title>", "<title> (2)", ...
+            // The anchor is the newest history entry whose effects the snapshot contains.
+            getSnapshotTitles: function(name) {
+                const base = `${RewindSystem.SNAPSHOT_CARD_PREFIX} ${name}`;
+                const titles = [];
+                for (let part = 1; ; part++) {
+                    const title = part === 1 ? base : `${base} (${part})`;
+                    if (!Utilities.storyCard.get(title)) break;
+                    titles.push(title);
+                }
+                return titles;
+            },
+
+            listSnapshots: function() {
+                const prefix = `${RewindSystem.SNAPSHOT_CARD_PREFIX} `;
+                const cards = Utilities.storyCard.find(card => card.title && card.title.startsWith(prefix) && !/ \(\d+\)$/.test(card.title), true) || [];
+                const snapshots = [];
+                for (const card of cards) {
+                    const [format, turn, anchor, kind] = (card.description || '').split('\n', 1)[0].split(' ');
+                    if (format !== 'SRW2S') continue;
+                    snapshots.push({
+                        name: card.title.slice(prefix.length),
+                        turn: parseInt(turn, 36) || 0,
+                        anchor: anchor === '.' ? '' : anchor,
+                        auto: kind === 'auto'
+                    });
+                }
+                return snapshots.sort((a, b) => a.turn - b.turn);
+            },
+
+            removeSnapshot: function(name) {
+                for (const title of RewindSystem.getSnapshotTitles(name)) {
+                    Utilities.storyCard.remove(title);
+                }
+            },
+
+            // Store every entity (Global included) as it is right now
+            takeSnapshot: function(name, auto = false) {
+                const entities = {};
+                for (const [key, entity] of Object.entries(dataCache)) {
+                    if (!entity || typeof entity !== 'object' || !entity.id) continue;
+                    if (key.startsWith('schema.') || key.startsWith('Library.') || key.startsWith('_')) continue;
+                    entities[key] = entity;
+                }
+
+                const turn = getCurrentTurn();
+                const last = history.length > 0 ? history[history.length - 1] : null;
+                const anchor = RewindSystem.quickHash(last?.text) || '.';
+                const { pack, strings } = RewindSystem.createPacker();
+                const packed = pack(entities);
+                const encoded = [`SRW2S ${turn.toString(36)} ${anchor} ${auto ? 'auto' : 'named'}`, JSON.stringify(strings), packed].join('\n');
+
+                const title = `${RewindSystem.SNAPSHOT_CARD_PREFIX} ${name}`;
+                const oldParts = RewindSystem.getSnapshotTitles(name).length;
+                const chunks = [];
+                for (let i = 0; i < encoded.length; i += RewindSystem.MAX_CARD_SIZE) {
+                    chunks.push(encoded.slice(i, i + RewindSystem.MAX_CARD_SIZE));
+                }
+                for (let i = 0; i < chunks.length; i++) {
+                    Utilities.storyCard.upsert({
+                        title: i === 0 ? title : `${title} (${i + 1})`,
+                        entry: `# Rewind Snapshot - ${name}, turn ${turn}` + (chunks.length > 1 ? ` - Part ${i + 1}/${chunks.length}` : ''),
+                        description: chunks[i],
+                        type: 'data'
+                    });
+                }
+                for (let i = chunks.length; i < oldParts; i++) {
+                    Utilities.storyCard.remove(`${title} (${i + 1})`);
+                }
+
+                // Only the newest automatic snapshots are kept
+                if (auto) {
+                    const autos = RewindSystem.listSnapshots().filter(snapshot => snapshot.auto);
+                    for (const snapshot of autos.slice(0, Math.max(0, autos.length - RewindSystem.MAX_SNAPSHOTS))) {
+                        RewindSystem.removeSnapshot(snapshot.name);
+                    }
+                }
+
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Snapshot ${name} - ${Object.keys(entities).length} entities, ${encoded.length} chars`);
+                return { name, turn, entities: Object.keys(entities).length, size: encoded.length };
+            },
+
+            autoSnapshot: function() {
+                const turn = getCurrentTurn();
+                if (turn > 0 && turn % RewindSystem.SNAPSHOT_INTERVAL === 0) {
+                    RewindSystem.takeSnapshot(`auto_${turn}`, true);
+                }
+            },
+
+            // Put the snapshot's copy of every entity it holds back in place. Entities created since are
+            // set aside on a card of their own before they're removed - replaying tools recreates the ones
+            // tools made, and generated or hand-made ones can be brought back from that card
+            restoreSnapshot: function(name) {
+                const text = RewindSystem.getSnapshotTitles(name).map(title => Utilities.storyCard.get(title).description || '').join('');
+                let entities;
+                try {
+                    const lines = text.split('\n');
+                    entities = RewindSystem.createUnpacker(JSON.parse(lines[1]))(lines[2]);
+                } catch(e) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Failed to read snapshot ${name}: ${e}`);
+                    return false;
+                }
+
+                for (const [key, entity] of Object.entries(dataCache)) {
+                    if (!entity || typeof entity !== 'object' || !entity.id || key in entities) continue;
+                    if (key.startsWith('schema.') || key.startsWith('Library.') || key.startsWith('_')) continue;
+                    RewindSystem.setAside(entity, name);
+                    ModuleAPI.del(entity.id);
+                }
+                for (const [key, entity] of Object.entries(entities)) {
+                    ModuleAPI.save(entity.id || key, entity);
+                }
+
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Restored snapshot ${name}`);
+                return true;
+            },
 
-                data.position = position;
-                RewindSystem.saveStorage(data);
+            // Keep an entity the snapshot doesn't hold on a card that renaming to [SANE:E] loads again
+            setAside: function(entity, snapshotName) {
+                Utilities.storyCard.upsert({
+                    title: `${RewindSystem.SET_ASIDE_CARD_PREFIX} ${entity.id}`,
+                    entry: `# Set aside - ${entity.id}\nCreated after snapshot ${snapshotName} and removed when it was restored. ` +
+                        `Rename this card to "[SANE:E] ${entity.id}" to bring it back.`,
+                    description: `<== SANE DATA ==>\n${JSON.stringify({ [entity.id]: entity }, null, 2)}\n<== END DATA ==>`,
+                    type: 'data'
+                });
+                ModuleAPI.debugLog('rewind', `Set aside ${entity.id} - created after snapshot ${snapshotName}`);
+            },
 
-                if (MODULE_CONFIG.debug) {
-                    console.log(`${MODULE_NAME}: Recorded action at position ${position} (hash: ${hash.substring(0, 8)})`);
-                }
+            // Whether the history has none of the stored entries left - the player undid further
+            // than the tool log goes, so the effects of the actions in between aren't in the log.
+            // Older actions coming back at the start of a full history are not that: everything
+            // that needs reverting is still logged (see alignWithHistory)
+            historyPredatesLog: function(data, hashes) {
+                if (!data.entries.some(entry => entry)) return false;
+                return !data.entries.some(entry => entry && hashes.includes(entry.h));
             },
 
-            // Get entries for rewind
-            getEntriesForRewind: function(targetPosition) {
-                const data = RewindSystem.getStorage();
+            // Line the stored entries up with the history again when the start of a full history moved:
+            // an undo brings older actions back in front (they were applied long ago, nothing to revert),
+            // continuing pushes the oldest ones out
+            alignWithHistory: function(data, hashes) {
+                const first = data.entries.findIndex(entry => entry);
+                if (first < 0) return;
+
+                // The occurrence nearest to where the entry is stored, in case texts repeat
+                let index = -1;
+                hashes.forEach((hash, i) => {
+                    if (hash === data.entries[first].h && (index < 0 || Math.abs(i - first) < Math.abs(index - first))) index = i;
+                });
+                if (index < 0 || index === first) return;
 
-                if (targetPosition < 0 || targetPosition >= data.entries.length) {
-                    return null;
+                if (index > first) {
+                    const offset = index - first;
+                    data.entries = [...new Array(offset).fill(null), ...data.entries];
+                    for (const branch of Object.values(data.branches || {})) branch.at += offset;
+                } else {
+                    for (let i = 0; i < first - index; i++) RewindSystem.dropOldestEntry(data);
                 }
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: History start moved by ${index - first} - realigned entries`);
+            },
 
-                // Get all entries from target to current position
-                const entriesToRevert = [];
-                for (let i = data.position; i > targetPosition; i--) {
-                    if (data.entries[i] && data.entries[i].t) {
-                        entriesToRevert.push({
-                            position: i,
-                            tools: data.entries[i].t
-                        });
+            // Restore the snapshot anchored latest in the current history and replay the entries after it
+            catchUpFromSnapshot: function(data) {
+                const hashes = history.map(entry => RewindSystem.quickHash(entry?.text));
+                if (!RewindSystem.historyPredatesLog(data, hashes)) return false;
+
+                let nearest = null;
+                let anchorIndex = -1;
+                for (const snapshot of RewindSystem.listSnapshots()) {
+                    const index = snapshot.anchor ? hashes.lastIndexOf(snapshot.anchor) : -1;
+                    if (index > anchorIndex) {
+                        nearest = snapshot;
+                        anchorIndex = index;
                     }
                 }
 
-                return entriesToRevert;
-            },
+                if (!nearest) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: History predates the tool log and no snapshot covers it`);
+                    return false;
+                }
+                if (!RewindSystem.restoreSnapshot(nearest.name)) return false;
 
-            // Revert tools for a rewind
-            revertTools: function(tools) {
-                if (!tools || tools.length === 0) return;
+                // Branch redo data was captured against the state that was just replaced
+                data.branches = {};
+                data.entries = [];
+                for (let i = 0; i < history.length; i++) {
+                    const text = history[i]?.text;
+                    if (!text) {
+                        data.entries[i] = null;
+                        continue;
+                    }
 
-                // Revert tools in reverse order
-                for (let i = tools.length - 1; i >= 0; i--) {
-                    const toolData = tools[i];
-                    if (!toolData) continue;
+                    const tools = i > anchorIndex
+                        ? RewindSystem.extractAndExecuteTools(text)
+                        : ModuleAPI.parseToolCall(text).map(toolCall => [toolCall.name, toolCall.params, {}]);
+                    data.entries[i] = i > anchorIndex ? { h: hashes[i], n: getCurrentTurn(), t: tools } : { h: hashes[i], t: tools };
+                }
 
-                    const [toolName, params, revertData] = toolData;
+                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Restored snapshot ${nearest.name} and replayed ${history.length - 1 - anchorIndex} entries`);
+                return true;
+            },
 
-                    // If we have revert data, use it to restore original values
-                    if (revertData && Object.keys(revertData).length > 0) {
-                        RewindSystem.applyRevertData(toolName, params, revertData);
-                    } else {
-                        // Fall back to inverse operations
-                        switch(toolName) {
-                            case 'add_item':
-                                if (ModuleAPI.tools['add_item'] && params && params[2]) {
-                                    // Subtract the quantity that was added
-                                    ModuleAPI.tools['add_item']([params[0], params[1], -params[2]]);
-                                }
-                                break;
-                            case 'remove_item':
-                                if (ModuleAPI.tools['add_item'] && params) {
-                                    ModuleAPI.tools['add_item'](params);
-                                }
-                                break;
-                            case 'add_levelxp':
-                                // Revert by subtracting the XP
-                                if (params && params[1] && ModuleAPI.tools['add_levelxp']) {
-                                    ModuleAPI.tools['add_levelxp']([params[0], -params[1]]);
-                                }
-                                break;
-                            case 'add_skillxp':
-                                // Revert by subtracting the XP
-                                if (params && params[2] && ModuleAPI.tools['add_skillxp']) {
-                                    ModuleAPI.tools['add_skillxp']([params[0], params[1], -params[2]]);
-                                }
-                                break;
-                            case 'deal_damage':
-                                // Cannot revert damage without heal_damage tool
-                                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Cannot revert damage (heal_damage tool removed)`);
-                                break;
-                            default:
-                                if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Cannot revert tool: ${toolName}`);
-                        }
-                    }
+            describeSnapshots: function() {
+                const snapshots = RewindSystem.listSnapshots();
+                const lines = [`Snapshots (automatic every ${RewindSystem.SNAPSHOT_INTERVAL} turns, newest ${RewindSystem.MAX_SNAPSHOTS} kept):`];
+                if (snapshots.length === 0) {
+                    lines.push('None yet - /checkpoint <name> saves one');
+                    return lines.join('\n');
                 }
+
+                const hashes = new Set(history.map(entry => RewindSystem.quickHash(entry?.text)));
+                for (const snapshot of snapshots) {
+                    const reachable = hashes.has(snapshot.anchor) ? '' : ', outside the current history';
+                    lines.push(`• ${snapshot.name} - turn ${snapshot.turn}${snapshot.auto ? '' : ', checkpoint'}${reachable}`);
+                }
+                return lines.join('\n');
             },
 
             // Perform rewind to target position
@@ -5587,13 +10024,135 @@ function SANE(hook, text) {
                 return { edited: false };
             },
 
+            // Compare every stored entry with the history. Tools of entries that differ or are gone
+            // are still applied unless the story text calls them again at that position
+            verify: function() {
+                const data = RewindSystem.getStorage();
+                const report = { stored: data.entries.length, history: history.length, matched: 0, mismatches: [], missing: [], untracked: [], orphaned: [] };
+                const signature = (toolName, params) => `${toolName.toLowerCase()} ${JSON.stringify(params)}`;
+
+                for (let i = 0; i < Math.max(data.entries.length, history.length); i++) {
+                    const entry = data.entries[i];
+                    const text = history[i]?.text;
+                    if (!entry) {
+                        if (text && i < history.length) report.untracked.push(i);
+                        continue;
+                    }
+
+                    if (i >= history.length) {
+                        report.missing.push(i);
+                    } else {
+                        const hash = RewindSystem.quickHash(text);
+                        if (hash === entry.h) {
+                            report.matched++;
+                            continue;
+                        }
+                        report.mismatches.push({ position: i, stored: entry.h, current: hash });
+                    }
+
+                    const current = new Set(ModuleAPI.parseToolCall(text || '').map(toolCall => signature(toolCall.name, toolCall.params)));
+                    for (const [toolName, params] of entry.t || []) {
+                        if (ModuleAPI.tools[toolName] && !current.has(signature(toolName, params))) {
+                            report.orphaned.push({ position: i, tool: toolName, params });
+                        }
+                    }
+                }
+
+                if (report.mismatches.length > 0 || report.missing.length > 0) {
+                    ModuleAPI.debugLog('rewind', `Verify: ${report.mismatches.length} mismatched, ${report.missing.length} missing, ${report.orphaned.length} orphaned tools`);
+                }
+                return report;
+            },
+
+            describeVerification: function() {
+                const report = RewindSystem.verify();
+                // "Entry 5 is" for one position, "Entries 3, 4 and 5 are" for several
+                const entries = positions => positions.length === 1
+                    ? `Entry ${positions[0]} is`
+                    : `Entries ${positions.slice(0, -1).join(', ')} and ${positions[positions.length - 1]} are`;
+                const lines = [`Rewind check: ${report.stored} stored ${report.stored === 1 ? 'entry' : 'entries'}, ${report.history} in history, ${report.matched} match`];
+
+                for (const mismatch of report.mismatches) {
+                    lines.push(`✗ Entry ${mismatch.position} differs (stored ${mismatch.stored}, story ${mismatch.current})`);
+                }
+                if (report.missing.length > 0) {
+                    lines.push(`✗ ${entries(report.missing)} no longer in the story`);
+                }
+                if (report.untracked.length > 0) {
+                    lines.push(`• ${entries(report.untracked)} not tracked yet`);
+                }
+
+                if (report.orphaned.length > 0) {
+                    lines.push('Applied but no longer in the story:');
+                    for (const { position, tool, params } of report.orphaned) {
+                        lines.push(`• entry ${position}: ${tool}(${Object.values(params || {}).join(', ')})`);
+                    }
+                }
+
+                if (report.mismatches.length === 0 && report.missing.length === 0) {
+                    lines.push('✓ State matches the story');
+                } else {
+                    lines.push('Run /rewind_repair to rebuild state from the story');
+                }
+                return lines.join('\n');
+            },
+
+            // Rebuild from the first entry that no longer matches the story: take back the tools logged from
+            // there on (newest first), then run the tools in the story text again on the turn they first ran on.
+            // Entries before it are left alone. Changes the hooks recorded (status ticks, decay, encounter
+            // turns) aren't in the story text, so they stay applied and stay with their entry - unless the
+            // entry left the story. Entries logged before turns were stored replay on the current turn
+            repair: function() {
+                const report = RewindSystem.verify();
+                const diverged = [...report.mismatches.map(mismatch => mismatch.position), ...report.missing];
+                if (diverged.length === 0) return 'Rewind repair: state already matches the story - nothing to rebuild';
+
+                const data = RewindSystem.getStorage();
+                const from = Math.min(...diverged);
+                const isTool = ([toolName]) => !!ModuleAPI.tools[toolName];
+
+                let reverted = 0;
+                for (let i = data.entries.length - 1; i >= from; i--) {
+                    if (!data.entries[i]) continue;
+                    const logged = (data.entries[i].t || []).filter(tool => i >= history.length || isTool(tool));
+                    RewindSystem.revertTools(logged);
+                    reverted += logged.length;
+                }
+
+                let executed = 0;
+                const stored = data.entries;
+                data.entries = stored.slice(0, from);
+                for (let i = from; i < history.length; i++) {
+                    const text = history[i]?.text;
+                    if (!text) {
+                        data.entries[i] = null;
+                        continue;
+                    }
+
+                    const turn = stored[i]?.n || getCurrentTurn();
+                    const tools = atTurn(turn, () => RewindSystem.extractAndExecuteTools(text));
+                    const recorded = (stored[i]?.t || []).filter(tool => !isTool(tool));
+                    data.entries[i] = { h: RewindSystem.quickHash(text), n: turn, t: [...tools, ...recorded] };
+                    executed += tools.length;
+                }
+
+                // Branch redo data was captured against the state that was just replaced
+                data.branches = {};
+                data.position = history.length - 1;
+                RewindSystem.saveStorage(data);
+
+                ModuleAPI.debugLog('rewind', `Repair: reverted ${reverted} tools, re-ran ${executed} from entry ${from}`);
+                return `Rewind repair: reverted ${reverted} logged tools and re-ran ${executed} from entry ${from} of ${history.length}`;
+            },
+
             // Rehash from a certain position forward (after edit)
             rehashFrom: function(position) {
                 const data = RewindSystem.getStorage();
 
                 // When an edit is detected, everything after the edit point is invalid
                 if (position < data.entries.length) {
-                    // Keep entries up to AND including the edit position
+                    // Keep entries up to AND including the edit position, the rest becomes a branch
+                    RewindSystem.stashBranch(data, position + 1, data.entries.slice(position + 1));
                     data.entries = data.entries.slice(0, position + 1);
 
                     // Update position to match current history length
@@ -5688,7 +10247,7 @@ function SANE(hook, text) {
                     // Capture revert data BEFORE executing the tool
                     const revertData = RewindSystem.captureRevertData(toolCall.name, toolCall.params);
 
-                    const result = ModuleAPI.processTool(toolCall.name, toolCall.params, 'rewind');
+                    const result = ModuleAPI.processTool(toolCall.name, toolCall.params, 'rewind', { text, index: toolCall.index, match: toolCall.match });
 
                     // Only track if successfully executed (not malformed or unknown)
                     if (result === 'executed') {
@@ -5717,6 +10276,20 @@ function SANE(hook, text) {
 
                 const data = RewindSystem.getStorage();
                 const historyLength = history.length;
+
+                // Without the stored entries there's nothing to compare the history with
+                if (data.unreadable) return;
+
+                // Undone past the tool log: start over from a snapshot instead
+                if (RewindSystem.catchUpFromSnapshot(data)) {
+                    data.position = historyLength - 1;
+                    RewindSystem.saveStorage(data);
+                    RewindSystem.autoSnapshot();
+                    return;
+                }
+
+                RewindSystem.alignWithHistory(data, history.map(entry => RewindSystem.quickHash(entry?.text)));
+
                 const oldLength = data.entries.length;
                 const oldPosition = data.position || -1;  // Track our last known position
 
@@ -5735,7 +10308,14 @@ function SANE(hook, text) {
 
                 // If shifted, remove the oldest entry from our data
                 if (shifted) {
-                    data.entries.shift();
+                    RewindSystem.dropOldestEntry(data);
+                }
+
+                // History is shorter than what we stored: the newest entries were undone or are being retried.
+                // Take their effects back before the new output is generated and keep them as a branch
+                if (data.entries.length > historyLength) {
+                    if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Entries after ${historyLength - 1} left the history - storing them as a branch`);
+                    RewindSystem.abandonFrom(data, historyLength);
                 }
 
                 // Track new entries but DON'T execute tools (assume already executed)
@@ -5750,6 +10330,13 @@ function SANE(hook, text) {
 
                     const hash = RewindSystem.quickHash(historyEntry.text);
 
+                    // A continuation we stored as a branch came back (redo) - restore it rather than run it again
+                    const restored = RewindSystem.restoreFromBranch(data, i, hash);
+                    if (restored) {
+                        data.entries[i] = restored;
+                        continue;
+                    }
+
                     // Check if this is the LAST entry in the history (genuinely new)
                     // All other entries are assumed to be restored/already executed
                     if (i === historyLength - 1 && i > oldPosition) {
@@ -5758,6 +10345,7 @@ function SANE(hook, text) {
                         const tools = RewindSystem.extractAndExecuteTools(historyEntry.text);
                         data.entries[i] = {
                             h: hash,
+                            n: getCurrentTurn(),
                             t: tools,
                             rd: {} // Revert data would be populated if we captured it
                         };
@@ -5770,27 +10358,8 @@ function SANE(hook, text) {
                         if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Tracking entry at position ${i} without execution (restored or old)`);
 
                         // Extract tools without executing them (for tracking purposes)
-                        const toolMatches = [];
-                        const localToolPattern = /<([a-z_]+)((?:\s+[a-z_]+="[^"]*")*)\s*\/>/gi;
-                        let match;
-                        while ((match = localToolPattern.exec(historyEntry.text)) !== null) {
-                            const toolName = match[1];
-                            const attrString = match[2] || '';
-                            const params = {};
-                            const attrRegex = /([a-z_0-9]+)="([^"]*)"/gi;
-                            let attr;
-                            while ((attr = attrRegex.exec(attrString)) !== null) {
-                                const key = attr[1];
-                                const value = attr[2];
-                                // Auto-convert numeric strings to numbers (but preserve empty strings)
-                                if (value === '' || isNaN(Number(value))) {
-                                    params[key] = value;
-                                } else {
-                                    params[key] = Number(value);
-                                }
-                            }
-                            toolMatches.push([toolName, params, {}]);
-                        }
+                        const toolMatches = ModuleAPI.parseToolCall(historyEntry.text)
+                            .map(toolCall => [toolCall.name, toolCall.params, {}]);
 
                         data.entries[i] = {
                             h: hash,
@@ -5818,26 +10387,31 @@ function SANE(hook, text) {
 
                 // If an edit was found, revert everything from current position back to AND INCLUDING the edit
                 if (editedPosition >= 0) {
-                    // Step 1: Revert ALL tools from current position back to AND INCLUDING edited position (reverse order)
-                    for (let i = checkLength - 1; i >= editedPosition; i--) {
-                        if (!data.entries[i]) continue;
-
-                        const oldTools = data.entries[i].t || [];
-                        // Revert tools in reverse order
-                        RewindSystem.revertTools(oldTools);
-                        if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Reverted tools at position ${i}`);
-                    }
-
-                    // Step 2: Re-execute ALL tools from edited position to current position (forward order)
-                    for (let i = editedPosition; i < checkLength; i++) {
-                        if (!history[i]) continue;
+                    // Step 1: Revert ALL tools from the newest stored entry back to AND INCLUDING edited position
+                    // (reverse order), keeping the abandoned continuation as a branch
+                    RewindSystem.abandonFrom(data, editedPosition);
+
+                    // Step 2: Re-execute ALL tools from edited position to current position (forward order),
+                    // unless the history follows a stored branch - then its effects are restored instead
+                    for (let i = editedPosition; i < historyLength; i++) {
+                        if (!history[i]) {
+                            data.entries[i] = null;
+                            continue;
+                        }
 
                         const historyHash = RewindSystem.quickHash(history[i].text);
+                        const restored = RewindSystem.restoreFromBranch(data, i, historyHash);
+                        if (restored) {
+                            data.entries[i] = restored;
+                            continue;
+                        }
+
                         const tools = RewindSystem.extractAndExecuteTools(history[i].text);
 
                         // Update the stored entry with new hash and tool data
                         data.entries[i] = {
                             h: historyHash,
+                            n: getCurrentTurn(),
                             t: tools
                         };
 
@@ -5850,13 +10424,14 @@ function SANE(hook, text) {
                 // Update position
                 data.position = historyLength - 1;
                 RewindSystem.saveStorage(data);
+                RewindSystem.autoSnapshot();
             }
         };
 
         // Tools for manual rewind operations
         const tools = {
             rewind_to_position: function(params) {
-                const [position] = params;
+                const { position } = params || {};
 
                 if (position === undefined) return 'malformed';
 
@@ -5874,7 +10449,7 @@ function SANE(hook, text) {
             },
 
             rewind_steps: function(params) {
-                const [steps] = params;
+                const { steps } = params || {};
 
                 if (steps === undefined) return 'malformed';
 
@@ -5901,9 +10476,25 @@ function SANE(hook, text) {
             }
         };
 
+        // Manual rewind tools are for debugging, so they stay out of the generated instructions
+        const definitions = {
+            rewind_to_position: {
+                description: 'Rewind tool effects to a history position',
+                params: [{ name: 'position', type: 'number' }]
+            },
+            rewind_steps: {
+                description: 'Rewind tool effects by a number of steps',
+                params: [{ name: 'steps', type: 'number' }]
+            },
+            get_rewind_position: {
+                description: 'Log the current rewind position',
+                params: []
+            }
+        };
+
         // Register all tools
         Object.entries(tools).forEach(([name, fn]) => {
-            ModuleAPI.registerTool(name, fn);
+            ModuleAPI.registerTool(name, fn, { category: 'Rewind', hidden: true, ...definitions[name] });
         });
 
         // Export RewindSystem for use by other modules
@@ -5916,6 +10507,126 @@ function SANE(hook, text) {
     }
     //#endregion RewindModule
 
+    // ========================================
+    // ToolReferenceModule - Instruction text generated from the tool registry
+    // ========================================
+    //#region ToolReferenceModule
+    {
+        const MODULE_NAME = 'ToolReferenceModule';
+        const REFERENCE_CARD = '[SANE:C] Tool Reference';
+
+        // Documented tools in registration order, registered and runtime alike.
+        // Runtime tools without a schema are listed under 'Custom' with no params
+        function getDocumentedTools() {
+            const entries = [];
+            for (const [name, schema] of Object.entries(toolSchemas)) {
+                if (schema.hidden) continue;
+                if (!tools[name] && !runtimeTools[name]) continue;
+                entries.push(schema);
+            }
+            for (const name of Object.keys(runtimeTools)) {
+                if (!toolSchemas[name]) {
+                    entries.push({ name, category: 'Custom', params: [] });
+                }
+            }
+            return entries;
+        }
+
+        function groupByCategory(entries) {
+            const groups = new Map();
+            for (const entry of entries) {
+                const category = entry.category || 'Custom';
+                if (!groups.has(category)) groups.set(category, []);
+                groups.get(category).push(entry);
+            }
+            return groups;
+        }
+
+        function formatCall(schema) {
+            const params = (schema.params || []).map(param => param.name);
+            return `${schema.name}(${params.join(', ')})`;
+        }
+
+        // Full reference for the AI Instructions ("Which Tool When" + per-category docs)
+        function generateToolReference() {
+            const entries = getDocumentedTools();
+            const lines = [
+                '# Tool Reference',
+                '',
+                'Call tools inline in the prose as tool_name(arg1, arg2, ...).',
+                '',
+                '## Which Tool When'
+            ];
+
+            // Tools that share a situation are listed together
+            const situations = new Map();
+            for (const entry of entries) {
+                const whens = Array.isArray(entry.when) ? entry.when : (entry.when ? [entry.when] : []);
+                for (const when of whens) {
+                    if (!situations.has(when)) situations.set(when, []);
+                    situations.get(when).push(`${entry.name}()`);
+                }
+            }
+            for (const [when, calls] of situations) {
+                lines.push(`- **${when}** → ${calls.join(' or ')}`);
+            }
+
+            for (const [category, group] of groupByCategory(entries)) {
+                lines.push('', `## ${category} Tools`);
+                for (const entry of group) {
+                    const call = `\`${formatCall(entry)}\``;
+                    lines.push(entry.description ? `${call} - ${entry.description}` : call);
+                }
+
+                const examples = group.flatMap(entry => entry.examples || []);
+                if (examples.length > 0) {
+                    lines.push('');
+                    for (const example of examples) {
+                        lines.push(`Example: "${example}"`);
+                    }
+                }
+            }
+
+            return lines.join('\n');
+        }
+
+        // Compact one-line-per-category list for the [CURRENT SCENE] card
+        function generateSceneToolList() {
+            const lines = [];
+            for (const [category, group] of groupByCategory(getDocumentedTools())) {
+                lines.push(`• ${category}: ${group.map(formatCall).join(' ')}`);
+            }
+            return lines.join('\n');
+        }
+
+        // Keep a copy of the reference in a card so it can be pasted into the AI Instructions
+        function refreshReferenceCard() {
+            const reference = generateToolReference();
+            const card = Utilities.storyCard.get(REFERENCE_CARD);
+            if (card && card.entry === reference) return;
+
+            Utilities.storyCard.upsert({
+                title: REFERENCE_CARD,
+                entry: reference,
+                description: 'Generated from the live tool registry (including [SANE_RUNTIME] TOOLS). Copy the entry into your AI Instructions - edits here are overwritten.',
+                type: 'data'
+            });
+            if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Updated ${REFERENCE_CARD}`);
+        }
+
+        ModuleAPI.registerAPI('generateToolReference', generateToolReference);
+        ModuleAPI.registerAPI('generateSceneToolList', generateSceneToolList);
+
+        // Runtime tools are loaded after modules, so the card is refreshed during the hook
+        ModuleAPI.registerHook('context', function(text) {
+            refreshReferenceCard();
+            return text;
+        });
+
+        ModuleAPI.debugLog('module', 'ToolReferenceModule loaded');
+    }
+    //#endregion ToolReferenceModule
+
     // ======== END OF MODULES ========
 
     //#endregion SECTION 5
@@ -5925,7 +10636,11 @@ function SANE(hook, text) {
     // ========================================
     //#region SECTION 6
 
-    function processTool(toolName, params, source = 'unknown') {
+    // Where the tool call being executed sits in the output ({ text, index, match }),
+    // so tools can read the prose around their call
+    let toolCallOrigin = null;
+
+    function processTool(toolName, params, source = 'unknown', origin = null) {
         // Normalize tool name (snake_case)
         const normalizedName = toolName.toLowerCase().replace(/\s+/g, '_');
 
@@ -5951,11 +10666,19 @@ function SANE(hook, text) {
             return 'unknown';
         }
 
+        // Bring positional/mixed calls into the named shape the tool expects
+        params = normalizeToolParams(normalizedName, params);
+
+        const previousOrigin = toolCallOrigin;
+        toolCallOrigin = origin;
         try {
             // Track entity references in tool calls
-            // With named params, look for common entity param names
+            // Signatures say which params are entities; fall back to common names
             if (params && typeof params === 'object') {
-                const entityParamNames = ['name', 'entity', 'character', 'target', 'source', 'giver', 'receiver', 'name1', 'name2'];
+                const signature = toolSignatures[normalizedName];
+                const entityParamNames = signature
+                    ? signature.filter(param => param.type === 'entity').map(param => param.name)
+                    : ['name', 'entity', 'character', 'target', 'source', 'giver', 'receiver', 'name1', 'name2'];
                 for (const paramName of entityParamNames) {
                     if (params[paramName] && typeof params[paramName] === 'string') {
                         const entityName = params[paramName];
@@ -5983,39 +10706,228 @@ function SANE(hook, text) {
             });
             if (MODULE_CONFIG.debug) console.log(`${MODULE_NAME}: Error in tool ${normalizedName}: ${e.message}`);
             return 'malformed';
+        } finally {
+            toolCallOrigin = previousOrigin;
+        }
+    }
+
+    // Start and end of the sentence around [from, to) in text
+    function getSentenceBounds(text, from, to) {
+        const before = text.substring(0, from);
+        const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('! '), before.lastIndexOf('? '), before.lastIndexOf('\n')) + 1;
+        const endMatch = text.substring(to).match(/[.!?](\s|$)|\n/);
+        const end = endMatch ? to + endMatch.index + 1 : text.length;
+        return [start, end];
+    }
+
+    // The sentence the current tool call was written in, without the tool calls.
+    // A call standing alone after a sentence refers to that sentence
+    function getToolSentence() {
+        if (!toolCallOrigin?.text) return null;
+        const { text, index, match } = toolCallOrigin;
+
+        let [start, end] = getSentenceBounds(text, index, index + match.length);
+        for (let attempt = 0; attempt < 2; attempt++) {
+            let sentence = text.substring(start, end);
+            for (const call of parseToolCall(sentence)) {
+                sentence = sentence.replace(call.match, ' ');
+            }
+            sentence = sentence.replace(/\s+/g, ' ').trim();
+            if (/\w/.test(sentence)) return sentence;
+            if (start === 0) break;
+            [start, end] = getSentenceBounds(text, start - 1, start - 1);
+        }
+        return null;
+    }
+
+    // Convert a raw param value according to its signature type
+    // Untyped values keep the old behaviour: numeric strings become numbers
+    function coerceToolParam(value, type) {
+        if (value === undefined || value === null) return value;
+        if (type === 'number') {
+            const num = Number(value);
+            return value === '' || isNaN(num) ? value : num;
+        }
+        if (type === 'string' || type === 'entity') {
+            return String(value);
+        }
+        if (typeof value === 'string' && value !== '' && !isNaN(Number(value))) {
+            return Number(value);
         }
+        return value;
+    }
+
+    // Bind positional and named arguments to a tool's signature
+    // Named arguments win; positional ones fill the remaining slots in order.
+    // When fewer positional values are given than open slots, optional params
+    // are skipped from the end (so deal_damage(kirito, 8) skips the optional source)
+    function bindToolParams(toolName, positional = [], named = {}) {
+        const signature = toolSignatures[toolName];
+
+        if (!signature) {
+            // No signature: keep named params, pass bare positional lists through as-is
+            if (positional.length === 0) return { ...named };
+            if (Object.keys(named).length === 0) return positional.slice();
+            const merged = { ...named };
+            positional.forEach((value, index) => { merged[index] = value; });
+            return merged;
+        }
+
+        const bound = {};
+        const open = signature.filter(param => named[param.name] === undefined);
+        let skip = Math.max(0, open.length - positional.length);
+        const skipped = new Set();
+        for (let i = open.length - 1; i >= 0 && skip > 0; i--) {
+            if (open[i].optional) {
+                skipped.add(open[i].name);
+                skip--;
+            }
+        }
+
+        const remaining = positional.slice();
+        for (const param of signature) {
+            if (named[param.name] !== undefined) {
+                bound[param.name] = coerceToolParam(named[param.name], param.type);
+            } else if (!skipped.has(param.name) && remaining.length > 0) {
+                bound[param.name] = coerceToolParam(remaining.shift(), param.type);
+            }
+        }
+
+        // Keep named params the signature doesn't know about
+        for (const [key, value] of Object.entries(named)) {
+            if (!(key in bound)) bound[key] = value;
+        }
+
+        return bound;
+    }
+
+    // Accepts a named params object or a positional array and returns the
+    // normalized params for dispatch
+    function normalizeToolParams(toolName, params) {
+        if (Array.isArray(params)) {
+            return bindToolParams(toolName, params, {});
+        }
+        if (params && typeof params === 'object') {
+            return bindToolParams(toolName, [], params);
+        }
+        return bindToolParams(toolName, [], {});
+    }
+
+    // Split "a, b, key="c, d"" into raw argument strings, honouring quotes
+    function splitToolArgs(argString) {
+        const args = [];
+        let current = '';
+        let quote = null;
+
+        for (const char of argString) {
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+                continue;
+            }
+            // A quote only opens a string at the start of a value
+            if ((char === '"' || char === "'") && /^\s*(?:[a-z_][a-z0-9_]*\s*=\s*)?$/i.test(current)) {
+                quote = char;
+                continue;
+            }
+            if (char === ',') {
+                args.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        if (current.trim() !== '' || args.length > 0) {
+            args.push(current.trim());
+        }
+        return args;
     }
 
     function parseToolCall(text) {
-        // Parse XML-style tool calls: <tool_name param="value" param2="value2"/>
+        // Parse tool calls in either syntax:
+        //   XML:      <tool_name param="value" param2="value2"/>
+        //   Function: tool_name(value, value2) or tool_name(value, param2=value2)
         const tools = [];
+        const xmlRanges = [];
         // Reset lastIndex for global regex reuse
         TOOL_PATTERN.lastIndex = 0;
         let match;
 
         while ((match = TOOL_PATTERN.exec(text)) !== null) {
-            const toolName = match[1];
+            const toolName = match[1].toLowerCase();
             const attrString = match[2] || '';
-            const params = {};
+            const named = {};
 
             // Parse attributes: param="value"
             const attrRegex = /([a-z_0-9]+)="([^"]*)"/gi;
             let attr;
             while ((attr = attrRegex.exec(attrString)) !== null) {
-                const key = attr[1];
-                const value = attr[2];
-                // Auto-convert numeric strings to numbers (but preserve empty strings)
-                if (value === '' || isNaN(Number(value))) {
-                    params[key] = value;
+                named[attr[1]] = attr[2];
+            }
+
+            xmlRanges.push([match.index, match.index + match[0].length]);
+            tools.push({
+                name: toolName,
+                params: bindParsedParams(toolName, [], named),
+                match: match[0],
+                index: match.index
+            });
+        }
+
+        FUNCTION_TOOL_PATTERN.lastIndex = 0;
+        while ((match = FUNCTION_TOOL_PATTERN.exec(text)) !== null) {
+            const toolName = match[1].toLowerCase();
+            const start = match.index;
+
+            // Skip anything inside an XML call, and plain words that aren't tools
+            if (xmlRanges.some(([from, to]) => start >= from && start < to)) continue;
+            if (!isCallableToolName(toolName)) continue;
+
+            const positional = [];
+            const named = {};
+            for (const arg of splitToolArgs(match[2])) {
+                const namedArg = arg.match(/^([a-z_][a-z0-9_]*)\s*=\s*([\s\S]*)$/i);
+                if (namedArg) {
+                    named[namedArg[1].toLowerCase()] = namedArg[2].trim();
                 } else {
-                    params[key] = Number(value);
+                    positional.push(arg);
                 }
             }
 
-            tools.push({ name: toolName, params, match: match[0] });
+            tools.push({
+                name: toolName,
+                params: bindParsedParams(toolName, positional, named),
+                match: match[0],
+                index: start
+            });
         }
 
-        return tools;
+        // Execute in the order the calls appear in the text
+        return tools.sort((a, b) => a.index - b.index);
+    }
+
+    // Function-call syntax is only trusted for registered tools or snake_case names
+    // (so prose like "smiled (briefly)" is never mistaken for a call, but unknown
+    // tools the AI invents are still reported to the tracker)
+    function isCallableToolName(toolName) {
+        return !!(tools[toolName] || runtimeTools[toolName] || toolSignatures[toolName] || toolName.includes('_'));
+    }
+
+    // Parsed values are raw strings: signed tools coerce by type during binding,
+    // unsigned tools get the numeric auto-conversion
+    function bindParsedParams(toolName, positional, named) {
+        if (toolSignatures[toolName]) {
+            return bindToolParams(toolName, positional, named);
+        }
+        const untypedNamed = {};
+        for (const [key, value] of Object.entries(named)) {
+            untypedNamed[key] = coerceToolParam(value);
+        }
+        return bindToolParams(toolName, positional.map(value => coerceToolParam(value)), untypedNamed);
     }
 
     //#endregion SECTION 6
@@ -6036,6 +10948,51 @@ function SANE(hook, text) {
             return getDebugLog();
         },
 
+        quests: function(args) {
+            if (!ModuleAPI.getQuestLog) return 'Quest log unavailable';
+            return ModuleAPI.getQuestLog(args[0]?.toLowerCase() === 'all');
+        },
+
+        timeline: function(args) {
+            if (!ModuleAPI.RewindSystem) return 'Rewind system unavailable';
+            return ModuleAPI.RewindSystem.describeTimeline();
+        },
+
+        rewind_verify: function(args) {
+            if (!ModuleAPI.RewindSystem) return 'Rewind system unavailable';
+            return ModuleAPI.RewindSystem.describeVerification();
+        },
+
+        rewind_repair: function(args) {
+            if (!ModuleAPI.RewindSystem) return 'Rewind system unavailable';
+            return ModuleAPI.RewindSystem.repair();
+        },
+
+        checkpoint: function(args) {
+            if (!ModuleAPI.RewindSystem) return 'Rewind system unavailable';
+            if (args.length === 0) return ModuleAPI.RewindSystem.describeSnapshots();
+
+            const snapshot = ModuleAPI.RewindSystem.takeSnapshot(args.join('_'));
+            return `Checkpoint ${snapshot.name} saved on turn ${snapshot.turn} (${snapshot.entities} entities)`;
+        },
+
+        map: function(args) {
+            if (!ModuleAPI.exportMap) return 'Map export unavailable';
+            return ModuleAPI.exportMap(args[0]);
+        },
+
+        route: function(args) {
+            if (!ModuleAPI.describeRoute) return 'Routing unavailable';
+            if (args.length < 2) return 'Usage: /route <from> <to>';
+
+            // A character stands in for the location they are at
+            const [from, to] = args.slice(0, 2).map(name => {
+                const entity = get(name);
+                return entity?.info?.currentLocation || name.toLowerCase();
+            });
+            return ModuleAPI.describeRoute(from, to);
+        },
+
         entities: function(args) {
             const entities = [];
             for (const [key, value] of Object.entries(dataCache)) {
@@ -6083,6 +11040,17 @@ function SANE(hook, text) {
             return 'Failed to queue quest generation';
         },
 
+        gw_batch: function(args) {
+            const [type, count, ...groupWords] = args;
+            const group = groupWords.length > 0 ? groupWords.join(' ') : undefined;
+            // Use the registered tool
+            const result = processTool('gw_batch', { type, count, group });
+            if (result === 'executed') {
+                return `Queued batch generation of ${count} ${type}${group ? ` for: ${group}` : ''}`;
+            }
+            return 'Failed to queue batch generation - usage: /gw_batch <npc|location> <count> [group name]';
+        },
+
         gw_item: function(args) {
             // Note: No built-in Item blueprint, would need to be added
             const name = args.join(' ') || `Item_${Date.now()}`;
@@ -6186,7 +11154,10 @@ function SANE(hook, text) {
 
                 // Some commands replace the entire input
                 if (result.output && (commandName === 'debug' || commandName === 'debug_log' ||
-                                      commandName === 'entities' || commandName === 'tracker')) {
+                                      commandName === 'entities' || commandName === 'tracker' ||
+                                      commandName === 'quests' || commandName === 'route' ||
+                                      commandName === 'map' || commandName === 'timeline' ||
+                                      commandName === 'checkpoint' || commandName.startsWith('rewind_'))) {
                     modifiedText = result.output;
                     return modifiedText;
                 }
@@ -6350,7 +11321,7 @@ function SANE(hook, text) {
                 revertData = ModuleAPI.RewindSystem.captureRevertData(toolCall.name, toolCall.params);
             }
 
-            const result = processTool(toolCall.name, toolCall.params, 'output');
+            const result = processTool(toolCall.name, toolCall.params, 'output', { text: modifiedText, index: toolCall.index, match: toolCall.match });
             if (result === 'executed') {
                 debugLog('output', `Tool ${toolCall.name} executed successfully`);
                 // Store in format expected by RewindSystem: [name, params, revertData]
@@ -6385,6 +11356,9 @@ function SANE(hook, text) {
             }
         }
 
+        // Changes the hooks recorded are taken back with the tools (after them, as they ran later)
+        executedTools.push(...recordedChanges);
+
         // Calculate hash for RewindSystem
         if (ModuleAPI.RewindSystem && ModuleAPI.RewindSystem.quickHash) {
             currentHash = ModuleAPI.RewindSystem.quickHash(modifiedText);
@@ -6543,10 +11517,14 @@ function SANE(hook, text) {
         schemas,
         tools,
         hooks,
+        toolSignatures,
+        toolSchemas,
 
         // Tool processing
         processTool,
         parseToolCall,
+        getToolSentence,
+        normalizeToolParams,
 
         // Utility references
         Utilities: Utilities,
@@ -6614,9 +11592,17 @@ function SANE(hook, text) {
                     const wrappedCode = `({${toolsCode}})`;
                     const toolDefinitions = eval(wrappedCode);
 
+                    // Optional tool schemas: schemas: { my_tool: { description, category, params: [...] } }
+                    const runtimeSchemas = toolDefinitions.schemas && typeof toolDefinitions.schemas === 'object'
+                        ? toolDefinitions.schemas
+                        : {};
+
                     // Register each tool
                     for (const [name, func] of Object.entries(toolDefinitions)) {
                         if (typeof func === 'function') {
+                            if (runtimeSchemas[name]) {
+                                registerToolSchema(name, runtimeSchemas[name]);
+                            }
                             runtimeTools[name] = (function(toolName, toolFunc) {
                                 return function(params) {
                                     try {
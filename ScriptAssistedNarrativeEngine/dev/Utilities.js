@@ -18,6 +18,7 @@ const Utilities = (function() {
      * 
      * Formatting:
      * - format: Number and string formatting utilities
+     * - graph: Export node/edge graphs as Mermaid or Graphviz DOT text
      * 
      * AI Dungeon Specific:
      * - storyCard: Story Card operations (get, find, add, update, remove, upsert, position)
@@ -437,6 +438,29 @@ const Utilities = (function() {
      */
     
     
+    /**
+     * GRAPH EXPORT API
+     * ================
+     * Turns a plain node/edge description into diagram source for copy-out
+     * 
+     * Graph shape:
+     *   { nodes: [{id, label?, highlight?}], edges: [{from, to, label?, dashed?}] }
+     *   Nodes only referenced by an edge are added with their id as label
+     * 
+     * toMermaid(graph: Object, options?: {direction?: string}) -> string
+     *   Mermaid flowchart, highlighted nodes get the "current" class
+     *   Example: Utilities.graph.toMermaid({nodes: [{id: 'town', label: 'Town'}], edges: [{from: 'town', to: 'forest', label: 'north'}]})
+     *   // 'flowchart LR\n  town["Town"]\n  forest["forest"]\n  town -->|north| forest\n  ...'
+     *   
+     * toDot(graph: Object, options?: {direction?: string, name?: string}) -> string
+     *   Graphviz digraph, highlighted nodes are filled
+     *   Example: Utilities.graph.toDot(graph, {name: 'World'}) // 'digraph "World" {\n  rankdir=LR;\n  ...'
+     *   
+     * export(graph: Object, format?: string, options?: Object) -> string
+     *   'mermaid' (default) or 'dot'
+     *   Example: Utilities.graph.export(graph, 'dot')
+     */
+    
     /**
      * PARSING UTILITIES API
      * =====================
@@ -2877,6 +2901,76 @@ const Utilities = (function() {
         }
     };
     
+    // =====================================
+    // GRAPH EXPORT
+    // =====================================
+    const GraphUtils = {
+        // Every node once, including ones only an edge points at
+        collectNodes(graph) {
+            const nodes = new Map();
+            for (const node of graph?.nodes || []) {
+                if (node?.id !== undefined) nodes.set(String(node.id), node);
+            }
+            for (const edge of graph?.edges || []) {
+                for (const id of [edge.from, edge.to]) {
+                    if (id !== undefined && !nodes.has(String(id))) nodes.set(String(id), { id: String(id) });
+                }
+            }
+            return [...nodes.values()];
+        },
+        
+        toMermaid(graph, options = {}) {
+            const safeId = id => String(id).replace(/[^A-Za-z0-9_]/g, '_');
+            const escape = text => String(text).replace(/"/g, '#quot;');
+            const lines = [`flowchart ${options.direction || 'LR'}`];
+            
+            const nodes = this.collectNodes(graph);
+            for (const node of nodes) {
+                lines.push(`  ${safeId(node.id)}["${escape(node.label ?? node.id)}"]`);
+            }
+            
+            for (const edge of graph?.edges || []) {
+                const arrow = edge.dashed ? '-.->' : '-->';
+                const label = edge.label ? `|${escape(edge.label)}|` : '';
+                lines.push(`  ${safeId(edge.from)} ${arrow}${label} ${safeId(edge.to)}`);
+            }
+            
+            const highlighted = nodes.filter(node => node.highlight).map(node => safeId(node.id));
+            if (highlighted.length > 0) {
+                lines.push('  classDef current fill:#f9d71c,stroke:#333,stroke-width:2px');
+                lines.push(`  class ${highlighted.join(',')} current`);
+            }
+            
+            return lines.join('\n');
+        },
+        
+        toDot(graph, options = {}) {
+            const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+            const lines = [`digraph ${quote(options.name || 'G')} {`, `  rankdir=${options.direction || 'LR'};`];
+            
+            for (const node of this.collectNodes(graph)) {
+                const attributes = [`label=${quote(node.label ?? node.id)}`];
+                if (node.highlight) attributes.push('style=filled', 'fillcolor="#f9d71c"');
+                lines.push(`  ${quote(node.id)} [${attributes.join(', ')}];`);
+            }
+            
+            for (const edge of graph?.edges || []) {
+                const attributes = [];
+                if (edge.label) attributes.push(`label=${quote(edge.label)}`);
+                if (edge.dashed) attributes.push('style=dashed');
+                const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+                lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${suffix};`);
+            }
+            
+            lines.push('}');
+            return lines.join('\n');
+        },
+        
+        export(graph, format = 'mermaid', options = {}) {
+            return String(format).toLowerCase() === 'dot' ? this.toDot(graph, options) : this.toMermaid(graph, options);
+        }
+    };
+    
     // =====================================
     // PARSING UTILITIES
     // =====================================
@@ -3733,6 +3827,7 @@ const Utilities = (function() {
         math: MathUtils,
         collection: CollectionUtils,
         format: FormatUtils,
+        graph: GraphUtils,
         parsing: ParsingUtils,
         config: ConfigUtils,
         functional: FunctionalUtils,
@@ -0,0 +1,102 @@
+/**
+ * Test script for selling to price-list merchants
+ * Run with: node test_merchant.js
+ */
+
+const fs = require('fs');
+const vm = require('vm');
+
+// Minimal AI Dungeon sandbox: story cards, state, history and the action counter
+function createSandbox(entities) {
+    const sandbox = {
+        console: { log: () => {} },
+        storyCards: [],
+        state: { memory: {} },
+        history: [],
+        info: { actionCount: 0 }
+    };
+    sandbox.addStoryCard = (keys, entry, type) => {
+        sandbox.storyCards.push({ title: keys, keys, entry: entry || '', type: type || 'class', description: '' });
+        return sandbox.storyCards.length;
+    };
+    sandbox.removeStoryCard = index => sandbox.storyCards.splice(index, 1);
+    sandbox.updateStoryCard = (index, keys, entry, type) => Object.assign(sandbox.storyCards[index], { keys, entry, type });
+    sandbox.storyCards.push({ title: '[SANE:D] Data', keys: '', entry: '', type: 'data', description: JSON.stringify(entities) });
+
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync('./Utilities.js', 'utf8') + '\n;globalThis.Utilities = Utilities;', sandbox);
+    vm.runInContext(fs.readFileSync('./SANE.js', 'utf8'), sandbox);
+    return sandbox;
+}
+
+// One turn: the player acts, the model answers with tool calls
+function playTurn(sandbox, output) {
+    sandbox.text = 'You offer your goods.';
+    vm.runInContext('text = SANE("input", text)', sandbox);
+    sandbox.history.push({ text: sandbox.text, type: 'do' });
+    sandbox.info.actionCount++;
+    vm.runInContext('SANE("context", "")', sandbox);
+    sandbox.text = output;
+    vm.runInContext('text = SANE("output", text)', sandbox);
+    sandbox.history.push({ text: sandbox.text, type: 'continue' });
+}
+
+function readEntities(sandbox) {
+    const entities = {};
+    for (const card of sandbox.storyCards.filter(card => card.title.startsWith('[SANE:D]'))) {
+        Object.assign(entities, JSON.parse(card.description || '{}'));
+    }
+    return entities;
+}
+
+function character(id, extra) {
+    return { id, GameplayTags: ['Character'], components: ['info', 'inventory', 'wallet'], info: { displayname: id }, inventory: {}, wallet: {}, ...extra };
+}
+
+// A blueprint-made merchant starts with an empty wallet and a price list
+function merchant(wallet) {
+    return character('agil', {
+        components: ['info', 'inventory', 'wallet', 'merchant'],
+        wallet,
+        merchant: { prices: { wolf_pelt: 20 }, buy_rate: 0.5, currency: null }
+    });
+}
+
+function sellPelts(merchantWallet, quantity, turns = 1) {
+    const sandbox = createSandbox({
+        kirito: character('kirito', { GameplayTags: ['Character', 'UserControlled'], inventory: { wolf_pelt: { quantity: 10 } } }),
+        agil: merchant(merchantWallet)
+    });
+    for (let i = 0; i < turns; i++) {
+        playTurn(sandbox, `Agil counts out coins. sell_item(kirito, agil, wolf_pelt, ${quantity})`);
+    }
+    return readEntities(sandbox);
+}
+
+const pelts = entity => entity.inventory.wolf_pelt?.quantity || 0;
+const col = entity => entity.wallet.Col?.amount;
+
+const checks = [];
+function check(name, passed) {
+    checks.push(passed);
+    console.log(`${passed ? '✓' : '✗'} ${name}`);
+}
+
+console.log('=== Empty wallet (untracked funds) ===');
+let result = sellPelts({}, 3);
+check('Kirito is paid half the listed price', col(result.kirito) === 30);
+check('Kirito hands over the pelts', pelts(result.kirito) === 7);
+check('Agil receives the pelts', pelts(result.agil) === 3);
+check('Agil keeps an untracked wallet', col(result.agil) === undefined);
+
+console.log('\n=== Wallet too light ===');
+result = sellPelts({ Col: { amount: 5 } }, 3);
+check('The sale fails', pelts(result.kirito) === 10 && col(result.kirito) === undefined);
+check('Agil keeps his money', col(result.agil) === 5);
+
+console.log('\n=== Wallet spent down to nothing ===');
+result = sellPelts({ Col: { amount: 30 } }, 3, 2);
+check('Only the first sale goes through', pelts(result.kirito) === 7 && col(result.kirito) === 30);
+check('Agil\'s emptied wallet is still tracked', col(result.agil) === 0);
+
+console.log(`\n${checks.filter(Boolean).length}/${checks.length} checks passed`);